@@ -0,0 +1,101 @@
+// ================================
+// AUTOPILOT SCRIPT WORKER
+// Runs a player's autopilot script off the main thread
+// The script only sees a frozen copy of the game state and answers each tick with ship
+// commands. Being in a worker is what isolates it: it can't reach the page, and one that
+// hangs only stops this worker answering (the main thread then terminates it). The main
+// thread also times each tick itself, since the script can change this worker's clock.
+// ================================
+
+importScripts('asteroid-miner-worker-protocol.js');
+
+let program = null;
+let memory = {}; // Kept between ticks for the script's own bookkeeping
+
+// Authoritative hazard/asteroid tables, sent by the main thread in 'init' (only the version is used)
+let typeTables = null;
+
+// Worker globals passed in as undefined so scripts don't use them by accident. This is not a
+// sandbox - the worker's global object is still reachable (e.g. through a function constructor).
+const SHADOWED_GLOBALS = [
+    'self', 'globalThis', 'postMessage', 'onmessage', 'close', 'importScripts',
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'indexedDB', 'caches', 'Worker'
+];
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+}
+
+// The `ship` object scripts call - every call just adds a command for this tick
+function createShipApi(commands) {
+    const command = (type, ...args) => {
+        commands.push({ type: type, args: args });
+    };
+    
+    return Object.freeze({
+        thrust: (x, y) => command('thrust', Number(x), Number(y)),
+        moveTo: (x, y, stopDistance = 0) => command('moveTo', Number(x), Number(y), Number(stopDistance)),
+        approach: (target, stopDistance = 0) => command('moveTo', Number(target.x), Number(target.y), Number(stopDistance)),
+        stop: () => command('stop'),
+        mine: (on = true) => command('mine', Boolean(on)),
+        dock: () => command('dock'),
+        sell: () => command('sell'),
+        refuel: () => command('refuel'),
+        scan: () => command('scan'),
+        log: (...parts) => command('log', parts.map(String).join(' '))
+    });
+}
+
+function reply(type, data) {
+    self.postMessage(createWorkerMessage(type, data, typeTables.version));
+}
+
+self.onmessage = function(e) {
+    const message = e.data;
+    
+    // Refuse to work on missing or stale type tables
+    const rejection = checkWorkerMessage(message, typeTables);
+    if (rejection) {
+        rejectWorkerMessage(message, rejection);
+        return;
+    }
+    
+    const { type, data } = message;
+    
+    switch(type) {
+        case 'init':
+            typeTables = data.tables;
+            reply('ready', null);
+            break;
+        
+        case 'load':
+            try {
+                program = new Function('state', 'ship', 'memory', ...SHADOWED_GLOBALS, '"use strict";\n' + data.source);
+                memory = {};
+                reply('loaded', null);
+            } catch (error) {
+                program = null;
+                reply('error', { message: `Syntax error: ${error.message}` });
+            }
+            break;
+        
+        case 'tick':
+            if (!program) return;
+            
+            const commands = [];
+            
+            try {
+                program(deepFreeze(data.state), createShipApi(commands), memory);
+            } catch (error) {
+                reply('error', { message: `${error.name}: ${error.message}` });
+                return;
+            }
+            
+            reply('commands', { commands: commands });
+            break;
+    }
+};
@@ -4,27 +4,10 @@
 // Runs off main thread to prevent stuttering
 // ================================
 
-// Hazard type data (replicated from main thread)
-const HAZARD_TYPES = {
-    debris: {
-        size: 25,
-        color: '#888888',
-        damage: 15,
-        pullForce: 0
-    },
-    mine: {
-        size: 20,
-        color: '#ff0000',
-        damage: 25,
-        pullForce: 0
-    },
-    vortex: {
-        size: 40,
-        color: '#9966ff',
-        damage: 5,
-        pullForce: 0.3
-    }
-};
+importScripts('asteroid-miner-worker-protocol.js');
+
+// Authoritative hazard/asteroid tables, sent by the main thread in 'init'
+let typeTables = null;
 
 // Worker state
 let playerData = { x: 0, y: 0, size: 20, vx: 0, vy: 0 };
@@ -33,9 +16,23 @@ let hazards = [];
 
 // Message handler
 self.onmessage = function(e) {
-    const { type, data } = e.data;
+    const message = e.data;
+    
+    // Refuse to work on missing or stale type tables
+    const rejection = checkWorkerMessage(message, typeTables);
+    if (rejection) {
+        rejectWorkerMessage(message, rejection);
+        return;
+    }
+    
+    const { type, data } = message;
     
     switch(type) {
+        case 'init':
+            typeTables = data.tables;
+            self.postMessage(createWorkerMessage('ready', null, typeTables.version));
+            break;
+            
         case 'checkHazardCollisions':
             // Update local copies
             playerData = data.player;
@@ -44,10 +41,7 @@ self.onmessage = function(e) {
             // Perform collision detection
             const collisionResults = checkHazardCollisions(data.dt);
             
-            self.postMessage({
-                type: 'hazardCollisionResults',
-                data: collisionResults
-            });
+            self.postMessage(createWorkerMessage('hazardCollisionResults', collisionResults, typeTables.version));
             break;
             
         case 'checkMiningRange':
@@ -58,10 +52,7 @@ self.onmessage = function(e) {
             // Check if any asteroids are in mining range
             const miningRangeResults = checkMiningRange(data.miningRange);
             
-            self.postMessage({
-                type: 'miningRangeResults',
-                data: miningRangeResults
-            });
+            self.postMessage(createWorkerMessage('miningRangeResults', miningRangeResults, typeTables.version));
             break;
             
         case 'checkBatchCollisions':
@@ -73,13 +64,10 @@ self.onmessage = function(e) {
             const hazardResults = checkHazardCollisions(data.dt);
             const miningCheckResults = checkMiningRange(data.miningRange);
             
-            self.postMessage({
-                type: 'batchCollisionResults',
-                data: {
-                    hazardCollisions: hazardResults,
-                    miningRange: miningCheckResults
-                }
-            });
+            self.postMessage(createWorkerMessage('batchCollisionResults', {
+                hazardCollisions: hazardResults,
+                miningRange: miningCheckResults
+            }, typeTables.version));
             break;
     }
 };
@@ -94,7 +82,9 @@ function checkHazardCollisions(dt) {
     
     for (let i = hazards.length - 1; i >= 0; i--) {
         const hazard = hazards[i];
-        const hazardData = HAZARD_TYPES[hazard.type];
+        const hazardData = typeTables.hazardTypes[hazard.type];
+        if (!hazardData) continue;
+        
         const dx = hazard.x - playerData.x;
         const dy = hazard.y - playerData.y;
         const distSq = dx * dx + dy * dy; // Use squared distance to avoid sqrt
@@ -120,6 +110,7 @@ function checkHazardCollisions(dt) {
             if (distSq < damageSq) {
                 collisions.push({
                     index: i,
+                    id: hazard.id,
                     damage: hazardData.damage,
                     type: hazard.type,
                     x: hazard.x,
@@ -135,6 +126,7 @@ function checkHazardCollisions(dt) {
             if (distSq < collisionRadiusSq) {
                 collisions.push({
                     index: i,
+                    id: hazard.id,
                     damage: hazardData.damage,
                     type: hazard.type,
                     x: hazard.x,
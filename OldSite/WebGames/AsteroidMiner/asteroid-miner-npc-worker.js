@@ -2,19 +2,35 @@
 // NPC MINER WORKER
 // ================================
 // Handles NPC miner pathfinding and AI behavior off the main thread
+// Pirates fly by stepPirate() from the simulation core, same as the main-thread fallback
+
+importScripts('asteroid-miner-worker-protocol.js', 'asteroid-miner-sim.js');
 
 let worldWidth = 5000;
 let worldHeight = 5000;
 
+// Authoritative hazard/asteroid tables, sent by the main thread in 'init'
+let typeTables = null;
+
 // Worker message handler
 self.onmessage = function(e) {
-    const { type, data } = e.data;
+    const message = e.data;
+    
+    // Refuse to work on missing or stale type tables
+    const rejection = checkWorkerMessage(message, typeTables);
+    if (rejection) {
+        rejectWorkerMessage(message, rejection);
+        return;
+    }
+    
+    const { type, data } = message;
     
     switch (type) {
         case 'init':
             worldWidth = data.worldWidth;
             worldHeight = data.worldHeight;
-            self.postMessage({ type: 'ready' });
+            typeTables = data.tables;
+            self.postMessage(createWorkerMessage('ready', null, typeTables.version));
             break;
             
         case 'updateConfig':
@@ -24,14 +40,43 @@ self.onmessage = function(e) {
             
         case 'updateNPCs':
             const result = updateNPCMiners(data);
-            self.postMessage({ 
-                type: 'npcUpdated', 
-                data: result 
-            });
+            self.postMessage(createWorkerMessage('npcUpdated', result, typeTables.version));
+            break;
+            
+        case 'updatePirates':
+            self.postMessage(createWorkerMessage('piratesUpdated', updatePirates(data), typeTables.version));
             break;
     }
 };
 
+// Pirate flight only - hull and shields stay with the main thread, where the turret hits them.
+// `targets` are the crew's ships; each update names the one its pirate went after.
+function updatePirates(data) {
+    const { pirates, targets, dt } = data;
+    const bounds = { width: worldWidth, height: worldHeight };
+    
+    return {
+        pirates: pirates.map(pirate => {
+            const target = choosePirateTarget(pirate, targets);
+            const result = stepPirate(pirate, targets[target] || null, bounds, dt);
+            
+            return {
+                id: pirate.id,
+                x: pirate.x,
+                y: pirate.y,
+                vx: pirate.vx,
+                vy: pirate.vy,
+                angle: pirate.angle,
+                wanderAngle: pirate.wanderAngle,
+                state: pirate.state,
+                fireCooldown: pirate.fireCooldown,
+                target: target,
+                result: result
+            };
+        })
+    };
+}
+
 function updateNPCMiners(data) {
     const { npcMiners, asteroids, hazards, stations, playerMiningTargets, dt } = data;
     
@@ -339,6 +384,7 @@ function updateNPCMiners(data) {
                     stateChanges.push({
                         index: i,
                         npcMinedAsteroid: true,
+                        minedType: miningTarget.type, // Main thread adds it to the NPC's hold
                         asteroidIndex: npc.targetAsteroidIndex, // Use current index before clearing
                         asteroidHealth: miningTarget.health,
                         asteroidDestroyed: asteroidDestroyed
@@ -376,7 +422,7 @@ function updateNPCMiners(data) {
                     // Dock at station - set docked state with timer
                     npc.state = 'docked';
                     npc.dockedUntil = Date.now() + (10000 + Math.random() * 20000); // 10-30 seconds
-                    npc.cargo = 0; // Sold cargo
+                    npc.cargo = 0; // Main thread unloads the hold into the station's stockpile
                     npc.vx = 0;
                     npc.vy = 0;
                     stateChanges.push({ index: i, state: 'docked', dockedUntil: npc.dockedUntil });
@@ -446,11 +492,14 @@ function updateNPCMiners(data) {
         
         // Check for hazard collisions
         for (const hazard of hazards) {
+            const hazardData = typeTables.hazardTypes[hazard.type];
+            if (!hazardData) continue;
+            
             const dx = hazard.x - npc.x;
             const dy = hazard.y - npc.y;
             const dist = Math.sqrt(dx * dx + dy * dy);
             
-            if (dist < hazard.size + npc.size + 50) {
+            if (dist < hazardData.size + npc.size + 50) {
                 const avoidAngle = Math.atan2(-dy, -dx);
                 npc.vx += Math.cos(avoidAngle) * 0.5 * dt;
                 npc.vy += Math.sin(avoidAngle) * 0.5 * dt;
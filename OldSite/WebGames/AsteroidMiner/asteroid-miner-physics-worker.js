@@ -2,158 +2,49 @@
 // PHYSICS WORKER
 // Handles asteroid, hazard, and particle position updates
 // Runs off main thread to prevent stuttering
+// Entities arrive as packed Float32Array buffers that were transferred, not cloned - they are
+// stepped in place and transferred straight back
 // ================================
 
-const CONFIG = {
-    worldWidth: 4000,
-    worldHeight: 4000
-};
+importScripts('asteroid-miner-worker-protocol.js');
 
-// Worker state
-let asteroids = [];
-let hazards = [];
-let particles = [];
+// Authoritative hazard/asteroid tables, sent by the main thread in 'init'
+let typeTables = null;
 
 // Message handler
 self.onmessage = function(e) {
-    const { type, data } = e.data;
+    const message = e.data;
+    
+    // Refuse to work on missing or stale type tables
+    const rejection = checkWorkerMessage(message, typeTables);
+    if (rejection) {
+        rejectWorkerMessage(message, rejection);
+        return;
+    }
+    
+    const { type, data } = message;
     
     switch(type) {
         case 'init':
-            // Initialize world configuration
-            if (data.worldWidth) CONFIG.worldWidth = data.worldWidth;
-            if (data.worldHeight) CONFIG.worldHeight = data.worldHeight;
-            self.postMessage({ type: 'ready' });
-            break;
-            
-        case 'updateAsteroids':
-            // Update asteroid positions and rotations
-            asteroids = data.asteroids;
-            updateAsteroids(data.dt);
-            self.postMessage({
-                type: 'asteroidsUpdated',
-                data: { asteroids: asteroids }
-            });
-            break;
-            
-        case 'updateHazards':
-            // Update hazard positions and rotations
-            hazards = data.hazards;
-            updateHazards(data.dt);
-            self.postMessage({
-                type: 'hazardsUpdated',
-                data: { hazards: hazards }
-            });
+            typeTables = data.tables;
+            self.postMessage(createWorkerMessage('ready', null, typeTables.version));
             break;
+        
+        case 'step':
+            // Step every buffer in the batch, then hand the buffers back
+            const counts = {};
+            const transfer = [];
             
-        case 'updateParticles':
-            // Update particle positions and lifetimes
-            particles = data.particles;
-            updateParticles(data.dt);
-            self.postMessage({
-                type: 'particlesUpdated',
-                data: { particles: particles }
-            });
-            break;
-            
-        case 'updateAll':
-            // Batch update for better performance
-            asteroids = data.asteroids || [];
-            hazards = data.hazards || [];
-            particles = data.particles || [];
-            
-            const dt = data.dt;
-            updateAsteroids(dt);
-            updateHazards(dt);
-            updateParticles(dt);
+            for (const kind of Object.keys(data.buffers)) {
+                counts[kind] = stepPackedEntities(kind, data.buffers[kind], data.counts[kind], data.dt, data.world);
+                transfer.push(data.buffers[kind].buffer);
+            }
             
-            self.postMessage({
-                type: 'allUpdated',
-                data: {
-                    asteroids: asteroids,
-                    hazards: hazards,
-                    particles: particles
-                }
-            });
+            self.postMessage(createWorkerMessage('stepped', {
+                batch: data.batch,
+                counts: counts,
+                buffers: data.buffers
+            }, typeTables.version), transfer);
             break;
     }
 };
-
-// ================================
-// UPDATE FUNCTIONS
-// ================================
-
-function updateAsteroids(dt) {
-    const len = asteroids.length;
-    for (let i = 0; i < len; i++) {
-        const asteroid = asteroids[i];
-        
-        // Skip destroyed asteroids
-        if (asteroid.destroyed) continue;
-        
-        // Update position (time-consistent)
-        asteroid.x += asteroid.vx * dt;
-        asteroid.y += asteroid.vy * dt;
-        asteroid.rotation += asteroid.rotationSpeed * dt;
-        
-        // Wrap around world with proper margin
-        const margin = asteroid.radius || 50; // Use asteroid radius for proper wrapping
-        
-        if (asteroid.x < -margin) {
-            asteroid.x = CONFIG.worldWidth + margin;
-        } else if (asteroid.x > CONFIG.worldWidth + margin) {
-            asteroid.x = -margin;
-        }
-        
-        if (asteroid.y < -margin) {
-            asteroid.y = CONFIG.worldHeight + margin;
-        } else if (asteroid.y > CONFIG.worldHeight + margin) {
-            asteroid.y = -margin;
-        }
-    }
-}
-
-function updateHazards(dt) {
-    const len = hazards.length;
-    for (let i = 0; i < len; i++) {
-        const hazard = hazards[i];
-        
-        // Update position (time-consistent)
-        hazard.x += hazard.vx * dt;
-        hazard.y += hazard.vy * dt;
-        hazard.rotation += 0.05 * dt;
-        
-        // Wrap around world with proper margin based on hazard size
-        const margin = hazard.radius || 50; // Use hazard radius for proper wrapping
-        
-        if (hazard.x < -margin) {
-            hazard.x = CONFIG.worldWidth + margin;
-        } else if (hazard.x > CONFIG.worldWidth + margin) {
-            hazard.x = -margin;
-        }
-        
-        if (hazard.y < -margin) {
-            hazard.y = CONFIG.worldHeight + margin;
-        } else if (hazard.y > CONFIG.worldHeight + margin) {
-            hazard.y = -margin;
-        }
-    }
-}
-
-function updateParticles(dt) {
-    // Update particles and mark dead ones for removal
-    for (let i = particles.length - 1; i >= 0; i--) {
-        const p = particles[i];
-        
-        // Update position (time-consistent)
-        p.x += p.vx * dt;
-        p.y += p.vy * dt;
-        p.life -= dt;
-        p.alpha -= 0.02 * dt;
-        
-        // Mark for removal if dead
-        if (p.life <= 0 || p.alpha <= 0) {
-            p.dead = true;
-        }
-    }
-}
@@ -4,7 +4,7 @@
 // ================================
 //
 // PERFORMANCE OPTIMIZATIONS:
-// - Object pooling for particles (reduces GC pressure)
+// - Particles packed in a Float32Array (no per-particle objects, no GC pressure)
 // - Viewport culling (only render visible objects)
 // - Squared distance calculations (avoid sqrt when possible)
 // - for loops instead of forEach (faster iteration)
@@ -26,12 +26,15 @@ const gameState = {
     credits: 0,
     hull: 100,
     maxHull: 100,
+    shield: 20,            // Takes damage before the hull (see SHIELDS & COMBAT in the sim core)
+    maxShield: 20,
+    shieldRegenDelay: 0,   // Frames until the shield starts recharging
     fuel: 100,
     maxFuel: 100,
     cargo: 0,
     maxCargo: 100,
     
-    // Upgrades
+    // Upgrades - effective levels derived from the equipped modules by applyLoadout()
     upgrades: {
         speed: 1,
         cargo: 1,
@@ -47,22 +50,43 @@ const gameState = {
         cargoDrone: 0  // 0 = not purchased, 1 = purchased (one-time upgrade)
     },
     
+    // Ship hull and its module slots (see SHIP LOADOUT & MODULES in the sim core)
+    loadout: createLoadout(),
+    
     // Prestige
     prestige: 0,
     prestigeBonus: 0,
     
     // Sector info
-    sector: 1,
+    sector: 1,                // Depth of the current sector - its difficulty tier
+    sectorId: 1,              // Galaxy sector the ship is in (see GALAXY in the sim core)
     sectorName: 'ALPHA-001',
     sectorsExplored: 1,
+    visitedSectors: [1],      // Galaxy sector ids the ship has been to
+    sectorStates: {},         // Maps sector ids to remembered asteroid depletion ({ depleted, damaged })
+    worldSeed: generateWorldSeed(),  // Seeds the galaxy and sector generation - same seed + sector = same layout
+    sectorEvents: createSectorEventSchedule(),  // Meteor showers, storms and derelicts here (see SECTOR EVENTS)
     
     // Inventory (resource counts)
     inventory: {},
+    components: {},       // Component locker: refined items (REFINED_ITEMS), no cargo space used
+    
+    // Station refineries
+    refineryJobs: [],     // Queued/running jobs in queue order ({ id, recipe, stationName, elapsed })
+    nextRefineryJobId: 1, // Counter for generating unique refinery job IDs
+    
+    // Player outposts (one per sector, see OUTPOSTS in asteroid-miner-sim.js)
+    outposts: [],
+    nextOutpostId: 1,
     
     // Missions
     missions: [],
     stationMissions: {},  // Maps station names to their available missions
     nextMissionId: 1,     // Counter for generating unique mission IDs
+    contractLog: [],      // Recent contract events ({ contractId, title, text, sector }) for the contract log
+    
+    // Reputation
+    factionStanding: {},  // Maps station names to the player's standing with that station (-100..100)
     
     // Statistics
     stats: {
@@ -73,6 +97,10 @@ const gameState = {
         sectorsVisited: 1,
         playTime: 0,
         creditsEarned: 0,
+        piratesDestroyed: 0,
+        meteorsMined: 0,        // Meteor shower rocks destroyed
+        derelictsSalvaged: 0,
+        stormTime: 0,           // Seconds flown through solar storms
         mineralsMined: {} // Track each resource type mined (for mineral survey missions)
     },
     
@@ -86,45 +114,12 @@ const gameState = {
 // GAME VERSION
 // ================================
 
-const GAME_VERSION = '0.8.9'; // Major.Minor.Patch - Update when making breaking changes to save format
+const GAME_VERSION = '0.9.11'; // Major.Minor.Patch - Update when making breaking changes to save format
 
 // ================================
-// GAME CONFIGURATION
+// VIEWPORT
 // ================================
-
-const CONFIG = {
-    // Ship physics (scaled up for time-consistent movement)
-    baseSpeed: 1,
-    acceleration: 0.4,
-    friction: 0.92,
-    
-    // Mining
-    baseMiningSpeed: 60, // frames to mine
-    miningRange: 75,
-    
-    // Fuel consumption (less efficient - increased consumption)
-    baseFuelConsumption: 0.005,
-    miningFuelCost: 0.01,
-    
-    // Spawn rates (base values - multiplied by sector bonuses)
-    // Sector bonuses: +10% spawn rate per sector, increased rare asteroid chances
-    asteroidSpawnChance: 0.05, // Increased from 0.02 for faster spawning
-    hazardSpawnChance: 0.005,
-    rareAsteroidChance: 0.15,
-    legendaryAsteroidChance: 0.03,
-    
-    // Max object limits (scaled by sector)
-    baseMaxAsteroids: 150, // Increased from 100 to allow more asteroids
-    maxAsteroidsPerSector: 50, // Additional asteroids allowed per sector
-    baseMaxHazards: 40, // Base limit for sector 1
-    maxHazardsPerSector: 15, // Additional hazards allowed per sector
-
-    // World size (base size, increases by 250 per sector)
-    baseWorldWidth: 3000,
-    baseWorldHeight: 3000,
-    worldWidth: 3000,  // Dynamic, updated per sector
-    worldHeight: 3000  // Dynamic, updated per sector
-};
+// CONFIG, ASTEROID_TYPES and HAZARD_TYPES live in asteroid-miner-sim.js
 
 // Reference resolution for consistent viewport across all screen sizes
 // This is the virtual resolution that determines how much of the game world is visible
@@ -654,10 +649,74 @@ const RADIO_MESSAGES = {
     }
 };
 
+// Lines that replace personality chatter when an NPC likes (warm) or dislikes (cold) the player.
+// How often they're used comes from the NPC's standing tier (see STANDING_TIERS).
+const RADIO_TONE_MESSAGES = {
+    greeting: {
+        warm: [
+            "<PLAYER>! good to see a friendly hull.",
+            "hey <PLAYER>, field's all yours if you want it.",
+            "look who it is! fly safe out here.",
+            "always glad to share a sector with you, <PLAYER>."
+        ],
+        cold: [
+            "oh. YOU again.",
+            "keep your distance, <PLAYER>.",
+            "word's out about you. move along.",
+            "don't even think about my rocks."
+        ]
+    },
+    tooClose: {
+        warm: [
+            "easy there, friend! almost traded paint.",
+            "whoa, close one! no harm done.",
+            "careful <PLAYER>, I like you but not THAT much.",
+            "tight formation, huh? ha."
+        ],
+        cold: [
+            "BACK OFF. last warning.",
+            "one more inch and I'm reporting you.",
+            "you're doing this on purpose, aren't you?",
+            "get out of my lane!"
+        ]
+    },
+    lostAsteroid: {
+        warm: [
+            "all yours, <PLAYER>. plenty more out here.",
+            "no worries, I'll find another.",
+            "fair enough, you got there first.",
+            "take it, friend. next one's mine!"
+        ],
+        cold: [
+            "typical. thief.",
+            "the station's gonna hear about this.",
+            "I'll remember that, <PLAYER>.",
+            "you'll pay for that one."
+        ]
+    },
+    // Only friendly NPCs send these (see updateNPCProximityAndInteractions)
+    hazardWarning: {
+        warm: [
+            "<PLAYER>, hazard near you! watch it!",
+            "heads up friend, something nasty close by!",
+            "careful! hazard on your position!",
+            "<PLAYER>! danger right next to you!"
+        ]
+    }
+};
+
 // Helper function to get appropriate message
 function getNPCMessage(npc, context, playerName = "Captain") {
     const personality = npc.personality || 'efficient';
-    const messages = RADIO_MESSAGES[context]?.[personality];
+    let messages = RADIO_MESSAGES[context]?.[personality];
+    
+    // Standing colours the tone - allies and enemies mostly drop the personality script
+    const tier = getStandingTier(getNPCStanding(gameState, npc));
+    const toneMessages = tier.tone ? RADIO_TONE_MESSAGES[context]?.[tier.tone] : null;
+    if (toneMessages && toneMessages.length > 0 && (!messages || Math.random() < tier.toneChance)) {
+        messages = toneMessages;
+    }
+    
     if (!messages || messages.length === 0) return null;
     
     const message = messages[Math.floor(Math.random() * messages.length)];
@@ -665,206 +724,48 @@ function getNPCMessage(npc, context, playerName = "Captain") {
 }
 
 // ================================
-// ASTEROID TYPES
+// WORKER TYPE TABLES
 // ================================
+// ASTEROID_TYPES / HAZARD_TYPES (asteroid-miner-sim.js) are the only copy of the type data. The collision,
+// physics, NPC and autopilot script workers receive these tables in their 'init' message and refuse work
+// stamped with any other version (see asteroid-miner-worker-protocol.js). The version is a
+// hash of the table contents, so editing either table invalidates a worker's old copy.
 
-const ASTEROID_TYPES = {
-    // COMMON TIER - 60% total
-    common: {
-        name: 'Iron Ore',
-        color: '#888888',
-        icon: '●',
-        value: 2,
-        health: 10,
-        size: 12,
-        rarity: 'common',
-        baseChance: 0.40,      // 40% base chance
-        rarityMultiplier: 1.0
-    },
-    copper: {
-        name: 'Copper',
-        color: '#ff8844',
-        icon: '◆',
-        value: 5,
-        health: 9,
-        size: 13,
-        rarity: 'common',
-        baseChance: 0.20,      // 20% base chance
-        rarityMultiplier: 1.0
-    },
-    
-    // UNCOMMON TIER - 20% total
-    nickel: {
-        name: 'Nickel',
-        color: '#c0c0a0',
-        icon: '◇',
-        value: 12,
-        health: 7,
-        size: 14,
-        rarity: 'uncommon',
-        baseChance: 0.10,      // 10% base chance
-        rarityMultiplier: 1.3
-    },
-    silver: {
-        name: 'Silver',
-        color: '#ccccff',
-        icon: '◈',
-        value: 18,
-        health: 6,
-        size: 15,
-        rarity: 'uncommon',
-        baseChance: 0.07,      // 7% base chance
-        rarityMultiplier: 1.5
-    },
-    titanium: {
-        name: 'Titanium',
-        color: '#b0b0d0',
-        icon: '⬡',
-        value: 25,
-        health: 8,
-        size: 16,
-        rarity: 'uncommon',
-        baseChance: 0.03,      // 3% base chance
-        rarityMultiplier: 1.5
-    },
-    
-    // RARE TIER - 12% total
-    gold: {
-        name: 'Gold',
-        color: '#ffdd00',
-        icon: '◉',
-        value: 40,
-        health: 5,
-        size: 17,
-        rarity: 'rare',
-        baseChance: 0.05,      // 5% base chance
-        rarityMultiplier: 2.0
-    },
-    emerald: {
-        name: 'Emerald',
-        color: '#00ff88',
-        icon: '◊',
-        value: 55,
-        health: 4,
-        size: 18,
-        rarity: 'rare',
-        baseChance: 0.04,      // 4% base chance
-        rarityMultiplier: 2.0
-    },
-    platinum: {
-        name: 'Platinum',
-        color: '#aaffff',
-        icon: '◎',
-        value: 70,
-        health: 4,
-        size: 19,
-        rarity: 'rare',
-        baseChance: 0.03,      // 3% base chance
-        rarityMultiplier: 2.0
-    },
-    
-    // EPIC TIER - 6% total
-    ruby: {
-        name: 'Ruby',
-        color: '#ff0066',
-        icon: '◆',
-        value: 100,
-        health: 3,
-        size: 20,
-        rarity: 'epic',
-        baseChance: 0.025,     // 2.5% base chance
-        rarityMultiplier: 2.5
-    },
-    sapphire: {
-        name: 'Sapphire',
-        color: '#0066ff',
-        icon: '◈',
-        value: 120,
-        health: 3,
-        size: 20,
-        rarity: 'epic',
-        baseChance: 0.020,     // 2% base chance
-        rarityMultiplier: 2.5
-    },
-    obsidian: {
-        name: 'Obsidian',
-        color: '#1a0033',
-        icon: '⬢',
-        value: 140,
-        health: 5,
-        size: 21,
-        rarity: 'epic',
-        baseChance: 0.015,     // 1.5% base chance
-        rarityMultiplier: 2.5
-    },
+const WORKER_TYPE_TABLES = buildWorkerTypeTables();
+
+function buildWorkerTypeTables() {
+    const asteroidTypes = JSON.parse(JSON.stringify(ASTEROID_TYPES));
+    const hazardTypes = JSON.parse(JSON.stringify(HAZARD_TYPES));
     
-    // LEGENDARY TIER - 2% total
-    crystal: {
-        name: 'Quantum Crystal',
-        color: '#ff00ff',
-        icon: '❖',
-        value: 200,
-        health: 2,
-        size: 22,
-        rarity: 'legendary',
-        baseChance: 0.010,     // 1% base chance
-        rarityMultiplier: 3.0
-    },
-    nebulite: {
-        name: 'Nebulite',
-        color: '#00ffff',
-        icon: '✦',
-        value: 250,
-        health: 2,
-        size: 23,
-        rarity: 'legendary',
-        baseChance: 0.007,     // 0.7% base chance
-        rarityMultiplier: 3.0
-    },
-    darkMatter: {
-        name: 'Dark Matter',
-        color: '#6600ff',
-        icon: '◉',
-        value: 350,
-        health: 3,
-        size: 24,
-        rarity: 'legendary',
-        baseChance: 0.003,     // 0.3% base chance
-        rarityMultiplier: 3.5
-    }
-};
+    return {
+        version: hashSeed(JSON.stringify(asteroidTypes), JSON.stringify(hazardTypes)),
+        asteroidTypes: asteroidTypes,
+        hazardTypes: hazardTypes
+    };
+}
 
-// ================================
-// HAZARD TYPES
-// ================================
+function postWorkerMessage(worker, type, data, transfer = []) {
+    worker.postMessage(createWorkerMessage(type, data, WORKER_TYPE_TABLES.version), transfer);
+}
 
-const HAZARD_TYPES = {
-    debris: {
-        name: 'Space Debris',
-        color: '#ff4444',
-        icon: '✕',
-        damage: 10,
-        size: 14,
-        speed: 0.75  // Reduced from 8.33
-    },
-    mine: {
-        name: 'Proximity Mine',
-        color: '#ff0000',
-        icon: '⊗',
-        damage: 25,
-        size: 12,
-        speed: 0.2
-    },
-    vortex: {
-        name: 'Gravity Vortex',
-        color: '#8800ff',
-        icon: '◉',
-        damage: 5,
-        size: 60,
-        speed: 0.1, // Fixed speed for vortex movement
-        pullForce: 0.4  // Reduced from 0.25 for more manageable gravity
+function sendWorkerInit(worker) {
+    postWorkerMessage(worker, 'init', {
+        tables: WORKER_TYPE_TABLES,
+        worldWidth: CONFIG.worldWidth,
+        worldHeight: CONFIG.worldHeight
+    });
+}
+
+// A worker refused a message because its tables were missing or stale. Re-send init so it
+// picks up the current tables; if init itself was refused (e.g. a cached worker script on an
+// older protocol) re-sending won't help, so the caller stays on the main-thread fallback.
+function handleWorkerRejection(worker, workerName, data) {
+    console.warn(`${workerName} worker rejected '${data.rejectedType}': ${data.reason}`);
+    
+    if (data.rejectedType !== 'init') {
+        sendWorkerInit(worker);
     }
-};
+}
 
 // ================================
 // GAME OBJECTS
@@ -872,23 +773,33 @@ const HAZARD_TYPES = {
 
 let asteroids = [];
 let hazards = [];
-let particles = [];
+const asteroidStore = createEntityStore('asteroids'); // Their positions, velocities, spin and size (see ENTITY STORES)
+const hazardStore = createEntityStore('hazards');
+let pirates = [];   // Hostile ships (see PIRATES & COMBAT)
+let lootDrops = []; // Cargo left by destroyed pirates
+let particleBuffer = null;  // Packed particle records (see PARTICLE SYSTEM)
+let particleCount = 0;
 let floatingText = [];
 let stars = [];
 let starRenderData = []; // Pre-calculated star positions from worker
 
+// Clock and RNG handed to the simulation core (asteroid-miner-sim.js). The RNG looks up
+// Math.random on each call so a replay's seeded stream also decides which ore a cycle yields.
+const simContext = createSimContext({ rng: () => Math.random() });
+
+// Ready flags for the workers that step game state - a replay parks these (see REPLAYS)
+const simWorkerReady = { physics: false, collision: false, npc: false };
+
 // Star worker for multi-threaded optimization
 let starWorker = null;
 let starWorkerReady = false;
 
 // Physics worker for asteroid/hazard/particle updates
 let physicsWorker = null;
-let physicsWorkerReady = false;
 let pendingPhysicsUpdate = false;
 
 // Collision worker for collision detection
 let collisionWorker = null;
-let collisionWorkerReady = false;
 let pendingCollisionCheck = false;
 
 // FPS counter worker for zero-overhead FPS tracking
@@ -897,8 +808,10 @@ let fpsWorkerReady = false;
 
 // NPC miner worker for offloading AI pathfinding
 let npcWorker = null;
-let npcWorkerReady = false;
 let pendingNPCUpdate = false;
+let pendingPirateUpdate = false;
+let pirateStepBacklog = 0; // dt waiting for the next pirate step
+let pirateStepSentStates = new Map(); // pirate id -> state when the step in flight was posted
 
 // Auto-pilot state
 let autoPilotActive = false;
@@ -941,6 +854,7 @@ const domCache = {
     shipName: null,
     sectorName: null,
     hullDisplay: null,
+    shieldDisplay: null,
     dockingStatus: null,
     creditsDisplay: null,
     cargoDisplay: null,
@@ -952,6 +866,12 @@ const domCache = {
     cargoValueCredits: null,
     fuelNeeded: null,
     hullNeeded: null,
+    marketList: null,
+    marketReportStation: null,
+    marketShortageCount: null,
+    marketSupplyList: null,
+    marketDeliveryList: null,
+    sectorShortageList: null,
     
     // Buttons
     sellCargoBtn: null,
@@ -964,6 +884,12 @@ const domCache = {
     // Mission displays
     missionsList: null,
     missionCount: null,
+    contractLogList: null,
+    refineryRecipeList: null,
+    refineryQueueList: null,
+    refineryJobCount: null,
+    componentLocker: null,
+    contractCount: null,
     
     // Prestige
     prestigeCount: null,
@@ -978,7 +904,11 @@ const domCache = {
     consoleContent: null,
     
     // Inventory
-    inventoryList: null
+    inventoryList: null,
+    
+    // Scan readout (canvas overlay)
+    scanReadout: null,
+    scanReadoutBody: null
     
     // Add new cached elements here for future features
 };
@@ -1036,7 +966,10 @@ const uiDirtyFlags = {
     missions: true,     // Mission list and progress
     upgrades: true,     // Upgrade buttons and costs
     station: true,      // Station interface and docking status
-    prestige: true      // Prestige counter and bonuses
+    refinery: true,     // Refinery recipes, job queue and component locker
+    market: true,       // Market report - station stockpiles and deliveries
+    prestige: true,     // Prestige counter and bonuses
+    coop: true          // Player 2's panel (local co-op)
     // Add new flags here for future features
 };
 
@@ -1096,14 +1029,16 @@ const SCAN_CONFIG = {
     labelOffset: 30,
     horizontalLength: 80,
     fontSize: 15,
-    fadeOutDuration: 2000 // 2 second fade
+    fadeOutDuration: 2000, // 2 second fade
+    readoutRange: 250, // Analysed asteroids this close show in the scan readout
+    readoutInterval: 10 // Frames between scan readout refreshes
 };
 
 // Space Stations - array with main station at index 0
 let stations = [];
 
 // Main Space Station template (first station in array will be dockable)
-const createStation = (x, y, vx, vy, colorScheme, name, isDocked = false) => ({
+const createStation = (x, y, vx, vy, colorScheme, name, isDocked = false, rng = Math.random, stockRng = Math.random) => ({
     x,
     y,
     vx,
@@ -1116,7 +1051,8 @@ const createStation = (x, y, vx, vy, colorScheme, name, isDocked = false) => ({
     pullStrength: 0.25,
     colorScheme,
     name,
-    vertices: []
+    vertices: [],
+    market: createStationMarket(rng, stockRng)  // Per-station supply/demand prices (see STATION MARKET SYSTEM)
 });
 
 // Station name presets (pop-culture references)
@@ -1331,7 +1267,7 @@ function getBootMessages(includeNamePrompt = false, isDocked = true) {
     const fuelPercent = Math.ceil((gameState.fuel / gameState.maxFuel) * 100);
     const hullStatus = hullPercent >= 100 ? '100%' : hullPercent >= 75 ? `${hullPercent}% (GOOD)` : hullPercent >= 50 ? `${hullPercent}% (FAIR)` : hullPercent >= 25 ? `${hullPercent}% (DAMAGED)` : `${hullPercent}% (CRITICAL)`;
     const fuelStatus = fuelPercent >= 100 ? 'FULL' : fuelPercent >= 75 ? `${fuelPercent}% (HIGH)` : fuelPercent >= 50 ? `${fuelPercent}% (MODERATE)` : fuelPercent >= 25 ? `${fuelPercent}% (LOW)` : `${fuelPercent}% (CRITICAL)`;
-    const sectorName = `ALPHA-${String(gameState.sector).padStart(3, '0')}`;
+    const sectorName = gameState.sectorName;
     
     // Calculate sector-based statistics
     const asteroidDensity = gameState.sector <= 2 ? 'LOW' : gameState.sector <= 4 ? 'MODERATE' : gameState.sector <= 6 ? 'HIGH' : gameState.sector <= 8 ? 'VERY HIGH' : 'EXTREME';
@@ -1483,7 +1419,7 @@ function displayBootSequence() {
                         const fuelPercent = Math.ceil((gameState.fuel / gameState.maxFuel) * 100);
                         const hullStatus = hullPercent >= 100 ? '100%' : hullPercent >= 75 ? `${hullPercent}% (GOOD)` : hullPercent >= 50 ? `${hullPercent}% (FAIR)` : hullPercent >= 25 ? `${hullPercent}% (DAMAGED)` : `${hullPercent}% (CRITICAL)`;
                         const fuelStatus = fuelPercent >= 100 ? 'FULL' : fuelPercent >= 75 ? `${fuelPercent}% (HIGH)` : fuelPercent >= 50 ? `${fuelPercent}% (MODERATE)` : fuelPercent >= 25 ? `${fuelPercent}% (LOW)` : `${fuelPercent}% (CRITICAL)`;
-                        const sectorName = `ALPHA-${String(gameState.sector).padStart(3, '0')}`;
+                        const sectorName = gameState.sectorName;
                         const asteroidDensity = gameState.sector <= 2 ? 'LOW' : gameState.sector <= 4 ? 'MODERATE' : gameState.sector <= 6 ? 'HIGH' : gameState.sector <= 8 ? 'VERY HIGH' : 'EXTREME';
                         const hazardLevel = gameState.sector <= 2 ? 'MINIMAL' : gameState.sector <= 4 ? 'LOW' : gameState.sector <= 6 ? 'MODERATE' : gameState.sector <= 8 ? 'HIGH' : 'CRITICAL';
                         const resourceQuality = gameState.sector <= 2 ? 'STANDARD' : gameState.sector <= 4 ? 'IMPROVED' : gameState.sector <= 6 ? 'ENHANCED' : gameState.sector <= 8 ? 'SUPERIOR' : 'EXCEPTIONAL';
@@ -1655,7 +1591,21 @@ function finishBoot() {
 }
 
 // Get a random station name that hasn't been used recently
-function getRandomStationName() {
+// Seeded sector generation passes its own rng and the names already used in the sector -
+// the recent list is skipped then, since it depends on play history and would break reproducibility
+function getRandomStationName(rng = Math.random, usedNames = null) {
+    if (usedNames) {
+        const sectorNames = STATION_NAMES.filter(name => !usedNames.includes(name));
+        const seededName = sectorNames[Math.floor(rng() * sectorNames.length)];
+        
+        recentStationNames.push(seededName);
+        if (recentStationNames.length > MAX_RECENT_NAMES) {
+            recentStationNames.shift();
+        }
+        
+        return seededName;
+    }
+    
     // If we've used all names, clear the recent list (keep last 5)
     if (recentStationNames.length >= STATION_NAMES.length - 5) {
         recentStationNames = recentStationNames.slice(-5);
@@ -1685,9 +1635,35 @@ function getRandomStationName() {
 }
 
 // Initialize station state early (before boot sequence)
-function initStationState() {
-    // Clear existing stations
-    stations = [];
+// Stations use their own seeded stream so they match whether created at boot or by generateSector().
+// Stockpiles roll from a second one, so adding them left every seed's station layout as it was.
+function initStationState(rng = createSectorRandom('stations'), stockRng = createSectorRandom('stock')) {
+    stations = createSectorStations(rng, getCurrentSector().stationCount, stockRng);
+    
+    if (stations[1]) logMessage(`Secondary station detected: ${stations[1].name}`);
+    if (stations[2]) logMessage(`Tertiary station detected: ${stations[2].name}`);
+    
+    // Spawn NPC miners for each station
+    spawnNPCMiners();
+}
+
+// Names of the stations another sector will have - the same seeded stream initStationState()
+// uses when that sector is generated, so contracts can name a destination ahead of time
+function getSectorStationNames(sectorId) {
+    const rng = createSeededRandom(hashSeed(gameState.worldSeed, sectorId, 'stations'));
+    return createSectorStations(rng, getGalaxySector(getGalaxy(), sectorId).stationCount).map(st => st.name);
+}
+
+// Names follow galaxy sector ids, so the home sector is always ALPHA-001
+function getSectorName(sectorId) {
+    return `ALPHA-${String(sectorId).padStart(3, '0')}`;
+}
+
+// A sector's stations - the main station always, then up to `stationCount` (the galaxy sector's roll).
+// `stockRng` rolls the market stockpiles and never touches the layout stream.
+function createSectorStations(rng, stationCount, stockRng = Math.random) {
+    const sectorStations = [];
+    const usedNames = [];
     
     // Track used color indices to prevent duplicates
     const usedColorIndices = [];
@@ -1696,7 +1672,7 @@ function initStationState() {
     const getUniqueColorIndex = () => {
         let colorIndex;
         do {
-            colorIndex = Math.floor(Math.random() * STATION_COLORS.length);
+            colorIndex = Math.floor(rng() * STATION_COLORS.length);
         } while (usedColorIndices.includes(colorIndex));
         usedColorIndices.push(colorIndex);
         return colorIndex;
@@ -1704,54 +1680,262 @@ function initStationState() {
     
     // Create main station (always dockable)
     const margin = 500;
-    const x = margin + Math.random() * (CONFIG.worldWidth - margin * 2);
-    const y = margin + Math.random() * (CONFIG.worldHeight - margin * 2);
+    const x = margin + rng() * (CONFIG.worldWidth - margin * 2);
+    const y = margin + rng() * (CONFIG.worldHeight - margin * 2);
     
     const stationSpeed = 0.25;
-    const randomAngle = Math.random() * Math.PI * 2;
+    const randomAngle = rng() * Math.PI * 2;
     const vx = Math.cos(randomAngle) * stationSpeed;
     const vy = Math.sin(randomAngle) * stationSpeed;
     
     const colorIndex = getUniqueColorIndex();
     const colorScheme = STATION_COLORS[colorIndex];
-    const name = getRandomStationName();
-    const isDocked = Math.random() < 0.5;
+    const name = getRandomStationName(rng, usedNames);
+    usedNames.push(name);
+    const isDocked = rng() < 0.5;
     
     // Add main station
-    stations.push(createStation(x, y, vx, vy, colorScheme, name, isDocked));
+    sectorStations.push(createStation(x, y, vx, vy, colorScheme, name, isDocked, rng, stockRng));
     
-    // 33% chance to spawn a second station
-    if (Math.random() < 0.33) {
-        const x2 = margin + Math.random() * (CONFIG.worldWidth - margin * 2);
-        const y2 = margin + Math.random() * (CONFIG.worldHeight - margin * 2);
-        const randomAngle2 = Math.random() * Math.PI * 2;
+    // Second station
+    if (stationCount >= 2) {
+        const x2 = margin + rng() * (CONFIG.worldWidth - margin * 2);
+        const y2 = margin + rng() * (CONFIG.worldHeight - margin * 2);
+        const randomAngle2 = rng() * Math.PI * 2;
         const vx2 = Math.cos(randomAngle2) * stationSpeed;
         const vy2 = Math.sin(randomAngle2) * stationSpeed;
         const colorIndex2 = getUniqueColorIndex();
         const colorScheme2 = STATION_COLORS[colorIndex2];
-        const name2 = getRandomStationName();
+        const name2 = getRandomStationName(rng, usedNames);
+        usedNames.push(name2);
         
-        stations.push(createStation(x2, y2, vx2, vy2, colorScheme2, name2, false));
-        logMessage(`Secondary station detected: ${name2}`);
+        sectorStations.push(createStation(x2, y2, vx2, vy2, colorScheme2, name2, false, rng, stockRng));
         
-        // If second station spawned, 33% chance for a third station
-        if (Math.random() < 0.33) {
-            const x3 = margin + Math.random() * (CONFIG.worldWidth - margin * 2);
-            const y3 = margin + Math.random() * (CONFIG.worldHeight - margin * 2);
-            const randomAngle3 = Math.random() * Math.PI * 2;
+        // Third station
+        if (stationCount >= 3) {
+            const x3 = margin + rng() * (CONFIG.worldWidth - margin * 2);
+            const y3 = margin + rng() * (CONFIG.worldHeight - margin * 2);
+            const randomAngle3 = rng() * Math.PI * 2;
             const vx3 = Math.cos(randomAngle3) * stationSpeed;
             const vy3 = Math.sin(randomAngle3) * stationSpeed;
             const colorIndex3 = getUniqueColorIndex();
             const colorScheme3 = STATION_COLORS[colorIndex3];
-            const name3 = getRandomStationName();
+            const name3 = getRandomStationName(rng, usedNames);
+            usedNames.push(name3);
             
-            stations.push(createStation(x3, y3, vx3, vy3, colorScheme3, name3, false));
-            logMessage(`Tertiary station detected: ${name3}`);
+            sectorStations.push(createStation(x3, y3, vx3, vy3, colorScheme3, name3, false, rng, stockRng));
         }
     }
     
-    // Spawn NPC miners for each station
-    spawnNPCMiners();
+    return sectorStations;
+}
+
+// ================================
+// STATION MARKET SYSTEM
+// ================================
+// Each station runs its own supply/demand model per ore type:
+// - demand: station-specific price multiplier, rolled when the station is created
+// - supply: units recently sold to the station, every unit pushes the price down
+// - supply decays each frame, so flooded prices recover over time
+// - history: periodic price samples shown as sparklines in the station interface
+// - stock/target/consumption: the station's ore stockpile (see STATION ECONOMY in the sim core),
+//   fed by NPC miners and the player's sales - shortages raise the price, gluts lower it
+// - deliveries: the last few unloads (NPC miners, shortage missions), listed in the market report
+
+const MARKET_CONFIG = {
+    minDemand: 0.7,             // Lowest demand multiplier a station can roll
+    maxDemand: 1.4,             // Highest demand multiplier a station can roll
+    saturationPerUnit: 0.02,    // Price drop per unit of recent supply (50 units = half price)
+    minPriceFactor: 0.2,        // Prices never fall below 20% of base value
+    supplyRetention: 0.9999,    // Fraction of supply kept per frame (~2 minute half-life at 60 FPS)
+    historyInterval: 600,       // Frames between price history samples (10 seconds at 60 FPS)
+    historyLength: 20,          // Price samples kept per ore type
+    deliveryLogLength: 6,       // Deliveries kept for the market report
+    shortageMissions: 2         // Most shortage delivery missions a station posts at once
+};
+
+const SPARKLINE_CHARS = '▁▂▃▄▅▆▇█';
+
+let marketHistoryTimer = 0;
+
+// `stockRng` is separate so the stockpile rolls don't shift the station stream's later draws
+function createStationMarket(rng = Math.random, stockRng = Math.random) {
+    const market = { demand: {}, supply: {}, history: {}, deliveries: [] };
+    
+    for (const [type, data] of Object.entries(ASTEROID_TYPES)) {
+        const demand = MARKET_CONFIG.minDemand + rng() * (MARKET_CONFIG.maxDemand - MARKET_CONFIG.minDemand);
+        market.demand[type] = demand;
+        market.supply[type] = 0;
+        market.history[type] = [Math.round(data.value * demand * 100) / 100];
+    }
+    
+    return Object.assign(market, createStationStock(stockRng));
+}
+
+// Rebuild a station market from save data (fills in ore types missing from older saves)
+function restoreStationMarket(savedMarket) {
+    const market = createStationMarket();
+    if (!savedMarket) return market;
+    
+    for (const type of Object.keys(ASTEROID_TYPES)) {
+        if (savedMarket.demand && typeof savedMarket.demand[type] === 'number') {
+            market.demand[type] = savedMarket.demand[type];
+        }
+        if (savedMarket.supply && typeof savedMarket.supply[type] === 'number') {
+            market.supply[type] = Math.max(0, savedMarket.supply[type]);
+        }
+        if (savedMarket.history && Array.isArray(savedMarket.history[type]) && savedMarket.history[type].length > 0) {
+            market.history[type] = savedMarket.history[type].slice(-MARKET_CONFIG.historyLength);
+        }
+        // Saves from before stockpiles start with full ones
+        for (const key of ['stock', 'target', 'consumption']) {
+            if (savedMarket[key] && typeof savedMarket[key][type] === 'number' && savedMarket[key][type] >= 0) {
+                market[key][type] = savedMarket[key][type];
+            }
+        }
+    }
+    
+    if (Array.isArray(savedMarket.deliveries)) {
+        market.deliveries = savedMarket.deliveries.slice(-MARKET_CONFIG.deliveryLogLength);
+    }
+    
+    return market;
+}
+
+// Price multiplier for an ore at a station, optionally with extra units already sold.
+// Recent sales push it down, the stockpile's shortage or glut scales it.
+function getMarketPriceFactor(station, type, extraSupply = 0) {
+    if (!station || !station.market || station.market.demand[type] === undefined) return 1;
+    
+    const supply = station.market.supply[type] + extraSupply;
+    const factor = station.market.demand[type] * getStockPriceFactor(station.market, type, extraSupply) /
+        (1 + supply * MARKET_CONFIG.saturationPerUnit);
+    return Math.max(MARKET_CONFIG.minPriceFactor, factor);
+}
+
+// Current price of one unit (falls back to base value when there is no station)
+function getMarketPrice(station, type) {
+    const asteroidType = ASTEROID_TYPES[type];
+    if (!asteroidType) return 0;
+    
+    return asteroidType.value * getMarketPriceFactor(station, type);
+}
+
+// Value of selling `count` units in one go - each unit sold lowers the price of the next
+function quoteMarketSale(station, type, count) {
+    const asteroidType = ASTEROID_TYPES[type];
+    if (!asteroidType || count <= 0) return 0;
+    
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        total += asteroidType.value * getMarketPriceFactor(station, type, i);
+    }
+    
+    return Math.floor(total);
+}
+
+// Flood the station's market with sold ore (it goes into the stockpile too) and log the new
+// price in its history
+function recordMarketSale(station, type, count) {
+    if (!station || !station.market || station.market.supply[type] === undefined) return;
+    
+    station.market.supply[type] += count;
+    deliverToStockpile(station.market, { [type]: count });
+    pushMarketHistory(station, type);
+}
+
+function pushMarketHistory(station, type) {
+    const history = station.market.history[type];
+    history.push(Math.round(getMarketPrice(station, type) * 100) / 100);
+    
+    if (history.length > MARKET_CONFIG.historyLength) {
+        history.shift();
+    }
+}
+
+function updateStationMarkets(dt = 1) {
+    // Recover prices by letting recent supply decay, and let station industry eat its stockpile
+    const retention = Math.pow(MARKET_CONFIG.supplyRetention, dt);
+    
+    for (const station of stations) {
+        if (!station.market) continue;
+        
+        const supply = station.market.supply;
+        for (const type in supply) {
+            if (supply[type] > 0) {
+                supply[type] *= retention;
+                if (supply[type] < 0.01) supply[type] = 0;
+            }
+        }
+        
+        stepStationEconomy(station.market, dt / 60);
+    }
+    
+    // Sample prices periodically for the sparklines
+    marketHistoryTimer += dt;
+    if (marketHistoryTimer >= MARKET_CONFIG.historyInterval) {
+        marketHistoryTimer = 0;
+        
+        for (const station of stations) {
+            if (!station.market) continue;
+            for (const type of Object.keys(ASTEROID_TYPES)) {
+                pushMarketHistory(station, type);
+            }
+        }
+        
+        updateShortageMissions();
+        markUIDirty('market');
+        
+        if (isDockedAtAnyStation()) {
+            markUIDirty('station');
+        }
+    }
+}
+
+// A miner unloading at a station: the ore goes into its stockpile and the market report's log.
+// Returns the number of units delivered.
+function recordStationDelivery(station, cargo, from) {
+    if (!station || !station.market) return 0;
+    
+    const units = deliverToStockpile(station.market, cargo);
+    if (units <= 0) return 0;
+    
+    const deliveries = station.market.deliveries;
+    deliveries.push({ from: from, units: units, time: Date.now() });
+    if (deliveries.length > MARKET_CONFIG.deliveryLogLength) {
+        deliveries.shift();
+    }
+    
+    markUIDirty('market');
+    if (station.isDocked) {
+        markUIDirty('station');
+    }
+    
+    return units;
+}
+
+// An NPC miner docking at home hands its hold over to the station
+function unloadNPCCargo(npc) {
+    const station = stations.find(st => st.name === npc.homeStation.name) || npc.homeStation;
+    recordStationDelivery(station, npc.inventory, npc.name);
+    
+    npc.inventory = {};
+    npc.cargo = 0;
+}
+
+function renderSparkline(values) {
+    if (!values || values.length === 0) return '';
+    
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    // Keep a minimum range so tiny fluctuations don't look like crashes
+    const range = Math.max(max - min, max * 0.05);
+    const top = SPARKLINE_CHARS.length - 1;
+    
+    return values.map(v => {
+        const level = range > 0 ? Math.round(((v - min) / range) * top) : Math.floor(top / 2);
+        return SPARKLINE_CHARS[level];
+    }).join('');
 }
 
 // ================================
@@ -1860,6 +2044,19 @@ const PROXIMITY_RANGE = 400; // Distance for NPCs to detect player
 const TRADE_RANGE = 200; // Distance required for trading (half of proximity range)
 const CLOSE_RANGE = 75; // Distance considered "too close" (reduced from 150)
 const MESSAGE_COOLDOWN = 5000; // Minimum time between messages (ms)
+const HAZARD_WARNING_RANGE = 250; // Friendly NPCs warn about hazards this close to the player
+
+function findHazardNearPlayer(range) {
+    const rangeSq = range * range;
+    
+    for (const hazard of hazards) {
+        const dx = hazard.x - player.x;
+        const dy = hazard.y - player.y;
+        if (dx * dx + dy * dy < rangeSq) return hazard;
+    }
+    
+    return null;
+}
 
 function updateNPCProximityAndInteractions(dt = 1) {
     const currentTime = Date.now();
@@ -1868,6 +2065,9 @@ function updateNPCProximityAndInteractions(dt = 1) {
     let nearestNPC = null;
     let nearestDistance = Infinity;
     
+    // Hazard near the player, looked up once the first friendly NPC needs it
+    let nearbyHazard = undefined;
+    
     for (const npc of npcMiners) {
         if (npc.state === 'docked') continue;
         
@@ -1940,6 +2140,30 @@ function updateNPCProximityAndInteractions(dt = 1) {
             }
         }
         
+        // NPCs on good terms call out hazards closing on the player (once per hazard)
+        if (nowInRange && currentTime - npc.lastMessageTime > MESSAGE_COOLDOWN) {
+            const tier = getStandingTier(getNPCStanding(gameState, npc));
+            if (tier.warnsOfHazards) {
+                if (nearbyHazard === undefined) {
+                    nearbyHazard = findHazardNearPlayer(HAZARD_WARNING_RANGE);
+                }
+                
+                if (nearbyHazard && nearbyHazard.id !== npc.lastWarnedHazardId) {
+                    const message = getNPCMessage(npc, 'hazardWarning', player.name || 'Captain');
+                    if (message) {
+                        npc.messageQueue.push({
+                            text: message,
+                            timestamp: currentTime,
+                            type: 'warning'
+                        });
+                        npc.lastMessageTime = currentTime;
+                        npc.lastWarnedHazardId = nearbyHazard.id;
+                        logMessage(`${npc.name}: "${message}"`);
+                    }
+                }
+            }
+        }
+        
         // Clean old messages from queue (keep last 3)
         if (npc.messageQueue.length > 3) {
             npc.messageQueue.shift();
@@ -1952,7 +2176,7 @@ function updateNPCProximityAndInteractions(dt = 1) {
 
 function updateNPCMiners(dt = 1) {
     // Use worker if available and not already updating
-    if (npcWorkerReady && !pendingNPCUpdate && npcMiners.length > 0) {
+    if (simWorkerReady.npc && !pendingNPCUpdate && npcMiners.length > 0) {
         pendingNPCUpdate = true;
         
         // Prepare data for worker (serialize everything needed)
@@ -1983,23 +2207,20 @@ function updateNPCMiners(dt = 1) {
         const hazardData = hazards.map(h => ({
             x: h.x,
             y: h.y,
-            size: HAZARD_TYPES[h.type].size
+            type: h.type
         }));
         
         const playerMiningTargetData = player.miningTargets.map(mt => ({
             asteroidIndex: mt.asteroid ? asteroids.indexOf(mt.asteroid) : -1
         }));
         
-        npcWorker.postMessage({
-            type: 'updateNPCs',
-            data: {
-                npcMiners: npcData,
-                asteroids: asteroidData,
-                hazards: hazardData,
-                stations: stations.map(s => ({ x: s.x, y: s.y, name: s.name, dockingRange: s.dockingRange })),
-                playerMiningTargets: playerMiningTargetData,
-                dt: dt
-            }
+        postWorkerMessage(npcWorker, 'updateNPCs', {
+            npcMiners: npcData,
+            asteroids: asteroidData,
+            hazards: hazardData,
+            stations: stations.map(s => ({ x: s.x, y: s.y, name: s.name, dockingRange: s.dockingRange })),
+            playerMiningTargets: playerMiningTargetData,
+            dt: dt
         });
         
         return; // Worker will handle update
@@ -2173,7 +2394,7 @@ function updateNPCMiners(dt = 1) {
                         'reckless': 0,
                         'lazy': 2
                     };
-                    npc.reputation += personalityReactionValues[npc.personality] || -5;
+                    adjustNPCReputation(gameState, npc, personalityReactionValues[npc.personality] ?? -5);
                     
                     npc.targetAsteroid = null;
                     npc.state = 'seeking';
@@ -2249,7 +2470,7 @@ function updateNPCMiners(dt = 1) {
                         'reckless': 0, // Doesn't care, sees it as competition
                         'lazy': 2  // Actually grateful
                     };
-                    npc.reputation += personalityReactionValues[npc.personality] || -5;
+                    adjustNPCReputation(gameState, npc, personalityReactionValues[npc.personality] ?? -5);
                     
                     npc.targetAsteroid = null;
                     npc.miningProgress = 0;
@@ -2458,8 +2679,7 @@ function updateNPCMiners(dt = 1) {
                     // Dock at station - set docked state with timer
                     npc.state = 'docked';
                     npc.dockedUntil = Date.now() + (30000 + Math.random() * 60000); // 30-90 seconds (increased for visibility)
-                    npc.cargo = 0; // Sold cargo
-                    npc.inventory = {}; // Clear inventory
+                    unloadNPCCargo(npc); // Hold goes into the station's stockpile
                     npc.vx = 0;
                     npc.vy = 0;
                     continue; // Skip rest of update for this NPC
@@ -2559,6 +2779,7 @@ function spawnSingleNPCMiner(station, colors, name) {
         departureAngle: Math.random() * Math.PI * 2, // Random direction to leave station
         size: 28,
         homeStation: station,
+        inventory: {},
         cargo: 0, // Always start with 0 cargo after docking/selling
         maxCargo: 50,
         state: 'departing',
@@ -2589,58 +2810,575 @@ function spawnSingleNPCMiner(station, colors, name) {
 }
 
 // ================================
-// THEME MANAGEMENT
+// PIRATES & COMBAT
 // ================================
+// Pirates jump in on ships hauling a full hold (rules in SHIELDS & COMBAT in the sim core).
+// Their flying runs in the NPC worker when it's up; hull, shields, the turrets and the loot
+// they drop are handled here. In co-op they hunt either ship and both ships' turrets fire.
+
+const PIRATE_SPAWN_CHANCE = 0.0006;   // Per frame while the ship is worth robbing
+const PIRATE_SAFE_RADIUS = 900;       // No ambushes this close to a station
+const PIRATE_SPAWN_DISTANCE = 1000;   // Jump in this far from the ship, off screen
+const PIRATE_BEAM_FRAMES = 8;         // How long a shot's beam stays drawn
+
+const PIRATE_NAMES = ['Red Jackal', 'Void Corsair', 'Rust Viper', 'Black Comet', 'Grim Lantern', 'Scrap Baron'];
+
+const PIRATE_COLORS = {
+    primary: '#661111',
+    secondary: '#ff3333',
+    accent: '#ff6600',
+    thruster: '#ff3300'
+};
 
-let currentTheme = 'green';
-const themes = ['green', 'amber', 'blue', 'red', 'mono'];
-const themeNames = {
-    'green': 'GREEN',
-    'amber': 'AMBER',
-    'blue': 'BLUE',
-    'red': 'RED',
-    'mono': 'MONO'
+let nextPirateId = 1;
+let nextLootId = 1;
+
+// Player turret - cooldown in frames, plus the last shot for renderTurretBeam(). The wingmate's
+// is coopState.turret.
+let turretState = {
+    cooldown: 0,
+    target: null,
+    beamFrames: 0
 };
 
-function initTheme() {
-    const themeToggle = document.getElementById('themeToggle');
-    const themeText = document.getElementById('themeText');
+// Pirates and salvage from a save (older saves have neither). The turret starts cold.
+function restorePirates(saveData) {
+    pirates = (saveData.pirates || []).map(pirate => ({ ...pirate, inventory: { ...pirate.inventory } }));
+    lootDrops = (saveData.lootDrops || []).map(loot => ({ ...loot, inventory: { ...loot.inventory } }));
+    nextPirateId = pirates.reduce((max, pirate) => Math.max(max, pirate.id), 0) + 1;
+    nextLootId = lootDrops.reduce((max, loot) => Math.max(max, loot.id), 0) + 1;
+    turretState = { cooldown: 0, target: null, beamFrames: 0 };
+    coopState.turret = { cooldown: 0, target: null, beamFrames: 0 };
+}
+
+function getMaxPirates() {
+    return Math.min(3, 1 + Math.floor((gameState.sector - 1) / 3));
+}
+
+// The ships pirates hunt - the wingmate too while co-op is on
+function getPirateTargetShips() {
+    return coopState.active ? [player, coopState.ship] : [player];
+}
+
+// What a pirate sees of a ship. The wingmate keeps its own hold and never sits docked.
+function getPirateTarget(ship = player) {
+    if (ship !== player) {
+        return { x: ship.x, y: ship.y, cargo: ship.cargo, maxCargo: ship.maxCargo, docked: false };
+    }
     
-    themeToggle.addEventListener('click', () => {
-        const currentIndex = themes.indexOf(currentTheme);
-        const nextIndex = (currentIndex + 1) % themes.length;
-        currentTheme = themes[nextIndex];
-        
-        themes.forEach(theme => {
-            document.body.classList.remove(`theme-${theme}`);
-        });
+    return {
+        x: player.x,
+        y: player.y,
+        cargo: gameState.cargo,
+        maxCargo: gameState.maxCargo,
+        docked: isDockedAtAnyStation()
+    };
+}
+
+// A hold of stolen ore, weighted like the asteroid field
+function createPirateInventory() {
+    const inventory = {};
+    const asteroidTypes = Object.keys(ASTEROID_TYPES);
+    const totalWeight = asteroidTypes.reduce((sum, type) => sum + ASTEROID_TYPES[type].baseChance, 0);
+    const amount = Math.floor(10 + Math.random() * 21); // 10-30 units
+    
+    for (let i = 0; i < amount; i++) {
+        let randomValue = Math.random() * totalWeight;
+        let selectedType = asteroidTypes[0];
+        
+        for (const type of asteroidTypes) {
+            randomValue -= ASTEROID_TYPES[type].baseChance;
+            if (randomValue <= 0) {
+                selectedType = type;
+                break;
+            }
+        }
         
-        if (currentTheme !== 'green') {
-            document.body.classList.add(`theme-${currentTheme}`);
+        inventory[selectedType] = (inventory[selectedType] || 0) + 1;
+    }
+    
+    return inventory;
+}
+
+// The fullest hold out of station cover draws the ambush
+function maybeSpawnPirate(dt) {
+    if (pirates.length >= getMaxPirates()) return;
+    
+    let prey = null;
+    let preyLoad = 0;
+    for (const ship of getPirateTargetShips()) {
+        const target = getPirateTarget(ship);
+        if (!isPirateTarget(target)) continue;
+        if (stations.some(st => Math.hypot(st.x - ship.x, st.y - ship.y) < PIRATE_SAFE_RADIUS)) continue;
+        if (!prey || target.cargo / target.maxCargo > preyLoad) {
+            prey = ship;
+            preyLoad = target.cargo / target.maxCargo;
         }
+    }
+    if (!prey) return;
+    if (Math.random() >= PIRATE_SPAWN_CHANCE * dt) return;
+    
+    const angle = Math.random() * Math.PI * 2;
+    const x = Math.max(PIRATE_CONFIG.size, Math.min(CONFIG.worldWidth - PIRATE_CONFIG.size, prey.x + Math.cos(angle) * PIRATE_SPAWN_DISTANCE));
+    const y = Math.max(PIRATE_CONFIG.size, Math.min(CONFIG.worldHeight - PIRATE_CONFIG.size, prey.y + Math.sin(angle) * PIRATE_SPAWN_DISTANCE));
+    const name = `${PIRATE_NAMES[Math.floor(Math.random() * PIRATE_NAMES.length)]} ${nextPirateId}`;
+    
+    pirates.push(createPirate(nextPirateId++, name, x, y, createPirateInventory()));
+    logMessage(`⚠ Pirate signature detected: ${name}. They're after ${prey === player ? 'your' : 'player 2\'s'} cargo!`, 'error');
+}
+
+function updatePirates(dt = 1) {
+    maybeSpawnPirate(dt);
+    
+    pirates.forEach(pirate => stepShieldRegen(pirate, dt));
+    
+    if (simWorkerReady.npc) {
+        // Frames that pass while a step is out are flown in the next one
+        pirateStepBacklog += dt;
         
-        themeText.textContent = themeNames[currentTheme];
-        localStorage.setItem('asteroidMinerTheme', currentTheme);
-    });
-    const savedTheme = localStorage.getItem('asteroidMinerTheme');
-    if (savedTheme && themes.includes(savedTheme)) {
-        currentTheme = savedTheme;
-        if (currentTheme !== 'green') {
-            document.body.classList.add(`theme-${currentTheme}`);
+        if (!pendingPirateUpdate && pirates.length > 0) {
+            pendingPirateUpdate = true;
+            pirateStepSentStates = new Map(pirates.map(pirate => [pirate.id, pirate.state]));
+            postWorkerMessage(npcWorker, 'updatePirates', {
+                pirates: pirates.map(pirate => ({ ...pirate, inventory: null })),
+                targets: getPirateTargetShips().map(ship => getPirateTarget(ship)),
+                dt: pirateStepBacklog
+            });
+            pirateStepBacklog = 0;
         }
-        themeText.textContent = themeNames[currentTheme];
     } else {
-        // Apply default green theme on first load
-        currentTheme = 'green';
-        // Green is the default, no need to add a theme class
-        themeText.textContent = themeNames['green'];
-        localStorage.setItem('asteroidMinerTheme', 'green');
+        const ships = getPirateTargetShips();
+        const targets = ships.map(ship => getPirateTarget(ship));
+        const bounds = getWorldBounds();
+        
+        for (const pirate of pirates.slice()) {
+            const target = choosePirateTarget(pirate, targets);
+            handlePirateStep(pirate, stepPirate(pirate, targets[target] || null, bounds, dt), target);
+        }
     }
+    
+    updateTurret(dt);
+    updateLootDrops(dt);
 }
 
-// ================================
-// CRT EFFECT TOGGLE
-// ================================
+// Flight results from the NPC worker. Pirates destroyed in the meantime are skipped.
+// A state the main thread set while the step was out (a turret hit turns a seeking pirate
+// on the player) is kept over the worker's, the way applySteppedEntities() keeps local moves.
+function applyPirateUpdates(updates) {
+    for (const update of updates) {
+        const pirate = pirates.find(p => p.id === update.id);
+        if (!pirate) continue;
+        
+        pirate.x = update.x;
+        pirate.y = update.y;
+        pirate.vx = update.vx;
+        pirate.vy = update.vy;
+        pirate.angle = update.angle;
+        pirate.wanderAngle = update.wanderAngle;
+        pirate.fireCooldown = update.fireCooldown;
+        
+        if (pirate.state === pirateStepSentStates.get(pirate.id)) {
+            pirate.state = update.state;
+            handlePirateStep(pirate, update.result, update.target);
+        } else {
+            handlePirateStep(pirate, { ...update.result, state: null }, update.target);
+        }
+    }
+}
+
+// `target` is the index in getPirateTargetShips() of the ship the pirate went after
+function handlePirateStep(pirate, result, target) {
+    // Player 2 may have left while a worker step was out
+    const ship = getPirateTargetShips()[target];
+    
+    if (result.state === 'pursuing') {
+        logMessage(`${pirate.name} is moving in on ${ship && ship !== player ? 'player 2' : 'you'}!`, 'error');
+    } else if (result.state === 'fleeing') {
+        logMessage(`${pirate.name} is breaking off!`, 'success');
+    } else if (result.state === 'seeking') {
+        logMessage(`${pirate.name} lost interest.`, 'info');
+    }
+    
+    if (result.fired && ship && !(ship === player && isDockedAtAnyStation())) {
+        pirate.beamFrames = PIRATE_BEAM_FRAMES;
+        pirate.beamTarget = target;
+        damagePlayer(PIRATE_CONFIG.damage, ship);
+    }
+    
+    if (result.escaped) {
+        pirates.splice(pirates.indexOf(pirate), 1);
+        logMessage(`${pirate.name} escaped with its cargo.`, 'info');
+    }
+}
+
+// Each ship's turret fires the mining laser at the nearest pirate in range
+function updateTurret(dt) {
+    pirates.forEach(pirate => {
+        if (pirate.beamFrames) pirate.beamFrames = Math.max(0, pirate.beamFrames - dt);
+    });
+    
+    fireTurret(player, turretState, isDockedAtAnyStation(), dt);
+    if (coopState.active) {
+        fireTurret(coopState.ship, coopState.turret, false, dt);
+    }
+}
+
+function fireTurret(ship, turretShot, docked, dt) {
+    turretShot.cooldown = Math.max(0, turretShot.cooldown - dt);
+    turretShot.beamFrames = Math.max(0, turretShot.beamFrames - dt);
+    
+    if (turretShot.cooldown > 0 || pirates.length === 0 || docked) return;
+    
+    const turret = getTurretStats(gameState.upgrades);
+    const target = findTurretTarget(ship, pirates, turret.range);
+    if (!target) return;
+    
+    turretShot.cooldown = turret.interval;
+    turretShot.target = target;
+    turretShot.beamFrames = PIRATE_BEAM_FRAMES;
+    damagePirate(target, turret.damage);
+}
+
+function damagePirate(pirate, amount) {
+    const hit = applyShieldedDamage(pirate, amount);
+    
+    if (hit.hullDamage > 0) {
+        createFloatingText(pirate.x, pirate.y - 20, `-${hit.hullDamage}`, '#ff6600');
+    } else {
+        createFloatingText(pirate.x, pirate.y - 20, 'SHIELD', '#00ccff');
+    }
+    
+    // Shooting a lurking pirate starts the fight
+    if (pirate.state === 'seeking') {
+        pirate.state = 'pursuing';
+    }
+    
+    if (hit.destroyed) {
+        destroyPirate(pirate);
+    }
+}
+
+function destroyPirate(pirate) {
+    pirates.splice(pirates.indexOf(pirate), 1);
+    if (turretState.target === pirate) turretState.target = null;
+    if (coopState.turret.target === pirate) coopState.turret.target = null;
+    
+    gameState.stats.piratesDestroyed = (gameState.stats.piratesDestroyed || 0) + 1;
+    
+    for (let i = 0; i < 30; i++) {
+        createParticle(pirate.x, pirate.y, i % 2 === 0 ? PIRATE_COLORS.secondary : PIRATE_COLORS.accent);
+    }
+    createFloatingText(pirate.x, pirate.y, 'DESTROYED', PIRATE_COLORS.secondary);
+    
+    if (pirate.cargo > 0) {
+        lootDrops.push(createLootDrop(nextLootId++, pirate.x, pirate.y, pirate.vx * 0.5, pirate.vy * 0.5, pirate.inventory));
+        logMessage(`${pirate.name} destroyed! Its cargo is drifting free - fly over it to salvage.`, 'success');
+    } else {
+        logMessage(`${pirate.name} destroyed!`, 'success');
+    }
+}
+
+// Drops drift to a stop and are scooped up when the ship passes over them
+function updateLootDrops(dt) {
+    const frictionFactor = Math.pow(LOOT_CONFIG.friction, dt);
+    
+    for (let i = lootDrops.length - 1; i >= 0; i--) {
+        const loot = lootDrops[i];
+        
+        loot.vx *= frictionFactor;
+        loot.vy *= frictionFactor;
+        loot.x += loot.vx * dt;
+        loot.y += loot.vy * dt;
+        loot.age += dt;
+        
+        if (loot.age >= LOOT_CONFIG.lifetime) {
+            lootDrops.splice(i, 1);
+            continue;
+        }
+        
+        const dx = loot.x - player.x;
+        const dy = loot.y - player.y;
+        if (dx * dx + dy * dy > LOOT_CONFIG.pickupRange * LOOT_CONFIG.pickupRange) continue;
+        
+        const salvage = collectLoot(gameState, loot);
+        if (salvage.count > 0) {
+            const items = Object.entries(salvage.taken).map(([type, count]) => `${count} ${ASTEROID_TYPES[type].name}`);
+            logMessage(`Salvaged ${items.join(', ')}.`, 'success');
+            createFloatingText(loot.x, loot.y - 20, `+${salvage.count} SALVAGE`, '#ffff00');
+            markUIDirty('cargo', 'inventory');
+        } else if (!loot.holdFullWarned) {
+            logMessage('Cargo hold full - no room for the salvage.', 'error');
+            loot.holdFullWarned = true;
+        }
+        
+        if (salvage.empty) {
+            lootDrops.splice(i, 1);
+        }
+    }
+}
+
+// ================================
+// SECTOR EVENTS
+// ================================
+// Meteor showers, solar storms and derelicts (rules and the scheduler in SECTOR EVENTS in the
+// sim core). The schedule is gameState.sectorEvents: it runs on game time, so it stops while
+// paused and is saved with the game, and every jump starts a fresh one. Events are announced
+// on the console, marked on the minimap and put bounties on the station boards.
+
+const METEOR_SPEED = 0.8;        // Meteors sweep in faster than the field drifts
+const DERELICT_SIZE = 34;
+
+// Console lines for each event: announced (with the warning), started and ended
+const SECTOR_EVENT_MESSAGES = {
+    meteorShower: {
+        announced: 'Meteor shower inbound - rich rock arriving in {warning}s. Check the minimap.',
+        started: 'Meteor shower! {count} rich asteroids are sweeping into the sector.',
+        ended: 'The meteor shower has passed.'
+    },
+    solarStorm: {
+        announced: 'Solar storm warning - the flare front hits in {warning}s. Scanner and shields will go down.',
+        started: 'Solar storm! Scanner jammed, shields draining.',
+        ended: 'The solar storm has passed. Scanner back online.'
+    },
+    derelict: {
+        announced: 'Distress beacon picked up - a derelict drifts into range in {warning}s.',
+        started: 'Derelict ship in range. Hold position alongside it to salvage.',
+        ended: 'The derelict drifted out of sensor range.'
+    }
+};
+
+function updateSectorEvents(dt, deltaTime) {
+    const schedule = gameState.sectorEvents;
+    const seconds = deltaTime / 1000;
+    
+    for (const { event, change } of stepSectorEvents(schedule, seconds, getWorldBounds())) {
+        handleSectorEventChange(event, change);
+    }
+    
+    // Out in a storm the shield bleeds away - the stations are shielded
+    if (isScannerJammed(schedule) && !isDockedAtAnyStation()) {
+        if (stepStormShieldDrain(gameState, schedule, dt) > 0) {
+            markUIDirty('hull');
+        }
+        gameState.stats.stormTime += seconds;
+    }
+    
+    const derelict = getActiveSectorEvent(schedule, 'derelict');
+    if (derelict && !isDockedAtAnyStation()) {
+        updateDerelictSalvage(derelict, seconds);
+    }
+}
+
+function handleSectorEventChange(event, change) {
+    const type = SECTOR_EVENT_TYPES[event.type];
+    let count = 0;
+    
+    if (change === 'started' && event.type === 'meteorShower') {
+        count = spawnMeteorShower(event);
+    } else if (change === 'started' && event.type === 'solarStorm') {
+        // Whatever the last scan picked up is lost in the static
+        scanState.active = false;
+        scanState.detectedItems = [];
+    }
+    
+    const text = SECTOR_EVENT_MESSAGES[event.type][change]
+        .replace('{warning}', SECTOR_EVENT_CONFIG.warning)
+        .replace('{count}', count);
+    const level = event.type !== 'solarStorm' ? 'info' : change === 'ended' ? 'success' : 'error';
+    logMessage(`${type.icon} ${text}`, level);
+    
+    if (change === 'announced') {
+        playSound('alerts', { freq: 520, endFreq: 780, duration: 0.3, type: 'triangle', volume: 0.3 });
+    }
+    
+    // Stations post bounties for what's coming, and take unclaimed ones down when it's over
+    const dockedStation = stations.find(st => st.isDocked);
+    if (change === 'ended') {
+        withdrawEventMissions(event);
+    }
+    if (dockedStation && change !== 'started') {
+        updateMissionBoard(dockedStation.name, dockedStation.colorScheme);
+    }
+}
+
+// The shower's burst of rich asteroids around its entry point, all heading for the middle of
+// the sector. Returns how many came in.
+function spawnMeteorShower(event) {
+    const config = SECTOR_EVENT_TYPES.meteorShower;
+    const count = config.meteors[0] + Math.floor(Math.random() * (config.meteors[1] - config.meteors[0] + 1));
+    const heading = Math.atan2(CONFIG.worldHeight / 2 - event.y, CONFIG.worldWidth / 2 - event.x);
+    
+    for (let i = 0; i < count; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = Math.random() * config.spread;
+        const x = Math.max(0, Math.min(CONFIG.worldWidth, event.x + Math.cos(angle) * distance));
+        const y = Math.max(0, Math.min(CONFIG.worldHeight, event.y + Math.sin(angle) * distance));
+        
+        const meteor = spawnAsteroid(x, y, Math.random, pickMeteorType());
+        meteor.meteor = true;
+        meteor.vx += Math.cos(heading) * METEOR_SPEED;
+        meteor.vy += Math.sin(heading) * METEOR_SPEED;
+    }
+    
+    return count;
+}
+
+function updateDerelictSalvage(derelict, seconds) {
+    const salvage = stepDerelictSalvage(derelict, player, seconds);
+    
+    if (salvage.inRange !== !!derelict.salvaging) {
+        derelict.salvaging = salvage.inRange;
+        logMessage(salvage.inRange
+            ? 'Salvage clamps attached - stay alongside the derelict.'
+            : 'Out of salvage range - progress on the derelict is kept.');
+    }
+    
+    if (!salvage.done) return;
+    
+    const parts = salvageDerelict(gameState);
+    const items = Object.entries(parts).map(([item, count]) => `${count} ${REFINED_ITEMS[item].name}`);
+    
+    endSectorEvent(gameState.sectorEvents, derelict);
+    withdrawEventMissions(derelict);
+    
+    logMessage(`Derelict stripped: ${items.join(', ')} moved to the component locker.`, 'success');
+    createFloatingText(derelict.x, derelict.y - 30, 'SALVAGED', SECTOR_EVENT_TYPES.derelict.color);
+    markUIDirty('refinery');
+}
+
+function renderSectorEvents() {
+    const derelict = getActiveSectorEvent(gameState.sectorEvents, 'derelict');
+    if (!derelict) return;
+    
+    const config = SECTOR_EVENT_TYPES.derelict;
+    
+    ctx.save();
+    ctx.translate(derelict.x, derelict.y);
+    
+    // Salvage range and progress
+    ctx.strokeStyle = 'rgba(136, 170, 204, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.arc(0, 0, config.salvageRange, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    if (derelict.salvage > 0) {
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, DERELICT_SIZE + 8, -Math.PI / 2, -Math.PI / 2 + (derelict.salvage / config.salvageTime) * Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    // Broken hull, slowly tumbling
+    ctx.rotate(derelict.remaining * 0.05);
+    ctx.fillStyle = '#222a33';
+    ctx.strokeStyle = config.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(DERELICT_SIZE, 0);
+    ctx.lineTo(DERELICT_SIZE * 0.2, -DERELICT_SIZE * 0.5);
+    ctx.lineTo(-DERELICT_SIZE * 0.3, -DERELICT_SIZE * 0.35);
+    ctx.lineTo(-DERELICT_SIZE * 0.5, -DERELICT_SIZE * 0.6);
+    ctx.lineTo(-DERELICT_SIZE * 0.8, -DERELICT_SIZE * 0.2);
+    ctx.lineTo(-DERELICT_SIZE * 0.6, DERELICT_SIZE * 0.1);
+    ctx.lineTo(-DERELICT_SIZE * 0.9, DERELICT_SIZE * 0.45);
+    ctx.lineTo(DERELICT_SIZE * 0.1, DERELICT_SIZE * 0.5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    
+    ctx.restore();
+}
+
+// Faint flickering haze over the view while a storm is on
+function renderStormOverlay() {
+    if (!isScannerJammed(gameState.sectorEvents)) return;
+    
+    ctx.save();
+    ctx.fillStyle = `rgba(255, 221, 51, ${0.05 + Math.abs(Math.sin(Date.now() / 170)) * 0.05})`;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
+}
+
+// Event markers for renderMinimap(). Announced events blink where they'll show up.
+function renderSectorEventMarkers(scale) {
+    const blink = Math.floor(Date.now() / 400) % 2 === 0;
+    
+    minimapCtx.font = '12px monospace';
+    minimapCtx.textAlign = 'center';
+    minimapCtx.textBaseline = 'middle';
+    
+    for (const event of gameState.sectorEvents.events) {
+        const type = SECTOR_EVENT_TYPES[event.type];
+        
+        if (event.type === 'solarStorm' && event.status === 'active') {
+            minimapCtx.fillStyle = 'rgba(255, 221, 51, 0.15)';
+            minimapCtx.fillRect(0, 0, minimapCanvas.width, minimapCanvas.height);
+        }
+        
+        if (event.status === 'warning' && !blink) continue;
+        
+        minimapCtx.fillStyle = type.color;
+        minimapCtx.fillText(type.icon, event.x * scale, event.y * scale);
+    }
+}
+
+// ================================
+// THEME MANAGEMENT
+// ================================
+
+let currentTheme = 'green';
+const themes = ['green', 'amber', 'blue', 'red', 'mono'];
+const themeNames = {
+    'green': 'GREEN',
+    'amber': 'AMBER',
+    'blue': 'BLUE',
+    'red': 'RED',
+    'mono': 'MONO'
+};
+
+function initTheme() {
+    const themeToggle = document.getElementById('themeToggle');
+    const themeText = document.getElementById('themeText');
+    
+    themeToggle.addEventListener('click', () => {
+        const currentIndex = themes.indexOf(currentTheme);
+        const nextIndex = (currentIndex + 1) % themes.length;
+        currentTheme = themes[nextIndex];
+        
+        themes.forEach(theme => {
+            document.body.classList.remove(`theme-${theme}`);
+        });
+        
+        if (currentTheme !== 'green') {
+            document.body.classList.add(`theme-${currentTheme}`);
+        }
+        
+        themeText.textContent = themeNames[currentTheme];
+        localStorage.setItem('asteroidMinerTheme', currentTheme);
+    });
+    const savedTheme = localStorage.getItem('asteroidMinerTheme');
+    if (savedTheme && themes.includes(savedTheme)) {
+        currentTheme = savedTheme;
+        if (currentTheme !== 'green') {
+            document.body.classList.add(`theme-${currentTheme}`);
+        }
+        themeText.textContent = themeNames[currentTheme];
+    } else {
+        // Apply default green theme on first load
+        currentTheme = 'green';
+        // Green is the default, no need to add a theme class
+        themeText.textContent = themeNames['green'];
+        localStorage.setItem('asteroidMinerTheme', 'green');
+    }
+}
+
+// ================================
+// CRT EFFECT TOGGLE
+// ================================
 
 let crtEnabled = true; // Default to on
 
@@ -2668,65 +3406,590 @@ function initCRT() {
 }
 
 // ================================
+// PHOTO MODE
 // ================================
-// CONSOLE LOGGING
-// ================================
+// Pauses the game and takes the camera away from updateViewport(): pan with the thrust keys
+// or by dragging, zoom with the zoom keys or the wheel - well past the gameplay zoom limits.
+// The HUD, CRT and scanlines can be switched off for the shot. CAPTURE renders the frame
+// again at a multiple of the canvas size, copies it into the clean frame canvas and saves
+// that as a PNG. The CRT choice here is only for the shot - the saved setting comes back on exit.
+
+const PHOTO_ZOOM = { min: 0.2, max: 6 };
+const PHOTO_PAN_SPEED = 10;             // Screen pixels per frame while a thrust key is held
+const PHOTO_RESOLUTIONS = [1, 2, 3, 4]; // Export size as a multiple of the canvas
+const PHOTO_MAX_SIDE = 8192;            // Browsers refuse canvases much bigger than this
+
+let photoState = {
+    active: false,
+    hud: true,
+    crt: true,
+    scanlines: true,
+    resolution: 2,
+    capturing: false,  // While the export frame is being drawn
+    drag: null,        // Last pointer position while dragging the camera
+    saved: null        // { viewport, crt, fromMenu } - put back on exit
+};
 
-function logMessage(message, type = 'info') {
-    const consoleContent = domCache.consoleContent;
-    if (!consoleContent) return; // Guard for early calls before DOM is ready
+function initPhotoMode() {
+    const resolution = document.getElementById('photoResolution');
+    resolution.innerHTML = PHOTO_RESOLUTIONS.map(n => `<option value="${n}">${n}X</option>`).join('');
+    resolution.value = photoState.resolution;
+    resolution.addEventListener('change', () => {
+        photoState.resolution = Number(resolution.value);
+    });
     
-    const now = new Date();
-    const timestamp = now.toTimeString().split(' ')[0];
+    document.getElementById('photoModeBtn').addEventListener('click', () => enterPhotoMode(true));
+    document.getElementById('photoHud').addEventListener('click', () => togglePhotoSetting('hud'));
+    document.getElementById('photoCrt').addEventListener('click', () => togglePhotoSetting('crt'));
+    document.getElementById('photoScanlines').addEventListener('click', () => togglePhotoSetting('scanlines'));
+    document.getElementById('photoCapture').addEventListener('click', capturePhoto);
+    document.getElementById('photoExit').addEventListener('click', exitPhotoMode);
     
-    const line = document.createElement('div');
-    line.className = 'console-line';
+    // Escape leaves photo mode instead of toggling the pause menu (capture phase runs first)
+    document.addEventListener('keydown', (e) => {
+        if (!photoState.active || e.key !== 'Escape') return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        exitPhotoMode();
+    }, true);
+    
+    // Drag to pan
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!photoState.active) return;
+        photoState.drag = { x: e.clientX, y: e.clientY };
+        canvas.setPointerCapture(e.pointerId);
+    });
     
-    const time = document.createElement('span');
-    time.className = 'console-time';
-    time.textContent = `[${timestamp}]`;
+    canvas.addEventListener('pointermove', (e) => {
+        if (!photoState.drag) return;
+        panPhotoCamera(photoState.drag.x - e.clientX, photoState.drag.y - e.clientY);
+        photoState.drag = { x: e.clientX, y: e.clientY };
+    });
     
-    const text = document.createElement('span');
-    text.className = 'console-text';
-    text.textContent = message;
+    const endDrag = () => { photoState.drag = null; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+}
+
+// fromMenu: opened from the pause menu, which comes back on exit
+function enterPhotoMode(fromMenu = false) {
+    if (photoState.active) return;
+    if (replayState.mode === 'playback' || warpState.active || document.body.classList.contains('booting')) {
+        logMessage('Photo mode is not available right now.', 'error');
+        return;
+    }
+    // Some other screen has the game paused
+    if (gameState.isPaused && !fromMenu) return;
     
-    line.appendChild(time);
-    line.appendChild(text);
-    consoleContent.appendChild(line);
+    photoState.saved = {
+        viewport: { x: viewport.x, y: viewport.y, zoom: viewport.zoom, targetZoom: viewport.targetZoom },
+        crt: crtEnabled,
+        fromMenu: fromMenu
+    };
+    photoState.active = true;
+    photoState.crt = crtEnabled;
+    photoState.scanlines = crtEnabled;
+    gameState.isPaused = true;
     
-    consoleContent.scrollTop = consoleContent.scrollHeight;
+    document.getElementById('pauseModal').classList.remove('active');
+    document.body.classList.add('photo-mode');
+    applyPhotoSettings();
+}
+
+function exitPhotoMode() {
+    if (!photoState.active) return;
     
-    while (consoleContent.children.length > 100) {
-        consoleContent.removeChild(consoleContent.firstChild);
+    const saved = photoState.saved;
+    photoState.active = false;
+    photoState.drag = null;
+    photoState.saved = null;
+    
+    Object.assign(viewport, saved.viewport);
+    crtEnabled = saved.crt;
+    document.body.classList.toggle('crt-mode', crtEnabled);
+    document.body.classList.remove('photo-mode', 'photo-hide-hud', 'photo-scanlines');
+    
+    if (saved.fromMenu) {
+        document.getElementById('pauseModal').classList.add('active');
+    } else {
+        gameState.isPaused = false;
     }
 }
 
-function clearConsole() {
-    const consoleContent = domCache.consoleContent;
-    if (!consoleContent) return;
+function togglePhotoSetting(setting) {
+    photoState[setting] = !photoState[setting];
+    applyPhotoSettings();
+}
+
+function applyPhotoSettings() {
+    crtEnabled = photoState.crt;
+    document.body.classList.toggle('crt-mode', photoState.crt);
+    document.body.classList.toggle('photo-hide-hud', !photoState.hud);
+    document.body.classList.toggle('photo-scanlines', photoState.scanlines);
     
-    consoleContent.innerHTML = '';
-    logMessage('Console cleared.');
+    document.getElementById('photoHud').classList.toggle('on', photoState.hud);
+    document.getElementById('photoCrt').classList.toggle('on', photoState.crt);
+    document.getElementById('photoScanlines').classList.toggle('on', photoState.scanlines);
 }
 
-// ================================
-// CONSOLE COMMAND PROCESSING
-// ================================
+// Keyboard/gamepad flying for the free camera, every frame photo mode is on
+function updatePhotoCamera(deltaTime) {
+    const dt = deltaTime / 16.67;
+    const moveX = (isActionHeld('thrustRight') ? 1 : 0) - (isActionHeld('thrustLeft') ? 1 : 0);
+    const moveY = (isActionHeld('thrustDown') ? 1 : 0) - (isActionHeld('thrustUp') ? 1 : 0);
+    if (moveX || moveY) {
+        panPhotoCamera(moveX * PHOTO_PAN_SPEED * dt, moveY * PHOTO_PAN_SPEED * dt);
+    }
+    
+    if (isActionHeld('zoomIn')) {
+        zoomPhotoCamera(Math.pow(1.02, dt));
+    }
+    if (isActionHeld('zoomOut')) {
+        zoomPhotoCamera(Math.pow(0.98, dt));
+    }
+}
 
-function processCommand(commandString) {
-    // Log the user's command
-    logMessage(`> ${commandString}`, 'command');
+// Move the camera by a distance in CSS pixels on the page
+function panPhotoCamera(dx, dy) {
+    const canvasPixels = canvas.clientWidth ? canvas.width / canvas.clientWidth : 1;
+    const worldPerPixel = canvasPixels / ((canvas.renderScale || 1) * viewport.zoom);
+    viewport.x += dx * worldPerPixel;
+    viewport.y += dy * worldPerPixel;
+    clampPhotoCamera();
+}
+
+// Zoom about the centre of the view, within PHOTO_ZOOM rather than the gameplay limits
+function zoomPhotoCamera(factor) {
+    const centerX = viewport.x + VIEWPORT_REFERENCE.WIDTH / (2 * viewport.zoom);
+    const centerY = viewport.y + VIEWPORT_REFERENCE.HEIGHT / (2 * viewport.zoom);
     
-    // Parse the command
-    const parts = commandString.trim().split(/\s+/);
-    const command = parts[0];
-    const args = parts.slice(1);
+    viewport.zoom = Math.max(PHOTO_ZOOM.min, Math.min(PHOTO_ZOOM.max, viewport.zoom * factor));
+    viewport.targetZoom = viewport.zoom;
     
-    // Process commands
-    switch(command) {
-        case 'sv_cheats':
-            if (args.length === 0) {
-                logMessage(`Error: sv_cheats requires a boolean value. Usage: sv_cheats <true|false>`, 'error');
+    viewport.x = centerX - VIEWPORT_REFERENCE.WIDTH / (2 * viewport.zoom);
+    viewport.y = centerY - VIEWPORT_REFERENCE.HEIGHT / (2 * viewport.zoom);
+    clampPhotoCamera();
+}
+
+// Keep the centre of the view inside the sector (zoomed out, the edges can show)
+function clampPhotoCamera() {
+    const halfWidth = VIEWPORT_REFERENCE.WIDTH / (2 * viewport.zoom);
+    const halfHeight = VIEWPORT_REFERENCE.HEIGHT / (2 * viewport.zoom);
+    viewport.x = Math.max(-halfWidth, Math.min(CONFIG.worldWidth - halfWidth, viewport.x));
+    viewport.y = Math.max(-halfHeight, Math.min(CONFIG.worldHeight - halfHeight, viewport.y));
+}
+
+// Draw the frame again at the chosen multiple of the canvas size and save it. The export is
+// taken from the clean frame canvas, so it has no phosphor trails (they need the frames
+// before it); scanlines are drawn in when they're on.
+function capturePhoto() {
+    const scale = Math.min(photoState.resolution, PHOTO_MAX_SIDE / Math.max(canvas.width, canvas.height));
+    const width = Math.round(canvas.width * scale);
+    const height = Math.round(canvas.height * scale);
+    const screen = { width: canvas.width, height: canvas.height, renderScale: canvas.renderScale };
+    
+    photoState.capturing = true;
+    canvas.width = width;
+    canvas.height = height;
+    canvas.renderScale = (screen.renderScale || 1) * scale;
+    render();
+    
+    cleanFrameCanvas.width = width;
+    cleanFrameCanvas.height = height;
+    cleanFrameCtx.drawImage(canvas, 0, 0);
+    if (photoState.scanlines) {
+        drawPhotoScanlines(cleanFrameCtx, width, height, scale);
+    }
+    
+    // toBlob takes its copy of the pixels straight away, so the canvases can be put back now
+    const sectorName = gameState.sectorName.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    cleanFrameCanvas.toBlob((blob) => {
+        if (!blob) {
+            logMessage('Photo export failed - try a lower resolution.', 'error');
+            return;
+        }
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `asteroid-miner-${sectorName}-${Date.now()}.png`;
+        link.click();
+        URL.revokeObjectURL(url);
+        logMessage(`Photo saved (${width}x${height}).`, 'success');
+    }, 'image/png');
+    
+    canvas.width = screen.width;
+    canvas.height = screen.height;
+    canvas.renderScale = screen.renderScale;
+    cleanFrameCanvas.width = screen.width;
+    cleanFrameCanvas.height = screen.height;
+    photoState.capturing = false;
+    render();
+}
+
+// The CSS scanlines (a dark line every other screen pixel), at the export's scale
+function drawPhotoScanlines(target, width, height, scale) {
+    const line = Math.max(1, Math.round(scale));
+    target.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    for (let y = 0; y < height; y += line * 2) {
+        target.fillRect(0, y, width, line);
+    }
+}
+
+// ================================
+// SOUND
+// ================================
+// Everything is synthesized with Web Audio - there are no sound files. Each channel has its
+// own gain under the master gain, set from the mixer; mute and volumes are kept in
+// localStorage next to the theme and CRT settings.
+//   engine - thruster rumble (filtered noise) scaled by the ship's speed
+//   lasers - one hum per active mining target
+//   alerts - fuel and hull alarms
+//   events - warp spool-up, docking, hull hits
+
+const AUDIO_STORAGE_KEY = 'asteroidMinerAudio';
+const AUDIO_CHANNELS = [
+    { id: 'master', name: 'MASTER', volume: 0.8 },
+    { id: 'engine', name: 'ENGINE', volume: 0.6 },
+    { id: 'lasers', name: 'LASERS', volume: 0.5 },
+    { id: 'alerts', name: 'ALERTS', volume: 0.8 },
+    { id: 'events', name: 'EVENTS', volume: 0.7 }
+];
+const AUDIO_LASER_VOICES = 6;       // Matches the most mining lasers a ship can fit
+const AUDIO_SMOOTHING = 0.05;       // Seconds for continuous sounds to follow the game
+
+let audioSettings = readAudioSettings();
+
+let audioState = {
+    ctx: null,
+    channels: {},       // id -> GainNode (master included)
+    thruster: null,     // { level, cutoff } AudioParams
+    lasers: [],         // Level AudioParam per voice - one voice per possible mining target
+    warp: null,         // { level, pitch } AudioParams
+    lastHull: null,     // Hull ratio last frame, to catch hits and alarm thresholds
+    lastDocked: false,
+    lastFuelWarnings: { warning50: false, warning25: false }
+};
+
+function readAudioSettings() {
+    const settings = { muted: false, volumes: {} };
+    AUDIO_CHANNELS.forEach(channel => { settings.volumes[channel.id] = channel.volume; });
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY) || 'null');
+        if (saved && typeof saved === 'object') {
+            settings.muted = saved.muted === true;
+            AUDIO_CHANNELS.forEach(channel => {
+                const volume = saved.volumes && saved.volumes[channel.id];
+                if (typeof volume === 'number' && volume >= 0 && volume <= 1) settings.volumes[channel.id] = volume;
+            });
+        }
+    } catch (e) {
+        console.error('Failed to parse audio settings:', e);
+    }
+    
+    return settings;
+}
+
+function writeAudioSettings() {
+    localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(audioSettings));
+}
+
+function initAudio() {
+    const soundToggle = document.getElementById('soundToggle');
+    const mixerToggle = document.getElementById('mixerToggle');
+    const mixerPanel = document.getElementById('mixerPanel');
+    
+    soundToggle.addEventListener('click', () => {
+        audioSettings.muted = !audioSettings.muted;
+        writeAudioSettings();
+        applyAudioSettings();
+    });
+    
+    mixerToggle.addEventListener('click', () => {
+        mixerPanel.style.display = mixerPanel.style.display === 'none' ? 'block' : 'none';
+    });
+    
+    AUDIO_CHANNELS.forEach(channel => {
+        const row = document.createElement('label');
+        row.className = 'mixer-row';
+        row.innerHTML = `
+            <span class="mixer-name">${channel.name}</span>
+            <input type="range" min="0" max="100" step="5" value="${Math.round(audioSettings.volumes[channel.id] * 100)}">
+            <span class="mixer-value">${Math.round(audioSettings.volumes[channel.id] * 100)}%</span>
+        `;
+        
+        const slider = row.querySelector('input');
+        slider.addEventListener('input', () => {
+            audioSettings.volumes[channel.id] = slider.value / 100;
+            row.querySelector('.mixer-value').textContent = `${slider.value}%`;
+            applyAudioSettings();
+        });
+        slider.addEventListener('change', writeAudioSettings);
+        
+        mixerPanel.appendChild(row);
+    });
+    
+    // Browsers only let audio start from a user gesture
+    const unlock = () => {
+        startAudio();
+        document.removeEventListener('pointerdown', unlock);
+        document.removeEventListener('keydown', unlock);
+    };
+    document.addEventListener('pointerdown', unlock);
+    document.addEventListener('keydown', unlock);
+    
+    applyAudioSettings();
+}
+
+// Build the audio graph: channel gains, the looping thruster noise, laser and warp voices
+function startAudio() {
+    if (audioState.ctx) return;
+    
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    
+    const ctx = new AudioContextClass();
+    audioState.ctx = ctx;
+    
+    const master = ctx.createGain();
+    master.connect(ctx.destination);
+    audioState.channels.master = master;
+    
+    AUDIO_CHANNELS.forEach(channel => {
+        if (channel.id === 'master') return;
+        const gain = ctx.createGain();
+        gain.connect(master);
+        audioState.channels[channel.id] = gain;
+    });
+    
+    // Thruster: two seconds of looping noise through a lowpass that opens up with speed
+    const noise = ctx.createBufferSource();
+    noise.buffer = createNoiseBuffer(ctx, 2);
+    noise.loop = true;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 200;
+    const thrusterGain = ctx.createGain();
+    thrusterGain.gain.value = 0;
+    noise.connect(filter).connect(thrusterGain).connect(audioState.channels.engine);
+    noise.start();
+    audioState.thruster = { level: thrusterGain.gain, cutoff: filter.frequency };
+    
+    // Lasers: slightly detuned saws so several beams beat against each other
+    for (let i = 0; i < AUDIO_LASER_VOICES; i++) {
+        const osc = ctx.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.value = 110 + i * 7;
+        const gain = ctx.createGain();
+        gain.gain.value = 0;
+        osc.connect(gain).connect(audioState.channels.lasers);
+        osc.start();
+        audioState.lasers.push(gain.gain);
+    }
+    
+    const warpOsc = ctx.createOscillator();
+    warpOsc.type = 'triangle';
+    warpOsc.frequency.value = 60;
+    const warpGain = ctx.createGain();
+    warpGain.gain.value = 0;
+    warpOsc.connect(warpGain).connect(audioState.channels.events);
+    warpOsc.start();
+    audioState.warp = { level: warpGain.gain, pitch: warpOsc.frequency };
+    
+    applyAudioSettings();
+}
+
+function createNoiseBuffer(ctx, seconds) {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate * seconds, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    // Audio noise only - kept off Math.random so it never touches a replay's random stream
+    let seed = 0x2545F491;
+    for (let i = 0; i < data.length; i++) {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        data[i] = (seed >>> 0) / 0xFFFFFFFF * 2 - 1;
+    }
+    return buffer;
+}
+
+function applyAudioSettings() {
+    const soundToggle = document.getElementById('soundToggle');
+    if (soundToggle) {
+        soundToggle.querySelector('.btn-text').textContent = audioSettings.muted ? 'SFX: OFF' : 'SFX: ON';
+    }
+    
+    if (!audioState.ctx) return;
+    
+    AUDIO_CHANNELS.forEach(channel => {
+        const volume = channel.id === 'master' && audioSettings.muted ? 0 : audioSettings.volumes[channel.id];
+        audioState.channels[channel.id].gain.setTargetAtTime(volume, audioState.ctx.currentTime, AUDIO_SMOOTHING);
+    });
+}
+
+function setAudioLevel(param, value) {
+    param.setTargetAtTime(value, audioState.ctx.currentTime, AUDIO_SMOOTHING);
+}
+
+// A short synthesized sound on one channel: a tone sweeping from `freq` to `endFreq`,
+// or a burst of noise with `noise: true`
+function playSound(channel, { freq = 440, endFreq = freq, duration = 0.2, type = 'sine', volume = 0.5, noise = false }) {
+    if (!audioState.ctx || audioSettings.muted) return;
+    
+    const ctx = audioState.ctx;
+    const now = ctx.currentTime;
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+    gain.connect(audioState.channels[channel]);
+    
+    let source;
+    if (noise) {
+        source = ctx.createBufferSource();
+        source.buffer = createNoiseBuffer(ctx, duration);
+    } else {
+        source = ctx.createOscillator();
+        source.type = type;
+        source.frequency.setValueAtTime(freq, now);
+        source.frequency.exponentialRampToValueAtTime(endFreq, now + duration);
+    }
+    source.connect(gain);
+    source.start(now);
+    source.stop(now + duration);
+}
+
+// Two-tone klaxon - `urgent` is higher and repeats
+function playAlarm(urgent) {
+    const repeats = urgent ? 3 : 2;
+    for (let i = 0; i < repeats; i++) {
+        setTimeout(() => {
+            playSound('alerts', { freq: urgent ? 880 : 660, endFreq: urgent ? 660 : 440, duration: 0.25, type: 'square', volume: 0.25 });
+        }, i * 300);
+    }
+}
+
+// Called every frame from gameLoop() - follows the ship for the continuous sounds and
+// listens for the events that get a one-shot
+function updateAudio() {
+    if (!audioState.ctx) return;
+    
+    const silent = gameState.isPaused && !warpState.active;
+    
+    // Thruster rumble
+    const speed = Math.hypot(player.vx, player.vy);
+    const speedRatio = silent ? 0 : Math.min(1, speed / getMaxShipSpeed(gameState.upgrades));
+    setAudioLevel(audioState.thruster.level, speedRatio * 0.6);
+    setAudioLevel(audioState.thruster.cutoff, 200 + speedRatio * 900);
+    
+    // One laser hum per target being mined
+    const activeLasers = silent ? 0 : player.miningTargets.length;
+    audioState.lasers.forEach((level, i) => {
+        setAudioLevel(level, i < activeLasers ? 0.08 : 0);
+    });
+    
+    if (!warpState.active) {
+        setAudioLevel(audioState.warp.level, 0);
+    }
+    
+    // Hull hits, and the alarms (see ALARMS in the sim core)
+    const hullRatio = gameState.hull / gameState.maxHull;
+    if (audioState.lastHull !== null && hullRatio < audioState.lastHull) {
+        playSound('events', { noise: true, duration: 0.15, volume: 0.4 });
+        getHullAlarms(audioState.lastHull, hullRatio).forEach(playAlarm);
+    }
+    audioState.lastHull = hullRatio;
+    
+    stepFuelAlarms(audioState.lastFuelWarnings, fuelWarnings).forEach(playAlarm);
+    
+    // Docking clamps
+    const docked = isDockedAtAnyStation();
+    if (docked !== audioState.lastDocked) {
+        playSound('events', docked
+            ? { freq: 220, endFreq: 440, duration: 0.3, type: 'triangle', volume: 0.4 }
+            : { freq: 440, endFreq: 220, duration: 0.3, type: 'triangle', volume: 0.3 });
+    }
+    audioState.lastDocked = docked;
+}
+
+// Called from updateWarpAnimation() - the drive spools up through the countdown, screams
+// through the warp and winds down once the jump is made
+function updateWarpAudio() {
+    if (!audioState.ctx) return;
+    
+    const warp = audioState.warp;
+    const countdownProgress = Math.min(1, warpState.elapsedTime / warpState.countdownDuration);
+    
+    if (warpState.phase === 'countdown') {
+        setAudioLevel(warp.pitch, 60 + countdownProgress * 240);
+        setAudioLevel(warp.level, 0.1 + countdownProgress * 0.2);
+    } else if (warpState.phase === 'warp') {
+        setAudioLevel(warp.pitch, 900);
+        setAudioLevel(warp.level, 0.35);
+    } else {
+        setAudioLevel(warp.pitch, 60);
+        setAudioLevel(warp.level, 0);
+    }
+}
+
+// ================================
+// CONSOLE LOGGING
+// ================================
+
+function logMessage(message, type = 'info') {
+    const consoleContent = domCache.consoleContent;
+    if (!consoleContent) return; // Guard for early calls before DOM is ready
+    
+    const now = new Date();
+    const timestamp = now.toTimeString().split(' ')[0];
+    
+    const line = document.createElement('div');
+    line.className = 'console-line';
+    
+    const time = document.createElement('span');
+    time.className = 'console-time';
+    time.textContent = `[${timestamp}]`;
+    
+    const text = document.createElement('span');
+    text.className = 'console-text';
+    text.textContent = message;
+    
+    line.appendChild(time);
+    line.appendChild(text);
+    consoleContent.appendChild(line);
+    
+    consoleContent.scrollTop = consoleContent.scrollHeight;
+    
+    while (consoleContent.children.length > 100) {
+        consoleContent.removeChild(consoleContent.firstChild);
+    }
+}
+
+function clearConsole() {
+    const consoleContent = domCache.consoleContent;
+    if (!consoleContent) return;
+    
+    consoleContent.innerHTML = '';
+    logMessage('Console cleared.');
+}
+
+// ================================
+// CONSOLE COMMAND PROCESSING
+// ================================
+
+function processCommand(commandString) {
+    // Log the user's command
+    logMessage(`> ${commandString}`, 'command');
+    
+    // Parse the command
+    const parts = commandString.trim().split(/\s+/);
+    const command = parts[0];
+    const args = parts.slice(1);
+    
+    // Process commands
+    switch(command) {
+        case 'sv_cheats':
+            if (args.length === 0) {
+                logMessage(`Error: sv_cheats requires a boolean value. Usage: sv_cheats <true|false>`, 'error');
                 return;
             }
             
@@ -2765,6 +4028,28 @@ function processCommand(commandString) {
             logMessage(`Added ${amount} credits. New balance: ${gameState.credits.toFixed(2)} CR`, 'success');
             break;
             
+        case 'AddComponent':
+            if (!sv_cheats) {
+                logMessage('Error: This command requires sv_cheats to be enabled', 'error');
+                return;
+            }
+            if (args.length === 0 || !REFINED_ITEMS[args[0]]) {
+                logMessage(`Error: Usage: AddComponent <item> [count]. Items: ${Object.keys(REFINED_ITEMS).join(', ')}`, 'error');
+                return;
+            }
+            
+            const componentCount = args.length > 1 ? parseInt(args[1]) : 1;
+            if (isNaN(componentCount) || componentCount < 1) {
+                logMessage(`Error: "${args[1]}" is not a valid count.`, 'error');
+                return;
+            }
+            
+            gameState.components[args[0]] = getComponentCount(gameState, args[0]) + componentCount;
+            markUIDirty('refinery', 'upgrades');
+            updateUI();
+            logMessage(`Added ${componentCount} ${REFINED_ITEMS[args[0]].name} to the component locker`, 'success');
+            break;
+            
         case 'GodMode':
             if (!sv_cheats) {
                 logMessage('Error: This command requires sv_cheats to be enabled', 'error');
@@ -2774,6 +4059,7 @@ function processCommand(commandString) {
             if (godModeActive) {
                 // Set hull and fuel to max
                 gameState.hull = gameState.maxHull;
+                gameState.shield = gameState.maxShield;
                 gameState.fuel = gameState.maxFuel;
                 updateUI();
                 logMessage('GOD MODE ENABLED - Invincibility and unlimited fuel activated', 'success');
@@ -2782,6 +4068,14 @@ function processCommand(commandString) {
             }
             break;
             
+        case 'Benchmark':
+            runPhysicsBenchmark();
+            break;
+            
+        case 'Coop':
+            toggleCoop();
+            break;
+            
         case 'FPSToggle':
             fpsCounterEnabled = !fpsCounterEnabled;
             const fpsCounter = document.getElementById('fpsCounter');
@@ -2883,9 +4177,23 @@ function processCommand(commandString) {
                 return;
             }
             
-            // Set the upgrade level
+            // Refit the ship so that track's modules add up to the level (free, but slots still apply)
             const oldLevel = gameState.upgrades[upgradeName];
-            gameState.upgrades[upgradeName] = upgradeLevel;
+            const trackModuleType = getModuleTypeForTrack(upgradeName);
+            const cheatSlots = gameState.loadout.slots.map(module => module && module.type === trackModuleType ? null : module);
+            const cheatModules = createModulesForLevel(upgradeName, upgradeLevel);
+            
+            if (cheatSlots.filter(module => module === null).length < cheatModules.length) {
+                logMessage(`Error: ${SHIP_HULLS[gameState.loadout.hull].name} hull needs ${cheatModules.length} free slots for ${upgradeName} level ${upgradeLevel}.`, 'error');
+                return;
+            }
+            
+            cheatModules.forEach(module => {
+                cheatSlots[cheatSlots.indexOf(null)] = module;
+            });
+            gameState.loadout.slots = cheatSlots;
+            gameState.loadout.stored = gameState.loadout.stored.filter(module => module.type !== trackModuleType);
+            applyLoadout(gameState);
             
             // Apply upgrade effects
             applyUpgradeEffects(upgradeName);
@@ -2897,16 +4205,65 @@ function processCommand(commandString) {
             logMessage(`Set ${upgradeName} from level ${oldLevel} to ${upgradeLevel}`, 'success');
             break;
             
+        case 'Seed':
+            if (args.length === 0) {
+                logMessage(`World seed: ${formatSeed(gameState.worldSeed)} (sector ${gameState.sectorName})`, 'info');
+                return;
+            }
+            if (!sv_cheats) {
+                logMessage('Error: Changing the seed requires sv_cheats to be enabled', 'error');
+                return;
+            }
+            
+            gameState.worldSeed = parseSeed(args[0]);
+            
+            // New seed, new galaxy - stay at the same depth, on its main lane
+            gameState.sectorId = getMainLaneSector(getGalaxy(), gameState.sector).id;
+            gameState.sectorName = getSectorName(gameState.sectorId);
+            gameState.visitedSectors = [gameState.sectorId];
+            gameState.sectorsExplored = 1;
+            gameState.sectorStates = {};
+            
+            // Regenerate the current sector from the new seed (missions are station-specific)
+            if (gameState.missions.length > 0) {
+                gameState.missions = [];
+                markUIDirty('missions');
+            }
+            stations = [];
+            gameState.stationMissions = {};
+            hideMissionBoard();
+            generateSector();
+            markUIDirty('station', 'missions');
+            updateUI();
+            
+            logMessage(`World seed set to ${formatSeed(gameState.worldSeed)}. Sector ${gameState.sectorName} regenerated.`, 'success');
+            break;
+            
+        case 'Script':
+            processScriptCommand(args);
+            break;
+            
+        case 'Outpost':
+            processOutpostCommand(args);
+            break;
+            
         case 'Help':
             logMessage('Available commands:', 'info');
             if (sv_cheats) {
                 logMessage('"sv_cheats <true|false>" - Toggle cheat access (ENABLED)', 'success');
                 logMessage('"AddCredits <amount>" - Add credits to your account', 'info');
+                logMessage('"AddComponent <item> [count]" - Add refined items to the component locker', 'info');
                 logMessage('"GodMode" - Toggle invincibility and unlimited fuel', 'info');
                 logMessage('"GoToStation" - Teleport to nearest space station', 'info');
                 logMessage('"SetUpgrade <upgrade> <level>" - Set upgrade level (e.g. SetUpgrade cargo 10)', 'info');
+                logMessage('"Seed <seed>" - Set world seed and regenerate the galaxy and current sector', 'info');
             }
             logMessage('"FPSToggle" - Toggle FPS counter display', 'info');
+            logMessage('"Benchmark" - Time physics frames by sector size, object clones vs packed buffers', 'info');
+            logMessage('"Coop" - Player 2 joins (or leaves) on the P2 keys or a second controller', 'info');
+            logMessage('"Seed" - Show the world seed for the current sector', 'info');
+            logMessage('"Script <run|stop|edit|list|delete> [name]" - Autopilot scripts ("Script api" for the reference)', 'info');
+            logMessage('"Outpost [found|upgrade <module>|haul|load|list]" - Found and run an outpost in this sector', 'info');
             logMessage('"Help" - Show this help message', 'info');
             break;
             
@@ -2938,6 +4295,7 @@ function initConsoleInput() {
             const command = consoleInput.value.trim();
             if (command) {
                 processCommand(command);
+                requestReplayKeyframe(); // Cheats change the game outside update()
                 consoleInput.value = '';
             }
         }
@@ -2949,73 +4307,841 @@ function initConsoleInput() {
 }
 
 // ================================
-// CONTROLS HINT
+// AUTOPILOT SCRIPTS
 // ================================
+// Player-written autopilot routines, run from the console ("Script run <name>"). A script is
+// the body of a function called every script tick with:
+//   state  - frozen copy of the game state (see SCRIPT_API_HELP)
+//   ship   - commands for this tick: thrust, moveTo, approach, stop, mine, dock, sell, refuel, scan, log
+//   memory - object the script can keep its own notes in between ticks
+// Scripts run in asteroid-miner-autopilot-worker.js, so they can't touch the page and a slow or
+// stuck one never holds up gameLoop() - it's stopped once its ticks keep overrunning their budget
+// (see checkScriptTickBudget()). The budget is timed here from when the tick was sent, never by
+// the worker (a script can fake its clock).
+
+const SCRIPTS_STORAGE_KEY = 'asteroidMinerScripts';
+const SCRIPT_TICK_FRAMES = 6;          // Scripts run ~10 times a second
+const SCRIPT_TICK_TIMEOUT_MS = 1000;   // No answer by then - the script is stuck, end its worker
+const SCRIPT_VIEW_ASTEROIDS = 40;      // Nearest asteroids/hazards listed in the state
+const SCRIPT_VIEW_HAZARDS = 20;
+
+const SCRIPT_API_HELP = [
+    'state.ship: x, y, vx, vy, speed, maxSpeed, angle, hull, maxHull, shield, maxShield, fuel, maxFuel, cargo, maxCargo,',
+    '  cargoPercent, credits, miningRange, mining, autopilot, docked (station name or null)',
+    'state.inventory: { oreType: count }    state.sector: id, name, depth, width, height',
+    'state.asteroids (nearest first): type, name, x, y, vx, vy, radius, distance, value, health, maxHealth,',
+    '  ores ({ oreType: percent }), core (ore type), estimatedValue - ores/core are null until scanned with the advanced scanner',
+    'state.hazards (nearest first): type, x, y, radius, distance    state.stations: name, x, y, distance, dockingRange',
+    'state.pirates (nearest first): name, x, y, vx, vy, state (seeking/pursuing/fleeing), hull, shield, distance',
+    'state.tick: script tick count',
+    'ship.thrust(x, y) - raw thrust, -1..1    ship.moveTo(x, y, stopDistance) / ship.approach(obj, stopDistance)',
+    'ship.stop() - brake    ship.mine(on)    ship.dock() - auto-pilot to nearest station',
+    'ship.sell()    ship.refuel() - refuel and repair    ship.scan()    ship.log(...text)',
+    'memory: your own object, kept between ticks'
+];
 
-// Track last input method for automatic tutorial switching
-let lastInputMethod = 'keyboard'; // 'keyboard', 'touch', or 'gamepad'
+const SCRIPT_EXAMPLE = `// Mine the nearest platinum (or any ore) until the hold is 90% full,
+// then return to the nearest station, sell and refuel.
+const s = state.ship;
 
-// Define control schemes for different devices
-const controlSchemes = {
-    keyboard: {
-        title: '╔═ KEYBOARD CONTROLS ═╗',
-        controls: [
-            { key: 'W/A/S/D', desc: 'Move Ship' },
-            { key: 'ARROW KEYS', desc: 'Alternative Movement' },
-            { key: 'SPACE', desc: 'Mining Laser (Auto-targets)' },
-            { key: 'E / Q', desc: 'Deep Space Scan' },
-            { key: 'SCROLL', desc: 'Zoom In/Out' },
-            { key: 'F5', desc: 'Quick Save' },
-            { key: 'F9', desc: 'Quick Load' },
-            { key: 'ESC', desc: 'Pause Menu' }
-        ]
-    },
-    touch: {
-        title: '╔═ TOUCH CONTROLS ═╗',
-        controls: [
-            { key: 'TAP CANVAS', desc: 'Move ship toward location' },
-            { key: 'DRAG CANVAS', desc: 'Continuous movement control' },
-            { key: 'PINCH', desc: 'Zoom In/Out' },
-            { key: 'LASER BTN', desc: 'Toggle auto-mining (bottom-left)' },
-            { key: 'TAP MINIMAP', desc: 'Trigger deep space scan' },
-            { key: 'PAUSE BTN', desc: 'Access menu (top-right)' },
-            { key: 'SIDE PANELS', desc: 'Swipe to access stats & upgrades' }
-        ]
-    },
-    gamepad: {
-        title: '╔═ CONTROLLER LAYOUT ═╗',
-        controls: [
-            { key: 'LEFT STICK', desc: 'Move Ship (Analog)' },
-            { key: 'A / CROSS', desc: 'Mining Laser' },
-            { key: 'B / CIRCLE', desc: 'Deep Space Scan' },
-            { key: 'LB / L1', desc: 'Zoom Out' },
-            { key: 'RB / R1', desc: 'Zoom In' },
-            { key: 'D-PAD UP', desc: 'Toggle Autopilot' },
-            { key: 'D-PAD LEFT', desc: 'Toggle Missions Drawer' },
-            { key: 'D-PAD RIGHT', desc: 'Sell Cargo (Docked/Remote)' },
-            { key: 'SELECT/BACK', desc: 'Virtual Mouse Mode' },
-            { key: 'L-STICK (V-MOUSE)', desc: 'Move Cursor' },
-            { key: 'R-STICK (V-MOUSE)', desc: 'Scroll Up/Down' },
-            { key: 'D-PAD (V-MOUSE)', desc: 'Jump to Button' },
-            { key: 'A (V-MOUSE)', desc: 'Click Button' },
-            { key: 'HOLD L3 (2s)', desc: 'Quick Load' },
-            { key: 'HOLD R3 (2s)', desc: 'Quick Save' },
-            { key: 'START/OPTIONS', desc: 'Pause Menu' }
-        ]
+if (s.cargoPercent >= 90 || s.fuel < s.maxFuel * 0.2) memory.returning = true;
+
+if (memory.returning) {
+    if (s.docked) {
+        ship.sell();
+        ship.refuel();
+        memory.returning = false;
+        ship.log('Sold and refuelled at', s.docked);
+    } else if (!s.autopilot) {
+        ship.dock();
     }
+    return;
+}
+
+const ore = state.asteroids.find(a => a.type === 'platinum') || state.asteroids[0];
+if (ore) {
+    ship.approach(ore, s.miningRange * 0.6);
+    ship.mine(ore.distance < s.miningRange);
+} else {
+    ship.stop();
+}
+`;
+
+let scriptState = {
+    worker: null,
+    name: null,
+    running: false,
+    awaiting: false,  // Waiting for the worker to answer a load or tick
+    sentAt: 0,        // performance.now() of the unanswered message
+    overruns: 0,      // Over-budget ticks in a row
+    frames: 0,        // Frames since the last tick
+    tick: 0,
+    thrust: null,     // { x, y } from ship.thrust()
+    target: null,     // { x, y, stopDistance } from ship.moveTo()
+    mine: false
 };
 
-function initControlsHint() {
-    const controlsHint = document.getElementById('controlsHint');
-    const closeHint = document.getElementById('closeHint');
+function readScripts() {
+    try {
+        const scripts = JSON.parse(localStorage.getItem(SCRIPTS_STORAGE_KEY) || '{}');
+        return scripts && typeof scripts === 'object' && !Array.isArray(scripts) ? scripts : {};
+    } catch (e) {
+        console.error('Failed to parse saved scripts:', e);
+        return {};
+    }
+}
+
+function writeScript(name, source) {
+    const scripts = readScripts();
     
-    // Input method already detected in detectInputMethod() before boot sequence
-    // Just render the controls with the correct scheme
-    updateControlsHint();
+    if (source === null) {
+        delete scripts[name];
+    } else {
+        scripts[name] = source;
+    }
+    localStorage.setItem(SCRIPTS_STORAGE_KEY, JSON.stringify(scripts));
+}
+
+function startAutopilotScript(name, source) {
+    stopAutopilotScript();
     
-    // Close button handler
-    closeHint.addEventListener('click', () => {
-        controlsHint.classList.add('hidden');
+    let worker;
+    try {
+        worker = new Worker('asteroid-miner-autopilot-worker.js');
+    } catch (error) {
+        console.warn('Could not start autopilot script worker:', error);
+        logMessage('Error: Scripts need Web Worker support (serve the game over http).', 'error');
+        return;
+    }
+    
+    worker.onmessage = onScriptWorkerMessage;
+    worker.onerror = (error) => {
+        error.preventDefault();
+        stopAutopilotScript(`worker error: ${error.message}`);
+    };
+    
+    scriptState.worker = worker;
+    scriptState.name = name;
+    scriptState.running = true;
+    scriptState.awaiting = true;
+    scriptState.sentAt = performance.now();
+    scriptState.overruns = 0;
+    scriptState.frames = 0;
+    scriptState.tick = 0;
+    
+    // Same versioned envelope as the other workers, so a stale cached worker refuses to run
+    sendWorkerInit(worker);
+    postWorkerMessage(worker, 'load', { source: source });
+}
+
+function stopAutopilotScript(reason = null) {
+    if (!scriptState.running) return;
+    
+    const name = scriptState.name;
+    scriptState.worker.terminate();
+    
+    scriptState.worker = null;
+    scriptState.name = null;
+    scriptState.running = false;
+    scriptState.awaiting = false;
+    scriptState.thrust = null;
+    scriptState.target = null;
+    scriptState.mine = false;
+    
+    if (reason) {
+        logMessage(`Script "${name}" stopped - ${reason}`, 'error');
+    } else {
+        logMessage(`Script "${name}" stopped.`, 'info');
+    }
+}
+
+function onScriptWorkerMessage(e) {
+    // Answer from a worker that has since been replaced
+    if (e.target !== scriptState.worker) return;
+    
+    // A cached worker from before the versioned protocol answers without an envelope
+    if (!e.data || e.data.protocol !== WORKER_PROTOCOL_VERSION) {
+        stopAutopilotScript('script worker is out of date - reload the page');
+        return;
+    }
+    
+    const { type, data } = e.data;
+    if (type === 'ready') return; // Answer to init - the load is still on its way
+    
+    // Timed here, from when the tick went out - the worker's clock belongs to the script
+    const elapsed = performance.now() - scriptState.sentAt;
+    scriptState.awaiting = false;
+    
+    switch(type) {
+        case 'rejected':
+            // A refused init or load can't run the script; a refused tick is re-sent after init
+            handleWorkerRejection(scriptState.worker, 'Autopilot script', data);
+            if (data.rejectedType !== 'tick') {
+                stopAutopilotScript(`script worker refused '${data.rejectedType}': ${data.reason}`);
+            }
+            break;
+            
+        case 'loaded':
+            logMessage(`Script "${scriptState.name}" running. Flight input overrides it, "Script stop" ends it.`, 'success');
+            break;
+            
+        case 'commands':
+            if (checkScriptTickBudget(scriptState, elapsed)) {
+                stopAutopilotScript(`${scriptState.overruns} ticks in a row over budget (last took ${Math.round(elapsed)}ms, budget ${SCRIPT_TICK_BUDGET_MS}ms)`);
+                return;
+            }
+            applyScriptCommands(sanitizeScriptCommands(data.commands).commands);
+            break;
+            
+        case 'error':
+            stopAutopilotScript(String(data.message));
+            break;
+    }
+}
+
+// Called from update() - sends a tick every SCRIPT_TICK_FRAMES frames once the last one is answered
+function updateAutopilotScript() {
+    // A replay flies the recorded input, scripts included
+    if (!scriptState.running || replayState.mode === 'playback') return;
+    
+    if (scriptState.awaiting) {
+        if (performance.now() - scriptState.sentAt > SCRIPT_TICK_TIMEOUT_MS) {
+            stopAutopilotScript(`no answer within ${SCRIPT_TICK_TIMEOUT_MS}ms (endless loop?)`);
+        }
+        return;
+    }
+    
+    scriptState.frames++;
+    if (scriptState.frames < SCRIPT_TICK_FRAMES) return;
+    
+    scriptState.frames = 0;
+    scriptState.tick++;
+    scriptState.awaiting = true;
+    scriptState.sentAt = performance.now();
+    postWorkerMessage(scriptState.worker, 'tick', { state: createScriptStateView() });
+}
+
+// The read-only view a script gets - plain data only, nothing that leads back into the game
+function createScriptStateView() {
+    const distanceTo = obj => Math.sqrt((obj.x - player.x) ** 2 + (obj.y - player.y) ** 2);
+    const nearest = (list, count) => list
+        .map(obj => ({ obj: obj, distance: distanceTo(obj) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, count);
+    const dockedStation = stations.find(st => st.isDocked);
+    
+    return {
+        tick: scriptState.tick,
+        ship: {
+            x: player.x,
+            y: player.y,
+            vx: player.vx,
+            vy: player.vy,
+            speed: Math.sqrt(player.vx * player.vx + player.vy * player.vy),
+            maxSpeed: getMaxShipSpeed(gameState.upgrades),
+            angle: player.angle,
+            hull: gameState.hull,
+            maxHull: gameState.maxHull,
+            shield: gameState.shield,
+            maxShield: gameState.maxShield,
+            fuel: gameState.fuel,
+            maxFuel: gameState.maxFuel,
+            cargo: gameState.cargo,
+            maxCargo: gameState.maxCargo,
+            cargoPercent: gameState.maxCargo > 0 ? (gameState.cargo / gameState.maxCargo) * 100 : 100,
+            credits: gameState.credits,
+            miningRange: getMiningRange(gameState.upgrades),
+            mining: player.isMining,
+            autopilot: autoPilotActive,
+            docked: dockedStation ? dockedStation.name : null
+        },
+        inventory: { ...gameState.inventory },
+        sector: {
+            id: gameState.sectorId,
+            name: gameState.sectorName,
+            depth: gameState.sector,
+            width: CONFIG.worldWidth,
+            height: CONFIG.worldHeight
+        },
+        asteroids: nearest(asteroids.filter(ast => !ast.destroyed), SCRIPT_VIEW_ASTEROIDS).map(({ obj, distance }) => ({
+            type: obj.type,
+            name: ASTEROID_TYPES[obj.type].name,
+            x: obj.x,
+            y: obj.y,
+            vx: obj.vx,
+            vy: obj.vy,
+            radius: obj.radius,
+            distance: distance,
+            value: ASTEROID_TYPES[obj.type].value,
+            health: obj.health,
+            maxHealth: obj.maxHealth,
+            // Composition only once the advanced scanner has analysed the rock
+            ores: obj.analysed ? { ...obj.composition.ores } : null,
+            core: obj.analysed && obj.composition.core ? obj.composition.core.type : null,
+            estimatedValue: estimateAsteroidYield(obj, obj.analysed).value
+        })),
+        hazards: nearest(hazards, SCRIPT_VIEW_HAZARDS).map(({ obj, distance }) => ({
+            type: obj.type,
+            x: obj.x,
+            y: obj.y,
+            radius: obj.radius,
+            distance: distance
+        })),
+        pirates: nearest(pirates, pirates.length).map(({ obj, distance }) => ({
+            name: obj.name,
+            x: obj.x,
+            y: obj.y,
+            vx: obj.vx,
+            vy: obj.vy,
+            state: obj.state,
+            hull: obj.hull,
+            shield: obj.shield,
+            distance: distance
+        })),
+        stations: nearest(stations, stations.length).map(({ obj, distance }) => ({
+            name: obj.name,
+            x: obj.x,
+            y: obj.y,
+            distance: distance,
+            dockingRange: obj.dockingRange
+        }))
+    };
+}
+
+// Act on a tick's (already sanitized) commands. Flight commands hold until the next tick;
+// station actions go through runReplayable() so recordings pick them up, once per tick each.
+function applyScriptCommands(commands) {
+    const actionsDone = new Set();
+    
+    for (const { type, args } of commands) {
+        if (['dock', 'sell', 'refuel', 'scan'].includes(type)) {
+            if (actionsDone.has(type)) continue;
+            actionsDone.add(type);
+        }
+        
+        switch(type) {
+            case 'thrust':
+                scriptState.thrust = { x: args[0], y: args[1] };
+                scriptState.target = null;
+                break;
+            case 'moveTo':
+                scriptState.target = { x: args[0], y: args[1], stopDistance: args[2] };
+                scriptState.thrust = null;
+                break;
+            case 'stop':
+                scriptState.target = { x: player.x, y: player.y, stopDistance: Infinity };
+                scriptState.thrust = null;
+                break;
+            case 'mine':
+                scriptState.mine = args[0];
+                break;
+            case 'dock':
+                // Hands the flying to the auto-pilot - any script thrust would cancel it
+                scriptState.target = null;
+                scriptState.thrust = null;
+                if (!autoPilotActive) runReplayable('autopilot');
+                break;
+            case 'sell':
+                runReplayable('sellCargo');
+                break;
+            case 'refuel':
+                runReplayable('refuel');
+                break;
+            case 'scan':
+                runReplayable('scan');
+                break;
+            case 'log':
+                logMessage(`[${scriptState.name}] ${args[0]}`, 'info');
+                break;
+        }
+    }
+}
+
+// Flight input from the running script (see readFlightInput())
+function getScriptFlightInput() {
+    if (scriptState.target) {
+        return getSteeringInput(player, scriptState.target, getMaxShipSpeed(gameState.upgrades));
+    }
+    if (scriptState.thrust) {
+        return { moveX: scriptState.thrust.x, moveY: scriptState.thrust.y };
+    }
+    return { moveX: 0, moveY: 0 };
+}
+
+function processScriptCommand(args) {
+    const action = args[0] || 'help';
+    const name = args[1];
+    
+    switch(action) {
+        case 'run':
+            if (!name || !readScripts().hasOwnProperty(name)) {
+                logMessage(`Error: No script named "${name || ''}". Use "Script list" or "Script edit <name>".`, 'error');
+                return;
+            }
+            startAutopilotScript(name, readScripts()[name]);
+            break;
+            
+        case 'stop':
+            if (!scriptState.running) {
+                logMessage('No script is running.', 'info');
+                return;
+            }
+            stopAutopilotScript();
+            break;
+            
+        case 'edit':
+            openScriptEditor(name || 'miner');
+            break;
+            
+        case 'list':
+            const names = Object.keys(readScripts());
+            logMessage(names.length > 0 ? `Scripts: ${names.join(', ')}` : 'No saved scripts. "Script edit <name>" writes one.', 'info');
+            break;
+            
+        case 'delete':
+            if (!name || !readScripts().hasOwnProperty(name)) {
+                logMessage(`Error: No script named "${name || ''}".`, 'error');
+                return;
+            }
+            writeScript(name, null);
+            logMessage(`Deleted script "${name}".`, 'success');
+            break;
+            
+        case 'api':
+            SCRIPT_API_HELP.forEach(line => logMessage(line, 'info'));
+            break;
+            
+        default:
+            logMessage('Usage: Script <run|stop|edit|list|delete> [name], "Script api" for the scripting reference', 'info');
+            break;
+    }
+}
+
+function initScriptEditor() {
+    document.getElementById('scriptEditorApi').textContent = SCRIPT_API_HELP.join('\n');
+    
+    const source = document.getElementById('scriptEditorSource');
+    source.addEventListener('focus', () => { isTypingInConsole = true; });
+    source.addEventListener('blur', () => { isTypingInConsole = false; });
+    
+    // Tab indents instead of leaving the editor
+    source.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            source.setRangeText('    ', source.selectionStart, source.selectionEnd, 'end');
+        }
+    });
+    
+    document.getElementById('scriptEditorSave').addEventListener('click', () => {
+        saveScriptEditor();
+    });
+    
+    document.getElementById('scriptEditorRun').addEventListener('click', () => {
+        const name = saveScriptEditor();
+        if (name) {
+            closeScriptEditor();
+            startAutopilotScript(name, readScripts()[name]);
+        }
+    });
+    
+    document.getElementById('scriptEditorClose').addEventListener('click', closeScriptEditor);
+}
+
+function openScriptEditor(name) {
+    const scripts = readScripts();
+    
+    document.getElementById('scriptEditorName').value = name;
+    document.getElementById('scriptEditorSource').value = scripts.hasOwnProperty(name) ? scripts[name] : SCRIPT_EXAMPLE;
+    document.getElementById('scriptEditorModal').classList.add('active');
+    gameState.isPaused = true;
+}
+
+function closeScriptEditor() {
+    document.getElementById('scriptEditorModal').classList.remove('active');
+    gameState.isPaused = false;
+}
+
+// Returns the saved name, or null if the name is unusable
+function saveScriptEditor() {
+    const name = document.getElementById('scriptEditorName').value.trim();
+    
+    if (!/^[A-Za-z0-9_-]{1,24}$/.test(name)) {
+        showAlert('INVALID NAME', 'Script names are 1-24 letters, digits, "-" or "_".');
+        return null;
+    }
+    
+    writeScript(name, document.getElementById('scriptEditorSource').value);
+    logMessage(`Saved script "${name}".`, 'success');
+    return name;
+}
+
+// ================================
+// INPUT BINDINGS
+// ================================
+// Which keys and buttons run each action - the action list, defaults and conflict rules are
+// INPUT BINDINGS in asteroid-miner-sim.js. Bindings are kept in localStorage (outside the save
+// slots) and edited on the controls screen in the pause menu.
+
+const BINDINGS_STORAGE_KEY = 'asteroidMinerBindings';
+
+const KEYBOARD_KEY_LABELS = {
+    space: 'SPACE', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→',
+    enter: 'ENTER', backspace: 'BACKSPACE', shift: 'SHIFT', control: 'CTRL', alt: 'ALT'
+};
+
+// Standard gamepad mapping (Xbox / PlayStation names)
+const GAMEPAD_BUTTON_LABELS = [
+    'A / CROSS', 'B / CIRCLE', 'X / SQUARE', 'Y / TRIANGLE', 'LB / L1', 'RB / R1', 'LT / L2', 'RT / R2',
+    'SELECT/BACK', 'START/OPTIONS', 'L3', 'R3', 'D-PAD UP', 'D-PAD DOWN', 'D-PAD LEFT', 'D-PAD RIGHT'
+];
+
+let inputBindings = readInputBindings();
+let gamepadHeldActions = {}; // Hold actions whose gamepad button is down this frame
+let bindingCapture = null;   // { device, action, slot } while the controls screen waits for an input
+
+function readInputBindings() {
+    try {
+        return restoreBindings(JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY) || 'null'));
+    } catch (e) {
+        console.error('Failed to parse input bindings:', e);
+        return createDefaultBindings();
+    }
+}
+
+function writeInputBindings() {
+    localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(inputBindings));
+    updateControlsHint();
+}
+
+// The binding name of a key press - lowercased KeyboardEvent.key, 'space' for the space bar
+function getKeyboardInput(e) {
+    return e.key === ' ' ? 'space' : e.key.toLowerCase();
+}
+
+function formatBindingLabel(device, input) {
+    if (device === 'gamepad') return GAMEPAD_BUTTON_LABELS[input] || `BUTTON ${input}`;
+    return KEYBOARD_KEY_LABELS[input] || input.toUpperCase();
+}
+
+function isHoldAction(action) {
+    return INPUT_ACTIONS.some(inputAction => inputAction.id === action && inputAction.hold);
+}
+
+function isActionHeld(action) {
+    return inputBindings.keyboard[action].some(input => keys[input]) || !!gamepadHeldActions[action];
+}
+
+// One press of a non-hold action, from either device
+function runInputAction(action) {
+    switch (action) {
+        case 'scan':
+            if (!gameState.isPaused) runReplayable('scan');
+            break;
+        
+        case 'dock':
+            if (!gameState.isPaused) runReplayable('autopilot');
+            break;
+        
+        case 'jump':
+            if (warpState.active) break;
+            if (isGalaxyMapOpen()) {
+                closeGalaxyMap();
+            } else if (!gameState.isPaused) {
+                openGalaxyMap();
+            }
+            break;
+        
+        case 'sell':
+            if (gameState.isPaused) break;
+            if (gameState.cargo === 0) {
+                logMessage('No cargo to sell.');
+            } else if (isDockedAtAnyStation()) {
+                runReplayable('sellCargo');
+            } else if (gameState.upgrades.cargoDrone >= 1) {
+                runReplayable('deployDrone');
+            } else {
+                logMessage('Must be docked at station to sell cargo, or purchase Cargo Drone upgrade.');
+            }
+            break;
+        
+        case 'trade':
+            if (!gameState.isPaused && !tradingState.isTrading && tradingState.nearbyNPC) {
+                openTradeModal(tradingState.nearbyNPC);
+            }
+            break;
+        
+        case 'missions':
+            if (!gameState.isPaused) toggleMissionsDrawer();
+            break;
+        
+        case 'console':
+            if (!gameState.isPaused) document.getElementById('consoleInput').focus();
+            break;
+        
+        case 'photo':
+            if (photoState.active) {
+                exitPhotoMode();
+            } else {
+                enterPhotoMode();
+            }
+            break;
+        
+        case 'p2Dock':
+            if (!gameState.isPaused && coopState.active) dockWingmate();
+            break;
+    }
+}
+
+// Zoom actions, every frame they're held
+function updateZoomInput() {
+    if (isActionHeld('zoomIn')) {
+        viewport.targetZoom = Math.min(viewport.maxZoom, viewport.targetZoom * 1.02);
+    }
+    if (isActionHeld('zoomOut')) {
+        viewport.targetZoom = Math.max(viewport.minZoom, viewport.targetZoom * 0.98);
+    }
+}
+
+function initControlsSettings() {
+    document.getElementById('controlsBtn').addEventListener('click', () => {
+        document.getElementById('pauseModal').classList.remove('active');
+        openControlsSettings();
+    });
+    
+    document.getElementById('controlsClose').addEventListener('click', closeControlsSettings);
+    
+    document.getElementById('controlsReset').addEventListener('click', () => {
+        inputBindings = createDefaultBindings();
+        writeInputBindings();
+        renderControlsSettings();
+    });
+    
+    // Capture phase, so a key being bound never reaches the game or the pause menu
+    document.addEventListener('keydown', (e) => {
+        if (!bindingCapture || bindingCapture.device !== 'keyboard') return;
+        
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        
+        const input = getKeyboardInput(e);
+        if (input === 'escape') {
+            bindingCapture = null;
+            renderControlsSettings();
+        } else if (input === 'backspace' || input === 'delete') {
+            clearBinding(inputBindings, bindingCapture.device, bindingCapture.action, bindingCapture.slot);
+            bindingCapture = null;
+            writeInputBindings();
+            renderControlsSettings();
+        } else {
+            finishBindingCapture(input);
+        }
+    }, true);
+}
+
+function openControlsSettings() {
+    bindingCapture = null;
+    renderControlsSettings();
+    document.getElementById('controlsModal').classList.add('active');
+    gameState.isPaused = true;
+}
+
+function closeControlsSettings() {
+    bindingCapture = null;
+    document.getElementById('controlsModal').classList.remove('active');
+    document.getElementById('pauseModal').classList.add('active');
+}
+
+function renderControlsSettings() {
+    const table = document.getElementById('controlsTable');
+    const status = document.getElementById('controlsStatus');
+    table.innerHTML = '';
+    
+    INPUT_ACTIONS.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'controls-row';
+        
+        const name = document.createElement('span');
+        name.className = 'controls-action';
+        name.textContent = action.name;
+        row.appendChild(name);
+        
+        INPUT_DEVICES.forEach(device => {
+            for (let slot = 0; slot < BINDINGS_PER_ACTION; slot++) {
+                // Player 2's keys - a second controller uses the gamepad column's bindings
+                if (action.keyboardOnly && device !== 'keyboard') {
+                    row.appendChild(document.createElement('span'));
+                    continue;
+                }
+                
+                const input = inputBindings[device][action.id][slot];
+                const listening = bindingCapture && bindingCapture.device === device &&
+                    bindingCapture.action === action.id && bindingCapture.slot === slot;
+                
+                const btn = document.createElement('button');
+                btn.className = `controls-binding controls-${device}${listening ? ' listening' : ''}`;
+                btn.textContent = listening ? '...' : input !== undefined ? formatBindingLabel(device, input) : '—';
+                btn.addEventListener('click', () => {
+                    bindingCapture = { device: device, action: action.id, slot: slot };
+                    renderControlsSettings();
+                });
+                row.appendChild(btn);
+            }
+        });
+        
+        table.appendChild(row);
+    });
+    
+    if (!bindingCapture) {
+        status.textContent = 'Pick a slot to rebind it.';
+    } else if (bindingCapture.device === 'keyboard') {
+        status.textContent = 'Press a key - BACKSPACE clears the slot, ESC cancels.';
+    } else {
+        status.textContent = 'Press a gamepad button - SELECT clears the slot, START cancels.';
+    }
+}
+
+// Bind the captured input, asking first if another action has it
+function finishBindingCapture(input) {
+    const { device, action, slot } = bindingCapture;
+    const label = formatBindingLabel(device, input);
+    
+    if (!isValidBindingInput(device, input)) {
+        document.getElementById('controlsStatus').textContent = `${label} is reserved - pick another.`;
+        return;
+    }
+    
+    bindingCapture = null;
+    const apply = () => {
+        setBinding(inputBindings, device, action, slot, input);
+        writeInputBindings();
+        renderControlsSettings();
+    };
+    
+    const conflict = findBindingConflict(inputBindings, device, action, input);
+    if (!conflict) {
+        apply();
+        return;
+    }
+    
+    const actionName = id => INPUT_ACTIONS.find(inputAction => inputAction.id === id).name;
+    showConfirm(
+        'BINDING CONFLICT',
+        `${label} is already bound to ${actionName(conflict)}.\n\nMove it to ${actionName(action)}?`,
+        () => {
+            gameState.isPaused = true; // Still on the controls screen
+            apply();
+        },
+        () => {
+            gameState.isPaused = true;
+            renderControlsSettings();
+        }
+    );
+}
+
+// Called from updateGamepad() while the controls screen waits for a gamepad button
+function captureGamepadBinding(gamepad) {
+    const pressed = gamepad.buttons.map(b => b.pressed);
+    const index = pressed.findIndex((isPressed, i) => isPressed && !lastGamepadState.buttons[i]);
+    lastGamepadState.buttons = pressed;
+    
+    if (index === -1) return;
+    
+    if (index === 9) {
+        bindingCapture = null;
+        renderControlsSettings();
+    } else if (index === 8) {
+        clearBinding(inputBindings, 'gamepad', bindingCapture.action, bindingCapture.slot);
+        bindingCapture = null;
+        writeInputBindings();
+        renderControlsSettings();
+    } else {
+        finishBindingCapture(index);
+    }
+}
+
+// ================================
+// CONTROLS HINT
+// ================================
+
+// Track last input method for automatic tutorial switching
+let lastInputMethod = 'keyboard'; // 'keyboard', 'touch', or 'gamepad'
+
+const THRUST_ACTIONS = ['thrustUp', 'thrustLeft', 'thrustDown', 'thrustRight'];
+
+// Define control schemes for different devices
+// Entries with `actions` show the current bindings (see INPUT BINDINGS): every binding of one
+// action, or with `slot` that slot of each action - entries left without a key are skipped
+const controlSchemes = {
+    keyboard: {
+        title: '╔═ KEYBOARD CONTROLS ═╗',
+        controls: [
+            { actions: THRUST_ACTIONS, slot: 0, desc: 'Move Ship' },
+            { actions: THRUST_ACTIONS, slot: 1, desc: 'Alternative Movement' },
+            { actions: ['mine'], desc: 'Mining Laser (Auto-targets)' },
+            { actions: ['scan'], desc: 'Deep Space Scan' },
+            { actions: ['dock'], desc: 'Autopilot to Station' },
+            { actions: ['jump'], desc: 'Galaxy Map' },
+            { actions: ['trade'], desc: 'Trade with Nearby NPC' },
+            { actions: ['sell'], desc: 'Sell Cargo (Docked/Remote)' },
+            { actions: ['missions'], desc: 'Toggle Missions Drawer' },
+            { actions: ['console'], desc: 'Open Console' },
+            { key: 'SCROLL', desc: 'Zoom In/Out' },
+            { actions: ['zoomIn', 'zoomOut'], slot: 0, desc: 'Zoom In/Out' },
+            { key: 'F5', desc: 'Quick Save' },
+            { key: 'F9', desc: 'Quick Load' },
+            { key: 'ESC', desc: 'Pause Menu' }
+        ]
+    },
+    touch: {
+        title: '╔═ TOUCH CONTROLS ═╗',
+        controls: [
+            { key: 'TAP CANVAS', desc: 'Move ship toward location' },
+            { key: 'DRAG CANVAS', desc: 'Continuous movement control' },
+            { key: 'PINCH', desc: 'Zoom In/Out' },
+            { key: 'LASER BTN', desc: 'Toggle auto-mining (bottom-left)' },
+            { key: 'TAP MINIMAP', desc: 'Trigger deep space scan' },
+            { key: 'PAUSE BTN', desc: 'Access menu (top-right)' },
+            { key: 'SIDE PANELS', desc: 'Swipe to access stats & upgrades' }
+        ]
+    },
+    gamepad: {
+        title: '╔═ CONTROLLER LAYOUT ═╗',
+        controls: [
+            { key: 'LEFT STICK', desc: 'Move Ship (Analog)' },
+            { actions: THRUST_ACTIONS, slot: 0, desc: 'Move Ship' },
+            { actions: ['mine'], desc: 'Mining Laser' },
+            { actions: ['scan'], desc: 'Deep Space Scan' },
+            { actions: ['zoomOut'], desc: 'Zoom Out' },
+            { actions: ['zoomIn'], desc: 'Zoom In' },
+            { actions: ['dock'], desc: 'Toggle Autopilot' },
+            { actions: ['jump'], desc: 'Galaxy Map' },
+            { actions: ['trade'], desc: 'Trade with Nearby NPC' },
+            { actions: ['missions'], desc: 'Toggle Missions Drawer' },
+            { actions: ['sell'], desc: 'Sell Cargo (Docked/Remote)' },
+            { actions: ['console'], desc: 'Open Console' },
+            { key: 'SELECT/BACK', desc: 'Virtual Mouse Mode' },
+            { key: 'L-STICK (V-MOUSE)', desc: 'Move Cursor' },
+            { key: 'R-STICK (V-MOUSE)', desc: 'Scroll Up/Down' },
+            { key: 'D-PAD (V-MOUSE)', desc: 'Jump to Button' },
+            { key: 'A (V-MOUSE)', desc: 'Click Button' },
+            { key: 'HOLD L3 (2s)', desc: 'Quick Load' },
+            { key: 'HOLD R3 (2s)', desc: 'Quick Save' },
+            { key: 'START/OPTIONS', desc: 'Pause Menu' }
+        ]
+    }
+};
+
+function initControlsHint() {
+    const controlsHint = document.getElementById('controlsHint');
+    const closeHint = document.getElementById('closeHint');
+    
+    // Input method already detected in detectInputMethod() before boot sequence
+    // Just render the controls with the correct scheme
+    updateControlsHint();
+    
+    // Close button handler
+    closeHint.addEventListener('click', () => {
+        controlsHint.classList.add('hidden');
         localStorage.setItem('asteroidMinerHintClosed', 'true');
     });
     
@@ -3047,10 +5173,13 @@ function updateControlsHint() {
     
     // Create new control items
     scheme.controls.forEach(control => {
+        const key = control.actions ? getControlHintKey(lastInputMethod, control) : control.key;
+        if (!key) return;
+        
         const item = document.createElement('div');
         item.className = 'hint-item';
         item.innerHTML = `
-            <span class="hint-key">${control.key}</span>
+            <span class="hint-key">${key}</span>
             <span class="hint-desc">${control.desc}</span>
         `;
         // Insert before the close button
@@ -3058,6 +5187,18 @@ function updateControlsHint() {
     });
 }
 
+// Current bindings for a hint entry, or '' when nothing is bound
+function getControlHintKey(device, control) {
+    const labels = control.slot === undefined
+        ? inputBindings[device][control.actions[0]].map(input => formatBindingLabel(device, input))
+        : control.actions.map(action => inputBindings[device][action][control.slot]).filter(input => input !== undefined)
+            .map(input => formatBindingLabel(device, input));
+    
+    // A slotted entry only makes sense with all of its actions bound (W/A/S/D, not W/S)
+    if (control.slot !== undefined && labels.length < control.actions.length) return '';
+    return labels.join(control.slot === undefined ? ' / ' : '/');
+}
+
 function setInputMethod(method) {
     if (lastInputMethod !== method) {
         lastInputMethod = method;
@@ -3258,6 +5399,11 @@ function showAlert(title, message, onClose) {
 }
 
 function showGameOver(credits, asteroids, sectors, distance, reason = 'damage') {
+    // A replay just shows the crash; a recording ends with it
+    if (replayState.mode === 'playback') return;
+    stopReplayRecording('ship lost');
+    stopAutopilotScript('ship lost');
+    
     const modal = document.getElementById('gameOverModal');
     
     document.getElementById('finalCredits').textContent = formatNumber(credits);
@@ -3300,7 +5446,7 @@ function showGameOver(credits, asteroids, sectors, distance, reason = 'damage')
     const handleRestart = () => {
         restartBtn.removeEventListener('click', handleRestart);
         
-        // Clear all game-related localStorage except theme and CRT settings
+        // Clear all game-related localStorage except achievements, theme, CRT and sound settings
         localStorage.removeItem('asteroidMinerShipName');
         localStorage.removeItem('asteroidMinerHintClosed');
         localStorage.removeItem('asteroidMinerSaves');
@@ -3314,8 +5460,8 @@ function showGameOver(credits, asteroids, sectors, distance, reason = 'damage')
 // Get the name of the most recently saved game (excluding AutoSave)
 function getLatestSaveName() {
     try {
-        const savesString = localStorage.getItem('asteroidMinerSaves') || '{}';
-        const saves = JSON.parse(savesString);
+        const saves = readSaves();
+        if (!saves) return null;
         
         // Get all save names except AutoSave
         const saveNames = Object.keys(saves).filter(name => name !== 'AutoSave');
@@ -3373,10 +5519,10 @@ function initPauseModal() {
             '• Your current ship name\n' +
             '• Controls hint status\n' +
             '• All current progress\n\n' +
-            'Theme and CRT settings will be preserved.\n\n' +
+            'Achievements, theme, CRT and sound settings will be preserved.\n\n' +
             'This action cannot be undone!',
             () => {
-                // Clear all game-related localStorage except theme and CRT settings
+                // Clear all game-related localStorage except achievements, theme, CRT and sound settings
                 localStorage.removeItem('asteroidMinerShipName');
                 localStorage.removeItem('asteroidMinerHintClosed');
                 localStorage.removeItem('asteroidMinerSaves');
@@ -3397,94 +5543,499 @@ function initPauseModal() {
     });
     
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && !document.body.classList.contains('booting')) {
+        // (photo mode handles its own Escape)
+        if (e.key === 'Escape' && !document.body.classList.contains('booting') && replayState.mode !== 'playback' && !photoState.active) {
             pauseModal.classList.toggle('active');
             gameState.isPaused = !gameState.isPaused;
         }
-    });
+    });
+    
+    // Initialize save/load functionality
+    initSaveLoad();
+    initControlsSettings();
+}
+
+// ================================
+// SHIP CUSTOMIZATION MODAL
+// ================================
+
+function initCustomization() {
+    const applyBtn = document.getElementById('customizeApply');
+    const cancelBtn = document.getElementById('customizeCancel');
+    const presetButtons = document.querySelectorAll('.preset-btn');
+    
+    applyBtn.addEventListener('click', applyShipCustomization);
+    cancelBtn.addEventListener('click', closeShipCustomization);
+    
+    // Add preset button handlers
+    presetButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const presetName = btn.dataset.preset;
+            applyColorPreset(presetName);
+        });
+    });
+    
+    // Color swatch button handlers
+    const swatchButtons = [
+        'swatchPrimary',
+        'swatchSecondary',
+        'swatchAccent',
+        'swatchThruster'
+    ];
+    
+    swatchButtons.forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.addEventListener('click', () => {
+                const colorType = btn.dataset.colorType;
+                openColorPicker(colorType);
+            });
+        }
+    });
+    
+    // Color picker modal handlers
+    const colorPickerClose = document.getElementById('colorPickerClose');
+    if (colorPickerClose) {
+        colorPickerClose.addEventListener('click', closeColorPicker);
+    }
+    
+    // Custom hex input handler
+    const applyCustomHex = document.getElementById('applyCustomHex');
+    const customHexInput = document.getElementById('customHexInput');
+    
+    if (applyCustomHex && customHexInput) {
+        applyCustomHex.addEventListener('click', () => {
+            let hex = customHexInput.value.trim();
+            // Add # if missing
+            if (!hex.startsWith('#')) {
+                hex = '#' + hex;
+            }
+            selectColor(hex);
+        });
+        
+        // Also allow Enter key to apply
+        customHexInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                let hex = customHexInput.value.trim();
+                if (!hex.startsWith('#')) {
+                    hex = '#' + hex;
+                }
+                selectColor(hex);
+            }
+        });
+    }
+}
+
+// ================================
+// SAVE MIGRATION
+// ================================
+// Saves are upgraded one step at a time from the version they were written with up to
+// GAME_VERSION, then checked against SAVE_SCHEMA. Fields with a default are repaired,
+// required fields without one make the save invalid and it is refused (never deleted).
+//
+// When changing the save format: bump GAME_VERSION and append a step here.
+
+const SAVES_STORAGE_KEY = 'asteroidMinerSaves';
+const CORRUPT_SAVES_BACKUP_KEY = 'asteroidMinerSavesBackup';
+
+const SAVE_MIGRATIONS = [
+    {
+        to: '0.8.9',
+        description: 'Split fuel upgrade, single station to stations array',
+        migrate(save) {
+            // 'fuel' upgrade was split into capacity and efficiency
+            if (save.upgrades && save.upgrades.fuel !== undefined) {
+                save.upgrades.fuelCapacity = save.upgrades.fuelCapacity || save.upgrades.fuel;
+                save.upgrades.fuelEfficiency = save.upgrades.fuelEfficiency || save.upgrades.fuel;
+                delete save.upgrades.fuel;
+            }
+            
+            // Single 'station' object became the 'stations' array
+            if (save.station && !save.stations) {
+                save.stations = [save.station];
+                delete save.station;
+            }
+            
+            if (save.gameState && !save.gameState.sectorName && typeof save.gameState.sector === 'number') {
+                save.gameState.sectorName = `ALPHA-${String(save.gameState.sector).padStart(3, '0')}`;
+            }
+            
+            // World size grows with sector, older saves didn't store it
+            if (!save.world && save.gameState && typeof save.gameState.sector === 'number') {
+                save.world = {
+                    width: CONFIG.baseWorldWidth + (save.gameState.sector - 1) * 250,
+                    height: CONFIG.baseWorldHeight + (save.gameState.sector - 1) * 250
+                };
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.0',
+        description: 'World seed for sector generation',
+        migrate(save) {
+            // Station markets are filled in by restoreStationMarket() on load
+            if (save.gameState && typeof save.gameState.worldSeed !== 'number') {
+                save.gameState.worldSeed = generateWorldSeed();
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.1',
+        description: 'Faction standing with stations',
+        migrate(save) {
+            if (save.gameState && !save.gameState.factionStanding) {
+                save.gameState.factionStanding = {};
+            }
+            
+            // NPC reputation is now capped to the standing range
+            if (Array.isArray(save.npcMiners)) {
+                save.npcMiners.forEach(npc => {
+                    if (typeof npc.reputation === 'number') {
+                        npc.reputation = clampStanding(npc.reputation);
+                    }
+                });
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.2',
+        description: 'Flat upgrade levels to ship modules',
+        migrate(save) {
+            // Every upgrade level becomes an equivalent module mark on the smallest hull that fits
+            if (!save.loadout) {
+                save.loadout = createLoadoutFromUpgrades(save.upgrades || {});
+            }
+            delete save.upgrades;
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.3',
+        description: 'Contract log for multi-stage contracts',
+        migrate(save) {
+            // Older saves only hold one-shot missions, so the log starts empty
+            if (save.gameState && !Array.isArray(save.gameState.contractLog)) {
+                save.gameState.contractLog = [];
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.4',
+        description: 'Station refineries and component locker',
+        migrate(save) {
+            // Nothing refined yet - empty locker and no jobs running
+            if (save.resources && !save.resources.components) {
+                save.resources.components = {};
+            }
+            if (save.gameState && !Array.isArray(save.gameState.refineryJobs)) {
+                save.gameState.refineryJobs = [];
+                save.gameState.nextRefineryJobId = 1;
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.5',
+        description: 'Galaxy map with branching sector routes',
+        migrate(save) {
+            const state = save.gameState;
+            if (!state || typeof state.sector !== 'number' || state.sectorId !== undefined) return save;
+            
+            // Sectors used to go one per depth - put the ship on the galaxy's main lane
+            if (typeof state.worldSeed !== 'number') {
+                state.worldSeed = generateWorldSeed();
+            }
+            const saveGalaxy = createGalaxy(state.worldSeed);
+            const mainLane = depth => getMainLaneSector(saveGalaxy, Math.max(1, depth)).id;
+            
+            state.sectorId = mainLane(state.sector);
+            state.sectorName = getSectorName(state.sectorId);
+            state.visitedSectors = [];
+            for (let depth = 1; depth <= state.sector; depth++) {
+                state.visitedSectors.push(mainLane(depth));
+            }
+            state.sectorsExplored = state.visitedSectors.length;
+            
+            // The field in the save predates asteroid tracking, so no sector remembers depletion yet
+            state.sectorStates = {};
+            
+            // Deliveries named a depth - same main-lane sector, with no jump limit
+            const remapDelivery = objective => {
+                if (objective.type === 'deliver' && typeof objective.sector === 'number') {
+                    objective.sector = mainLane(objective.sector);
+                }
+            };
+            const remapMission = mission => {
+                remapDelivery(mission);
+                if (Array.isArray(mission.stages)) mission.stages.forEach(remapDelivery);
+            };
+            (state.missions || []).forEach(remapMission);
+            Object.values(state.stationMissions || {}).forEach(board => {
+                if (Array.isArray(board)) board.forEach(remapMission);
+            });
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.6',
+        description: 'Pirates, loot drops and shields',
+        migrate(save) {
+            // No pirates or loot out yet - the shield starts charged (see restorePirates())
+            if (!Array.isArray(save.pirates)) save.pirates = [];
+            if (!Array.isArray(save.lootDrops)) save.lootDrops = [];
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.7',
+        description: 'Asteroid composition and advanced scan analysis',
+        migrate(save) {
+            // Older rocks get a composition rolled on load and start unanalysed
+            if (Array.isArray(save.asteroids)) {
+                save.asteroids.forEach(asteroid => {
+                    if (typeof asteroid.analysed !== 'boolean') asteroid.analysed = false;
+                });
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.8',
+        description: 'Player outposts',
+        migrate(save) {
+            // No outposts founded yet
+            if (save.gameState && !Array.isArray(save.gameState.outposts)) {
+                save.gameState.outposts = [];
+                save.gameState.nextOutpostId = 1;
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.9',
+        description: 'Scheduled sector events',
+        migrate(save) {
+            // The sector's event schedule starts fresh - no showers, storms or derelicts yet
+            if (save.gameState && (!save.gameState.sectorEvents || typeof save.gameState.sectorEvents !== 'object')) {
+                save.gameState.sectorEvents = createSectorEventSchedule();
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.10',
+        description: 'Local co-op wingmate',
+        migrate(save) {
+            // Older saves were always single player
+            if (!save.coop) {
+                save.coop = { active: false, ship: null };
+            }
+            
+            return save;
+        }
+    },
+    {
+        to: '0.9.11',
+        description: 'Station ore stockpiles',
+        migrate(save) {
+            // Stockpiles are filled in by restoreStationMarket() on load, starting full.
+            // NPC holds now unload into them - miners saved without one get an empty hold.
+            if (Array.isArray(save.npcMiners)) {
+                save.npcMiners.forEach(npc => {
+                    if (!npc.inventory) npc.inventory = {};
+                });
+            }
+            
+            return save;
+        }
+    }
+];
+
+// Dotted path -> rule. 'default' repairs a missing/invalid value, 'required' without a default refuses the save
+const SAVE_SCHEMA = {
+    'gameState': { type: 'object', required: true },
+    'player': { type: 'object', required: true },
+    'gameState.credits': { type: 'number', min: 0, default: 0 },
+    'gameState.sector': { type: 'number', min: 1, integer: true, required: true },
+    'gameState.sectorsExplored': { type: 'number', min: 1, integer: true, default: 1 },
+    'gameState.sectorId': { type: 'number', min: 1, integer: true, default: 1 },
+    'gameState.visitedSectors': { type: 'array', default: () => [1] },
+    'gameState.sectorStates': { type: 'object', default: () => ({}) },
+    'gameState.worldSeed': { type: 'number', integer: true, default: () => generateWorldSeed() },
+    'gameState.missions': { type: 'array', default: () => [] },
+    'gameState.stationMissions': { type: 'object', default: () => ({}) },
+    'gameState.nextMissionId': { type: 'number', min: 1, integer: true, default: 1 },
+    'gameState.contractLog': { type: 'array', default: () => [] },
+    'gameState.refineryJobs': { type: 'array', default: () => [] },
+    'gameState.nextRefineryJobId': { type: 'number', min: 1, integer: true, default: 1 },
+    'gameState.outposts': { type: 'array', default: () => [] },
+    'gameState.nextOutpostId': { type: 'number', min: 1, integer: true, default: 1 },
+    'gameState.sectorEvents': { type: 'object', default: () => createSectorEventSchedule() },
+    'gameState.factionStanding': { type: 'object', default: () => ({}) },
+    'gameState.stats': { type: 'object', default: () => ({}) },
+    'player.x': { type: 'number', required: true },
+    'player.y': { type: 'number', required: true },
+    'player.vx': { type: 'number', default: 0 },
+    'player.vy': { type: 'number', default: 0 },
+    'player.angle': { type: 'number', default: 0 },
+    'coop': { type: 'object', default: () => ({ active: false, ship: null }) },
+    'coop.active': { type: 'boolean', default: false },
+    'stations': { type: 'array', default: () => [] },
+    'loadout': { type: 'object', default: () => createLoadout() },
+    'loadout.hull': { type: 'string', default: 'skiff' },
+    'loadout.slots': { type: 'array', default: () => [] },
+    'loadout.stored': { type: 'array', default: () => [] },
+    'resources': { type: 'object', default: () => ({}) },
+    'resources.hull': { type: 'number', min: 0, default: 100 },
+    'resources.fuel': { type: 'number', min: 0, default: 100 },
+    'resources.cargo': { type: 'number', min: 0, integer: true, default: 0 },
+    'resources.inventory': { type: 'object', default: () => ({}) },
+    'resources.components': { type: 'object', default: () => ({}) },
+    'prestige': { type: 'object', default: () => ({}) },
+    'prestige.level': { type: 'number', min: 0, integer: true, default: 0 },
+    'prestige.bonus': { type: 'number', min: 0, default: 0 },
+    'viewport': { type: 'object', default: () => ({}) },
+    'viewport.zoom': { type: 'number', min: 0.1, default: 1.5 }
+};
+
+// Read all saves. A blob that fails to parse is copied to a backup key and left in place,
+// so one bad write can't wipe every save. Returns null when the saves can't be read.
+function readSaves() {
+    const savesString = localStorage.getItem(SAVES_STORAGE_KEY) || '{}';
     
-    // Initialize save/load functionality
-    initSaveLoad();
+    try {
+        const saves = JSON.parse(savesString);
+        if (!saves || typeof saves !== 'object' || Array.isArray(saves)) {
+            throw new Error('Save storage is not an object');
+        }
+        return saves;
+    } catch (parseError) {
+        console.error('Failed to parse save data, backing up corrupted saves:', parseError);
+        localStorage.setItem(CORRUPT_SAVES_BACKUP_KEY, savesString);
+        return null;
+    }
 }
 
-// ================================
-// SHIP CUSTOMIZATION MODAL
-// ================================
+function getSchemaType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
 
-function initCustomization() {
-    const applyBtn = document.getElementById('customizeApply');
-    const cancelBtn = document.getElementById('customizeCancel');
-    const presetButtons = document.querySelectorAll('.preset-btn');
-    
-    applyBtn.addEventListener('click', applyShipCustomization);
-    cancelBtn.addEventListener('click', closeShipCustomization);
-    
-    // Add preset button handlers
-    presetButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const presetName = btn.dataset.preset;
-            applyColorPreset(presetName);
-        });
-    });
+// Check one save against SAVE_SCHEMA, repairing what it can (mutates the save)
+function validateSaveData(save) {
+    const repairs = [];
+    const errors = [];
     
-    // Color swatch button handlers
-    const swatchButtons = [
-        'swatchPrimary',
-        'swatchSecondary',
-        'swatchAccent',
-        'swatchThruster'
-    ];
+    if (getSchemaType(save) !== 'object') {
+        return { valid: false, repairs, errors: ['Save is not an object'] };
+    }
     
-    swatchButtons.forEach(id => {
-        const btn = document.getElementById(id);
-        if (btn) {
-            btn.addEventListener('click', () => {
-                const colorType = btn.dataset.colorType;
-                openColorPicker(colorType);
-            });
+    for (const [path, rule] of Object.entries(SAVE_SCHEMA)) {
+        const keys = path.split('.');
+        const field = keys.pop();
+        const parent = keys.reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), save);
+        
+        // Parent already reported (missing required object)
+        if (!parent || typeof parent !== 'object') continue;
+        
+        const value = parent[field];
+        let problem = null;
+        
+        if (getSchemaType(value) !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+            problem = value === undefined ? 'missing' : `expected ${rule.type}`;
+        } else if (rule.integer && !Number.isInteger(value)) {
+            problem = 'expected integer';
+        } else if (rule.min !== undefined && value < rule.min) {
+            problem = `below minimum ${rule.min}`;
+        } else if (rule.max !== undefined && value > rule.max) {
+            problem = `above maximum ${rule.max}`;
         }
-    });
+        
+        if (!problem) continue;
+        
+        if (rule.default !== undefined) {
+            // Clamp out-of-range numbers, otherwise fall back to the default
+            if (rule.type === 'number' && Number.isFinite(value)) {
+                let fixed = rule.integer ? Math.round(value) : value;
+                if (rule.min !== undefined) fixed = Math.max(rule.min, fixed);
+                if (rule.max !== undefined) fixed = Math.min(rule.max, fixed);
+                parent[field] = fixed;
+            } else {
+                parent[field] = typeof rule.default === 'function' ? rule.default() : rule.default;
+            }
+            repairs.push(`${path} (${problem})`);
+        } else if (rule.required) {
+            errors.push(`${path} (${problem})`);
+        }
+    }
     
-    // Color picker modal handlers
-    const colorPickerClose = document.getElementById('colorPickerClose');
-    if (colorPickerClose) {
-        colorPickerClose.addEventListener('click', closeColorPicker);
+    return { valid: errors.length === 0, repairs, errors };
+}
+
+// Run every migration newer than the save's version, then validate the result.
+// Works on a copy - the stored save is only replaced once the result is known to be good.
+function prepareSaveData(rawSave) {
+    let save;
+    try {
+        save = JSON.parse(JSON.stringify(rawSave));
+    } catch (e) {
+        return { ok: false, saveData: null, steps: [], repairs: [], errors: ['Save could not be copied'] };
     }
     
-    // Custom hex input handler
-    const applyCustomHex = document.getElementById('applyCustomHex');
-    const customHexInput = document.getElementById('customHexInput');
+    if (getSchemaType(save) !== 'object') {
+        return { ok: false, saveData: null, steps: [], repairs: [], errors: ['Save is not an object'] };
+    }
     
-    if (applyCustomHex && customHexInput) {
-        applyCustomHex.addEventListener('click', () => {
-            let hex = customHexInput.value.trim();
-            // Add # if missing
-            if (!hex.startsWith('#')) {
-                hex = '#' + hex;
-            }
-            selectColor(hex);
-        });
-        
-        // Also allow Enter key to apply
-        customHexInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                let hex = customHexInput.value.trim();
-                if (!hex.startsWith('#')) {
-                    hex = '#' + hex;
-                }
-                selectColor(hex);
+    // Saves without a version predate versioning entirely
+    const fromVersion = typeof save.version === 'string' ? save.version : '0.0.0';
+    const steps = [];
+    
+    try {
+        for (const step of SAVE_MIGRATIONS) {
+            if (compareVersions(fromVersion, step.to) < 0) {
+                save = step.migrate(save);
+                steps.push(`${step.to}: ${step.description}`);
             }
-        });
+        }
+    } catch (e) {
+        console.error('Save migration failed:', e);
+        return { ok: false, saveData: null, steps, repairs: [], errors: [`Migration failed: ${e.message}`] };
+    }
+    
+    // Newer saves keep their version so they aren't mislabelled as current
+    if (compareVersions(fromVersion, GAME_VERSION) < 0) {
+        save.version = GAME_VERSION;
     }
+    
+    const { valid, repairs, errors } = validateSaveData(save);
+    return { ok: valid, saveData: save, fromVersion, steps, repairs, errors };
 }
 
 // ================================
 // SAVE/LOAD SYSTEM
 // ================================
 
-function saveGame(saveName) {
+// Snapshot of everything a save holds. Shares references with the live state - copy it
+// before keeping it around (saveGame() serializes it straight away).
+function createSaveData() {
     // Only save essential data that can't be inferred
-    const saveData = {
+    return {
         version: GAME_VERSION,
         timestamp: Date.now(),
         shipName: shipName,
@@ -3493,10 +6044,21 @@ function saveGame(saveName) {
             sector: gameState.sector,
             sectorName: gameState.sectorName,
             sectorsExplored: gameState.sectorsExplored,
+            sectorId: gameState.sectorId,
+            visitedSectors: gameState.visitedSectors,
+            sectorStates: gameState.sectorStates,
+            worldSeed: gameState.worldSeed,  // Save world seed for reproducible sectors
             firstRefuelUsed: gameState.firstRefuelUsed,  // Save first refuel flag
             missions: gameState.missions,  // Save active missions
             stationMissions: gameState.stationMissions,  // Save station-specific missions
+            factionStanding: gameState.factionStanding,  // Save standing with each station
             nextMissionId: gameState.nextMissionId,  // Save mission ID counter
+            contractLog: gameState.contractLog,  // Save contract log entries
+            refineryJobs: gameState.refineryJobs.map(job => ({ ...job })),  // Save refinery queues
+            nextRefineryJobId: gameState.nextRefineryJobId,  // Save refinery job ID counter
+            outposts: gameState.outposts.map(outpost => ({ ...outpost, modules: { ...outpost.modules }, silo: { ...outpost.silo } })),
+            nextOutpostId: gameState.nextOutpostId,
+            sectorEvents: gameState.sectorEvents,
             stats: {
                 totalMined: gameState.stats.totalMined,
                 distanceTraveled: gameState.stats.distanceTraveled,
@@ -3505,6 +6067,10 @@ function saveGame(saveName) {
                 sectorsVisited: gameState.stats.sectorsVisited,
                 playTime: gameState.stats.playTime,
                 creditsEarned: gameState.stats.creditsEarned,
+                piratesDestroyed: gameState.stats.piratesDestroyed || 0,
+                meteorsMined: gameState.stats.meteorsMined || 0,
+                derelictsSalvaged: gameState.stats.derelictsSalvaged || 0,
+                stormTime: gameState.stats.stormTime || 0,
                 mineralsMined: gameState.stats.mineralsMined || {}
             }
         },
@@ -3523,6 +6089,11 @@ function saveGame(saveName) {
             }
             // Don't save isMining or miningTargets - runtime state
         },
+        // Player 2's ship - kept while nobody is flying it
+        coop: {
+            active: coopState.active,
+            ship: coopState.ship ? getWingmateSaveData(coopState.ship) : null
+        },
         stations: stations.map(st => ({
             x: st.x,
             y: st.y,
@@ -3535,29 +6106,22 @@ function saveGame(saveName) {
             size: st.size,
             dockingRange: st.dockingRange,
             rotationSpeed: st.rotationSpeed,
-            pullStrength: st.pullStrength
+            pullStrength: st.pullStrength,
+            market: st.market  // Supply/demand state, price history and ore stockpile
         })),
-        upgrades: {
-            // Upgrade values determine ship's visual appearance (thrusters, cargo pods, lasers, etc.)
-            // Ship rendering in renderPlayer() reads these values to display upgrade decorations
-            speed: gameState.upgrades.speed,
-            cargo: gameState.upgrades.cargo,
-            mining: gameState.upgrades.mining,
-            hull: gameState.upgrades.hull,
-            fuelCapacity: gameState.upgrades.fuelCapacity,
-            fuelEfficiency: gameState.upgrades.fuelEfficiency,
-            range: gameState.upgrades.range,
-            multiMining: gameState.upgrades.multiMining,
-            advancedScanner: gameState.upgrades.advancedScanner,
-            scanRange: gameState.upgrades.scanRange,
-            scanCooldown: gameState.upgrades.scanCooldown,
-            cargoDrone: gameState.upgrades.cargoDrone
+        // Upgrade levels (which also drive the ship's decorations in renderPlayer()) are derived from this
+        loadout: {
+            hull: gameState.loadout.hull,
+            slots: gameState.loadout.slots.map(module => module && { ...module }),
+            stored: gameState.loadout.stored.map(module => ({ ...module }))
         },
         resources: {
             hull: gameState.hull,
+            shield: gameState.shield,
             fuel: gameState.fuel,
             cargo: gameState.cargo,
-            inventory: {...gameState.inventory}
+            inventory: {...gameState.inventory},
+            components: {...gameState.components}
         },
         prestige: {
             level: gameState.prestige,
@@ -3568,10 +6132,7 @@ function saveGame(saveName) {
             targetZoom: viewport.targetZoom,
             // x and y will be recalculated based on player position
         },
-        world: {
-            width: CONFIG.worldWidth,
-            height: CONFIG.worldHeight
-        },
+        world: getWorldBounds(),
         autoMiningEnabled: autoMiningEnabled, // Save auto-mining toggle state
         cargoDrone: cargoDrone ? {
             x: cargoDrone.x,
@@ -3586,6 +6147,7 @@ function saveGame(saveName) {
             state: cargoDrone.state,
             cargo: cargoDrone.cargo,
             cargoAmount: cargoDrone.cargoAmount,
+            targetOutpostId: cargoDrone.targetOutpostId,
             credits: cargoDrone.credits,
             dockTime: cargoDrone.dockTime
         } : null,
@@ -3643,7 +6205,11 @@ function saveGame(saveName) {
             rotation: ast.rotation,
             rotationSpeed: ast.rotationSpeed,
             geometry: ast.geometry,
-            originalGeometry: ast.originalGeometry
+            originalGeometry: ast.originalGeometry,
+            composition: ast.composition,
+            analysed: ast.analysed,
+            seedIndex: ast.seedIndex,  // Place in the sector's seeded field (depletion tracking)
+            meteor: ast.meteor
         })),
         hazards: hazards.map(haz => ({
             x: haz.x,
@@ -3654,928 +6220,1485 @@ function saveGame(saveName) {
             type: haz.type,
             rotation: haz.rotation,
             rotationSpeed: haz.rotationSpeed
-        }))
+        })),
+        pirates: pirates.map(pirate => ({ ...pirate, inventory: { ...pirate.inventory } })),
+        lootDrops: lootDrops.map(loot => ({ ...loot, inventory: { ...loot.inventory } }))
         // Don't save stars - will be regenerated (visual only, no gameplay impact)
         // Don't save UI state, particle effects, scanState, or other runtime data
     };
+}
+
+function saveGame(saveName) {
+    const saveData = createSaveData();
+    
+    try {
+        // Unreadable saves were already backed up by readSaves(), start fresh
+        const saves = readSaves() || {};
+        
+        saves[saveName] = saveData;
+        localStorage.setItem(SAVES_STORAGE_KEY, JSON.stringify(saves));
+        
+        // Also create/update AutoSave (except when saving to AutoSave itself to avoid recursion)
+        if (saveName !== 'AutoSave') {
+            saves['AutoSave'] = saveData;
+            localStorage.setItem(SAVES_STORAGE_KEY, JSON.stringify(saves));
+        }
+        
+        return true;
+    } catch (e) {
+        console.error('Failed to save game:', e);
+        return false;
+    }
+}
+
+function loadGame(saveName) {
+    try {
+        const saves = readSaves();
+        
+        if (!saves) {
+            logMessage('ERROR: Save data corrupted. A backup was kept, no saves were deleted.', 'error');
+            return false;
+        }
+        
+        if (!saves[saveName]) {
+            console.error('Save not found:', saveName);
+            return false;
+        }
+        
+        // Migrate to the current format and validate before touching any game state
+        const prepared = prepareSaveData(saves[saveName]);
+        const saveVersion = prepared.fromVersion || 'unknown';
+        console.log(`Loading save: ${saveName} (Version: ${saveVersion}, Current: ${GAME_VERSION})`);
+        
+        if (!prepared.ok) {
+            logMessage(`ERROR: Save "${saveName}" is corrupted and was not loaded.`, 'error');
+            prepared.errors.forEach(error => logMessage(`  Invalid: ${error}`, 'error'));
+            console.error('Save validation failed:', saveName, prepared.errors);
+            return false;
+        }
+        
+        const saveData = prepared.saveData;
+        
+        if (prepared.steps.length > 0) {
+            logMessage(`⚠ Migrated save from v${saveVersion} to v${GAME_VERSION}.`);
+            prepared.steps.forEach(step => console.log(`Save migration applied: ${step}`));
+        } else if (compareVersions(saveVersion, GAME_VERSION) > 0) {
+            logMessage(`⚠ Loading newer save (v${saveVersion}). Attempting compatibility...`);
+            console.warn(`Save version ${saveVersion} is newer than current version ${GAME_VERSION}`);
+        } else {
+            logMessage(`✓ Save version matches (v${GAME_VERSION})`);
+        }
+        
+        if (prepared.repairs.length > 0) {
+            logMessage(`⚠ Repaired ${prepared.repairs.length} invalid field(s) in save "${saveName}".`);
+            console.warn('Save repairs:', prepared.repairs);
+        }
+        
+        // Store the migrated save so the steps only run once
+        if (prepared.steps.length > 0 || prepared.repairs.length > 0) {
+            saves[saveName] = saveData;
+            localStorage.setItem(SAVES_STORAGE_KEY, JSON.stringify(saves));
+        }
+        
+        applySaveData(saveData);
+        refreshUIAfterLoad();
+        requestReplayKeyframe();
+        
+        return true;
+    } catch (e) {
+        console.error('Failed to load game:', e);
+        return false;
+    }
+}
+
+// Put a migrated, validated save (see prepareSaveData()) into the running game
+function applySaveData(saveData) {
+    // Restore ship name
+    shipName = saveData.shipName || 'PROSPECTOR-1';
+    
+    // Restore game state
+    gameState.credits = saveData.gameState.credits;
+    gameState.sector = saveData.gameState.sector;
+    gameState.sectorName = saveData.gameState.sectorName || `ALPHA-${String(saveData.gameState.sector).padStart(3, '0')}`;
+    gameState.sectorsExplored = saveData.gameState.sectorsExplored || saveData.gameState.sector;
+    // Older saves have no world seed - roll a new one (only affects sectors generated from now on)
+    gameState.worldSeed = typeof saveData.gameState.worldSeed === 'number' ? saveData.gameState.worldSeed : generateWorldSeed();
+    gameState.sectorId = saveData.gameState.sectorId;
+    gameState.visitedSectors = saveData.gameState.visitedSectors;
+    gameState.sectorStates = saveData.gameState.sectorStates;
+    gameState.firstRefuelUsed = saveData.gameState.firstRefuelUsed || false;  // Load first refuel flag
+    
+    // Restore missions (with fallback for older saves)
+    gameState.missions = saveData.gameState.missions || [];
+    gameState.stationMissions = saveData.gameState.stationMissions || {};
+    gameState.factionStanding = saveData.gameState.factionStanding;
+    gameState.nextMissionId = saveData.gameState.nextMissionId || 1;
+    gameState.contractLog = saveData.gameState.contractLog || [];
+    
+    // Restore refinery queues (jobs for recipes that no longer exist are dropped)
+    gameState.refineryJobs = (saveData.gameState.refineryJobs || []).filter(job => REFINERY_RECIPES[job.recipe]);
+    gameState.nextRefineryJobId = saveData.gameState.nextRefineryJobId || 1;
+    
+    // Restore outposts
+    gameState.outposts = (saveData.gameState.outposts || []).map(outpost => ({ ...outpost, modules: { ...outpost.modules }, silo: { ...outpost.silo } }));
+    gameState.nextOutpostId = saveData.gameState.nextOutpostId || 1;
+    
+    // Restore sector events (older saves start a fresh schedule)
+    gameState.sectorEvents = saveData.gameState.sectorEvents || createSectorEventSchedule();
+    
+    // Restore stats (with fallbacks for older saves)
+    if (saveData.gameState.stats) {
+        gameState.stats.totalMined = saveData.gameState.stats.totalMined || 0;
+        gameState.stats.distanceTraveled = saveData.gameState.stats.distanceTraveled || 0;
+        gameState.stats.asteroidsDestroyed = saveData.gameState.stats.asteroidsDestroyed || 0;
+        gameState.stats.hazardsAvoided = saveData.gameState.stats.hazardsAvoided || 0;
+        gameState.stats.sectorsVisited = saveData.gameState.stats.sectorsVisited || 1;
+        gameState.stats.playTime = saveData.gameState.stats.playTime || 0;
+        gameState.stats.creditsEarned = saveData.gameState.stats.creditsEarned || 0;
+        gameState.stats.piratesDestroyed = saveData.gameState.stats.piratesDestroyed || 0;
+        gameState.stats.meteorsMined = saveData.gameState.stats.meteorsMined || 0;
+        gameState.stats.derelictsSalvaged = saveData.gameState.stats.derelictsSalvaged || 0;
+        gameState.stats.stormTime = saveData.gameState.stats.stormTime || 0;
+        gameState.stats.mineralsMined = saveData.gameState.stats.mineralsMined || {};
+    }
+    
+    // Restore player
+    player.x = saveData.player.x;
+    player.y = saveData.player.y;
+    player.vx = saveData.player.vx;
+    player.vy = saveData.player.vy;
+    player.angle = saveData.player.angle;
+    player.size = saveData.player.size || 36;
+    player.isMining = false;
+    player.miningTargets = [];
+    player.miningTarget = null;
+    player.miningProgress = 0;
+    player.isManuallyControlled = false;
+    
+    // Restore ship colors (with defaults if not present in save)
+    if (saveData.player.colors) {
+        player.colors.primary = saveData.player.colors.primary || '#e0e0e0';
+        player.colors.secondary = saveData.player.colors.secondary || '#808080';
+        player.colors.accent = saveData.player.colors.accent || '#c0c0c0';
+        player.colors.thruster = saveData.player.colors.thruster || '#ff6600';
+    }
+    
+    // Restore stations array
+    if (saveData.stations && saveData.stations.length > 0) {
+        // Load stations from save with full state restoration
+        stations = saveData.stations.map(st => {
+            const station = createStation(
+                st.x, st.y, st.vx, st.vy,
+                st.colorScheme || STATION_COLORS[2],
+                st.name || 'Deep Space 9',
+                st.isDocked || false
+            );
+            // Restore rotation state
+            station.rotation = st.rotation || 0;
+            station.rotationSpeed = st.rotationSpeed || 0.001;
+            station.pullStrength = st.pullStrength || 0.25;
+            station.size = st.size || 100;
+            station.dockingRange = st.dockingRange || 100;
+            station.market = restoreStationMarket(st.market);
+            return station;
+        });
+    } else {
+        // No station data in save - generate new stations
+        initStationState();
+    }
+    
+    // Restore the loadout - upgrade levels and max cargo/hull/fuel follow from its modules
+    gameState.loadout = restoreLoadout(saveData.loadout);
+    applyLoadout(gameState);
+    
+    // Restore resources
+    gameState.hull = saveData.resources.hull;
+    gameState.shield = typeof saveData.resources.shield === 'number' ? Math.min(saveData.resources.shield, gameState.maxShield) : gameState.maxShield;
+    gameState.shieldRegenDelay = 0;
+    gameState.fuel = saveData.resources.fuel;
+    gameState.cargo = saveData.resources.cargo;
+    gameState.inventory = {...saveData.resources.inventory};
+    gameState.components = {...saveData.resources.components};
+    
+    // Restore prestige
+    gameState.prestige = saveData.prestige.level;
+    gameState.prestigeBonus = saveData.prestige.bonus;
+    
+    // Restore player 2's ship (after the loadout - its tank and hold sizes follow it)
+    restoreCoop(saveData.coop);
+    
+    // Restore viewport with both zoom and targetZoom
+    viewport.zoom = saveData.viewport.zoom || 1.5;
+    viewport.targetZoom = saveData.viewport.targetZoom || saveData.viewport.zoom || 1.5;
+    viewport.x = player.x - (VIEWPORT_REFERENCE.WIDTH / 2) / viewport.zoom;
+    viewport.y = player.y - (VIEWPORT_REFERENCE.HEIGHT / 2) / viewport.zoom;
+    
+    // Restore world size (with fallback calculation for older saves)
+    if (saveData.world) {
+        CONFIG.worldWidth = saveData.world.width;
+        CONFIG.worldHeight = saveData.world.height;
+    } else {
+        // Calculate world size based on sector for older saves
+        CONFIG.worldWidth = CONFIG.baseWorldWidth + (gameState.sector - 1) * 250;
+        CONFIG.worldHeight = CONFIG.baseWorldHeight + (gameState.sector - 1) * 250;
+    }
+    
+    // The workers outlive a load - tell the NPC worker the loaded world's bounds
+    if (simWorkerReady.npc) {
+        postWorkerMessage(npcWorker, 'updateConfig', {
+            worldWidth: CONFIG.worldWidth,
+            worldHeight: CONFIG.worldHeight
+        });
+    }
+    
+    // Restore auto-mining toggle state
+    if (saveData.autoMiningEnabled !== undefined) {
+        autoMiningEnabled = saveData.autoMiningEnabled;
+        updateAutoMineButton();
+    }
+    
+    // Restore cargo drone if it was active
+    if (saveData.cargoDrone) {
+        const droneData = saveData.cargoDrone;
+        // Find the target station by name
+        const targetStation = droneData.targetStation ? 
+            stations.find(st => st.name === droneData.targetStation.name && 
+                           Math.abs(st.x - droneData.targetStation.x) < 10 && 
+                           Math.abs(st.y - droneData.targetStation.y) < 10) : null;
+        const targetOutpost = droneData.targetOutpostId ?
+            gameState.outposts.find(outpost => outpost.id === droneData.targetOutpostId) : null;
+        
+        cargoDrone = {
+            x: droneData.x,
+            y: droneData.y,
+            vx: droneData.vx,
+            vy: droneData.vy,
+            targetStation: targetOutpost || targetStation || stations[0], // Fallback to first station if not found
+            targetOutpostId: targetOutpost ? targetOutpost.id : null,
+            state: droneData.state || 'traveling',
+            cargo: droneData.cargo || {},
+            cargoAmount: droneData.cargoAmount || 0,
+            credits: droneData.credits || 0,
+            dockTime: droneData.dockTime || 0,
+            dockDuration: 1000,
+            size: 15,
+            speed: 3.5
+        };
+    } else {
+        cargoDrone = null;
+    }
+    
+    // Restore recent station names
+    recentStationNames = saveData.recentStationNames || [];
+    
+    // Restore NPC miners if saved
+    if (saveData.npcMiners && Array.isArray(saveData.npcMiners)) {
+        npcMiners = saveData.npcMiners.map(npcData => {
+            // Find the home station by name and position
+            const homeStation = stations.find(st => 
+                st.name === npcData.homeStationName &&
+                Math.abs(st.x - npcData.homeStationX) < 10 &&
+                Math.abs(st.y - npcData.homeStationY) < 10
+            );
+            
+            // Skip this NPC if station not found (shouldn't happen)
+            if (!homeStation) {
+                console.warn('Could not find home station for NPC:', npcData.name);
+                return null;
+            }
+            
+            return {
+                id: npcData.id,
+                x: npcData.x,
+                y: npcData.y,
+                vx: npcData.vx,
+                vy: npcData.vy,
+                angle: npcData.angle,
+                angularVelocity: npcData.angularVelocity || 0,
+                departureAngle: npcData.departureAngle || (Math.random() * Math.PI * 2),
+                size: npcData.size,
+                homeStation: homeStation,
+                cargo: npcData.cargo,
+                maxCargo: npcData.maxCargo,
+                state: npcData.state,
+                dockedUntil: npcData.dockedUntil || 0,
+                targetAsteroid: null,  // Will be restored after asteroids are loaded
+                targetAsteroidIndex: npcData.targetAsteroidIndex,  // Temp storage for index
+                miningProgress: npcData.miningProgress,
+                miningSpeed: npcData.miningSpeed,
+                colors: {
+                    primary: npcData.colors.primary,
+                    secondary: npcData.colors.secondary,
+                    accent: npcData.colors.accent,
+                    thruster: npcData.colors.thruster
+                },
+                name: npcData.name,
+                // Restore personality
+                personality: npcData.personality || 'efficient',
+                personalityTraits: npcData.personalityTraits || NPC_PERSONALITIES.efficient.traits,
+                // Restore interaction system
+                proximityToPlayer: Infinity,
+                playerInRange: false,
+                lastPlayerProximityChange: 0,
+                lastMessageTime: 0,
+                messageQueue: [],
+                reputation: npcData.reputation || 0,
+                inventory: npcData.inventory || {}, // Initialize empty inventory if not saved
+                lastInteractionTime: 0,
+                awarenessIndicator: null,
+                // Restore tracking properties
+                trackingTarget: null,  // Will be restored after asteroids are loaded
+                trackingTargetIndex: npcData.trackingTargetIndex || -1,
+                trackingStartDist: npcData.trackingStartDist || 0,
+                trackingStartTime: npcData.trackingStartTime || 0,
+                trackingDuration: npcData.trackingDuration || (1000 + Math.random() * 1000),
+                seekingTimer: npcData.seekingTimer || (Math.random() * 500)
+            };
+        }).filter(npc => npc !== null);  // Remove any NPCs that couldn't be restored
+    } else {
+        // No saved NPCs or old save format - spawn new ones
+        npcMiners = [];
+    }
+    
+    // Reset fuel warnings
+    fuelWarnings.warning50.triggered = false;
+    fuelWarnings.warning50.timestamp = 0;
+    fuelWarnings.warning25.triggered = false;
+    fuelWarnings.warning25.timestamp = 0;
+    
+    // Reset scan state to defaults
+    scanState.active = false;
+    scanState.waveRadius = 0;
+    scanState.detectedItems = [];
+    scanState.startTime = 0;
+    scanState.cooldown = 0;
+    
+    // Restore asteroids and hazards if saved, otherwise generate new ones
+    if (saveData.asteroids && saveData.hazards) {
+        asteroids = saveData.asteroids.map(ast => ({
+            x: ast.x,
+            y: ast.y,
+            vx: ast.vx,
+            vy: ast.vy,
+            radius: ast.radius,
+            type: ast.type,
+            health: ast.health,
+            maxHealth: ast.maxHealth,
+            value: ast.value,
+            rotation: ast.rotation,
+            rotationSpeed: ast.rotationSpeed,
+            geometry: ast.geometry,
+            originalGeometry: ast.originalGeometry,
+            composition: ast.composition || createAsteroidCompositionAt(ast.type, ast.x, ast.y),
+            analysed: ast.analysed || false,
+            seedIndex: ast.seedIndex,
+            meteor: ast.meteor || false
+        }));
+        
+        hazards = saveData.hazards.map(haz => ({
+            id: haz.id || nextHazardId++, // Use existing ID or assign new one
+            x: haz.x,
+            y: haz.y,
+            vx: haz.vx,
+            vy: haz.vy,
+            radius: haz.radius,
+            type: haz.type,
+            rotation: haz.rotation,
+            rotationSpeed: haz.rotationSpeed
+        }));
+    } else {
+        // Old save format or missing data - generate new sector
+        generateSector();
+    }
+    
+    restorePirates(saveData);
+    
+    // Restore NPC target asteroid references (now that asteroids are loaded)
+    for (const npc of npcMiners) {
+        if (npc.targetAsteroidIndex >= 0 && npc.targetAsteroidIndex < asteroids.length) {
+            npc.targetAsteroid = asteroids[npc.targetAsteroidIndex];
+        } else {
+            npc.targetAsteroid = null;
+        }
+        // Restore tracking target reference
+        if (npc.trackingTargetIndex >= 0 && npc.trackingTargetIndex < asteroids.length) {
+            npc.trackingTarget = asteroids[npc.trackingTargetIndex];
+        } else {
+            npc.trackingTarget = null;
+        }
+        // Clean up the temporary index properties
+        delete npc.targetAsteroidIndex;
+        delete npc.trackingTargetIndex;
+    }
+    
+    // Clear particles and floating text (runtime visual effects)
+    clearParticles();
+    floatingText = [];
+    
+    // Reset game flags
+    gameState.isPaused = false;
+    gameState.isAtStation = false;
+}
+
+// Redraw the HUD and panels for a save applied mid-game (at boot initGame() does this)
+function refreshUIAfterLoad() {
+    // Mark all UI as dirty after loading
+    markUIDirty('credits', 'cargo', 'hull', 'fuel', 'inventory', 'missions', 'upgrades', 'station', 'refinery', 'prestige');
     
+    // Update UI
+    updateUI();
+    updateMiningLasersDisplay(); // Initialize the laser display after loading
+    updateMissionsDisplay(); // Update missions display after loading
+    
+    // Check if player is docked and update mission board if needed
+    const dockedStation = stations.find(s => s.isDocked);
+    if (dockedStation) {
+        updateMissionBoard(dockedStation.name, dockedStation.colorScheme);
+    }
+}
+
+function loadGameData(saveName) {
+    // Load game data without updating UI
+    // Used for auto-loading before boot sequence
     try {
-        const savesString = localStorage.getItem('asteroidMinerSaves') || '{}';
-        let saves;
+        const saves = readSaves();
+        
+        if (!saves || !saves[saveName]) {
+            return false;
+        }
         
-        try {
-            saves = JSON.parse(savesString);
-        } catch (parseError) {
-            console.error('Failed to parse existing saves, starting fresh:', parseError);
-            saves = {};
+        // Migrate and validate first - a corrupted AutoSave falls back to a fresh game
+        const prepared = prepareSaveData(saves[saveName]);
+        
+        if (!prepared.ok) {
+            console.error('Save validation failed:', saveName, prepared.errors);
+            return false;
         }
         
-        saves[saveName] = saveData;
-        localStorage.setItem('asteroidMinerSaves', JSON.stringify(saves));
+        const saveData = prepared.saveData;
         
-        // Also create/update AutoSave (except when saving to AutoSave itself to avoid recursion)
-        if (saveName !== 'AutoSave') {
-            saves['AutoSave'] = saveData;
-            localStorage.setItem('asteroidMinerSaves', JSON.stringify(saves));
+        if (prepared.steps.length > 0 || prepared.repairs.length > 0) {
+            console.log(`Migrated save ${saveName} from v${prepared.fromVersion}:`, prepared.steps, prepared.repairs);
+            saves[saveName] = saveData;
+            localStorage.setItem(SAVES_STORAGE_KEY, JSON.stringify(saves));
         }
         
+        // Same restore path as loadGame() - initGame() builds the UI and any missing sector later
+        applySaveData(saveData);
+        
+        offlineReport = applyOfflineProgress(saveData.timestamp);
+        
         return true;
     } catch (e) {
-        console.error('Failed to save game:', e);
+        console.error('Failed to load game data:', e);
         return false;
     }
 }
 
-function loadGame(saveName) {
+function deleteSave(saveName) {
     try {
-        const savesString = localStorage.getItem('asteroidMinerSaves') || '{}';
-        let saves;
-        
-        try {
-            saves = JSON.parse(savesString);
-        } catch (parseError) {
-            console.error('Failed to parse save data, clearing corrupted saves:', parseError);
-            localStorage.removeItem('asteroidMinerSaves');
-            logMessage('ERROR: Save data corrupted. Cleared all saves.');
-            return false;
-        }
+        const saves = readSaves();
+        if (!saves) return false;
         
-        const saveData = saves[saveName];
-        
-        if (!saveData) {
-            console.error('Save not found:', saveName);
-            return false;
+        delete saves[saveName];
+        localStorage.setItem(SAVES_STORAGE_KEY, JSON.stringify(saves));
+        return true;
+    } catch (e) {
+        console.error('Failed to delete save:', e);
+        return false;
+    }
+}
+
+function getSaveList() {
+    try {
+        const saves = readSaves();
+        if (!saves) return [];
+        
+        // Flag entries that can't be loaded so the list can still show (and delete) them
+        return Object.keys(saves).map(name => {
+            const prepared = prepareSaveData(saves[name]);
+            if (!prepared.ok) {
+                return { name, corrupt: true, errors: prepared.errors };
+            }
+            return {
+                name,
+                ...saves[name]
+            };
+        });
+    } catch (e) {
+        console.error('Failed to get save list:', e);
+        return [];
+    }
+}
+
+function refreshSaveList() {
+    const saveList = document.getElementById('saveList');
+    const saves = getSaveList();
+    
+    if (saves.length === 0) {
+        saveList.innerHTML = '<div class="info-text dim">No saved games</div>';
+        return;
+    }
+    
+    saveList.innerHTML = saves.map(save => {
+        if (save.corrupt) {
+            return `
+            <div class="save-item">
+                <div class="save-item-info">
+                    <div class="save-item-name">${save.name}</div>
+                    <div class="save-item-details">
+                        <span class="version-warning">CORRUPTED ⚠</span> | ${save.errors.length} invalid field(s)
+                    </div>
+                </div>
+                <div class="save-item-buttons">
+                    <button class="save-item-btn delete" onclick="deleteSaveFromList('${save.name}')">DEL</button>
+                </div>
+            </div>
+        `;
         }
         
-        // Check save version and log compatibility info
-        const saveVersion = saveData.version || '1.0.0';
-        console.log(`Loading save: ${saveName} (Version: ${saveVersion}, Current: ${GAME_VERSION})`);
+        const date = new Date(save.timestamp);
+        const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+        const saveVersion = save.version || '1.0.0';
+        const isCurrentVersion = saveVersion === GAME_VERSION;
+        const versionClass = isCurrentVersion ? '' : 'version-warning';
+        const versionText = isCurrentVersion ? `v${saveVersion}` : `v${saveVersion} ⚠`;
+        const rebirths = save.prestige?.level || 0;
+        const rebirthText = rebirths > 0 ? `Rebirths: ${rebirths} | ` : '';
         
-        if (saveVersion !== GAME_VERSION) {
-            const isOlder = compareVersions(saveVersion, GAME_VERSION) < 0;
-            if (isOlder) {
-                logMessage(`⚠ Loading older save (v${saveVersion}). Some features may not work as expected.`);
-                console.warn(`Save version ${saveVersion} is older than current version ${GAME_VERSION}`);
+        return `
+            <div class="save-item">
+                <div class="save-item-info">
+                    <div class="save-item-name">${save.name}</div>
+                    <div class="save-item-details">
+                        ${rebirthText}Sector ${save.gameState.sector} | ${save.gameState.credits}¢ | <span class="${versionClass}">${versionText}</span> | ${dateStr}
+                    </div>
+                </div>
+                <div class="save-item-buttons">
+                    <button class="save-item-btn" onclick="loadSaveFromList('${save.name}')">LOAD</button>
+                    <button class="save-item-btn delete" onclick="deleteSaveFromList('${save.name}')">DEL</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+window.loadSaveFromList = function(saveName) {
+    if (loadGame(saveName)) {
+        document.getElementById('pauseModal').classList.remove('active');
+        gameState.isPaused = false;
+        showSaveMessage('Game loaded successfully!', 'success');
+    } else {
+        showSaveMessage('Failed to load game', 'error');
+    }
+};
+
+window.deleteSaveFromList = function(saveName) {
+    showConfirm(
+        'DELETE SAVE',
+        `Are you sure you want to delete "${saveName}"?\n\nThis cannot be undone.`,
+        () => {
+            if (deleteSave(saveName)) {
+                refreshSaveList();
+                showSaveMessage('Save deleted', 'success');
             } else {
-                logMessage(`⚠ Loading newer save (v${saveVersion}). Attempting compatibility...`);
-                console.warn(`Save version ${saveVersion} is newer than current version ${GAME_VERSION}`);
+                showSaveMessage('Failed to delete save', 'error');
             }
-        } else {
-            logMessage(`✓ Save version matches (v${GAME_VERSION})`);
         }
-        
-        // Restore ship name
-        shipName = saveData.shipName || 'PROSPECTOR-1';
-        
-        // Restore game state
-        gameState.credits = saveData.gameState.credits;
-        gameState.sector = saveData.gameState.sector;
-        gameState.sectorName = saveData.gameState.sectorName || `ALPHA-${String(saveData.gameState.sector).padStart(3, '0')}`;
-        gameState.sectorsExplored = saveData.gameState.sectorsExplored || saveData.gameState.sector;
-        gameState.firstRefuelUsed = saveData.gameState.firstRefuelUsed || false;  // Load first refuel flag
-        
-        // Restore missions (with fallback for older saves)
-        gameState.missions = saveData.gameState.missions || [];
-        gameState.stationMissions = saveData.gameState.stationMissions || {};
-        gameState.nextMissionId = saveData.gameState.nextMissionId || 1;
-        
-        // Restore stats (with fallbacks for older saves)
-        if (saveData.gameState.stats) {
-            gameState.stats.totalMined = saveData.gameState.stats.totalMined || 0;
-            gameState.stats.distanceTraveled = saveData.gameState.stats.distanceTraveled || 0;
-            gameState.stats.asteroidsDestroyed = saveData.gameState.stats.asteroidsDestroyed || 0;
-            gameState.stats.hazardsAvoided = saveData.gameState.stats.hazardsAvoided || 0;
-            gameState.stats.sectorsVisited = saveData.gameState.stats.sectorsVisited || 1;
-            gameState.stats.playTime = saveData.gameState.stats.playTime || 0;
-            gameState.stats.creditsEarned = saveData.gameState.stats.creditsEarned || 0;
-            gameState.stats.mineralsMined = saveData.gameState.stats.mineralsMined || {};
-        }
-        
-        // Restore player
-        player.x = saveData.player.x;
-        player.y = saveData.player.y;
-        player.vx = saveData.player.vx;
-        player.vy = saveData.player.vy;
-        player.angle = saveData.player.angle;
-        player.size = saveData.player.size || 36;
-        player.isMining = false;
-        player.miningTargets = [];
-        player.miningTarget = null;
-        player.miningProgress = 0;
-        player.isManuallyControlled = false;
-        
-        // Restore ship colors (with defaults if not present in save)
-        if (saveData.player.colors) {
-            player.colors.primary = saveData.player.colors.primary || '#e0e0e0';
-            player.colors.secondary = saveData.player.colors.secondary || '#808080';
-            player.colors.accent = saveData.player.colors.accent || '#c0c0c0';
-            player.colors.thruster = saveData.player.colors.thruster || '#ff6600';
-        }
-        
-        // Restore stations array
-        if (saveData.stations && saveData.stations.length > 0) {
-            // Load stations from save with full state restoration
-            stations = saveData.stations.map(st => {
-                const station = createStation(
-                    st.x, st.y, st.vx, st.vy,
-                    st.colorScheme || STATION_COLORS[2],
-                    st.name || 'Deep Space 9',
-                    st.isDocked || false
-                );
-                // Restore rotation state
-                station.rotation = st.rotation || 0;
-                station.rotationSpeed = st.rotationSpeed || 0.001;
-                station.pullStrength = st.pullStrength || 0.25;
-                station.size = st.size || 100;
-                station.dockingRange = st.dockingRange || 100;
-                return station;
-            });
-        } else if (saveData.station) {
-            // Legacy save with single station - migrate to array
-            const st = saveData.station;
-            stations = [createStation(
-                st.x, st.y, st.vx, st.vy,
-                st.colorScheme || STATION_COLORS[2],
-                st.name || 'Deep Space 9',
-                st.isDocked || false
-            )];
-            stations[0].rotation = st.rotation || 0;
-        } else {
-            // No station data in save - generate new stations
-            initStationState();
-        }
-        
-        // Restore upgrades
-        gameState.upgrades.speed = saveData.upgrades.speed;
-        gameState.upgrades.cargo = saveData.upgrades.cargo;
-        gameState.upgrades.mining = saveData.upgrades.mining;
-        gameState.upgrades.hull = saveData.upgrades.hull;
-        // Handle old 'fuel' upgrade or new separate upgrades
-        gameState.upgrades.fuelCapacity = saveData.upgrades.fuelCapacity || saveData.upgrades.fuel || 1;
-        gameState.upgrades.fuelEfficiency = saveData.upgrades.fuelEfficiency || saveData.upgrades.fuel || 1;
-        gameState.upgrades.range = saveData.upgrades.range;
-        gameState.upgrades.multiMining = saveData.upgrades.multiMining;
-        gameState.upgrades.advancedScanner = saveData.upgrades.advancedScanner || 0;
-        gameState.upgrades.scanRange = saveData.upgrades.scanRange || 1;
-        gameState.upgrades.scanCooldown = saveData.upgrades.scanCooldown || 1;
-        gameState.upgrades.cargoDrone = saveData.upgrades.cargoDrone || 0;
-        
-        // Recalculate max values based on upgrades
-        gameState.maxCargo = 100 + (gameState.upgrades.cargo - 1) * 50;
-        gameState.maxHull = 100 + (gameState.upgrades.hull - 1) * 25;
-        gameState.maxFuel = 100 + (gameState.upgrades.fuelCapacity - 1) * 20;
-        
-        // Restore resources
-        gameState.hull = saveData.resources.hull;
-        gameState.fuel = saveData.resources.fuel;
-        gameState.cargo = saveData.resources.cargo;
-        gameState.inventory = {...saveData.resources.inventory};
-        
-        // Restore prestige
-        gameState.prestige = saveData.prestige.level;
-        gameState.prestigeBonus = saveData.prestige.bonus;
-        
-        // Restore viewport with both zoom and targetZoom
-        viewport.zoom = saveData.viewport.zoom || 1.5;
-        viewport.targetZoom = saveData.viewport.targetZoom || saveData.viewport.zoom || 1.5;
-        viewport.x = player.x - (VIEWPORT_REFERENCE.WIDTH / 2) / viewport.zoom;
-        viewport.y = player.y - (VIEWPORT_REFERENCE.HEIGHT / 2) / viewport.zoom;
-        
-        // Restore world size (with fallback calculation for older saves)
-        if (saveData.world) {
-            CONFIG.worldWidth = saveData.world.width;
-            CONFIG.worldHeight = saveData.world.height;
+    );
+};
+
+function showSaveMessage(message, type = '') {
+    const messageEl = document.getElementById('saveMessage');
+    messageEl.textContent = message;
+    messageEl.className = 'save-message ' + type;
+    setTimeout(() => {
+        messageEl.textContent = '';
+        messageEl.className = 'save-message';
+    }, 3000);
+}
+
+// ================================
+// SAVE BUNDLES
+// ================================
+// Export writes every slot plus the player's settings as a checksummed bundle (see SAVE BUNDLES
+// in the sim). Import shows each slot against the current saves and only merges the slots the
+// player ticks; slots that fail their checksum are flagged and can't be ticked.
+
+const SAVE_BUNDLE_SETTINGS = {
+    theme: 'asteroidMinerTheme',
+    crt: 'asteroidMinerCRT',
+    shipName: 'asteroidMinerShipName',
+    hintClosed: 'asteroidMinerHintClosed'
+};
+
+const IMPORT_STATUS_LABELS = {
+    new: 'NEW',
+    replace: 'REPLACE',
+    same: 'UNCHANGED',
+    tampered: 'TAMPERED ⚠',
+    corrupt: 'CORRUPTED ⚠',
+    local: 'KEEP'
+};
+
+let pendingImport = null; // { slots, settings, rows } read from the file being imported
+
+function readBundleSettings() {
+    const settings = {};
+    Object.keys(SAVE_BUNDLE_SETTINGS).forEach(key => {
+        settings[key] = localStorage.getItem(SAVE_BUNDLE_SETTINGS[key]);
+    });
+    return settings;
+}
+
+function exportSaveBundle() {
+    const saves = readSaves();
+    if (!saves) {
+        showSaveMessage('Save storage is corrupted - nothing to export', 'error');
+        return;
+    }
+    
+    try {
+        const bundle = createSaveBundle(saves, readBundleSettings(), {
+            gameVersion: GAME_VERSION,
+            exportedAt: Date.now()
+        });
+        const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `asteroid-miner-saves-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showSaveMessage('Saves exported successfully!', 'success');
+    } catch (e) {
+        console.error('Failed to export saves:', e);
+        showSaveMessage('Failed to export saves', 'error');
+    }
+}
+
+function openSaveImport(text) {
+    let read;
+    try {
+        read = readSaveBundle(JSON.parse(text));
+    } catch (e) {
+        console.error('Failed to import saves:', e);
+        showSaveMessage('Import file is not valid JSON', 'error');
+        return;
+    }
+    
+    if (!read.ok) {
+        showSaveMessage(read.error, 'error');
+        return;
+    }
+    
+    // Verified slots still have to migrate and validate like any other save
+    read.slots.forEach(slot => {
+        if (slot.tampered) return;
+        const prepared = prepareSaveData(slot.data);
+        if (prepared.ok) {
+            slot.data = prepared.saveData;
         } else {
-            // Calculate world size based on sector for older saves
-            CONFIG.worldWidth = CONFIG.baseWorldWidth + (gameState.sector - 1) * 250;
-            CONFIG.worldHeight = CONFIG.baseWorldHeight + (gameState.sector - 1) * 250;
+            slot.corrupt = true;
+            console.warn(`Rejected imported save "${slot.name}":`, prepared.errors);
         }
+    });
+    
+    pendingImport = read;
+    renderSaveImport();
+    document.getElementById('pauseModal').classList.remove('active');
+    document.getElementById('importModal').classList.add('active');
+}
+
+function formatSaveSummary(summary) {
+    if (!summary) return '-';
+    const rebirths = summary.rebirths > 0 ? ` R${summary.rebirths}` : '';
+    return `S${summary.sector} ${summary.credits}¢${rebirths}`;
+}
+
+function renderSaveImport() {
+    const { slots, settings } = pendingImport;
+    const rows = diffSaveSlots(readSaves() || {}, slots);
+    const table = document.getElementById('importTable');
+    pendingImport.rows = rows;
+    
+    table.innerHTML = rows.map((row, index) => {
+        const slot = slots.find(s => s.name === row.name);
+        const status = slot && slot.corrupt ? 'corrupt' : row.status;
+        const selectable = status === 'new' || status === 'replace';
         
-        // Restore auto-mining toggle state
-        if (saveData.autoMiningEnabled !== undefined) {
-            autoMiningEnabled = saveData.autoMiningEnabled;
-            updateAutoMineButton();
+        return `
+            <label class="import-row import-${status}">
+                <input type="checkbox" data-row="${index}" ${selectable ? 'checked' : 'disabled'}>
+                <span class="import-name">${row.name}</span>
+                <span class="import-status">${IMPORT_STATUS_LABELS[status]}</span>
+                <span class="import-summary">${formatSaveSummary(row.before)}</span>
+                <span class="import-summary">${row.status === 'local' ? '' : '→ ' + formatSaveSummary(row.after)}</span>
+            </label>
+        `;
+    }).join('');
+    
+    const tamperedCount = slots.filter(slot => slot.tampered).length;
+    const notes = [];
+    if (tamperedCount > 0) {
+        notes.push(`${tamperedCount} save(s) failed the integrity check and were edited outside the game.`);
+    }
+    if (settings && settings.tampered) {
+        notes.push('Settings failed the integrity check.');
+    }
+    document.getElementById('importNotes').textContent = notes.join(' ');
+    
+    const settingsBox = document.getElementById('importSettings');
+    settingsBox.checked = false;
+    settingsBox.disabled = !settings || settings.tampered;
+}
+
+function confirmSaveImport() {
+    const currentSaves = readSaves();
+    if (!currentSaves) {
+        showSaveMessage('Save storage is corrupted - import cancelled', 'error');
+        closeSaveImport();
+        return;
+    }
+    
+    const names = Array.from(document.querySelectorAll('#importTable input[data-row]:checked'))
+        .map(box => pendingImport.rows[box.dataset.row].name);
+    const slots = pendingImport.slots.filter(slot => !slot.corrupt);
+    const importSettings = document.getElementById('importSettings').checked;
+    
+    try {
+        localStorage.setItem(SAVES_STORAGE_KEY, JSON.stringify(mergeSaveSlots(currentSaves, slots, names)));
+        
+        if (importSettings) {
+            const data = pendingImport.settings.data;
+            Object.keys(SAVE_BUNDLE_SETTINGS).forEach(key => {
+                if (typeof data[key] === 'string') {
+                    localStorage.setItem(SAVE_BUNDLE_SETTINGS[key], data[key]);
+                } else if (data[key] === null) {
+                    localStorage.removeItem(SAVE_BUNDLE_SETTINGS[key]);
+                }
+            });
         }
+    } catch (e) {
+        console.error('Failed to import saves:', e);
+        closeSaveImport();
+        showSaveMessage('Failed to import saves', 'error');
+        return;
+    }
+    
+    closeSaveImport();
+    refreshSaveList();
+    const settingsNote = importSettings ? ' Settings apply on next load.' : '';
+    showSaveMessage(`${names.length} save(s) imported.${settingsNote}`, 'success');
+}
+
+function closeSaveImport() {
+    pendingImport = null;
+    document.getElementById('importModal').classList.remove('active');
+    document.getElementById('pauseModal').classList.add('active');
+}
+
+function initSaveLoad() {
+    // Save Game button
+    document.getElementById('saveGameBtn').addEventListener('click', () => {
+        const saveName = document.getElementById('saveName').value.trim();
         
-        // Restore cargo drone if it was active
-        if (saveData.cargoDrone) {
-            const droneData = saveData.cargoDrone;
-            // Find the target station by name
-            const targetStation = droneData.targetStation ? 
-                stations.find(st => st.name === droneData.targetStation.name && 
-                               Math.abs(st.x - droneData.targetStation.x) < 10 && 
-                               Math.abs(st.y - droneData.targetStation.y) < 10) : null;
-            
-            cargoDrone = {
-                x: droneData.x,
-                y: droneData.y,
-                vx: droneData.vx,
-                vy: droneData.vy,
-                targetStation: targetStation || stations[0], // Fallback to first station if not found
-                state: droneData.state || 'traveling',
-                cargo: droneData.cargo || {},
-                cargoAmount: droneData.cargoAmount || 0,
-                credits: droneData.credits || 0,
-                dockTime: droneData.dockTime || 0,
-                dockDuration: 1000,
-                size: 15,
-                speed: 3.5
-            };
-        } else {
-            cargoDrone = null;
+        if (!saveName) {
+            showSaveMessage('Please enter a save name', 'error');
+            return;
         }
         
-        // Restore recent station names
-        recentStationNames = saveData.recentStationNames || [];
+        // Check if save already exists
+        const saves = getSaveList();
+        const existingSave = saves.find(s => s.name === saveName);
         
-        // Restore NPC miners if saved
-        if (saveData.npcMiners && Array.isArray(saveData.npcMiners)) {
-            npcMiners = saveData.npcMiners.map(npcData => {
-                // Find the home station by name and position
-                const homeStation = stations.find(st => 
-                    st.name === npcData.homeStationName &&
-                    Math.abs(st.x - npcData.homeStationX) < 10 &&
-                    Math.abs(st.y - npcData.homeStationY) < 10
-                );
-                
-                // Skip this NPC if station not found (shouldn't happen)
-                if (!homeStation) {
-                    console.warn('Could not find home station for NPC:', npcData.name);
-                    return null;
+        if (existingSave) {
+            showConfirm(
+                'OVERWRITE SAVE',
+                `A save named "${saveName}" already exists.\n\nDo you want to overwrite it?`,
+                () => {
+                    if (saveGame(saveName)) {
+                        showSaveMessage('Game saved successfully!', 'success');
+                        document.getElementById('saveName').value = '';
+                        refreshSaveList();
+                    } else {
+                        showSaveMessage('Failed to save game', 'error');
+                    }
                 }
-                
-                return {
-                    id: npcData.id,
-                    x: npcData.x,
-                    y: npcData.y,
-                    vx: npcData.vx,
-                    vy: npcData.vy,
-                    angle: npcData.angle,
-                    angularVelocity: npcData.angularVelocity || 0,
-                    departureAngle: npcData.departureAngle || (Math.random() * Math.PI * 2),
-                    size: npcData.size,
-                    homeStation: homeStation,
-                    cargo: npcData.cargo,
-                    maxCargo: npcData.maxCargo,
-                    state: npcData.state,
-                    dockedUntil: npcData.dockedUntil || 0,
-                    targetAsteroid: null,  // Will be restored after asteroids are loaded
-                    targetAsteroidIndex: npcData.targetAsteroidIndex,  // Temp storage for index
-                    miningProgress: npcData.miningProgress,
-                    miningSpeed: npcData.miningSpeed,
-                    colors: {
-                        primary: npcData.colors.primary,
-                        secondary: npcData.colors.secondary,
-                        accent: npcData.colors.accent,
-                        thruster: npcData.colors.thruster
-                    },
-                    name: npcData.name,
-                    // Restore personality
-                    personality: npcData.personality || 'efficient',
-                    personalityTraits: npcData.personalityTraits || NPC_PERSONALITIES.efficient.traits,
-                    // Restore interaction system
-                    proximityToPlayer: Infinity,
-                    playerInRange: false,
-                    lastPlayerProximityChange: 0,
-                    lastMessageTime: 0,
-                    messageQueue: [],
-                    reputation: npcData.reputation || 0,
-                    inventory: npcData.inventory || {}, // Initialize empty inventory if not saved
-                    lastInteractionTime: 0,
-                    awarenessIndicator: null,
-                    // Restore tracking properties
-                    trackingTarget: null,  // Will be restored after asteroids are loaded
-                    trackingTargetIndex: npcData.trackingTargetIndex || -1,
-                    trackingStartDist: npcData.trackingStartDist || 0,
-                    trackingStartTime: npcData.trackingStartTime || 0,
-                    trackingDuration: npcData.trackingDuration || (1000 + Math.random() * 1000),
-                    seekingTimer: npcData.seekingTimer || (Math.random() * 500)
-                };
-            }).filter(npc => npc !== null);  // Remove any NPCs that couldn't be restored
+            );
+        } else {
+            if (saveGame(saveName)) {
+                showSaveMessage('Game saved successfully!', 'success');
+                document.getElementById('saveName').value = '';
+                refreshSaveList();
+            } else {
+                showSaveMessage('Failed to save game', 'error');
+            }
+        }
+    });
+    
+    // Quick Save button
+    document.getElementById('quickSaveBtn').addEventListener('click', () => {
+        if (saveGame('QuickSave')) {
+            showSaveMessage('Quick save successful!', 'success');
+            refreshSaveList();
+        } else {
+            showSaveMessage('Quick save failed', 'error');
+        }
+    });
+    
+    // Quick Load button
+    document.getElementById('quickLoadBtn').addEventListener('click', () => {
+        if (loadGame('QuickSave')) {
+            document.getElementById('pauseModal').classList.remove('active');
+            gameState.isPaused = false;
+            showSaveMessage('Quick load successful!', 'success');
         } else {
-            // No saved NPCs or old save format - spawn new ones
-            npcMiners = [];
+            showSaveMessage('No quick save found', 'error');
         }
+    });
+    
+    // Export / import save bundles - every slot plus settings, checksummed
+    document.getElementById('exportSaveBtn').addEventListener('click', exportSaveBundle);
+    
+    document.getElementById('importSaveBtn').addEventListener('click', () => {
+        document.getElementById('importFileInput').click();
+    });
+    
+    document.getElementById('importFileInput').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
         
-        // Reset fuel warnings
-        fuelWarnings.warning50.triggered = false;
-        fuelWarnings.warning50.timestamp = 0;
-        fuelWarnings.warning25.triggered = false;
-        fuelWarnings.warning25.timestamp = 0;
-        
-        // Reset scan state to defaults
-        scanState.active = false;
-        scanState.waveRadius = 0;
-        scanState.detectedItems = [];
-        scanState.startTime = 0;
-        scanState.cooldown = 0;
-        
-        // Regenerate stars (visual only)
-        generateStars();
-        
-        // Restore asteroids and hazards if saved, otherwise generate new ones
-        if (saveData.asteroids && saveData.hazards) {
-            asteroids = saveData.asteroids.map(ast => ({
-                x: ast.x,
-                y: ast.y,
-                vx: ast.vx,
-                vy: ast.vy,
-                radius: ast.radius,
-                type: ast.type,
-                health: ast.health,
-                maxHealth: ast.maxHealth,
-                value: ast.value,
-                rotation: ast.rotation,
-                rotationSpeed: ast.rotationSpeed,
-                geometry: ast.geometry,
-                originalGeometry: ast.originalGeometry
-            }));
-            
-            hazards = saveData.hazards.map(haz => ({
-                id: haz.id || nextHazardId++, // Use existing ID or assign new one
-                x: haz.x,
-                y: haz.y,
-                vx: haz.vx,
-                vy: haz.vy,
-                radius: haz.radius,
-                type: haz.type,
-                rotation: haz.rotation,
-                rotationSpeed: haz.rotationSpeed
-            }));
+        const reader = new FileReader();
+        reader.onload = (event) => openSaveImport(event.target.result);
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+    
+    document.getElementById('importConfirm').addEventListener('click', confirmSaveImport);
+    document.getElementById('importCancel').addEventListener('click', closeSaveImport);
+    
+    // Flight replays - record from here, export next to the saves, or watch one from a file
+    document.getElementById('recordReplayBtn').addEventListener('click', () => {
+        if (replayState.mode === 'off') {
+            startReplayRecording();
         } else {
-            // Old save format or missing data - generate new sector
-            generateSector();
+            stopReplayRecording();
         }
+    });
+    
+    document.getElementById('exportReplayBtn').addEventListener('click', exportReplay);
+    
+    document.getElementById('watchReplayBtn').addEventListener('click', () => {
+        document.getElementById('replayFileInput').click();
+    });
+    
+    document.getElementById('replayFileInput').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
         
-        // Restore NPC target asteroid references (now that asteroids are loaded)
-        for (const npc of npcMiners) {
-            if (npc.targetAsteroidIndex >= 0 && npc.targetAsteroidIndex < asteroids.length) {
-                npc.targetAsteroid = asteroids[npc.targetAsteroidIndex];
-            } else {
-                npc.targetAsteroid = null;
-            }
-            // Restore tracking target reference
-            if (npc.trackingTargetIndex >= 0 && npc.trackingTargetIndex < asteroids.length) {
-                npc.trackingTarget = asteroids[npc.trackingTargetIndex];
-            } else {
-                npc.trackingTarget = null;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            let replay;
+            try {
+                replay = JSON.parse(event.target.result);
+            } catch (error) {
+                console.error('Failed to read replay:', error);
+                showSaveMessage('Replay file is not valid JSON', 'error');
+                return;
             }
-            // Clean up the temporary index properties
-            delete npc.targetAsteroidIndex;
-            delete npc.trackingTargetIndex;
-        }
-        
-        // Clear particles and floating text (runtime visual effects)
-        particles = [];
-        floatingText = [];
-        
-        // Reset game flags
-        gameState.isPaused = false;
-        gameState.isAtStation = false;
-        
-        // Mark all UI as dirty after loading
-        markUIDirty('credits', 'cargo', 'hull', 'fuel', 'inventory', 'missions', 'upgrades', 'station', 'prestige');
-        
-        // Update UI
-        updateUI();
-        updateMiningLasersDisplay(); // Initialize the laser display after loading
-        updateMissionsDisplay(); // Update missions display after loading
-        
-        // Check if player is docked and update mission board if needed
-        const dockedStation = stations.find(s => s.isDocked);
-        if (dockedStation) {
-            updateMissionBoard(dockedStation.name, dockedStation.colorScheme);
+            watchReplay(replay);
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+    
+    // Refresh save list when pause menu opens
+    const pauseModal = document.getElementById('pauseModal');
+    const observer = new MutationObserver(() => {
+        if (pauseModal.classList.contains('active')) {
+            refreshSaveList();
         }
-        
-        return true;
-    } catch (e) {
-        console.error('Failed to load game:', e);
-        return false;
+    });
+    observer.observe(pauseModal, { attributes: true, attributeFilter: ['class'] });
+}
+
+// ================================
+// REPLAY RECORDING & PLAYBACK
+// ================================
+// A recording keeps the save it started from plus, every frame, the delta, the flight input,
+// queued actions and a keyframe after any menu/UI change (format in asteroid-miner-sim.js).
+// While recording or watching, Math.random() is reseeded every frame, Date.now() follows a
+// virtual clock driven by the frame deltas, and the physics/collision/NPC workers are bypassed,
+// so playback can re-drive update() from the starting save and land on the same game.
+
+const REPLAY_MAX_FRAMES = 60 * 60 * 15; // 15 minutes at 60 FPS
+const REPLAY_SEEK_CHUNK = 240;          // Frames simulated per animation frame while seeking
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+const realMathRandom = Math.random;
+const realDateNow = Date.now;
+
+let replayState = {
+    mode: 'off',            // 'off', 'arming' (waiting on worker results), 'recording', 'playback'
+    armedFor: null,         // Mode to enter once armed
+    replay: null,           // Replay being recorded or watched
+    lastRecording: null,    // Finished recording, for export
+    frame: 0,               // Next frame to record or play
+    frameInput: null,       // Flight input of the frame being run
+    clock: 0,               // Virtual Date.now()
+    random: realMathRandom, // This frame's seeded Math.random()
+    queue: [],              // Actions waiting for the next recorded frame
+    keyframeDue: false,     // Game changed outside update() since the last frame
+    workerFlags: null,      // Worker ready flags, kept while the workers are bypassed
+    // Playback
+    deltas: null,
+    inputs: null,
+    actions: null,
+    keyframes: null,
+    checksums: null,
+    frameTimes: null,       // Replay time (ms) at the start of each frame
+    playing: false,
+    speed: 1,
+    stepBudget: 0,
+    seekTarget: null,
+    drift: null,            // First frame whose checksum didn't match the recording
+    resume: null            // Game to go back to after watching
+};
+
+// One-shot player actions. Recording runs them at the start of the next frame so playback can
+// run them at the same point of the same frame.
+const REPLAY_ACTIONS = {
+    scan: () => triggerScan(),
+    autopilot: () => returnToStation(),
+    sellCargo: () => sellCargo(),
+    deployDrone: () => deployCargoDrone(),
+    refuel: () => refuelAndRepair(),
+    remoteRefuel: () => requestRemoteRefuel(),
+    jump: sectorId => {
+        // Keep game paused during warp - it will unpause when warp completes
+        gameState.isPaused = true;
+        jumpToSector(sectorId);
+    }
+};
+
+function runReplayable(type, ...args) {
+    // Watching - the replay drives the game
+    if (replayState.mode === 'playback') return;
+    
+    if (replayState.mode === 'recording') {
+        replayState.queue.push([type, ...args]);
+        // The click that asked for this action doesn't need a keyframe
+        replayState.keyframeDue = false;
+        return;
     }
+    
+    REPLAY_ACTIONS[type](...args);
 }
 
-function loadGameData(saveName) {
-    // Load game data without regenerating world or updating UI
-    // Used for auto-loading before boot sequence
-    try {
-        const savesString = localStorage.getItem('asteroidMinerSaves') || '{}';
-        let saves;
-        
-        try {
-            saves = JSON.parse(savesString);
-        } catch (parseError) {
-            console.error('Failed to parse save data, clearing corrupted saves:', parseError);
-            localStorage.removeItem('asteroidMinerSaves');
-            return false;
-        }
-        
-        const saveData = saves[saveName];
+// Something outside update() (a menu, a load, a cheat) changed the game
+function requestReplayKeyframe() {
+    if (replayState.mode === 'recording') {
+        replayState.keyframeDue = true;
+    }
+}
+
+// Flight controls for this frame - the recorded input while recording or watching
+function getFlightInput() {
+    return replayState.frameInput || readFlightInput();
+}
+
+function formatReplayTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function getReplayChecksum() {
+    return hashSeed(
+        Math.round(player.x), Math.round(player.y), Math.round(gameState.fuel), Math.round(gameState.hull),
+        gameState.credits, Math.round(gameState.cargo), asteroids.length, hazards.length, npcMiners.length,
+        Math.round(gameState.shield), pirates.length
+    );
+}
+
+function overrideReplayRandomness() {
+    Math.random = () => replayState.random();
+    Date.now = () => replayState.clock;
+}
+
+function restoreReplayRandomness() {
+    Math.random = realMathRandom;
+    Date.now = realDateNow;
+}
+
+// Worker results land whenever they arrive - keep every update on the main thread instead
+function bypassReplayWorkers() {
+    replayState.workerFlags = parkReplayWorkers(simWorkerReady);
+    cancelPhysicsBatch(); // The main thread steps the particles from here
+}
+
+// What a worker reports while a replay has them bypassed waits in replayState.workerFlags
+function setSimWorkerReady(name, isReady) {
+    setReplayWorkerReady(simWorkerReady, replayState.workerFlags, name, isReady);
+}
+
+function restoreReplayWorkers() {
+    if (!replayState.workerFlags) return;
+    
+    releaseReplayWorkers(simWorkerReady, replayState.workerFlags);
+    replayState.workerFlags = null;
+    
+    // The world may have changed size while the NPC worker was idle
+    if (simWorkerReady.npc) {
+        postWorkerMessage(npcWorker, 'updateConfig', {
+            worldWidth: CONFIG.worldWidth,
+            worldHeight: CONFIG.worldHeight
+        });
+    }
+}
+
+// Load a replay snapshot into the game, leaving the pause state alone
+function applyReplaySnapshot(snapshot) {
+    const paused = gameState.isPaused;
+    
+    applySaveData(JSON.parse(JSON.stringify(snapshot)));
+    refreshUIAfterLoad();
+    
+    gameState.isPaused = paused;
+}
+
+// Put the game at the replay's starting point - recording and playback both begin here
+function resetReplayRun() {
+    const replay = replayState.replay;
+    
+    replayState.frame = 0;
+    replayState.clock = replay.startClock;
+    replayState.random = createSeededRandom(hashSeed(replay.seed, 'start'));
+    replayState.queue = [];
+    replayState.keyframeDue = false;
+    replayState.frameInput = null;
+    
+    frameCount = replay.startFrame;
+    nextHazardId = replay.runtime.nextHazardId;
+    marketHistoryTimer = replay.runtime.marketHistoryTimer;
+    autoPilotActive = false;
+    refuelTanker = null;
+    
+    gameState.isPaused = false;
+    applyReplaySnapshot(replay.start);
+    updateNavigationButtonText();
+}
+
+// Wait for in-flight worker results before recording or watching (see gameLoop())
+function armReplay(mode) {
+    replayState.mode = 'arming';
+    replayState.armedFor = mode;
+    bypassReplayWorkers();
+    updateReplayControls();
+}
+
+function finishReplayArming() {
+    if (pendingNPCUpdate || pendingPirateUpdate || pendingPhysicsUpdate || pendingCollisionCheck) return;
+    
+    if (replayState.armedFor === 'recording') {
+        beginReplayRecording();
+    } else {
+        beginReplayPlayback();
+    }
+}
+
+// Seed this frame's randomness and feed in its input, keyframe and actions
+function beginReplayFrame(deltaTime) {
+    const replay = replayState.replay;
+    const frame = replayState.frame;
+    
+    replayState.random = createSeededRandom(getReplayFrameSeed(replay, frame));
+    replayState.clock += deltaTime;
+    
+    if (replayState.mode === 'recording') {
+        const input = readFlightInput();
+        replayState.frameInput = {
+            moveX: quantizeReplayInput(input.moveX),
+            moveY: quantizeReplayInput(input.moveY),
+            mine: input.mine,
+            paused: gameState.isPaused
+        };
+        appendReplayFrame(replay, deltaTime, replayState.frameInput);
         
-        if (!saveData) {
-            return false;
+        if (replayState.keyframeDue) {
+            const snapshot = JSON.parse(JSON.stringify(createSaveData()));
+            replay.keyframes.push([frame, snapshot]);
+            applyReplaySnapshot(snapshot);
+            replayState.keyframeDue = false;
         }
         
-        // Restore ship name
-        shipName = saveData.shipName || 'PROSPECTOR-1';
-        
-        // Restore game state
-        gameState.credits = saveData.gameState.credits;
-        gameState.sector = saveData.gameState.sector;
-        gameState.sectorName = saveData.gameState.sectorName || `ALPHA-${String(saveData.gameState.sector).padStart(3, '0')}`;
-        gameState.sectorsExplored = saveData.gameState.sectorsExplored || saveData.gameState.sector;
-        
-        // Restore missions (with fallback for older saves)
-        gameState.missions = saveData.gameState.missions || [];
-        gameState.stationMissions = saveData.gameState.stationMissions || {};
-        gameState.nextMissionId = saveData.gameState.nextMissionId || 1;
-        
-        // Restore stats (with fallbacks for older saves)
-        if (saveData.gameState.stats) {
-            gameState.stats.totalMined = saveData.gameState.stats.totalMined || 0;
-            gameState.stats.distanceTraveled = saveData.gameState.stats.distanceTraveled || 0;
-            gameState.stats.asteroidsDestroyed = saveData.gameState.stats.asteroidsDestroyed || 0;
-            gameState.stats.hazardsAvoided = saveData.gameState.stats.hazardsAvoided || 0;
-            gameState.stats.sectorsVisited = saveData.gameState.stats.sectorsVisited || 1;
-            gameState.stats.playTime = saveData.gameState.stats.playTime || 0;
-            gameState.stats.creditsEarned = saveData.gameState.stats.creditsEarned || 0;
-            gameState.stats.mineralsMined = saveData.gameState.stats.mineralsMined || {};
-        }
-        
-        // Restore player
-        player.x = saveData.player.x;
-        player.y = saveData.player.y;
-        player.vx = saveData.player.vx;
-        player.vy = saveData.player.vy;
-        player.angle = saveData.player.angle;
-        player.size = saveData.player.size || 36;
-        
-        // Restore ship colors (with defaults if not present in save)
-        if (saveData.player.colors) {
-            player.colors.primary = saveData.player.colors.primary || '#e0e0e0';
-            player.colors.secondary = saveData.player.colors.secondary || '#808080';
-            player.colors.accent = saveData.player.colors.accent || '#c0c0c0';
-            player.colors.thruster = saveData.player.colors.thruster || '#ff6600';
-        }
-        
-        // Restore stations array
-        if (saveData.stations && saveData.stations.length > 0) {
-            // Load stations from save
-            stations = saveData.stations.map(st => {
-                const station = createStation(
-                    st.x, st.y, st.vx, st.vy,
-                    st.colorScheme || STATION_COLORS[2],
-                    st.name || 'Deep Space 9',
-                    st.isDocked || false
-                );
-                station.rotation = st.rotation || 0;
-                station.rotationSpeed = st.rotationSpeed || 0.001;
-                station.pullStrength = st.pullStrength || 0.25;
-                station.size = st.size || 100;
-                station.dockingRange = st.dockingRange || 100;
-                return station;
-            });
-        } else if (saveData.station) {
-            // Legacy save with single station - migrate to array
-            stations = [createStation(
-                saveData.station.x,
-                saveData.station.y,
-                saveData.station.vx,
-                saveData.station.vy,
-                saveData.station.colorScheme || STATION_COLORS[2],
-                saveData.station.name || 'Deep Space 9',
-                saveData.station.isDocked || false
-            )];
-            stations[0].rotation = saveData.station.rotation || 0;
-        } else {
-            // No station data in save - create a default one
-            initStationState();
-        }
-        
-        // Restore upgrades
-        gameState.upgrades.speed = saveData.upgrades.speed;
-        gameState.upgrades.cargo = saveData.upgrades.cargo;
-        gameState.upgrades.mining = saveData.upgrades.mining;
-        gameState.upgrades.hull = saveData.upgrades.hull;
-        // Handle old 'fuel' upgrade or new separate upgrades
-        gameState.upgrades.fuelCapacity = saveData.upgrades.fuelCapacity || saveData.upgrades.fuel || 1;
-        gameState.upgrades.fuelEfficiency = saveData.upgrades.fuelEfficiency || saveData.upgrades.fuel || 1;
-        gameState.upgrades.range = saveData.upgrades.range;
-        gameState.upgrades.multiMining = saveData.upgrades.multiMining;
-        gameState.upgrades.advancedScanner = saveData.upgrades.advancedScanner || 0;
-        gameState.upgrades.scanRange = saveData.upgrades.scanRange || 1;
-        gameState.upgrades.scanCooldown = saveData.upgrades.scanCooldown || 1;
-        gameState.upgrades.cargoDrone = saveData.upgrades.cargoDrone || 0;
-        
-        // Recalculate max values based on upgrades
-        gameState.maxCargo = 100 + (gameState.upgrades.cargo - 1) * 50;
-        gameState.maxHull = 100 + (gameState.upgrades.hull - 1) * 25;
-        gameState.maxFuel = 100 + (gameState.upgrades.fuelCapacity - 1) * 20;
-        
-        // Restore resources
-        gameState.hull = saveData.resources.hull;
-        gameState.fuel = saveData.resources.fuel;
-        gameState.cargo = saveData.resources.cargo;
-        gameState.inventory = {...saveData.resources.inventory};
-        
-        // Restore prestige
-        gameState.prestige = saveData.prestige.level;
-        gameState.prestigeBonus = saveData.prestige.bonus;
-        
-        // Restore viewport with both zoom and targetZoom
-        viewport.zoom = saveData.viewport.zoom || 1.5;
-        viewport.targetZoom = saveData.viewport.targetZoom || saveData.viewport.zoom || 1.5;
-        
-        // Restore world size (with fallback calculation for older saves)
-        if (saveData.world) {
-            CONFIG.worldWidth = saveData.world.width;
-            CONFIG.worldHeight = saveData.world.height;
-        } else {
-            // Calculate world size based on sector for older saves
-            CONFIG.worldWidth = CONFIG.baseWorldWidth + (gameState.sector - 1) * 250;
-            CONFIG.worldHeight = CONFIG.baseWorldHeight + (gameState.sector - 1) * 250;
-        }
-        
-        // Restore cargo drone if it was active
-        if (saveData.cargoDrone) {
-            const droneData = saveData.cargoDrone;
-            const targetStation = droneData.targetStation ? 
-                stations.find(st => st.name === droneData.targetStation.name) : null;
-            
-            cargoDrone = {
-                x: droneData.x,
-                y: droneData.y,
-                vx: droneData.vx,
-                vy: droneData.vy,
-                targetStation: targetStation || stations[0],
-                state: droneData.state || 'traveling',
-                cargo: droneData.cargo || {},
-                cargoAmount: droneData.cargoAmount || 0,
-                credits: droneData.credits || 0,
-                dockTime: droneData.dockTime || 0,
-                dockDuration: 1000,
-                size: 15,
-                speed: 3.5
-            };
-        } else {
-            cargoDrone = null;
+        const queued = replayState.queue;
+        replayState.queue = [];
+        for (const [type, ...args] of queued) {
+            replay.actions.push([frame, type, ...args]);
+            REPLAY_ACTIONS[type](...args);
         }
+    } else {
+        replayState.frameInput = replayState.inputs[frame];
+        gameState.isPaused = replayState.frameInput.paused;
         
-        // Restore recent station names
-        recentStationNames = saveData.recentStationNames || [];
-        
-        // Restore NPC miners if saved
-        if (saveData.npcMiners && Array.isArray(saveData.npcMiners)) {
-            npcMiners = saveData.npcMiners.map(npcData => {
-                // Find the home station by name and position
-                const homeStation = stations.find(st => 
-                    st.name === npcData.homeStationName &&
-                    Math.abs(st.x - npcData.homeStationX) < 10 &&
-                    Math.abs(st.y - npcData.homeStationY) < 10
-                );
-                
-                // Skip this NPC if station not found (shouldn't happen)
-                if (!homeStation) {
-                    console.warn('Could not find home station for NPC:', npcData.name);
-                    return null;
-                }
-                
-                return {
-                    id: npcData.id,
-                    x: npcData.x,
-                    y: npcData.y,
-                    vx: npcData.vx,
-                    vy: npcData.vy,
-                    angle: npcData.angle,
-                    angularVelocity: npcData.angularVelocity || 0,
-                    departureAngle: npcData.departureAngle || (Math.random() * Math.PI * 2),
-                    size: npcData.size,
-                    homeStation: homeStation,
-                    cargo: npcData.cargo,
-                    maxCargo: npcData.maxCargo,
-                    state: npcData.state,
-                    dockedUntil: npcData.dockedUntil || 0,
-                    targetAsteroid: null,  // Will be restored after asteroids are loaded
-                    targetAsteroidIndex: npcData.targetAsteroidIndex,  // Temp storage for index
-                    miningProgress: npcData.miningProgress,
-                    miningSpeed: npcData.miningSpeed,
-                    colors: {
-                        primary: npcData.colors.primary,
-                        secondary: npcData.colors.secondary,
-                        accent: npcData.colors.accent,
-                        thruster: npcData.colors.thruster
-                    },
-                    name: npcData.name,
-                    // Restore personality
-                    personality: npcData.personality || 'efficient',
-                    personalityTraits: npcData.personalityTraits || NPC_PERSONALITIES.efficient.traits,
-                    // Restore interaction system
-                    proximityToPlayer: Infinity,
-                    playerInRange: false,
-                    lastPlayerProximityChange: 0,
-                    lastMessageTime: 0,
-                    messageQueue: [],
-                    reputation: npcData.reputation || 0,
-                    inventory: npcData.inventory || {}, // Initialize empty inventory if not saved
-                    lastInteractionTime: 0,
-                    awarenessIndicator: null,
-                    // Restore tracking properties
-                    trackingTarget: null,  // Will be restored after asteroids are loaded
-                    trackingTargetIndex: npcData.trackingTargetIndex || -1,
-                    trackingStartDist: npcData.trackingStartDist || 0,
-                    trackingStartTime: npcData.trackingStartTime || 0,
-                    trackingDuration: npcData.trackingDuration || (1000 + Math.random() * 1000),
-                    seekingTimer: npcData.seekingTimer || (Math.random() * 500)
-                };
-            }).filter(npc => npc !== null);  // Remove any NPCs that couldn't be restored
-        } else {
-            // No saved NPCs or old save format - spawn new ones
-            npcMiners = [];
-        }
-        
-        // Restore asteroids and hazards if saved
-        if (saveData.asteroids && saveData.hazards) {
-            asteroids = saveData.asteroids.map(ast => ({
-                x: ast.x,
-                y: ast.y,
-                vx: ast.vx,
-                vy: ast.vy,
-                radius: ast.radius,
-                type: ast.type,
-                health: ast.health,
-                maxHealth: ast.maxHealth,
-                value: ast.value,
-                rotation: ast.rotation,
-                rotationSpeed: ast.rotationSpeed,
-                geometry: ast.geometry,
-                originalGeometry: ast.originalGeometry
-            }));
-            
-            hazards = saveData.hazards.map(haz => ({
-                id: haz.id || nextHazardId++, // Use existing ID or assign new one
-                x: haz.x,
-                y: haz.y,
-                vx: haz.vx,
-                vy: haz.vy,
-                radius: haz.radius,
-                type: haz.type,
-                rotation: haz.rotation,
-                rotationSpeed: haz.rotationSpeed
-            }));
-            
-            // Restore NPC target asteroid references (now that asteroids are loaded)
-            for (const npc of npcMiners) {
-                if (npc.targetAsteroidIndex >= 0 && npc.targetAsteroidIndex < asteroids.length) {
-                    npc.targetAsteroid = asteroids[npc.targetAsteroidIndex];
-                } else {
-                    npc.targetAsteroid = null;
-                }
-                // Restore tracking target reference
-                if (npc.trackingTargetIndex >= 0 && npc.trackingTargetIndex < asteroids.length) {
-                    npc.trackingTarget = asteroids[npc.trackingTargetIndex];
-                } else {
-                    npc.trackingTarget = null;
-                }
-                // Clean up the temporary index properties
-                delete npc.targetAsteroidIndex;
-                delete npc.trackingTargetIndex;
-            }
+        for (const [, snapshot] of replayState.keyframes.get(frame) || []) {
+            applyReplaySnapshot(snapshot);
         }
-        // If no asteroids/hazards in save, they'll be generated later in initGame
         
-        return true;
-    } catch (e) {
-        console.error('Failed to load game data:', e);
-        return false;
+        for (const [, type, ...args] of replayState.actions.get(frame) || []) {
+            if (REPLAY_ACTIONS[type]) REPLAY_ACTIONS[type](...args);
+        }
     }
 }
 
-function deleteSave(saveName) {
-    try {
-        const savesString = localStorage.getItem('asteroidMinerSaves') || '{}';
-        let saves;
-        
-        try {
-            saves = JSON.parse(savesString);
-        } catch (parseError) {
-            console.error('Failed to parse save data, clearing corrupted saves:', parseError);
-            localStorage.removeItem('asteroidMinerSaves');
-            return false;
+function endReplayFrame() {
+    const replay = replayState.replay;
+    const frame = replayState.frame;
+    
+    replayState.frameInput = null;
+    replayState.frame++;
+    
+    if (replayState.mode === 'recording') {
+        if (replayState.frame % REPLAY_CHECKSUM_INTERVAL === 0) {
+            replay.checksums.push([frame, getReplayChecksum()]);
         }
-        
-        delete saves[saveName];
-        localStorage.setItem('asteroidMinerSaves', JSON.stringify(saves));
-        return true;
-    } catch (e) {
-        console.error('Failed to delete save:', e);
-        return false;
+        if (replay.frames >= REPLAY_MAX_FRAMES) {
+            stopReplayRecording('length limit reached');
+        }
+        return;
+    }
+    
+    const expected = replayState.checksums.get(frame);
+    if (expected && replayState.drift === null && expected[0][1] !== getReplayChecksum()) {
+        replayState.drift = frame;
+        logMessage(`Replay drifted from the recording at ${formatReplayTime(replayState.frameTimes[frame])}.`, 'error');
     }
 }
 
-function getSaveList() {
+function startReplayRecording() {
+    if (replayState.mode !== 'off') return;
+    
+    // The tanker and warp sequence live outside the save, so a replay can't start mid-way through them
+    if (warpState.active || refuelTanker) {
+        showAlert('RECORDING UNAVAILABLE', 'Wait for the current warp jump or refuelling tanker to finish before recording.');
+        return;
+    }
+    
+    // Replays only carry the first ship's input
+    if (coopState.active) {
+        showAlert('RECORDING UNAVAILABLE', 'Replays record a single ship - leave co-op before recording.');
+        return;
+    }
+    
+    document.getElementById('pauseModal').classList.remove('active');
+    gameState.isPaused = false;
+    armReplay('recording');
+}
+
+function beginReplayRecording() {
+    const prepared = prepareSaveData(createSaveData());
+    
+    if (!prepared.ok) {
+        console.error('Replay start state failed validation:', prepared.errors);
+        logMessage('ERROR: Could not start the recording.', 'error');
+        replayState.mode = 'off';
+        restoreReplayWorkers();
+        updateReplayControls();
+        return;
+    }
+    
+    replayState.replay = createReplay(realMathRandom() * 4294967296, prepared.saveData, {
+        gameVersion: GAME_VERSION,
+        recordedAt: new Date().toISOString(),
+        startClock: realDateNow(),
+        startFrame: frameCount,
+        runtime: { nextHazardId: nextHazardId, marketHistoryTimer: marketHistoryTimer }
+    });
+    replayState.mode = 'recording';
+    
+    overrideReplayRandomness();
+    resetReplayRun();
+    
+    // Any click outside the canvas may change the game - catch it before the button handlers run
+    document.addEventListener('click', onReplayUIEvent, true);
+    document.addEventListener('change', onReplayUIEvent, true);
+    
+    logMessage('Flight recording started.', 'info');
+    updateReplayControls();
+}
+
+function onReplayUIEvent(e) {
+    if (e.target !== canvas) {
+        requestReplayKeyframe();
+    }
+}
+
+function stopReplayRecording(reason = null) {
+    if (replayState.mode === 'arming' && replayState.armedFor === 'recording') {
+        replayState.mode = 'off';
+        restoreReplayWorkers();
+        updateReplayControls();
+        return;
+    }
+    if (replayState.mode !== 'recording') return;
+    
+    const replay = replayState.replay;
+    const queued = replayState.queue;
+    
+    document.removeEventListener('click', onReplayUIEvent, true);
+    document.removeEventListener('change', onReplayUIEvent, true);
+    restoreReplayRandomness();
+    restoreReplayWorkers();
+    
+    replayState.mode = 'off';
+    replayState.replay = null;
+    replayState.queue = [];
+    replayState.frameInput = null;
+    replayState.lastRecording = replay;
+    
+    // Actions clicked after the last recorded frame still happen
+    queued.forEach(([type, ...args]) => REPLAY_ACTIONS[type](...args));
+    
+    const duration = formatReplayTime(expandReplayDeltas(replay).reduce((sum, dt) => sum + dt, 0));
+    logMessage(`Flight recording stopped${reason ? ` (${reason})` : ''} - ${duration} recorded.`, 'info');
+    updateReplayControls();
+}
+
+function exportReplay() {
+    const replay = replayState.lastRecording;
+    
+    if (!replay) {
+        showSaveMessage('No finished recording to export', 'error');
+        return;
+    }
+    
     try {
-        const savesString = localStorage.getItem('asteroidMinerSaves') || '{}';
-        let saves;
-        
-        try {
-            saves = JSON.parse(savesString);
-        } catch (parseError) {
-            console.error('Failed to parse save data, clearing corrupted saves:', parseError);
-            localStorage.removeItem('asteroidMinerSaves');
-            return [];
-        }
-        
-        return Object.keys(saves).map(name => ({
-            name,
-            ...saves[name]
-        }));
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `asteroid-miner-replay-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showSaveMessage('Replay exported successfully!', 'success');
     } catch (e) {
-        console.error('Failed to get save list:', e);
-        return [];
+        console.error('Failed to export replay:', e);
+        showSaveMessage('Failed to export replay', 'error');
     }
 }
 
-function refreshSaveList() {
-    const saveList = document.getElementById('saveList');
-    const saves = getSaveList();
+function watchReplay(replay) {
+    const errors = validateReplay(replay);
     
-    if (saves.length === 0) {
-        saveList.innerHTML = '<div class="info-text dim">No saved games</div>';
+    if (errors.length > 0) {
+        showAlert('REPLAY UNREADABLE', `This replay file can't be played:\n\n${errors.join('\n')}`);
+        return;
+    }
+    if (replayState.mode !== 'off' || warpState.active) {
+        showAlert('REPLAY UNAVAILABLE', 'Stop recording and wait for any warp jump to finish before watching a replay.');
         return;
     }
     
-    saveList.innerHTML = saves.map(save => {
-        const date = new Date(save.timestamp);
-        const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-        const saveVersion = save.version || '1.0.0';
-        const isCurrentVersion = saveVersion === GAME_VERSION;
-        const versionClass = isCurrentVersion ? '' : 'version-warning';
-        const versionText = isCurrentVersion ? `v${saveVersion}` : `v${saveVersion} ⚠`;
-        const rebirths = save.prestige?.level || 0;
-        const rebirthText = rebirths > 0 ? `Rebirths: ${rebirths} | ` : '';
-        
-        return `
-            <div class="save-item">
-                <div class="save-item-info">
-                    <div class="save-item-name">${save.name}</div>
-                    <div class="save-item-details">
-                        ${rebirthText}Sector ${save.gameState.sector} | ${save.gameState.credits}¢ | <span class="${versionClass}">${versionText}</span> | ${dateStr}
-                    </div>
-                </div>
-                <div class="save-item-buttons">
-                    <button class="save-item-btn" onclick="loadSaveFromList('${save.name}')">LOAD</button>
-                    <button class="save-item-btn delete" onclick="deleteSaveFromList('${save.name}')">DEL</button>
-                </div>
-            </div>
-        `;
-    }).join('');
+    // Bring the starting save and keyframes up to this version's save format
+    const snapshots = [replay.start, ...replay.keyframes.map(entry => entry[1])].map(prepareSaveData);
+    const broken = snapshots.find(prepared => !prepared.ok);
+    
+    if (broken) {
+        showAlert('REPLAY UNREADABLE', `This replay's saved state is invalid:\n\n${broken.errors.join('\n')}`);
+        return;
+    }
+    
+    replay.start = snapshots[0].saveData;
+    replay.keyframes.forEach((entry, i) => { entry[1] = snapshots[i + 1].saveData; });
+    
+    if (replay.gameVersion !== GAME_VERSION) {
+        logMessage(`Replay was recorded on v${replay.gameVersion || 'unknown'} - playback may drift.`, 'error');
+    }
+    
+    replayState.replay = replay;
+    replayState.resume = {
+        save: JSON.parse(JSON.stringify(createSaveData())),
+        frameCount: frameCount,
+        nextHazardId: nextHazardId,
+        marketHistoryTimer: marketHistoryTimer
+    };
+    
+    document.getElementById('pauseModal').classList.remove('active');
+    armReplay('playback');
 }
 
-window.loadSaveFromList = function(saveName) {
-    if (loadGame(saveName)) {
-        document.getElementById('pauseModal').classList.remove('active');
-        gameState.isPaused = false;
-        showSaveMessage('Game loaded successfully!', 'success');
-    } else {
-        showSaveMessage('Failed to load game', 'error');
+function beginReplayPlayback() {
+    const replay = replayState.replay;
+    
+    replayState.mode = 'playback';
+    replayState.deltas = expandReplayDeltas(replay);
+    replayState.inputs = expandReplayInputs(replay);
+    replayState.actions = indexReplayEntries(replay.actions);
+    replayState.keyframes = indexReplayEntries(replay.keyframes);
+    replayState.checksums = indexReplayEntries(replay.checksums);
+    replayState.frameTimes = [0];
+    replayState.deltas.forEach(dt => replayState.frameTimes.push(replayState.frameTimes[replayState.frameTimes.length - 1] + dt));
+    
+    replayState.playing = true;
+    replayState.speed = 1;
+    replayState.stepBudget = 0;
+    replayState.seekTarget = null;
+    replayState.drift = null;
+    
+    overrideReplayRandomness();
+    resetReplayRun();
+    
+    logMessage(`Watching replay of ${replay.start.shipName || 'unknown ship'} (${formatReplayTime(replayState.frameTimes[replay.frames])}).`, 'info');
+    updateReplayControls();
+}
+
+// Run one recorded frame the way gameLoop() ran it
+function stepReplayFrame() {
+    const dt = replayState.deltas[replayState.frame];
+    
+    beginReplayFrame(dt);
+    currentDeltaTime = dt;
+    
+    updateWarpAnimation(dt);
+    if (!gameState.isPaused) {
+        update(dt);
     }
-};
+    
+    frameCount++;
+    if (frameCount % 60 === 0) {
+        gameState.stats.playTime++;
+    }
+    
+    endReplayFrame();
+}
 
-window.deleteSaveFromList = function(saveName) {
-    showConfirm(
-        'DELETE SAVE',
-        `Are you sure you want to delete "${saveName}"?\n\nThis cannot be undone.`,
-        () => {
-            if (deleteSave(saveName)) {
-                refreshSaveList();
-                showSaveMessage('Save deleted', 'success');
-            } else {
-                showSaveMessage('Failed to delete save', 'error');
-            }
+// Called by gameLoop() instead of the live update while watching
+function updateReplayPlayback() {
+    const frames = replayState.replay.frames;
+    
+    if (replayState.seekTarget !== null) {
+        const stop = Math.min(replayState.seekTarget, replayState.frame + REPLAY_SEEK_CHUNK);
+        while (replayState.frame < stop) {
+            stepReplayFrame();
         }
-    );
-};
+        if (replayState.frame >= replayState.seekTarget) {
+            replayState.seekTarget = null;
+        }
+    } else if (replayState.playing) {
+        replayState.stepBudget += replayState.speed;
+        while (replayState.stepBudget >= 1 && replayState.frame < frames) {
+            stepReplayFrame();
+            replayState.stepBudget--;
+        }
+        if (replayState.frame >= frames) {
+            replayState.playing = false;
+            logMessage('Replay finished.', 'info');
+        }
+    }
+    
+    updateReplayBar();
+}
 
-function showSaveMessage(message, type = '') {
-    const messageEl = document.getElementById('saveMessage');
-    messageEl.textContent = message;
-    messageEl.className = 'save-message ' + type;
-    setTimeout(() => {
-        messageEl.textContent = '';
-        messageEl.className = 'save-message';
-    }, 3000);
+function toggleReplayPlaying() {
+    if (replayState.frame >= replayState.replay.frames) {
+        seekReplay(0);
+    }
+    replayState.playing = !replayState.playing;
+    replayState.stepBudget = 0;
 }
 
-function initSaveLoad() {
-    // Save Game button
-    document.getElementById('saveGameBtn').addEventListener('click', () => {
-        const saveName = document.getElementById('saveName').value.trim();
-        
-        if (!saveName) {
-            showSaveMessage('Please enter a save name', 'error');
-            return;
-        }
-        
-        // Check if save already exists
-        const saves = getSaveList();
-        const existingSave = saves.find(s => s.name === saveName);
-        
-        if (existingSave) {
-            showConfirm(
-                'OVERWRITE SAVE',
-                `A save named "${saveName}" already exists.\n\nDo you want to overwrite it?`,
-                () => {
-                    if (saveGame(saveName)) {
-                        showSaveMessage('Game saved successfully!', 'success');
-                        document.getElementById('saveName').value = '';
-                        refreshSaveList();
-                    } else {
-                        showSaveMessage('Failed to save game', 'error');
-                    }
-                }
-            );
-        } else {
-            if (saveGame(saveName)) {
-                showSaveMessage('Game saved successfully!', 'success');
-                document.getElementById('saveName').value = '';
-                refreshSaveList();
-            } else {
-                showSaveMessage('Failed to save game', 'error');
-            }
-        }
-    });
+function cycleReplaySpeed() {
+    const next = (REPLAY_SPEEDS.indexOf(replayState.speed) + 1) % REPLAY_SPEEDS.length;
+    replayState.speed = REPLAY_SPEEDS[next];
+}
+
+// Jump to a frame - backwards means replaying from the start, spread over a few animation frames
+function seekReplay(frame) {
+    const target = Math.max(0, Math.min(replayState.replay.frames, Math.round(frame)));
     
-    // Quick Save button
-    document.getElementById('quickSaveBtn').addEventListener('click', () => {
-        if (saveGame('QuickSave')) {
-            showSaveMessage('Quick save successful!', 'success');
-            refreshSaveList();
-        } else {
-            showSaveMessage('Quick save failed', 'error');
-        }
-    });
+    if (target < replayState.frame) {
+        replayState.drift = null;
+        resetReplayRun();
+    }
     
-    // Quick Load button
-    document.getElementById('quickLoadBtn').addEventListener('click', () => {
-        if (loadGame('QuickSave')) {
-            document.getElementById('pauseModal').classList.remove('active');
-            gameState.isPaused = false;
-            showSaveMessage('Quick load successful!', 'success');
-        } else {
-            showSaveMessage('No quick save found', 'error');
-        }
-    });
+    replayState.seekTarget = target;
+    replayState.stepBudget = 0;
+}
+
+function exitReplayPlayback() {
+    if (replayState.mode === 'arming' && replayState.armedFor === 'playback') {
+        replayState.mode = 'off';
+        restoreReplayWorkers();
+        updateReplayControls();
+        return;
+    }
+    if (replayState.mode !== 'playback') return;
     
-    // Export Saves button
-    document.getElementById('exportSaveBtn').addEventListener('click', () => {
-        try {
-            const saves = localStorage.getItem('asteroidMinerSaves') || '{}';
-            const blob = new Blob([saves], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `asteroid-miner-saves-${Date.now()}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
-            showSaveMessage('Saves exported successfully!', 'success');
-        } catch (e) {
-            console.error('Failed to export saves:', e);
-            showSaveMessage('Failed to export saves', 'error');
-        }
-    });
+    const resume = replayState.resume;
     
-    // Import Saves button
-    document.getElementById('importSaveBtn').addEventListener('click', () => {
-        document.getElementById('importFileInput').click();
-    });
+    replayState.mode = 'off';
+    replayState.replay = null;
+    replayState.resume = null;
+    replayState.frameInput = null;
+    replayState.playing = false;
+    replayState.deltas = replayState.inputs = replayState.frameTimes = null;
+    replayState.actions = replayState.keyframes = replayState.checksums = null;
     
-    document.getElementById('importFileInput').addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            try {
-                const importedData = JSON.parse(event.target.result);
-                localStorage.setItem('asteroidMinerSaves', JSON.stringify(importedData));
-                refreshSaveList();
-                showSaveMessage('Saves imported successfully!', 'success');
-            } catch (error) {
-                console.error('Failed to import saves:', error);
-                showSaveMessage('Failed to import saves', 'error');
-            }
-        };
-        reader.readAsText(file);
-        e.target.value = '';
-    });
+    restoreReplayRandomness();
     
-    // Refresh save list when pause menu opens
-    const pauseModal = document.getElementById('pauseModal');
-    const observer = new MutationObserver(() => {
-        if (pauseModal.classList.contains('active')) {
-            refreshSaveList();
-        }
+    frameCount = resume.frameCount;
+    nextHazardId = resume.nextHazardId;
+    marketHistoryTimer = resume.marketHistoryTimer;
+    autoPilotActive = false;
+    refuelTanker = null;
+    applySaveData(resume.save);
+    refreshUIAfterLoad();
+    updateNavigationButtonText();
+    
+    restoreReplayWorkers();
+    
+    logMessage('Replay closed - back to your own flight.', 'info');
+    updateReplayControls();
+}
+
+function initReplayControls() {
+    document.getElementById('replayPlayPause').addEventListener('click', toggleReplayPlaying);
+    document.getElementById('replaySpeed').addEventListener('click', cycleReplaySpeed);
+    document.getElementById('replayExit').addEventListener('click', exitReplayPlayback);
+    document.getElementById('replayScrub').addEventListener('input', (e) => {
+        seekReplay(Number(e.target.value));
     });
-    observer.observe(pauseModal, { attributes: true, attributeFilter: ['class'] });
+    
+    updateReplayControls();
+}
+
+function updateReplayControls() {
+    const recording = replayState.mode === 'recording' ||
+        (replayState.mode === 'arming' && replayState.armedFor === 'recording');
+    
+    document.body.classList.toggle('replay-recording', recording);
+    document.body.classList.toggle('replay-playback', replayState.mode === 'playback');
+    
+    document.getElementById('recordReplayLabel').textContent = recording ? 'STOP REC' : 'RECORD';
+    document.getElementById('exportReplayBtn').disabled = !replayState.lastRecording;
+    
+    if (replayState.mode === 'playback') {
+        document.getElementById('replayScrub').max = replayState.replay.frames;
+        updateReplayBar();
+    }
+}
+
+function updateReplayBar() {
+    const frame = replayState.seekTarget !== null ? replayState.seekTarget : replayState.frame;
+    const total = replayState.frameTimes[replayState.replay.frames];
+    
+    document.getElementById('replayScrub').value = frame;
+    document.getElementById('replayTime').textContent =
+        `${formatReplayTime(replayState.frameTimes[frame])} / ${formatReplayTime(total)}`;
+    document.getElementById('replayPlayPause').textContent = replayState.playing ? '❚❚' : '▶';
+    document.getElementById('replaySpeed').textContent = `${replayState.speed}x`;
+    document.getElementById('replayDrift').textContent = replayState.drift !== null ? 'DRIFT' : '';
 }
 
 // ================================
@@ -4596,21 +7719,17 @@ function openTradeModal(npc) {
     const tradeSubtitle = document.getElementById('tradeSubtitle');
     const tradeNpcName = document.getElementById('tradeNpcName');
     const tradeNpcPersonality = document.getElementById('tradeNpcPersonality');
-    const tradeNpcReputation = document.getElementById('tradeNpcReputation');
     const tradeNpcCargo = document.getElementById('tradeNpcCargo');
-    const tradeMultiplier = document.getElementById('tradeMultiplier');
     
     // Update NPC info with modern styling
     tradeTitle.textContent = `SECURE TRADE PROTOCOL`;
     tradeSubtitle.textContent = `CONNECTION ESTABLISHED WITH ${npc.name.toUpperCase()}`;
     tradeNpcName.textContent = npc.name.toUpperCase();
     tradeNpcPersonality.textContent = npc.personality || 'Professional';
-    tradeNpcReputation.textContent = npc.reputation || 0;
     tradeNpcCargo.textContent = Math.floor(npc.cargo) || 0;
     
-    // Calculate and display price multiplier based on personality
-    const multiplier = getPersonalityPriceMultiplier(npc);
-    tradeMultiplier.textContent = `${multiplier.toFixed(2)}x`;
+    // Reputation and price multiplier (personality x standing)
+    updateTradeStandingDisplay(npc);
     
     // Update player inventory display
     updateTradeInventoryDisplays(npc);
@@ -4640,25 +7759,43 @@ function closeTradeModal() {
 }
 
 function getPersonalityPriceMultiplier(npc) {
-    const personality = npc.personality || 'Professional';
+    // Personality keys are lowercase (see NPC_PERSONALITIES)
+    const personality = (npc.personality || 'professional').toLowerCase();
     const traits = NPC_PERSONALITIES[personality];
     
     if (!traits) return 1.0;
     
     // Base multiplier on personality
     switch (personality) {
-        case 'Greedy': return 1.5; // Wants more from player
-        case 'Lazy': return 0.8; // Gives better deals (less work)
-        case 'Professional': return 1.0; // Fair 1:1
-        case 'Opportunist': return 1.2; // Slight markup
-        case 'Cautious': return 1.1; // Slightly careful
-        case 'Aggressive': return 0.9; // Competitive pricing
-        case 'Efficient': return 1.0; // Fair pricing
-        case 'Reckless': return 0.85; // Doesn't care about value
+        case 'greedy': return 1.5; // Wants more from player
+        case 'lazy': return 0.8; // Gives better deals (less work)
+        case 'professional': return 1.0; // Fair 1:1
+        case 'opportunist': return 1.2; // Slight markup
+        case 'cautious': return 1.1; // Slightly careful
+        case 'aggressive': return 0.9; // Competitive pricing
+        case 'efficient': return 1.0; // Fair pricing
+        case 'reckless': return 0.85; // Doesn't care about value
         default: return 1.0;
     }
 }
 
+// What the NPC asks for its goods - personality markup, then a discount or surcharge by standing
+function getTradePriceMultiplier(npc) {
+    const tier = getStandingTier(getNPCStanding(gameState, npc));
+    return getPersonalityPriceMultiplier(npc) * tier.priceMultiplier;
+}
+
+function updateTradeStandingDisplay(npc) {
+    const tradeNpcReputation = document.getElementById('tradeNpcReputation');
+    const tradeMultiplier = document.getElementById('tradeMultiplier');
+    if (!tradeNpcReputation || !tradeMultiplier) return;
+    
+    const tier = getStandingTier(getNPCStanding(gameState, npc));
+    tradeNpcReputation.textContent = `${Math.round(npc.reputation || 0)} ${tier.label}`;
+    tradeNpcReputation.style.color = tier.color;
+    tradeMultiplier.textContent = `${getTradePriceMultiplier(npc).toFixed(2)}x`;
+}
+
 function updateTradeInventoryDisplays(npc) {
     // Update player inventory amounts
     const playerInventory = gameState.inventory;
@@ -4719,7 +7856,7 @@ function createCargoCard(resourceType, asteroidData, amount, owner, action) {
     // Use asteroid color for the card
     card.style.setProperty('--resource-color', asteroidData.color);
     
-    const tradeValue = asteroidData.value * 5; // Same multiplier as calculateTradeValue
+    const tradeValue = getTradeUnitValue(resourceType); // Same pricing as calculateTradeValue
     
     card.innerHTML = `
         <div class="card-glow"></div>
@@ -4859,14 +7996,14 @@ function handleEventOption(option, npc) {
     switch (option.action) {
         case 'challenge-accept':
             eventMessage.textContent = `Challenge accepted! Mine 50 ore to win 200 credits.`;
-            if (option.reputation) npc.reputation = (npc.reputation || 0) + option.reputation;
+            if (option.reputation) adjustNPCReputation(gameState, npc, option.reputation);
             // Note: Actual challenge would be implemented in game loop
             setTimeout(() => eventSection.style.display = 'none', 3000);
             break;
             
         case 'challenge-decline':
             eventMessage.textContent = `${npc.name} scoffs: "Thought so..."`; 
-            if (option.reputation) npc.reputation = (npc.reputation || 0) + option.reputation;
+            if (option.reputation) adjustNPCReputation(gameState, npc, option.reputation);
             setTimeout(() => eventSection.style.display = 'none', 2000);
             break;
             
@@ -4875,7 +8012,7 @@ function handleEventOption(option, npc) {
                 gameState.credits -= option.cost;
                 gameState.inventory.platinum = (gameState.inventory.platinum || 0) + option.platinum;
                 eventMessage.textContent = `Purchased! (You overpaid...)`;
-                if (option.reputation) npc.reputation = (npc.reputation || 0) + option.reputation;
+                if (option.reputation) adjustNPCReputation(gameState, npc, option.reputation);
                 updateTradeInventoryDisplays(npc);
             } else {
                 eventMessage.textContent = `Not enough credits!`;
@@ -4885,7 +8022,7 @@ function handleEventOption(option, npc) {
             
         case 'scam-refuse':
             eventMessage.textContent = `${npc.name} mutters: "Your loss..."`; 
-            if (option.reputation) npc.reputation = (npc.reputation || 0) + option.reputation;
+            if (option.reputation) adjustNPCReputation(gameState, npc, option.reputation);
             setTimeout(() => eventSection.style.display = 'none', 2000);
             break;
             
@@ -4893,13 +8030,13 @@ function handleEventOption(option, npc) {
             gameState.hull = Math.max(1, gameState.hull + option.hull);
             gameState.inventory.gold = (gameState.inventory.gold || 0) + option.gold;
             eventMessage.textContent = `You did it! +${option.gold} gold (but -${Math.abs(option.hull)} hull!)`;
-            if (option.reputation) npc.reputation = (npc.reputation || 0) + option.reputation;
+            if (option.reputation) adjustNPCReputation(gameState, npc, option.reputation);
             setTimeout(() => eventSection.style.display = 'none', 3000);
             break;
             
         case 'dare-decline':
             eventMessage.textContent = `${npc.name} shrugs: "Smart choice, probably."`; 
-            if (option.reputation) npc.reputation = (npc.reputation || 0) + option.reputation;
+            if (option.reputation) adjustNPCReputation(gameState, npc, option.reputation);
             setTimeout(() => eventSection.style.display = 'none', 2000);
             break;
             
@@ -4908,7 +8045,7 @@ function handleEventOption(option, npc) {
                 gameState.inventory.iron -= option.ironCost;
                 gameState.credits += option.reward;
                 eventMessage.textContent = `Thanks! Here's ${option.reward} credits.`;
-                if (option.reputation) npc.reputation = (npc.reputation || 0) + option.reputation;
+                if (option.reputation) adjustNPCReputation(gameState, npc, option.reputation);
                 updateTradeInventoryDisplays(npc);
             } else {
                 eventMessage.textContent = `You don't have enough iron!`;
@@ -4921,6 +8058,9 @@ function handleEventOption(option, npc) {
             setTimeout(() => eventSection.style.display = 'none', 2000);
             break;
     }
+    
+    // Reputation may have moved the NPC into another standing tier
+    updateTradeStandingDisplay(npc);
 }
 
 function setupTradeModalEventListeners() {
@@ -5041,7 +8181,7 @@ function updateTradeSummary() {
         if (amount > 0) {
             const asteroidData = ASTEROID_TYPES[resource];
             if (asteroidData) {
-                giveValue += asteroidData.value * 5 * amount;
+                giveValue += getTradeUnitValue(resource) * amount;
                 giveItems.push(`${amount}x ${asteroidData.name}`);
             }
         }
@@ -5054,7 +8194,7 @@ function updateTradeSummary() {
         if (amount > 0) {
             const asteroidData = ASTEROID_TYPES[resource];
             if (asteroidData) {
-                takeValue += asteroidData.value * 5 * amount;
+                takeValue += getTradeUnitValue(resource) * amount;
                 takeItems.push(`${amount}x ${asteroidData.name}`);
             }
         }
@@ -5084,7 +8224,7 @@ function proposeTrade() {
     // Calculate trade values
     const playerGiveValue = calculateTradeValue(tradingState.tradeOffer.playerGives);
     const playerTakeValue = calculateTradeValue(tradingState.tradeOffer.playerTakes);
-    const multiplier = getPersonalityPriceMultiplier(npc);
+    const multiplier = getTradePriceMultiplier(npc);
     const adjustedTakeValue = playerTakeValue * multiplier;
     
     // Validate trade
@@ -5131,7 +8271,8 @@ function proposeTrade() {
     }
     
     // Update reputation
-    npc.reputation = (npc.reputation || 0) + 2;
+    adjustNPCReputation(gameState, npc, 2);
+    updateTradeStandingDisplay(npc);
     
     // Show success message
     showTradeWarning('Trade successful!');
@@ -5144,14 +8285,22 @@ function proposeTrade() {
     }, 1500);
 }
 
+// Trade value of one unit, priced at the trading NPC's home station market
+function getTradeUnitValue(resource) {
+    const npc = tradingState.currentNPC;
+    const station = npc ? npc.homeStation : null;
+    
+    // Multiplied by 5 to make trade values more meaningful
+    return Math.round(getMarketPrice(station, resource) * 5);
+}
+
 function calculateTradeValue(resources) {
     let total = 0;
     
     for (const [resource, amount] of Object.entries(resources)) {
         const asteroidType = ASTEROID_TYPES[resource];
         if (asteroidType && amount > 0) {
-            // Use the asteroid's value, multiplied by 5 to make trade values more meaningful
-            total += asteroidType.value * 5 * amount;
+            total += getTradeUnitValue(resource) * amount;
         }
     }
     
@@ -5293,12 +8442,16 @@ function initInput() {
     // Keyboard
     document.addEventListener('keydown', (e) => {
         // Don't process game input while editing ship name or typing in console
-        if (isEditingShipName || isTypingInConsole) {
+        // (or while watching a replay - the recorded input flies the ship)
+        if (isEditingShipName || isTypingInConsole || replayState.mode === 'playback') {
             return;
         }
         
+        const input = getKeyboardInput(e);
+        const action = getBoundAction(inputBindings, 'keyboard', input);
+        
         // Prevent default browser behaviors for game keys
-        if (e.key === ' ' || e.key === 'ArrowUp' || e.key === 'ArrowDown' || 
+        if (action || e.key === ' ' || e.key === 'ArrowUp' || e.key === 'ArrowDown' || 
             e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Tab') {
             e.preventDefault();
         }
@@ -5306,24 +8459,11 @@ function initInput() {
         // Track keyboard input
         setInputMethod('keyboard');
         
-        keys[e.key.toLowerCase()] = true;
-        
-        // Quick actions
-        if (e.key === ' ') {
-            keys['space'] = true;
-        }
-        
-        // Scan function (E or Q key)
-        if ((e.key.toLowerCase() === 'e' || e.key.toLowerCase() === 'q') && !gameState.isPaused) {
-            triggerScan();
-        }
+        keys[input] = true;
         
-        // Trade function (T key)
-        if (e.key.toLowerCase() === 't' && !gameState.isPaused && !tradingState.isTrading) {
-            // Check if there's a nearby NPC to trade with
-            if (tradingState.nearbyNPC) {
-                openTradeModal(tradingState.nearbyNPC);
-            }
+        // One-shot actions (held ones are read through isActionHeld())
+        if (action && !e.repeat && !isHoldAction(action)) {
+            runInputAction(action);
         }
         
         // Quick Save (F5)
@@ -5354,10 +8494,7 @@ function initInput() {
             return;
         }
         
-        keys[e.key.toLowerCase()] = false;
-        if (e.key === ' ') {
-            keys['space'] = false;
-        }
+        keys[getKeyboardInput(e)] = false;
     });
     
     // Mouse
@@ -5397,6 +8534,10 @@ function initInput() {
         
         // Update target zoom instead of direct zoom
         const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+        if (photoState.active) {
+            zoomPhotoCamera(zoomFactor);
+            return;
+        }
         viewport.targetZoom = Math.max(viewport.minZoom, Math.min(viewport.maxZoom, viewport.targetZoom * zoomFactor));
     });
     
@@ -5410,6 +8551,8 @@ function initTouchControls() {
     const pauseBtn = document.getElementById('pauseBtn');
     if (pauseBtn && !pauseBtn.hasAttribute('data-listener-added')) {
         pauseBtn.addEventListener('click', () => {
+            if (replayState.mode === 'playback' || photoState.active) return;
+            
             const pauseModal = document.getElementById('pauseModal');
             pauseModal.classList.add('active');
             gameState.isPaused = true;
@@ -5832,6 +8975,13 @@ function toggleVirtualMouse() {
 // Gamepad connection events
 window.addEventListener('gamepadconnected', (e) => {
     console.log('Gamepad connected:', e.gamepad.id);
+    
+    // A second controller is player 2's (local co-op) - the first keeps flying the first ship
+    if (gamepadConnected && gamepadIndex !== null && e.gamepad.index !== gamepadIndex) {
+        logMessage(`Second controller connected: ${e.gamepad.id.substring(0, 30)} - join co-op from the pause menu`);
+        markUIDirty('coop');
+        return;
+    }
     gamepadConnected = true;
     gamepadIndex = e.gamepad.index;
     logMessage(`Controller connected: ${e.gamepad.id.substring(0, 30)}`);
@@ -5885,6 +9035,7 @@ function showControllerHint() {
 }
 
 function updateGamepad() {
+    gamepadHeldActions = {};
     if (!gamepadConnected || gamepadIndex === null) return;
     
     const gamepads = navigator.getGamepads();
@@ -5892,6 +9043,12 @@ function updateGamepad() {
     
     if (!gamepad) return;
     
+    // The controls screen is waiting for a button to bind
+    if (bindingCapture && bindingCapture.device === 'gamepad') {
+        captureGamepadBinding(gamepad);
+        return;
+    }
+    
     // Don't process game input while editing ship name or typing in console
     if (isEditingShipName || isTypingInConsole) return;
     
@@ -5921,7 +9078,10 @@ function updateGamepad() {
     const startButton = gamepad.buttons[9] && gamepad.buttons[9].pressed;
     const startButtonJustPressed = startButton && !(lastGamepadState.buttons[9]);
     
-    if (startButtonJustPressed) {
+    if (startButtonJustPressed && photoState.active) {
+        gamepadInputDetected = true;
+        exitPhotoMode();
+    } else if (startButtonJustPressed) {
         gamepadInputDetected = true;
         const pauseModal = document.getElementById('pauseModal');
         pauseModal.classList.toggle('active');
@@ -6150,9 +9310,8 @@ function updateGamepad() {
             const holdTime = Date.now() - lastGamepadState.l3HoldStart;
             if (holdTime >= HOLD_DURATION) {
                 // Quick Load
-                const savesString = localStorage.getItem('asteroidMinerSaves') || '{}';
-                const saves = JSON.parse(savesString);
-                if (saves['QuickSave']) {
+                const saves = readSaves();
+                if (saves && saves['QuickSave']) {
                     if (loadGame('QuickSave')) {
                         logMessage('Quick Load successful');
                         createFloatingText(player.x, player.y - 30, 'LOADED', '#00ff00');
@@ -6196,122 +9355,22 @@ function updateGamepad() {
     // ====================
     
     // ====================
-    // A/Cross Button - Mining Laser
-    // ====================
-    const aButton = gamepad.buttons[0] && gamepad.buttons[0].pressed;
-    if (aButton) {
-        gamepadInputDetected = true;
-        keys['space'] = true;
-    } else if (lastInputMethod === 'gamepad') {
-        // Only clear space key if gamepad is the active input method
-        // This prevents overriding keyboard input when using keyboard
-        keys['space'] = false;
-    }
-    
-    // ====================
-    // B/Circle Button - Deep Space Scan
-    // ====================
-    const bButton = gamepad.buttons[1] && gamepad.buttons[1].pressed;
-    const bButtonJustPressed = bButton && !(lastGamepadState.buttons[1]);
-    
-    if (bButtonJustPressed) {
-        gamepadInputDetected = true;
-        triggerScan();
-    }
-    
-    // ====================
-    // Y/Triangle Button - Trade with Nearby NPC
-    // ====================
-    const yButton = gamepad.buttons[3] && gamepad.buttons[3].pressed;
-    const yButtonJustPressed = yButton && !(lastGamepadState.buttons[3]);
-    
-    if (yButtonJustPressed && !tradingState.isTrading) {
-        gamepadInputDetected = true;
-        // Check if there's a nearby NPC to trade with
-        if (tradingState.nearbyNPC) {
-            openTradeModal(tradingState.nearbyNPC);
-        }
-    }
-    
-    // Update button state tracking
-    lastGamepadState.buttons[1] = bButton;
-    lastGamepadState.buttons[3] = yButton;
-    
-    // ====================
-    // LB/L1 - Zoom Out (works in both modes)
-    // ====================
-    const lbButton = gamepad.buttons[4] && gamepad.buttons[4].pressed;
-    if (lbButton && !virtualMouseActive) {
-        gamepadInputDetected = true;
-        viewport.targetZoom = Math.max(viewport.minZoom, viewport.targetZoom * 0.98);
-    }
-    
-    // ====================
-    // RB/R1 - Zoom In (works in both modes)
-    // ====================
-    const rbButton = gamepad.buttons[5] && gamepad.buttons[5].pressed;
-    if (rbButton && !virtualMouseActive) {
-        gamepadInputDetected = true;
-        viewport.targetZoom = Math.min(viewport.maxZoom, viewport.targetZoom * 1.02);
-    }
-    
-    // ====================
-    // D-Pad Up - Toggle Autopilot (only when virtual mouse is OFF)
+    // Rebindable actions (INPUT_ACTIONS) - held ones are read through isActionHeld(),
+    // the rest fire once per press
     // ====================
-    if (!virtualMouseActive) {
-        const dpadUp = gamepad.buttons[12] && gamepad.buttons[12].pressed;
-        const dpadUpJustPressed = dpadUp && !lastGamepadState.dpadUpPressed;
-        
-        if (dpadUpJustPressed) {
-            gamepadInputDetected = true;
-            autoPilotActive = !autoPilotActive;
-            logMessage(autoPilotActive ? 'Autopilot ENGAGED' : 'Autopilot DISENGAGED');
-            updateNavigationButtonText(); // Update UI to reflect autopilot state
-        }
-        
-        lastGamepadState.dpadUpPressed = dpadUp;
-        
-        // D-Pad Left - Toggle Missions Drawer (only when virtual mouse is OFF)
-        const dpadLeft = gamepad.buttons[14] && gamepad.buttons[14].pressed;
-        const dpadLeftJustPressed = dpadLeft && !lastGamepadState.dpadLeftPressed;
-        
-        if (dpadLeftJustPressed) {
-            gamepadInputDetected = true;
-            toggleMissionsDrawer();
-        }
-        
-        lastGamepadState.dpadLeftPressed = dpadLeft;
+    gamepad.buttons.forEach((button, index) => {
+        if (!button.pressed) return;
         
-        // D-Pad Right - Sell Cargo (docked or remote with drone) (only when virtual mouse is OFF)
-        const dpadRight = gamepad.buttons[15] && gamepad.buttons[15].pressed;
-        const dpadRightJustPressed = dpadRight && !lastGamepadState.dpadRightPressed;
+        const action = getBoundAction(inputBindings, 'gamepad', index);
+        if (!action) return;
         
-        if (dpadRightJustPressed) {
-            gamepadInputDetected = true;
-            // Check if player has cargo to sell
-            if (gameState.cargo > 0) {
-                // Check if player is docked - if so, sell normally
-                if (isDockedAtAnyStation()) {
-                    sellCargo();
-                } else {
-                    // If not docked, check if cargo drone is available
-                    if (gameState.upgrades.cargoDrone >= 1) {
-                        deployCargoDrone();
-                    } else {
-                        logMessage('Must be docked at station to sell cargo, or purchase Cargo Drone upgrade.');
-                    }
-                }
-            } else {
-                logMessage('No cargo to sell.');
-            }
+        gamepadInputDetected = true;
+        if (isHoldAction(action)) {
+            gamepadHeldActions[action] = true;
+        } else if (!lastGamepadState.buttons[index]) {
+            runInputAction(action);
         }
-        
-        lastGamepadState.dpadRightPressed = dpadRight;
-    } else {
-        lastGamepadState.dpadUpPressed = false;
-        lastGamepadState.dpadLeftPressed = false;
-        lastGamepadState.dpadRightPressed = false;
-    }
+    });
     
     // Update input method if any gamepad input was detected
     if (gamepadInputDetected) {
@@ -6339,10 +9398,12 @@ function initMinimapScanner() {
         if (gameState.isPaused) return;
         
         // Trigger the scan
-        triggerScan();
+        runReplayable('scan');
         
-        // Visual feedback - briefly highlight the minimap
-        minimapCanvas.style.boxShadow = '0 0 15px rgba(0, 255, 255, 0.8)';
+        // Visual feedback - briefly highlight the minimap (red while a storm jams the scanner)
+        minimapCanvas.style.boxShadow = isScannerJammed(gameState.sectorEvents)
+            ? '0 0 15px rgba(255, 51, 51, 0.8)'
+            : '0 0 15px rgba(0, 255, 255, 0.8)';
         setTimeout(() => {
             minimapCanvas.style.boxShadow = '';
         }, 200);
@@ -6486,6 +9547,27 @@ const MISSION_TEMPLATES = [
             medium: 150,
             hard: 120
         }
+    },
+    // Supply missions - hand refined items from the component locker to this station
+    {
+        type: 'deliver',
+        icon: '⚙',
+        titleTemplates: ['COMPONENT ORDER', 'SUPPLY REQUEST', 'FABRICATION ORDER'],
+        descriptionTemplates: [
+            'Supply {target} {resourceType} to this station',
+            'Deliver {target} {resourceType} from your component locker'
+        ],
+        rewardMultiplier: 6,  // Times the item's value
+        difficulties: { 
+            easy: [3, 5],     // items to supply
+            medium: [2, 4], 
+            hard: [1, 2] 
+        },
+        items: {
+            easy: ['ironIngot', 'copperIngot'],
+            medium: ['wiring', 'titaniumPlate'],
+            hard: ['circuitBoard', 'focusCrystal']
+        }
     }
 ];
 
@@ -6512,35 +9594,57 @@ function initMissions() {
             missionBoardDrawerIcon.textContent = '▼';
         }
     });
+    
+    // Initialize contract log drawer toggle
+    const contractLogDrawerBtn = document.getElementById('contractLogDrawerBtn');
+    const contractLogDrawerIcon = contractLogDrawerBtn.querySelector('.drawer-icon');
+    
+    contractLogDrawerBtn.addEventListener('click', () => {
+        const contractLogList = document.getElementById('contractLogList');
+        const isOpen = contractLogList.style.display !== 'none';
+        contractLogList.style.display = isOpen ? 'none' : 'block';
+        contractLogDrawerIcon.textContent = isOpen ? '▶' : '▼';
+    });
 }
 
 // Generate random missions for a station
-function generateStationMissions(stationName, stationColor) {
+// Seeded per station and mission ID, so boards match for the same seed and replacements still vary
+function generateStationMissions(stationName, stationColor, rng = createSectorRandom('missions', stationName, gameState.nextMissionId)) {
     const missions = [];
     const numMissions = 3; // Always 3 missions per station
     
     for (let i = 0; i < numMissions; i++) {
-        const template = MISSION_TEMPLATES[Math.floor(Math.random() * MISSION_TEMPLATES.length)];
-        const difficulty = ['easy', 'medium', 'hard'][Math.floor(Math.random() * 3)];
+        const template = MISSION_TEMPLATES[Math.floor(rng() * MISSION_TEMPLATES.length)];
+        const difficulty = ['easy', 'medium', 'hard'][Math.floor(rng() * 3)];
         const difficultyRange = template.difficulties[difficulty];
-        const target = Math.floor(Math.random() * (difficultyRange[1] - difficultyRange[0] + 1)) + difficultyRange[0];
+        const target = Math.floor(rng() * (difficultyRange[1] - difficultyRange[0] + 1)) + difficultyRange[0];
         
         // Select random title and description
-        const title = template.titleTemplates[Math.floor(Math.random() * template.titleTemplates.length)];
-        let description = template.descriptionTemplates[Math.floor(Math.random() * template.descriptionTemplates.length)];
+        const title = template.titleTemplates[Math.floor(rng() * template.titleTemplates.length)];
+        let description = template.descriptionTemplates[Math.floor(rng() * template.descriptionTemplates.length)];
         
         // For specific resource missions, pick a random resource type
         let resourceType = null;
         let rarityMultiplier = 1.0;
         if (template.type === 'mine_specific') {
             const resourceTypes = Object.keys(ASTEROID_TYPES).filter(t => t !== 'common');
-            resourceType = resourceTypes[Math.floor(Math.random() * resourceTypes.length)];
+            resourceType = resourceTypes[Math.floor(rng() * resourceTypes.length)];
             const resourceData = ASTEROID_TYPES[resourceType];
             const resourceName = resourceData.name;
             rarityMultiplier = resourceData.rarityMultiplier; // Use rarity for reward scaling
             description = description.replace('{resourceType}', resourceName);
         }
         
+        // Supply missions ask for a refined item - delivered while docked here, so in this sector
+        let sector = null;
+        if (template.type === 'deliver') {
+            const items = template.items[difficulty];
+            resourceType = items[Math.floor(rng() * items.length)];
+            rarityMultiplier = REFINED_ITEMS[resourceType].value;
+            sector = gameState.sectorId;
+            description = description.replace('{resourceType}', REFINED_ITEMS[resourceType].name);
+        }
+        
         // Handle special parameters for different mission types
         let threshold = null;
         let timeLimit = null;
@@ -6573,6 +9677,7 @@ function generateStationMissions(stationName, stationColor) {
             target: target,
             threshold: threshold,
             timeLimit: timeLimit,
+            sector: sector,
             reward: reward,
             stationName: stationName,
             stationColor: stationColor,
@@ -6584,10 +9689,468 @@ function generateStationMissions(stationName, stationColor) {
     return missions;
 }
 
-// Calculate mission reward with prestige bonus
-function calculateMissionReward(baseReward) {
-    const bonusValue = Math.floor(baseReward * (gameState.prestigeBonus / 100));
-    return baseReward + bonusValue;
+// Bounties stations post while a sector event is announced or running (see SECTOR EVENTS) - one
+// per event on each board, taken down with the event unless accepted. Their objectives track
+// the event stats in the sim core; storm and salvage bounties fail once their event is over.
+const EVENT_MISSION_TEMPLATES = {
+    meteorShower: {
+        type: 'meteor_mining',
+        icon: '☄',
+        titleTemplates: ['METEOR HARVEST', 'SHOWER BOUNTY'],
+        descriptionTemplates: [
+            'Break up {target} meteors from the shower',
+            'Mine out {target} meteor rocks before the other crews do'
+        ],
+        rewardMultiplier: 160,
+        difficulties: {
+            easy: [2, 3],
+            medium: [4, 5],
+            hard: [6, 7]
+        }
+    },
+    solarStorm: {
+        type: 'storm_survival',
+        icon: '☀',
+        titleTemplates: ['STORM READINGS', 'FLARE SURVEY'],
+        descriptionTemplates: [
+            'Stay out in the solar storm for {target} seconds',
+            'Log {target} seconds of flare readings out in the open'
+        ],
+        rewardMultiplier: 15,
+        difficulties: {
+            easy: [15, 20],
+            medium: [25, 30],
+            hard: [35, 40]
+        }
+    },
+    derelict: {
+        type: 'salvage_derelict',
+        icon: '⌧',
+        titleTemplates: ['SALVAGE RIGHTS', 'WRECK RECOVERY'],
+        descriptionTemplates: [
+            'Salvage the derelict drifting through the sector'
+        ],
+        rewardMultiplier: 500,
+        difficulties: {
+            easy: [1, 1]
+        }
+    }
+};
+
+// Bounty for a sector event. Seeded per station and event, on its own stream so the regular
+// boards stay as they were for a seed.
+function generateEventMission(event, stationName, stationColor, rng = createSectorRandom('event-missions', stationName, event.id)) {
+    const template = EVENT_MISSION_TEMPLATES[event.type];
+    const difficulties = Object.keys(template.difficulties);
+    const difficulty = difficulties[Math.floor(rng() * difficulties.length)];
+    const difficultyRange = template.difficulties[difficulty];
+    const target = Math.floor(rng() * (difficultyRange[1] - difficultyRange[0] + 1)) + difficultyRange[0];
+    const title = template.titleTemplates[Math.floor(rng() * template.titleTemplates.length)];
+    const description = template.descriptionTemplates[Math.floor(rng() * template.descriptionTemplates.length)]
+        .replace('{target}', target);
+    
+    const difficultyMultiplier = difficulty === 'hard' ? 1.5 : difficulty === 'medium' ? 1.25 : 1;
+    const sectorMultiplier = 1.0 + (gameState.sector - 1) * 0.1;
+    
+    return {
+        id: gameState.nextMissionId++,
+        icon: template.icon,
+        title: title,
+        description: description,
+        type: template.type,
+        resourceType: null,
+        difficulty: difficulty,
+        target: target,
+        threshold: null,
+        timeLimit: null,
+        sector: null,
+        reward: Math.floor(target * template.rewardMultiplier * difficultyMultiplier * sectorMultiplier),
+        stationName: stationName,
+        stationColor: stationColor,
+        eventId: event.id,
+        startValue: 0,
+        startTime: 0
+    };
+}
+
+// Add bounties for the sector's events to a station's board (once per event)
+function postEventMissions(stationName, stationColor) {
+    for (const event of gameState.sectorEvents.events) {
+        if (event.posted.includes(stationName)) continue;
+        
+        event.posted.push(stationName);
+        gameState.stationMissions[stationName].push(generateEventMission(event, stationName, stationColor));
+    }
+}
+
+// Take an event's unclaimed bounties off every board
+function withdrawEventMissions(event) {
+    for (const stationName of event.posted) {
+        const board = gameState.stationMissions[stationName];
+        if (!board) continue;
+        
+        gameState.stationMissions[stationName] = board.filter(m => m.eventId !== event.id || gameState.missions.some(active => active.id === m.id));
+    }
+}
+
+// Delivery missions for ores a station is short of (see STATION MARKET SYSTEM) - one per ore,
+// at most MARKET_CONFIG.shortageMissions per board, taken down unless accepted once the
+// stockpile is back above 'low'. The ore handed in restocks the station.
+const SHORTAGE_REWARD_MULTIPLIER = 2.5; // Times the ore's base value, per unit
+const SHORTAGE_DIFFICULTIES = { common: 'easy', uncommon: 'easy', rare: 'medium', epic: 'hard', legendary: 'hard' };
+
+function generateShortageMission(station, type) {
+    const ore = ASTEROID_TYPES[type];
+    const target = Math.max(1, Math.ceil(station.market.target[type] - station.market.stock[type]));
+    const sectorMultiplier = 1.0 + (gameState.sector - 1) * 0.1;
+    
+    return {
+        id: gameState.nextMissionId++,
+        icon: '⚠',
+        title: `${ore.name.toUpperCase()} SHORTAGE`,
+        description: `Deliver ${target} ${ore.name} to restock the station's stockpile`,
+        type: 'deliver',
+        resourceType: type,
+        difficulty: SHORTAGE_DIFFICULTIES[ore.rarity] || 'medium',
+        target: target,
+        threshold: null,
+        timeLimit: null,
+        sector: gameState.sectorId,
+        reward: Math.floor(target * ore.value * SHORTAGE_REWARD_MULTIPLIER * sectorMultiplier),
+        stationName: station.name,
+        stationColor: station.colorScheme,
+        shortage: true,
+        restocked: 0,
+        startValue: 0,
+        startTime: 0
+    };
+}
+
+// Bring a station's shortage missions in line with its stockpile. Only boards that exist are
+// touched (a station's board is created the first time the ship docks there).
+// Returns the ores newly posted.
+function refreshShortageMissions(station) {
+    const board = gameState.stationMissions[station.name];
+    if (!board || !station.market) return [];
+    
+    const isAccepted = mission => gameState.missions.some(active => active.id === mission.id);
+    const isShort = type => ['shortage', 'low'].includes(getStockStatus(station.market, type));
+    const kept = board.filter(m => !m.shortage || isAccepted(m) || isShort(m.resourceType));
+    const posted = [];
+    
+    for (const type of findStockShortages(station.market)) {
+        if (kept.filter(m => m.shortage).length >= MARKET_CONFIG.shortageMissions) break;
+        if (kept.some(m => m.shortage && m.resourceType === type)) continue;
+        
+        kept.push(generateShortageMission(station, type));
+        posted.push(type);
+    }
+    
+    gameState.stationMissions[station.name] = kept;
+    return posted;
+}
+
+// Called with the periodic market sample - announces new shortages in the sector
+function updateShortageMissions() {
+    const dockedStation = stations.find(st => st.isDocked);
+    
+    for (const station of stations) {
+        const posted = refreshShortageMissions(station);
+        if (posted.length === 0) continue;
+        
+        const ores = posted.map(type => ASTEROID_TYPES[type].name).join(', ');
+        logMessage(`${station.name} is short of ${ores} - delivery missions posted.`, 'info');
+        
+        if (station === dockedStation) {
+            updateMissionBoard(station.name, station.colorScheme);
+        }
+    }
+}
+
+// Ore handed in for a shortage mission goes into the station's stockpile
+function restockFromMission(mission) {
+    const station = stations.find(st => st.name === mission.stationName);
+    const delivered = mission.current - (mission.restocked || 0);
+    if (!station || delivered <= 0) return;
+    
+    mission.restocked = mission.current;
+    recordStationDelivery(station, { [mission.resourceType]: delivered }, 'You');
+}
+
+// ================================
+// CONTRACTS (MULTI-STAGE MISSIONS)
+// ================================
+// A contract is a mission of type 'contract' holding a chain of stages, each an objective
+// like a one-shot mission. Only the active stage tracks progress (updateMissionStates() in the
+// sim core), every stage pays its own reward when it completes, and a failed stage fails the
+// whole contract. Contracts are not tied to the issuing station - they carry across sector
+// jumps and pay out wherever the last stage finishes.
+
+const CONTRACT_OFFER_CHANCE = 0.5; // Chance a station's board also carries a contract
+const CONTRACT_LOG_LIMIT = 30;     // Contract log entries kept (and saved)
+const CONTRACT_DELIVERY_JUMPS = 3; // Sector jumps a 'deliver' stage allows once it starts
+
+// Stage specs: amounts [min, max] for the target, rewardMultiplier per target unit like
+// MISSION_TEMPLATES. A 'deliver' stage hands over whatever the stage before it mined.
+const CONTRACT_TEMPLATES = [
+    {
+        titleTemplates: ['ORE EXPORT CONTRACT', 'CROSS-SECTOR HAUL'],
+        difficulty: 'hard',
+        stages: [
+            { type: 'mine_specific', amounts: [30, 50], rewardMultiplier: 90, resourceTypes: ['silver', 'titanium', 'gold', 'platinum'] },
+            { type: 'deliver', rewardMultiplier: 120 },
+            { type: 'hazard_transit', amounts: [3000, 5000], threshold: 50, rewardMultiplier: 0.3, description: 'Survive the hazard field: fly {target} units keeping {threshold}%+ hull' }
+        ]
+    },
+    {
+        titleTemplates: ['LANE CLEARING CONTRACT', 'SECTOR SWEEP'],
+        difficulty: 'medium',
+        stages: [
+            { type: 'mine_asteroids', amounts: [10, 15], rewardMultiplier: 50, description: 'Clear {target} asteroids from the lanes' },
+            { type: 'hazard_survival', amounts: [10, 15], threshold: 50, rewardMultiplier: 90, description: 'Mine {target} asteroids keeping {threshold}%+ hull' },
+            { type: 'speed_mining', amounts: [6, 8], timeLimit: 180, rewardMultiplier: 110, description: 'Mine {target} asteroids within {timeLimit} seconds' }
+        ]
+    },
+    {
+        titleTemplates: ['PROSPECTING CHARTER', 'SURVEY & SUPPLY'],
+        difficulty: 'easy',
+        stages: [
+            { type: 'travel_distance', amounts: [4000, 6000], rewardMultiplier: 0.12, description: 'Survey {target} units of the sector' },
+            { type: 'cargo_delivery', amounts: [30, 50], rewardMultiplier: 20, description: 'Fill the hold with {target} units of ore' },
+            { type: 'earn_credits', amounts: [2000, 3000], rewardMultiplier: 0.3, description: 'Earn {target} credits from the haul' }
+        ]
+    }
+];
+
+// Maybe generate a contract for a station board (null when the station has none on offer).
+// Own seeded stream, so adding contracts didn't change the one-shot missions for a seed.
+function generateStationContract(stationName, stationColor, rng = createSectorRandom('contracts', stationName, gameState.nextMissionId)) {
+    if (rng() >= CONTRACT_OFFER_CHANCE) return null;
+    
+    const template = CONTRACT_TEMPLATES[Math.floor(rng() * CONTRACT_TEMPLATES.length)];
+    const sectorMultiplier = 1.0 + (gameState.sector - 1) * 0.1;
+    const pickAmount = range => Math.floor(rng() * (range[1] - range[0] + 1)) + range[0];
+    const stages = [];
+    
+    template.stages.forEach(spec => {
+        const stage = { type: spec.type, status: 'pending', current: 0, target: 0, startValue: 0, startTime: 0 };
+        const previous = stages[stages.length - 1];
+        let rarityMultiplier = 1.0;
+        
+        if (spec.type === 'mine_specific') {
+            // Rarer ore, fewer units
+            stage.resourceType = spec.resourceTypes[Math.floor(rng() * spec.resourceTypes.length)];
+            rarityMultiplier = ASTEROID_TYPES[stage.resourceType].rarityMultiplier;
+            stage.target = Math.max(1, Math.round(pickAmount(spec.amounts) / rarityMultiplier));
+            stage.description = `Mine ${stage.target} ${ASTEROID_TYPES[stage.resourceType].name} and keep it in the hold`;
+        } else if (spec.type === 'deliver') {
+            // To the main station of a sector one jump away
+            const destinations = getSectorLinks(getGalaxy(), gameState.sectorId);
+            stage.resourceType = previous.resourceType;
+            rarityMultiplier = ASTEROID_TYPES[stage.resourceType].rarityMultiplier;
+            stage.target = previous.target;
+            stage.sector = destinations[Math.floor(rng() * destinations.length)].id;
+            stage.jumpLimit = CONTRACT_DELIVERY_JUMPS;
+            stage.stationName = getSectorStationNames(stage.sector)[0];
+            stage.description = `Deliver ${stage.target} ${ASTEROID_TYPES[stage.resourceType].name} to ${stage.stationName} in ${getSectorName(stage.sector)} within ${stage.jumpLimit} jumps`;
+        } else {
+            stage.target = pickAmount(spec.amounts);
+            stage.threshold = spec.threshold || null;
+            stage.timeLimit = spec.timeLimit || null;
+            stage.description = spec.description
+                .replace('{target}', stage.target)
+                .replace('{threshold}', stage.threshold)
+                .replace('{timeLimit}', stage.timeLimit);
+        }
+        
+        stage.reward = Math.floor(stage.target * spec.rewardMultiplier * rarityMultiplier * sectorMultiplier);
+        stages.push(stage);
+    });
+    
+    const contract = {
+        id: gameState.nextMissionId++,
+        icon: '⛓',
+        title: template.titleTemplates[Math.floor(rng() * template.titleTemplates.length)],
+        type: 'contract',
+        difficulty: template.difficulty,
+        stages: stages,
+        stageIndex: 0,
+        reward: stages.reduce((total, stage) => total + stage.reward, 0),
+        stationName: stationName,
+        stationColor: stationColor
+    };
+    syncContractStage(contract);
+    
+    return contract;
+}
+
+// Add an entry to the contract log panel
+function logContractEvent(contract, text) {
+    gameState.contractLog.push({
+        contractId: contract.id,
+        title: contract.title,
+        text: text,
+        sector: gameState.sectorName
+    });
+    
+    if (gameState.contractLog.length > CONTRACT_LOG_LIMIT) {
+        gameState.contractLog.splice(0, gameState.contractLog.length - CONTRACT_LOG_LIMIT);
+    }
+    
+    markUIDirty('missions');
+}
+
+// Pay one stage's reward (issuing station's standing and prestige bonus apply, like missions)
+function payContractStage(contract, stage) {
+    const payout = calculateMissionReward({ reward: stage.reward, stationName: contract.stationName });
+    gameState.credits += payout;
+    gameState.stats.creditsEarned += payout;
+    markUIDirty('credits', 'prestige');
+    return payout;
+}
+
+function handleContractEvent(contract, event, reason, stage) {
+    if (event === 'failed') {
+        logMessage(`Contract failed: ${reason}`, 'error');
+        logContractEvent(contract, `FAILED - ${reason}`);
+        return;
+    }
+    
+    if (event !== 'stage_completed' && event !== 'completed') return;
+    
+    const payout = payContractStage(contract, stage);
+    const stageNumber = contract.stages.indexOf(stage) + 1;
+    logMessage(`${contract.title}: stage ${stageNumber}/${contract.stages.length} complete (+${payout}¢)`, 'success');
+    logContractEvent(contract, `Stage ${stageNumber} complete: ${stage.description} (+${payout}¢)`);
+    
+    if (event === 'completed') {
+        finishContract(contract);
+    } else {
+        logMessage(`Next: ${contract.stages[contract.stageIndex].description}`);
+    }
+}
+
+// Last stage done - its reward is already paid, so there's nothing to claim at a station
+function finishContract(contract) {
+    logMessage(`Contract complete: ${contract.title}!`, 'success');
+    logContractEvent(contract, 'CONTRACT COMPLETE');
+    
+    const standingGain = MISSION_STANDING_REWARD[contract.difficulty] || 0;
+    if (standingGain > 0) {
+        adjustFactionStanding(gameState, contract.stationName, standingGain);
+        logMessage(`Standing with ${contract.stationName} improved (+${standingGain}).`, 'info');
+    }
+    
+    removeMission(contract.id);
+    replaceBoardMission(contract);
+}
+
+// Take a finished/abandoned mission off its station's board and offer a new one in its place.
+// Event bounties and shortage missions aren't replaced - their event or shortage posts them.
+function replaceBoardMission(mission) {
+    if (!gameState.stationMissions[mission.stationName]) return;
+    
+    gameState.stationMissions[mission.stationName] = gameState.stationMissions[mission.stationName].filter(m => m.id !== mission.id);
+    if (mission.eventId || mission.shortage) return;
+    
+    const newMission = mission.type === 'contract'
+        ? generateStationContract(mission.stationName, mission.stationColor)
+        : generateStationMissions(mission.stationName, mission.stationColor)[0];
+    if (newMission) {
+        gameState.stationMissions[mission.stationName].push(newMission);
+    }
+}
+
+// Stage list markup: ✓ done, ▸ active, ✗ failed, ○ pending
+function createContractStageListHtml(contract) {
+    const markers = { completed: '✓', active: '▸', failed: '✗', pending: '○' };
+    const rows = contract.stages.map(stage => {
+        const reward = calculateMissionReward({ reward: stage.reward, stationName: contract.stationName });
+        return `<div class="contract-stage ${stage.status}">${markers[stage.status] || '○'} ${stage.description} (${reward}¢)</div>`;
+    });
+    return `<div class="contract-stage-list">${rows.join('')}</div>`;
+}
+
+// Active contracts with their stages, then the most recent log entries
+function updateContractLogDisplay() {
+    const list = domCache.contractLogList;
+    if (!list) return;
+    
+    const contracts = gameState.missions.filter(m => m.type === 'contract');
+    domCache.contractCount.textContent = `(${contracts.length})`;
+    list.innerHTML = '';
+    
+    if (contracts.length === 0 && gameState.contractLog.length === 0) {
+        const emptyItem = document.createElement('div');
+        emptyItem.className = 'mission-item empty';
+        emptyItem.innerHTML = `
+            <span class="item-icon">⊗</span>
+            <span class="item-text">NO CONTRACTS</span>
+        `;
+        list.appendChild(emptyItem);
+        return;
+    }
+    
+    contracts.forEach(contract => {
+        const item = document.createElement('div');
+        item.className = `mission-item ${contract.status}`;
+        
+        const statusText = contract.status === 'failed'
+            ? '<span style="color: #ff0000;">✗ FAILED</span>'
+            : `<span style="color: #ffaa00;">◉ STAGE ${contract.stageIndex + 1}/${contract.stages.length}</span>`;
+        const progressPercent = Math.min(100, (contract.current / contract.target) * 100);
+        
+        item.innerHTML = `
+            <div class="mission-header">
+                <span class="item-icon">${contract.icon}</span>
+                <span class="mission-title">${contract.title}</span>
+                <span class="mission-status">${statusText}</span>
+            </div>
+            ${createContractStageListHtml(contract)}
+            <div class="mission-progress">
+                <span>${contract.current}/${contract.target}</span>
+                <div class="mission-progress-bar">
+                    <div class="mission-progress-fill" style="width: ${progressPercent}%"></div>
+                </div>
+            </div>
+            <button class="claim-reward-btn" style="background-color: rgba(255, 0, 0, 0.2); border-color: #ff0000;">
+                [ABANDON CONTRACT]
+            </button>
+        `;
+        
+        item.querySelector('.claim-reward-btn').addEventListener('click', () => {
+            if (contract.status === 'failed') {
+                abandonMission(contract.id);
+                return;
+            }
+            showConfirm(
+                'ABANDON CONTRACT',
+                `Abandon ${contract.title}?\n\nStages already paid are kept, but standing with ${contract.stationName} will drop (${MISSION_ABANDON_STANDING}).`,
+                () => abandonMission(contract.id)
+            );
+        });
+        
+        list.appendChild(item);
+    });
+    
+    // Newest entries first
+    gameState.contractLog.slice(-10).reverse().forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'contract-log-entry';
+        item.textContent = `[${entry.sector}] ${entry.title}: ${entry.text}`;
+        list.appendChild(item);
+    });
+}
+
+// Calculate mission reward with the issuing station's standing and the prestige bonus
+function calculateMissionReward(mission) {
+    const tier = getStandingTier(getFactionStanding(gameState, mission.stationName));
+    return applyPrestigeBonus(Math.round(mission.reward * tier.rewardMultiplier), gameState.prestigeBonus);
+}
+
+// Lowest standing tier a station needs before it hands out missions of this difficulty
+function getRequiredStandingTier(difficulty) {
+    return [...STANDING_TIERS].reverse().find(tier => isMissionDifficultyAllowed(tier, difficulty));
 }
 
 // Show mission board when docked
@@ -6607,6 +10170,20 @@ function updateMissionBoard(stationName, stationColor) {
     // Generate missions for this station if they don't exist
     if (!gameState.stationMissions[stationName]) {
         gameState.stationMissions[stationName] = generateStationMissions(stationName, stationColor);
+        
+        const contract = generateStationContract(stationName, stationColor);
+        if (contract) {
+            gameState.stationMissions[stationName].push(contract);
+        }
+    }
+    
+    // Bounties for meteor showers, storms and derelicts in the sector
+    postEventMissions(stationName, stationColor);
+    
+    // Delivery missions for ores the station is short of
+    const boardStation = stations.find(st => st.name === stationName);
+    if (boardStation) {
+        refreshShortageMissions(boardStation);
     }
     
     const availableMissions = gameState.stationMissions[stationName];
@@ -6624,6 +10201,17 @@ function updateMissionBoard(stationName, stationColor) {
     // Clear current display
     missionBoardList.innerHTML = '';
     
+    // Station standing decides which contracts are offered and what they pay
+    const standing = getFactionStanding(gameState, stationName);
+    const standingTier = getStandingTier(standing);
+    const standingItem = document.createElement('div');
+    standingItem.className = 'mission-board-item standing';
+    standingItem.innerHTML = `
+        <span>STANDING</span>
+        <span style="color: ${standingTier.color};">${standingTier.label} (${standing >= 0 ? '+' : ''}${Math.round(standing)})</span>
+    `;
+    missionBoardList.appendChild(standingItem);
+    
     if (availableMissions.length === 0 && completedMissions.length === 0 && failedMissions.length === 0) {
         const emptyItem = document.createElement('div');
         emptyItem.className = 'mission-board-item empty';
@@ -6639,7 +10227,7 @@ function updateMissionBoard(stationName, stationColor) {
             item.className = 'mission-board-item completed';
             
             const progressPercent = 100;
-            const rewardWithBonus = calculateMissionReward(mission.reward);
+            const rewardWithBonus = calculateMissionReward(mission);
             
             item.innerHTML = `
                 <div class="mission-header">
@@ -6696,7 +10284,7 @@ function updateMissionBoard(stationName, stationColor) {
                     // Show failed mission with abandon button
                     item.className = 'mission-board-item failed';
                     const progressPercent = Math.min(100, (acceptedMission.current / acceptedMission.target) * 100);
-                    const rewardWithBonus = calculateMissionReward(acceptedMission.reward);
+                    const rewardWithBonus = calculateMissionReward(acceptedMission);
                     
                     item.innerHTML = `
                         <div class="mission-header">
@@ -6724,7 +10312,7 @@ function updateMissionBoard(stationName, stationColor) {
                     // Show accepted mission in progress
                     item.className = 'mission-board-item accepted';
                     const progressPercent = Math.min(100, (acceptedMission.current / acceptedMission.target) * 100);
-                    const rewardWithBonus = calculateMissionReward(acceptedMission.reward);
+                    const rewardWithBonus = calculateMissionReward(acceptedMission);
                     
                     item.innerHTML = `
                         <div class="mission-header">
@@ -6742,18 +10330,32 @@ function updateMissionBoard(stationName, stationColor) {
                         <div class="mission-reward">REWARD: ${rewardWithBonus}¢</div>
                     `;
                 }
+            } else if (!isMissionDifficultyAllowed(standingTier, mission.difficulty)) {
+                // Station won't offer this contract at the player's standing
+                const requiredTier = getRequiredStandingTier(mission.difficulty);
+                const lockText = standingTier.maxDifficulty ? `REQUIRES ${requiredTier.label}` : 'REFUSED';
+                item.className = 'mission-board-item locked';
+                item.innerHTML = `
+                    <div class="mission-header">
+                        <span class="item-icon">${mission.icon}</span>
+                        <span class="mission-title">${mission.title}</span>
+                        <span class="mission-status"><span style="color: ${standingTier.color};">⊘ ${lockText}</span></span>
+                    </div>
+                    <div class="mission-description">${mission.description}</div>
+                `;
             } else {
                 // Show unaccepted mission (clickable)
                 item.className = 'mission-board-item';
-                const rewardWithBonus = calculateMissionReward(mission.reward);
+                const rewardWithBonus = calculateMissionReward(mission);
+                const isContract = mission.type === 'contract';
                 item.innerHTML = `
                     <div class="mission-header">
                         <span class="item-icon">${mission.icon}</span>
                         <span class="mission-title">${mission.title}</span>
                         <span class="mission-status"><span class="mission-board-difficulty ${mission.difficulty}">${mission.difficulty.toUpperCase()}</span></span>
                     </div>
-                    <div class="mission-description">${mission.description}</div>
-                    <div class="mission-reward">REWARD: ${rewardWithBonus}¢</div>
+                    ${isContract ? createContractStageListHtml(mission) : `<div class="mission-description">${mission.description}</div>`}
+                    <div class="mission-reward">REWARD: ${rewardWithBonus}¢${isContract ? ' (PAID PER STAGE)' : ''}</div>
                 `;
                 item.addEventListener('click', () => acceptMission(mission, stationName, stationColor));
             }
@@ -6765,40 +10367,19 @@ function updateMissionBoard(stationName, stationColor) {
 
 // Accept a mission from the board
 function acceptMission(mission, stationName, stationColor) {
-    // Set start values based on mission type
-    switch (mission.type) {
-        case 'mine_asteroids':
-            mission.startValue = gameState.stats.asteroidsDestroyed;
-            mission.current = 0;
-            break;
-        case 'mine_specific':
-            mission.startValue = gameState.stats.mineralsMined[mission.resourceType] || 0;
-            mission.current = 0;
-            break;
-        case 'earn_credits':
-            mission.startValue = gameState.stats.creditsEarned;
-            mission.current = 0;
-            break;
-        case 'travel_distance':
-            mission.startValue = gameState.stats.distanceTraveled;
-            mission.current = 0;
-            break;
-        case 'cargo_delivery':
-            mission.startValue = 0;
-            mission.current = 0;
-            break;
-        case 'hazard_survival':
-            mission.startValue = gameState.stats.asteroidsDestroyed;
-            mission.current = 0;
-            mission.lowestHull = gameState.hull;
-            mission.failed = false;
-            break;
-        case 'speed_mining':
-            mission.startValue = gameState.stats.asteroidsDestroyed;
-            mission.current = 0;
-            mission.startTime = Date.now();
-            mission.failed = false;
-            break;
+    const standingTier = getStandingTier(getFactionStanding(gameState, stationName));
+    if (!isMissionDifficultyAllowed(standingTier, mission.difficulty)) {
+        logMessage(`${stationName} won't offer that contract at ${standingTier.label} standing.`, 'error');
+        return;
+    }
+    
+    if (mission.type === 'contract') {
+        // Only the first stage starts now, the rest start as each one completes
+        startMissionObjective(gameState, mission.stages[0], simContext.now());
+        syncContractStage(mission);
+        logContractEvent(mission, `Accepted from ${stationName}`);
+    } else {
+        startMissionObjective(gameState, mission, simContext.now());
     }
     
     mission.status = 'active';
@@ -6817,25 +10398,26 @@ function claimMissionReward(missionId) {
     if (!mission || mission.status !== 'completed') return;
     
     // Award the reward with prestige bonus
-    const rewardWithBonus = calculateMissionReward(mission.reward);
+    const rewardWithBonus = calculateMissionReward(mission);
     gameState.credits += rewardWithBonus;
     gameState.stats.creditsEarned += rewardWithBonus;
     logMessage(`Mission reward claimed: ${rewardWithBonus}¢ from ${mission.title}!`, 'success');
     
+    // Delivering on a contract improves standing with the station that issued it
+    const standingGain = MISSION_STANDING_REWARD[mission.difficulty] || 0;
+    if (standingGain > 0) {
+        adjustFactionStanding(gameState, mission.stationName, standingGain);
+        logMessage(`Standing with ${mission.stationName} improved (+${standingGain}).`, 'info');
+    }
+    
     // Mark UI as dirty (include prestige for button state)
     markUIDirty('credits', 'missions', 'prestige');
     
     // Remove mission from active list
     removeMission(missionId);
     
-    // Remove from station's available missions
-    if (gameState.stationMissions[mission.stationName]) {
-        gameState.stationMissions[mission.stationName] = gameState.stationMissions[mission.stationName].filter(m => m.id !== missionId);
-        
-        // Generate a new mission to replace it
-        const newMission = generateStationMissions(mission.stationName, mission.stationColor)[0];
-        gameState.stationMissions[mission.stationName].push(newMission);
-    }
+    // Remove from station's available missions and offer a new one in its place
+    replaceBoardMission(mission);
     
     updateUI();
     
@@ -6846,12 +10428,20 @@ function claimMissionReward(missionId) {
     }
 }
 
-// Abandon a failed mission
+// Abandon a failed mission, or a contract that's still running (from the contract log)
 function abandonMission(missionId) {
     const mission = gameState.missions.find(m => m.id === missionId);
-    if (!mission || mission.status !== 'failed') return;
+    if (!mission) return;
+    if (mission.status !== 'failed' && !(mission.type === 'contract' && mission.status === 'active')) return;
     
     logMessage(`Mission abandoned: ${mission.title}`, 'info');
+    if (mission.type === 'contract') {
+        logContractEvent(mission, 'ABANDONED');
+    }
+    
+    // Walking away from a failed contract costs standing with the station
+    adjustFactionStanding(gameState, mission.stationName, MISSION_ABANDON_STANDING);
+    logMessage(`Standing with ${mission.stationName} dropped (${MISSION_ABANDON_STANDING}).`, 'error');
     
     // Mark missions as dirty
     markUIDirty('missions');
@@ -6859,14 +10449,8 @@ function abandonMission(missionId) {
     // Remove mission from active list
     removeMission(missionId);
     
-    // Remove from station's available missions
-    if (gameState.stationMissions[mission.stationName]) {
-        gameState.stationMissions[mission.stationName] = gameState.stationMissions[mission.stationName].filter(m => m.id !== missionId);
-        
-        // Generate a new mission to replace it
-        const newMission = generateStationMissions(mission.stationName, mission.stationColor)[0];
-        gameState.stationMissions[mission.stationName].push(newMission);
-    }
+    // Remove from station's available missions and offer a new one in its place
+    replaceBoardMission(mission);
     
     updateUI();
     
@@ -6907,144 +10491,51 @@ function closeUpgradesDrawer() {
     // Close the master drawer
     if (upgradesDrawerContent) {
         upgradesDrawerContent.style.display = 'none';
-    }
-    if (upgradesDrawerIcon) {
-        upgradesDrawerIcon.textContent = '▶';
-    }
-    
-    // Close all upgrade categories
-    document.querySelectorAll('.category-content').forEach(c => {
-        c.style.display = 'none';
-    });
-    document.querySelectorAll('.category-icon').forEach(i => {
-        i.textContent = '▶';
-    });
-}
-
-// Update mission progress (called from game loop)
-function updateMissionProgress(missionId, progress) {
-    const mission = gameState.missions.find(m => m.id === missionId);
-    if (!mission || mission.status !== 'active') return;
-    
-    const oldProgress = mission.current;
-    const oldStatus = mission.status;
-    
-    mission.current = Math.min(progress, mission.target);
-    
-    // Check if mission is completed
-    if (mission.current >= mission.target) {
-        mission.status = 'completed';
-        logMessage(`Mission completed: ${mission.title}! Return to ${mission.stationName} to claim reward.`, 'success');
-    }
-    
-    // Only mark dirty if progress or status actually changed
-    if (mission.current !== oldProgress || mission.status !== oldStatus) {
-        markUIDirty('missions');
-        
-        // If docked at a station, refresh the mission board to show updated progress
-        const dockedStation = stations.find(st => st.isDocked);
-        if (dockedStation) {
-            updateMissionBoard(dockedStation.name, dockedStation.colorScheme);
-        }
-    }
-}
-
-// Update all active missions based on current game state
-function updateAllMissions() {
-    // Early exit if no active missions
-    const hasActiveMissions = gameState.missions.some(m => m.status === 'active');
-    if (!hasActiveMissions) return;
-    
-    gameState.missions.forEach(mission => {
-        if (mission.status !== 'active') return;
-        
-        let progress = 0;
-        
-        switch (mission.type) {
-            case 'mine_asteroids':
-                // Track asteroids destroyed since mission start
-                progress = gameState.stats.asteroidsDestroyed - mission.startValue;
-                updateMissionProgress(mission.id, progress);
-                break;
-                
-            case 'mine_specific':
-                // Track specific resource type mined (total mined, not current inventory)
-                const totalMined = gameState.stats.mineralsMined[mission.resourceType] || 0;
-                progress = totalMined - mission.startValue;
-                updateMissionProgress(mission.id, progress);
-                break;
-                
-            case 'earn_credits':
-                // Track credits earned since mission start
-                progress = gameState.stats.creditsEarned - mission.startValue;
-                updateMissionProgress(mission.id, progress);
-                break;
-                
-            case 'travel_distance':
-                // Track distance traveled since mission start
-                progress = Math.floor(gameState.stats.distanceTraveled - mission.startValue);
-                updateMissionProgress(mission.id, progress);
-                break;
-                
-            case 'cargo_delivery':
-                // Track total cargo currently held
-                let totalCargo = 0;
-                Object.values(gameState.inventory).forEach(count => totalCargo += count);
-                updateMissionProgress(mission.id, totalCargo);
-                break;
-                
-            case 'hazard_survival':
-                // Track asteroids mined while maintaining hull threshold
-                if (mission.failed) {
-                    // Mission already failed, don't update
-                    break;
-                }
-                
-                // Check if hull dropped below threshold
-                const hullPercentage = (gameState.hull / gameState.maxHull) * 100;
-                if (hullPercentage < mission.threshold) {
-                    // Failed the mission
-                    mission.failed = true;
-                    mission.status = 'failed';
-                    logMessage(`Mission failed: Hull dropped below ${mission.threshold}%`, 'error');
-                    updateMissionsDisplay();
-                    break;
-                }
-                
-                // Track asteroids destroyed while maintaining hull
-                progress = gameState.stats.asteroidsDestroyed - mission.startValue;
-                updateMissionProgress(mission.id, progress);
-                break;
-                
-            case 'speed_mining':
-                // Track asteroids destroyed within time limit
-                if (mission.failed) {
-                    // Mission already failed, don't update
-                    break;
-                }
-                
-                const elapsedTime = (Date.now() - mission.startTime) / 1000; // seconds
-                
-                // Check if time limit exceeded
-                if (elapsedTime > mission.timeLimit) {
-                    // Check if already completed
-                    const asteroidsMined = gameState.stats.asteroidsDestroyed - mission.startValue;
-                    if (asteroidsMined < mission.target) {
-                        // Failed to complete in time
-                        mission.failed = true;
-                        mission.status = 'failed';
-                        logMessage(`Mission failed: Time limit exceeded`, 'error');
-                        updateMissionsDisplay();
-                    }
-                    break;
-                }
-                
-                // Update progress
-                progress = gameState.stats.asteroidsDestroyed - mission.startValue;
-                updateMissionProgress(mission.id, progress);
-                break;
+    }
+    if (upgradesDrawerIcon) {
+        upgradesDrawerIcon.textContent = '▶';
+    }
+    
+    // Close all upgrade categories
+    document.querySelectorAll('.category-content').forEach(c => {
+        c.style.display = 'none';
+    });
+    document.querySelectorAll('.category-icon').forEach(i => {
+        i.textContent = '▶';
+    });
+}
+
+// Update mission progress (called from game loop)
+// Update all active missions based on current game state
+function updateAllMissions() {
+    // Early exit if no active missions
+    const hasActiveMissions = gameState.missions.some(m => m.status === 'active');
+    if (!hasActiveMissions) return;
+    
+    const dockedStation = stations.find(st => st.isDocked);
+    const events = updateMissionStates(gameState, simContext.now(), dockedStation ? dockedStation.name : null);
+    if (events.length === 0) return;
+    
+    events.forEach(({ mission, event, reason, stage }) => {
+        if (mission.shortage && event !== 'failed') {
+            restockFromMission(mission);
+        }
+        
+        if (mission.type === 'contract') {
+            handleContractEvent(mission, event, reason, stage);
+        } else if (event === 'completed') {
+            logMessage(`Mission completed: ${mission.title}! Return to ${mission.stationName} to claim reward.`, 'success');
+        } else if (event === 'failed') {
+            logMessage(`Mission failed: ${reason}`, 'error');
         }
     });
+    
+    markUIDirty('missions');
+    
+    // If docked at a station, refresh the mission board to show updated progress
+    if (dockedStation) {
+        updateMissionBoard(dockedStation.name, dockedStation.colorScheme);
+    }
 }
 
 // Function to add a new mission
@@ -7084,21 +10575,6 @@ function toggleMissionsDrawer() {
 // ================================
 
 function initUpgrades() {
-    const upgradeCosts = {
-        speed: [100, 200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200],
-        cargo: [150, 300, 600, 1200, 2400, 4800, 9600, 19200, 38400, 76800],
-        mining: [120, 240, 480, 960, 1920, 3840, 7680, 15360, 30720, 61440],
-        hull: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
-        fuelCapacity: [180, 360, 720, 1440, 2880, 5760, 11520, 23040, 46080, 92160],
-        fuelEfficiency: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
-        range: [160, 320, 640, 1280, 2560, 5120, 10240, 20480, 40960, 81920],
-        multiMining: [2400, 4800, 9600, 19200, 38400], // Max 6 lasers (5 upgrades from level 1)
-        advancedScanner: [5000], // One-time purchase
-        scanRange: [250, 500, 1000, 2000, 4000, 8000, 16000, 32000, 64000, 128000],
-        scanCooldown: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
-        cargoDrone: [20000] // One-time purchase
-    };
-    
     // Initialize master upgrades drawer toggle
     const upgradesDrawerBtn = document.getElementById('upgradesDrawerBtn');
     const upgradesDrawerContent = document.getElementById('upgradesDrawerContent');
@@ -7162,6 +10638,7 @@ function initUpgrades() {
         });
     });
     
+    // Each upgrade track's button buys (or refits) the module for that track
     Object.keys(gameState.upgrades).forEach(upgradeType => {
         const btn = document.getElementById(`upgrade${upgradeType.charAt(0).toUpperCase() + upgradeType.slice(1)}`);
         
@@ -7171,108 +10648,19 @@ function initUpgrades() {
         }
         
         btn.addEventListener('click', () => {
-            console.log(`Clicked upgrade: ${upgradeType}`);
-            
-            // Check if player is docked
-            if (!isDockedAtAnyStation()) {
-                logMessage('Must be docked at station to purchase upgrades.');
-                return;
-            }
-            
-            const level = gameState.upgrades[upgradeType];
-            
-            // Special handling for one-time purchases (advanced scanner, cargo drone)
-            if (upgradeType === 'advancedScanner' || upgradeType === 'cargoDrone') {
-                console.log(`=== ${upgradeType.toUpperCase()} DEBUG ===`);
-                console.log(`Current level: ${level}`);
-                console.log(`Current credits: ${gameState.credits}`);
-                console.log(`Cost: ${upgradeCosts[upgradeType][0]}`);
-                console.log(`Is docked: ${isDockedAtAnyStation()}`);
-                console.log(`Level >= 1: ${level >= 1}`);
-                
-                if (level >= 1) {
-                    logMessage(`${upgradeType === 'advancedScanner' ? 'Advanced scanner' : 'Cargo drone'} already purchased.`);
-                    console.log('Already purchased - exiting');
-                    return;
-                }
-                
-                const cost = upgradeCosts[upgradeType][0]; // First (and only) cost
-                
-                console.log(`Checking if credits (${gameState.credits}) >= cost (${cost}): ${gameState.credits >= cost}`);
-                
-                if (gameState.credits >= cost) {
-                    console.log('Purchasing...');
-                    gameState.credits -= cost;
-                    gameState.upgrades[upgradeType] = 1;
-                    
-                    console.log(`New level: ${gameState.upgrades[upgradeType]}`);
-                    
-                    // Apply upgrade effects
-                    applyUpgradeEffects(upgradeType);
-                    
-                    const displayName = upgradeType === 'advancedScanner' ? 'ADVANCED SCANNER' : 'CARGO DRONE';
-                    logMessage(`Purchased ${displayName}`);
-                    createFloatingText(player.x, player.y - 30, `+${displayName}`, '#00ff00');
-                    
-                    updateUI();
-                    console.log('Purchase complete!');
-                } else {
-                    console.log('Insufficient credits!');
-                    logMessage(`Insufficient credits. Need ${cost}¢`);
-                }
-                console.log(`=== END DEBUG ===`);
-                return;
-            }
-            
-            // Regular upgrades (level 1-10, except multiMining which caps at 6, cargo and fuelCapacity are infinite)
-            let maxLevel;
-            if (upgradeType === 'multiMining') {
-                maxLevel = 6;
-            } else if (upgradeType === 'cargo' || upgradeType === 'fuelCapacity') {
-                maxLevel = Infinity; // Infinite upgrades for cargo and fuel capacity
-            } else {
-                maxLevel = 10;
-            }
-            
-            if (level >= maxLevel) {
-                logMessage(`${upgradeType.toUpperCase()} is already at maximum level.`);
-                return;
-            }
-            
-            // Calculate cost - use exponential scaling for levels beyond array
-            let cost;
-            if (level - 1 < upgradeCosts[upgradeType].length) {
-                cost = upgradeCosts[upgradeType][level - 1];
-            } else {
-                // For levels beyond the array, use exponential scaling
-                const lastCost = upgradeCosts[upgradeType][upgradeCosts[upgradeType].length - 1];
-                const costMultiplier = 2; // Double the cost each level
-                const levelsBeyond = level - upgradeCosts[upgradeType].length;
-                cost = Math.floor(lastCost * Math.pow(costMultiplier, levelsBeyond));
-            }
-            
-            if (gameState.credits >= cost) {
-                gameState.credits -= cost;
-                gameState.upgrades[upgradeType]++;
-                
-                // Apply upgrade effects (includes prestige flag)
-                applyUpgradeEffects(upgradeType);
-                
-                logMessage(`Upgraded ${upgradeType.toUpperCase()} to level ${gameState.upgrades[upgradeType]}`);
-                createFloatingText(player.x, player.y - 30, `+${upgradeType.toUpperCase()}`, '#00ff00');
-                
-                updateUI();
-            } else {
-                logMessage(`Insufficient credits. Need ${cost}¢`);
-            }
+            purchaseModule(getModuleTypeForTrack(upgradeType));
         });
     });
     
+    document.getElementById('buyHullBtn').addEventListener('click', () => {
+        purchaseNextHull();
+    });
+    
     // Prestige
     document.getElementById('prestigeBtn').addEventListener('click', () => {
-        if (gameState.credits >= 50000) {
+        if (canPrestige(gameState)) {
             const currentBonus = gameState.prestigeBonus;
-            const newBonus = currentBonus + 50;
+            const newBonus = getPrestigeBonus(gameState.prestige + 1);
             showConfirm(
                 'PRESTIGE',
                 `Prestige will reset all progress but grant permanent bonuses.\n\nCurrent Bonus: +${currentBonus}%\nNew Bonus: +${newBonus}%\n\nYou will gain +50% to all earnings permanently.\n\nContinue?`,
@@ -7285,7 +10673,7 @@ function initUpgrades() {
     
     // Navigation buttons
     document.getElementById('returnToStation').addEventListener('click', () => {
-        returnToStation();
+        runReplayable('autopilot');
     });
     
     document.getElementById('remoteRefuel').addEventListener('click', () => {
@@ -7303,108 +10691,23 @@ function initUpgrades() {
                 'REMOTE REFUELLING',
                 `Request a fuel tanker to fly to your location?\n\nSERVICE FEE: ${costText}\n\nA specialized refuelling vessel will be dispatched from the nearest station to top up your tanks.`,
                 () => {
-                    requestRemoteRefuel();
+                    runReplayable('remoteRefuel');
                 }
             );
         }
     });
     
-    document.getElementById('nextSector').addEventListener('click', () => {
-        const currentSector = gameState.sector;
-        const nextSectorNum = currentSector + 1;
-        const nextSectorName = `ALPHA-${String(nextSectorNum).padStart(3, '0')}`;
-        
-        // Calculate current and next sector map sizes
-        const currentMapSize = CONFIG.baseWorldWidth + (currentSector - 1) * 250;
-        const nextMapSize = CONFIG.baseWorldWidth + (nextSectorNum - 1) * 250;
-        const mapSizeIncrease = nextMapSize - currentMapSize;
-        
-        // Calculate current sector stats
-        const currentAsteroids = 30 + currentSector * 5;
-        const currentHazards = Math.floor(2 + currentSector * 0.5);
-        const currentUncommonChance = (currentSector - 1) * 1.5; // Uncommon increase per sector
-        const currentRareChance = (currentSector - 1) * 1.2; // Rare increase per sector
-        const currentSpawnRate = (currentSector - 1) * 10; // As percentage above base
-        
-        // Calculate next sector stats
-        const nextAsteroids = 30 + nextSectorNum * 5;
-        const nextHazards = Math.floor(2 + nextSectorNum * 0.5);
-        const nextUncommonChance = (nextSectorNum - 1) * 1.5; // Uncommon increase per sector
-        const nextRareChance = (nextSectorNum - 1) * 1.2; // Rare increase per sector
-        const nextSpawnRate = (nextSectorNum - 1) * 10; // As percentage above base
-        
-        // Calculate mission reward multipliers
-        const currentRewardMultiplier = 1.0 + (currentSector - 1) * 0.1;
-        const nextRewardMultiplier = 1.0 + (nextSectorNum - 1) * 0.1;
-        const rewardIncreasePercent = Math.round((nextRewardMultiplier - currentRewardMultiplier) * 100);
-        
-        // Calculate differences
-        const asteroidIncrease = nextAsteroids - currentAsteroids;
-        const hazardIncrease = nextHazards - currentHazards;
-        const uncommonChanceIncrease = nextUncommonChance - currentUncommonChance;
-        const rareChanceIncrease = nextRareChance - currentRareChance;
-        const spawnRateIncrease = nextSpawnRate - currentSpawnRate;
-        
-        // Check for missing requirements
-        const missingCredits = gameState.credits < 5000;
-        const missingFuel = gameState.fuel < 50;
-        const hasActiveMissions = gameState.missions.length > 0;
-        let warningText = '';
-        
-        if (missingCredits || missingFuel) {
-            warningText = '\n\n<b style="color: #ff0000;">INSUFFICIENT RESOURCES:</b>\n';
-            if (missingCredits) {
-                warningText += `<b style="color: #ff0000;">• Need ${5000 - gameState.credits} more credits</b>\n`;
-            }
-            if (missingFuel) {
-                warningText += `<b style="color: #ff0000;">• Need ${Math.ceil(50 - gameState.fuel)} more fuel</b>\n`;
-            }
-        }
-        
-        // Add mission abandonment warning if player has active missions
-        if (hasActiveMissions) {
-            warningText += '\n\n<b style="color: #ff6600;">\u26A0 MISSION WARNING \u26A0</b>\n';
-            warningText += `<b style="color: #ff6600;">You have ${gameState.missions.length} active mission(s)!</b>\n`;
-            warningText += `<b style="color: #ff6600;">All missions will be ABANDONED if you jump sectors.</b>\n`;
-            warningText += `<b style="color: #ff6600;">Return to stations to complete missions first!</b>`;
-        }
-        
-        showConfirm(
-            'JUMP TO NEXT SECTOR',
-            `SECTOR JUMP ANALYSIS:\n\n` +
-            `Destination: ${nextSectorName}\n` +
-            `Cost: 5,000 Credits + 50 Fuel\n\n` +
-            `SECTOR DIFFICULTY INCREASE:\n` +
-            `• Map size: ${currentMapSize} → ${nextMapSize} (+${mapSizeIncrease})\n` +
-            `• Asteroid density: ${currentAsteroids} → ${nextAsteroids} (+${asteroidIncrease})\n` +
-            `• Hazard encounters: ${currentHazards} → ${nextHazards} (+${hazardIncrease})\n` +
-            `• Uncommon drops: +${currentUncommonChance.toFixed(1)}% → +${nextUncommonChance.toFixed(1)}% (+${uncommonChanceIncrease.toFixed(1)}%)\n` +
-            `• Rare drops: +${currentRareChance.toFixed(1)}% → +${nextRareChance.toFixed(1)}% (+${rareChanceIncrease.toFixed(1)}%)\n` +
-            `• Spawn rate bonus: +${currentSpawnRate}% → +${nextSpawnRate}% (+${spawnRateIncrease}%)\n` +
-            `• Mission rewards: ${currentRewardMultiplier.toFixed(1)}x → ${nextRewardMultiplier.toFixed(1)}x (+${rewardIncreasePercent}%)\n\n` +
-            `WARNING: Higher sectors contain more valuable\n` +
-            `resources but significantly increased danger.` +
-            warningText +
-            `\n\nProceed with sector jump?`,
-            () => {
-                // Keep game paused during warp - it will unpause when warp completes
-                gameState.isPaused = true;
-                jumpToNextSector();
-            },
-            null,
-            () => gameState.fuel < 50 || gameState.credits < 5000 // Disable confirm if insufficient resources
-        );
-    });
+    document.getElementById('nextSector').addEventListener('click', openGalaxyMap);
     
     // Station service buttons
     document.getElementById('sellCargoBtn').addEventListener('click', () => {
         // Check if player is docked - if so, sell normally
         if (isDockedAtAnyStation()) {
-            sellCargo();
+            runReplayable('sellCargo');
         } else {
             // If not docked, check if cargo drone is available
             if (gameState.upgrades.cargoDrone >= 1) {
-                deployCargoDrone();
+                runReplayable('deployDrone');
             } else {
                 logMessage('Must be docked at station to sell cargo, or purchase Cargo Drone upgrade.');
             }
@@ -7412,7 +10715,7 @@ function initUpgrades() {
     });
     
     document.getElementById('refuelShipBtn').addEventListener('click', () => {
-        refuelAndRepair();
+        runReplayable('refuel');
     });
     
     document.getElementById('customizeShipBtn').addEventListener('click', () => {
@@ -7511,97 +10814,469 @@ function openColorPicker(colorType) {
         grid.appendChild(swatch);
     });
     
-    // Set custom hex input to current color
-    document.getElementById('customHexInput').value = tempShipColors[colorType].toUpperCase();
+    // Set custom hex input to current color
+    document.getElementById('customHexInput').value = tempShipColors[colorType].toUpperCase();
+    
+    modal.classList.add('active');
+}
+
+function selectColor(color) {
+    // Validate hex color
+    if (!/^#[0-9A-Fa-f]{6}$/.test(color)) {
+        logMessage('Invalid color format. Use #RRGGBB');
+        return;
+    }
+    
+    // Update temp storage
+    tempShipColors[currentColorType] = color.toLowerCase();
+    
+    // Update the swatch in the customization modal
+    updateColorSwatches();
+    
+    // Close color picker
+    closeColorPicker();
+}
+
+function closeColorPicker() {
+    const modal = document.getElementById('colorPickerModal');
+    modal.classList.remove('active');
+}
+
+function applyShipCustomization() {
+    // Apply temp colors to actual player colors
+    player.colors.primary = tempShipColors.primary;
+    player.colors.secondary = tempShipColors.secondary;
+    player.colors.accent = tempShipColors.accent;
+    player.colors.thruster = tempShipColors.thruster;
+    
+    logMessage('Ship customization applied!');
+    closeShipCustomization();
+}
+
+function closeShipCustomization() {
+    const modal = document.getElementById('customizeModal');
+    modal.classList.remove('active');
+}
+
+function applyColorPreset(presetName) {
+    const presets = {
+        default: {
+            primary: '#e0e0e0',
+            secondary: '#808080',
+            accent: '#c0c0c0',
+            thruster: '#ff6600'
+        },
+        normandy: {
+            primary: '#2c3e50',
+            secondary: '#1a252f',
+            accent: '#e74c3c',
+            thruster: '#3498db'
+        },
+        spartan: {
+            primary: '#2d5016',
+            secondary: '#1a3010',
+            accent: '#7cb342',
+            thruster: '#ff6b35'
+        },
+        arwing: {
+            primary: '#e8e8e8',
+            secondary: '#7f8c8d',
+            accent: '#3498db',
+            thruster: '#e67e22'
+        },
+        atlas: {
+            primary: '#c0392b',
+            secondary: '#7f1d1d',
+            accent: '#e74c3c',
+            thruster: '#ff6b6b'
+        },
+        viper: {
+            primary: '#34495e',
+            secondary: '#2c3e50',
+            accent: '#f39c12',
+            thruster: '#00d4ff'
+        }
+    };
+    
+    const preset = presets[presetName];
+    if (preset) {
+        tempShipColors.primary = preset.primary;
+        tempShipColors.secondary = preset.secondary;
+        tempShipColors.accent = preset.accent;
+        tempShipColors.thruster = preset.thruster;
+        updateColorSwatches();
+    }
+}
+
+// ================================
+// REFINERY
+// ================================
+// Station refinery queues (rules in the sim core). Queueing and cancelling happen at the
+// docked station's refinery; jobs keep running everywhere while the ship is away.
+
+const REFINERY_DISPLAY_INTERVAL = 30; // Frames between progress bar refreshes while jobs run
+
+// Display data (name, icon, color) for an ore or refined item
+function getItemInfo(type) {
+    return REFINED_ITEMS[type] || ASTEROID_TYPES[type];
+}
+
+// { wiring: 2, titaniumPlate: 1 } -> "2 Wiring, 1 Titanium Plate"
+function formatItemList(items) {
+    return Object.keys(items).map(type => `${items[type]} ${getItemInfo(type).name}`).join(', ');
+}
+
+function initRefinery() {
+    const refineryDrawerBtn = document.getElementById('refineryDrawerBtn');
+    const refineryDrawerIcon = refineryDrawerBtn.querySelector('.drawer-icon');
+    
+    refineryDrawerBtn.addEventListener('click', () => {
+        const refineryContent = document.getElementById('refineryContent');
+        const isOpen = refineryContent.style.display !== 'none';
+        refineryContent.style.display = isOpen ? 'none' : 'block';
+        refineryDrawerIcon.textContent = isOpen ? '▶' : '▼';
+    });
+}
+
+// Called every frame from update() - finished jobs land in the component locker
+function updateRefineries(deltaTime) {
+    if (gameState.refineryJobs.length === 0) return;
+    
+    const finished = stepRefineryJobs(gameState, deltaTime);
+    finished.forEach(({ job, item, count }) => {
+        logMessage(`${job.stationName} refinery: ${count} ${REFINED_ITEMS[item].name} shipped to your component locker`, 'success');
+    });
+    
+    if (finished.length > 0) {
+        markUIDirty('refinery', 'upgrades');
+    } else if (frameCount % REFINERY_DISPLAY_INTERVAL === 0) {
+        markUIDirty('refinery');
+    }
+}
+
+function getRefineryRefusal(result) {
+    switch (result.reason) {
+        case 'queue': return `Refinery queue is full (${REFINERY_QUEUE_LIMIT} jobs).`;
+        case 'inputs': return `Missing inputs: ${formatItemList(result.missing)}`;
+        case 'credits': return `Insufficient credits. Need ${result.cost}¢`;
+        case 'cargo': return 'Not enough cargo space to take the ore back.';
+        default: return 'Unknown refinery job.';
+    }
+}
+
+function queueRefinery(recipeId) {
+    const dockedStation = stations.find(st => st.isDocked);
+    if (!dockedStation) {
+        logMessage('Must be docked at station to use the refinery.');
+        return;
+    }
+    
+    const result = queueRefineryJob(gameState, dockedStation.name, recipeId);
+    if (!result.ok) {
+        logMessage(getRefineryRefusal(result), 'error');
+        return;
+    }
+    
+    const recipe = REFINERY_RECIPES[recipeId];
+    logMessage(`Queued ${recipe.count} ${REFINED_ITEMS[recipe.output].name} at ${dockedStation.name} (${recipe.duration}s, ${recipe.fee}¢)`);
+    markUIDirty('refinery', 'credits', 'cargo', 'inventory', 'station', 'upgrades', 'prestige');
+    updateUI();
+}
+
+// Cancelling returns the inputs, so it has to happen at the station holding them
+function cancelRefinery(jobId) {
+    const job = gameState.refineryJobs.find(j => j.id === jobId);
+    const dockedStation = stations.find(st => st.isDocked);
+    if (!job) return;
+    if (!dockedStation || dockedStation.name !== job.stationName) {
+        logMessage(`Dock at ${job.stationName} to cancel that job.`);
+        return;
+    }
+    
+    const result = cancelRefineryJob(gameState, jobId);
+    if (!result.ok) {
+        logMessage(getRefineryRefusal(result), 'error');
+        return;
+    }
+    
+    logMessage(`Refinery job cancelled - inputs returned (fee kept)`);
+    markUIDirty('refinery', 'cargo', 'inventory', 'station', 'upgrades');
+    updateUI();
+}
+
+// Recipes (queueable when docked), every station's queue and the component locker
+function updateRefineryDisplay() {
+    const recipeList = domCache.refineryRecipeList;
+    const queueList = domCache.refineryQueueList;
+    const locker = domCache.componentLocker;
+    if (!recipeList || !queueList || !locker) return;
+    
+    const dockedStation = stations.find(st => st.isDocked);
+    domCache.refineryJobCount.textContent = `(${gameState.refineryJobs.length})`;
+    
+    recipeList.innerHTML = '';
+    Object.keys(REFINERY_RECIPES).forEach(recipeId => {
+        const recipe = REFINERY_RECIPES[recipeId];
+        const output = REFINED_ITEMS[recipe.output];
+        const canQueue = dockedStation && gameState.credits >= recipe.fee &&
+            Object.keys(getItemShortfall(gameState, recipe.inputs)).length === 0;
+        
+        const row = document.createElement('div');
+        row.className = 'loadout-slot refinery-item';
+        row.innerHTML = `
+            <span class="loadout-module-name" style="color: ${output.color}">${output.icon} ${recipe.count}× ${output.name}</span>
+            <span class="loadout-module-mass">${recipe.duration}s · ${recipe.fee}¢</span>
+            <button class="upgrade-btn"${canQueue ? '' : ' disabled'}>[QUEUE]</button>
+            <span class="refinery-inputs">${formatItemList(recipe.inputs)}</span>
+        `;
+        row.querySelector('.upgrade-btn').addEventListener('click', () => queueRefinery(recipeId));
+        recipeList.appendChild(row);
+    });
+    
+    queueList.innerHTML = '';
+    if (gameState.refineryJobs.length === 0) {
+        const emptyRow = document.createElement('div');
+        emptyRow.className = 'loadout-slot refinery-item empty';
+        emptyRow.innerHTML = '<span class="loadout-module-name">NO JOBS QUEUED</span>';
+        queueList.appendChild(emptyRow);
+    }
+    
+    const runningStations = new Set();
+    gameState.refineryJobs.forEach(job => {
+        const recipe = REFINERY_RECIPES[job.recipe];
+        const isRunning = !runningStations.has(job.stationName);
+        runningStations.add(job.stationName);
+        const progressPercent = Math.floor(getRefineryJobProgress(job) * 100);
+        const canCancel = dockedStation && dockedStation.name === job.stationName;
+        
+        const row = document.createElement('div');
+        row.className = `loadout-slot refinery-item${isRunning ? ' running' : ''}`;
+        row.innerHTML = `
+            <span class="loadout-module-name">${recipe.count}× ${REFINED_ITEMS[recipe.output].name}</span>
+            <span class="loadout-module-mass">${isRunning ? `${progressPercent}%` : 'QUEUED'}</span>
+            <button class="upgrade-btn"${canCancel ? '' : ' disabled'}>[CANCEL]</button>
+            <span class="refinery-inputs">${job.stationName}</span>
+            ${isRunning ? `<div class="mission-progress-bar"><div class="mission-progress-fill" style="width: ${progressPercent}%"></div></div>` : ''}
+        `;
+        row.querySelector('.upgrade-btn').addEventListener('click', () => cancelRefinery(job.id));
+        queueList.appendChild(row);
+    });
+    
+    locker.innerHTML = '';
+    const itemTypes = Object.keys(REFINED_ITEMS).filter(item => getComponentCount(gameState, item) > 0);
+    if (itemTypes.length === 0) {
+        const emptyRow = document.createElement('div');
+        emptyRow.className = 'loadout-slot refinery-item empty';
+        emptyRow.innerHTML = '<span class="loadout-module-name">LOCKER EMPTY</span>';
+        locker.appendChild(emptyRow);
+    }
+    itemTypes.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'loadout-slot refinery-item stored';
+        row.innerHTML = `
+            <span class="loadout-module-name" style="color: ${REFINED_ITEMS[item].color}">${REFINED_ITEMS[item].icon} ${REFINED_ITEMS[item].name}</span>
+            <span class="loadout-module-mass">×${gameState.components[item]}</span>
+        `;
+        locker.appendChild(row);
+    });
+}
+
+// ================================
+// SHIP LOADOUT
+// ================================
+// Buying, fitting and storing modules (rules in the sim core). All of it is docked-only.
+
+let selectedLoadoutSlot = null; // Slot a stored module is fitted into (swapping out what's there)
+
+function getLoadoutRefusal(reason, cost, missing) {
+    switch (reason) {
+        case 'credits': return `Insufficient credits. Need ${cost}¢`;
+        case 'components': return `Missing components: ${formatItemList(missing)}. Refine them at a station refinery.`;
+        case 'cargo': return 'Cargo hold would be too small for your cargo. Sell some first.';
+        case 'max': return 'Already at maximum.';
+        default: return 'Select a module slot first.';
+    }
+}
+
+// After fitting/storing - levels can go down as well as up, so refresh rather than announce
+function refreshLoadoutEffects() {
+    markUIDirty('upgrades', 'credits', 'cargo', 'fuel', 'hull', 'prestige');
+    updateMiningLasersDisplay();
+    updateInventoryDisplay();
+}
+
+function purchaseModule(type) {
+    if (!isDockedAtAnyStation()) {
+        logMessage('Must be docked at station to purchase modules.');
+        return;
+    }
+    
+    const moduleType = MODULE_TYPES[type];
+    const result = buyModule(gameState, type);
+    
+    if (!result.ok) {
+        logMessage(result.reason === 'max' ? `${moduleType.name} is already at maximum level.` : getLoadoutRefusal(result.reason, result.cost, result.missing));
+        return;
+    }
+    
+    const label = `${moduleType.name} MK${result.module.mark}`;
     
-    modal.classList.add('active');
+    if (result.stored) {
+        // Bought but not fitted - no effect until there's a slot for it
+        logMessage(`Purchased ${label} - no free slot, moved to storage`);
+        refreshLoadoutEffects();
+    } else {
+        applyUpgradeEffects(moduleType.track);
+        logMessage(result.action === 'refit' ? `Refitted ${moduleType.name} to MK${result.module.mark}` : `Purchased and fitted ${label}`);
+    }
+    
+    createFloatingText(player.x, player.y - 30, `+${label}`, '#00ff00');
+    updateUI();
 }
 
-function selectColor(color) {
-    // Validate hex color
-    if (!/^#[0-9A-Fa-f]{6}$/.test(color)) {
-        logMessage('Invalid color format. Use #RRGGBB');
+function purchaseNextHull() {
+    if (!isDockedAtAnyStation()) {
+        logMessage('Must be docked at station to purchase a hull.');
         return;
     }
     
-    // Update temp storage
-    tempShipColors[currentColorType] = color.toLowerCase();
-    
-    // Update the swatch in the customization modal
-    updateColorSwatches();
+    const result = buyNextHull(gameState);
+    if (!result.ok) {
+        logMessage(getLoadoutRefusal(result.reason, result.cost, result.missing));
+        return;
+    }
     
-    // Close color picker
-    closeColorPicker();
+    const hull = SHIP_HULLS[result.hull];
+    logMessage(`Modules transferred to a new ${hull.name} hull (${hull.slots} slots)`, 'success');
+    createFloatingText(player.x, player.y - 30, `+${hull.name}`, '#00ff00');
+    refreshLoadoutEffects();
+    updateUI();
 }
 
-function closeColorPicker() {
-    const modal = document.getElementById('colorPickerModal');
-    modal.classList.remove('active');
+function selectLoadoutSlot(slotIndex) {
+    selectedLoadoutSlot = selectedLoadoutSlot === slotIndex ? null : slotIndex;
+    markUIDirty('upgrades');
 }
 
-function applyShipCustomization() {
-    // Apply temp colors to actual player colors
-    player.colors.primary = tempShipColors.primary;
-    player.colors.secondary = tempShipColors.secondary;
-    player.colors.accent = tempShipColors.accent;
-    player.colors.thruster = tempShipColors.thruster;
+// Slot a stored module goes into: the selected one, else the first free one
+function getLoadoutFitSlot() {
+    if (selectedLoadoutSlot !== null && selectedLoadoutSlot < gameState.loadout.slots.length) {
+        return selectedLoadoutSlot;
+    }
+    return gameState.loadout.slots.indexOf(null);
+}
+
+function fitStoredModule(storedIndex) {
+    if (!isDockedAtAnyStation()) {
+        logMessage('Must be docked at station to refit the ship.');
+        return;
+    }
     
-    logMessage('Ship customization applied!');
-    closeShipCustomization();
+    const module = gameState.loadout.stored[storedIndex];
+    const slotIndex = getLoadoutFitSlot();
+    const swapped = gameState.loadout.slots[slotIndex];
+    const result = fitModule(gameState, storedIndex, slotIndex);
+    
+    if (!result.ok) {
+        logMessage(getLoadoutRefusal(result.reason), 'error');
+        return;
+    }
+    
+    const label = `${MODULE_TYPES[module.type].name} MK${module.mark}`;
+    logMessage(swapped
+        ? `Swapped ${MODULE_TYPES[swapped.type].name} MK${swapped.mark} for ${label} in slot ${slotIndex + 1}`
+        : `Fitted ${label} in slot ${slotIndex + 1}`);
+    selectedLoadoutSlot = null;
+    refreshLoadoutEffects();
 }
 
-function closeShipCustomization() {
-    const modal = document.getElementById('customizeModal');
-    modal.classList.remove('active');
+function storeEquippedModule(slotIndex) {
+    if (!isDockedAtAnyStation()) {
+        logMessage('Must be docked at station to refit the ship.');
+        return;
+    }
+    
+    const module = gameState.loadout.slots[slotIndex];
+    const result = storeModule(gameState, slotIndex);
+    
+    if (!result.ok) {
+        logMessage(getLoadoutRefusal(result.reason), 'error');
+        return;
+    }
+    
+    logMessage(`Moved ${MODULE_TYPES[module.type].name} MK${module.mark} to storage`);
+    refreshLoadoutEffects();
 }
 
-function applyColorPreset(presetName) {
-    const presets = {
-        default: {
-            primary: '#e0e0e0',
-            secondary: '#808080',
-            accent: '#c0c0c0',
-            thruster: '#ff6600'
-        },
-        normandy: {
-            primary: '#2c3e50',
-            secondary: '#1a252f',
-            accent: '#e74c3c',
-            thruster: '#3498db'
-        },
-        spartan: {
-            primary: '#2d5016',
-            secondary: '#1a3010',
-            accent: '#7cb342',
-            thruster: '#ff6b35'
-        },
-        arwing: {
-            primary: '#e8e8e8',
-            secondary: '#7f8c8d',
-            accent: '#3498db',
-            thruster: '#e67e22'
-        },
-        atlas: {
-            primary: '#c0392b',
-            secondary: '#7f1d1d',
-            accent: '#e74c3c',
-            thruster: '#ff6b6b'
-        },
-        viper: {
-            primary: '#34495e',
-            secondary: '#2c3e50',
-            accent: '#f39c12',
-            thruster: '#00d4ff'
-        }
-    };
+function createLoadoutRow(module, className, buttonText, buttonDisabled, onButton) {
+    const row = document.createElement('div');
+    row.className = `loadout-slot ${className}`;
+    row.innerHTML = `
+        <span class="loadout-module-name">${module ? `${MODULE_TYPES[module.type].name} MK${module.mark}` : 'EMPTY SLOT'}</span>
+        ${module ? `<span class="loadout-module-mass">${getModuleMass(module).toFixed(1)}t</span>` : ''}
+        ${buttonText ? `<button class="upgrade-btn"${buttonDisabled ? ' disabled' : ''}>[${buttonText}]</button>` : ''}
+    `;
     
-    const preset = presets[presetName];
-    if (preset) {
-        tempShipColors.primary = preset.primary;
-        tempShipColors.secondary = preset.secondary;
-        tempShipColors.accent = preset.accent;
-        tempShipColors.thruster = preset.thruster;
-        updateColorSwatches();
+    const btn = row.querySelector('.upgrade-btn');
+    if (btn) {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onButton();
+        });
+    }
+    
+    return row;
+}
+
+// Hull stats plus the equipped and stored module lists (rebuilt with the upgrade buttons)
+function updateLoadoutDisplay() {
+    const loadout = gameState.loadout;
+    const hull = SHIP_HULLS[loadout.hull];
+    const isDocked = isDockedAtAnyStation();
+    const slotsList = document.getElementById('loadoutSlots');
+    const storedList = document.getElementById('loadoutStored');
+    
+    if (!slotsList || !storedList) return;
+    
+    const massFactor = getLoadoutMassFactor(loadout);
+    const usedSlots = loadout.slots.filter(module => module !== null).length;
+    document.getElementById('loadoutHullName').textContent = `${hull.name} HULL`;
+    document.getElementById('loadoutSlotCount').textContent = `${usedSlots} / ${loadout.slots.length}`;
+    document.getElementById('loadoutMass').textContent =
+        `${getLoadoutMass(loadout).toFixed(1)}t (ACCEL ${Math.round(100 / massFactor)}% / THRUST FUEL ${Math.round(massFactor * 100)}%)`;
+    
+    slotsList.innerHTML = '';
+    loadout.slots.forEach((module, slotIndex) => {
+        const classes = [module ? '' : 'empty', selectedLoadoutSlot === slotIndex ? 'selected' : ''].join(' ');
+        const row = createLoadoutRow(module, classes, module ? 'STORE' : null, !isDocked, () => storeEquippedModule(slotIndex));
+        row.addEventListener('click', () => selectLoadoutSlot(slotIndex));
+        slotsList.appendChild(row);
+    });
+    
+    storedList.innerHTML = '';
+    if (loadout.stored.length === 0) {
+        const emptyRow = createLoadoutRow(null, 'stored empty', null);
+        emptyRow.querySelector('.loadout-module-name').textContent = 'NOTHING IN STORAGE';
+        storedList.appendChild(emptyRow);
+    }
+    
+    const fitSlot = getLoadoutFitSlot();
+    const fitText = fitSlot === -1 ? 'SELECT SLOT' : (loadout.slots[fitSlot] ? `SWAP ${fitSlot + 1}` : `FIT ${fitSlot + 1}`);
+    loadout.stored.forEach((module, storedIndex) => {
+        storedList.appendChild(createLoadoutRow(module, 'stored', fitText, !isDocked || fitSlot === -1, () => fitStoredModule(storedIndex)));
+    });
+    
+    const hullBtn = document.getElementById('buyHullBtn');
+    const nextHull = getNextHull(loadout);
+    const hullBtnText = hullBtn.querySelector('.btn-text');
+    if (nextHull) {
+        const next = SHIP_HULLS[nextHull];
+        const components = next.components || {};
+        hullBtn.disabled = !isDocked || gameState.credits < next.cost || Object.keys(getItemShortfall(gameState, components)).length > 0;
+        hullBtnText.textContent = `${next.name} HULL (${next.slots} SLOTS): ${next.cost}¢ + ${formatItemList(components)}`;
+    } else {
+        hullBtn.disabled = true;
+        hullBtnText.textContent = 'LARGEST HULL';
     }
 }
 
@@ -7616,7 +11291,7 @@ function applyUpgradeEffects(upgradeType) {
             logMessage(`Ship speed increased to ${100 + (gameState.upgrades.speed - 1) * 20}%`);
             break;
         case 'cargo':
-            gameState.maxCargo = 100 + (gameState.upgrades.cargo - 1) * 50;
+            // Max cargo/hull/fuel were already recalculated by applyLoadout()
             logMessage(`Cargo capacity increased to ${gameState.maxCargo} units`);
             break;
         case 'mining':
@@ -7626,25 +11301,19 @@ function applyUpgradeEffects(upgradeType) {
             logMessage(`Mining speed increased by ${miningBonus}%`);
             break;
         case 'hull':
-            const oldMaxHull = gameState.maxHull;
-            gameState.maxHull = 100 + (gameState.upgrades.hull - 1) * 25;
-            gameState.hull = Math.min(gameState.hull + (gameState.maxHull - oldMaxHull), gameState.maxHull);
-            logMessage(`Max hull increased to ${gameState.maxHull}HP (+${gameState.maxHull - oldMaxHull}HP healed)`);
+            logMessage(`Max hull increased to ${gameState.maxHull}HP, shields to ${gameState.maxShield}`);
             break;
         case 'fuelCapacity':
-            const oldMaxFuel = gameState.maxFuel;
-            gameState.maxFuel = 100 + (gameState.upgrades.fuelCapacity - 1) * 20;
-            gameState.fuel = Math.min(gameState.fuel + (gameState.maxFuel - oldMaxFuel), gameState.maxFuel);
             logMessage(`Max fuel capacity increased to ${gameState.maxFuel}%`);
             break;
         case 'fuelEfficiency':
-            const efficiencyPercent = Math.round(Math.pow(0.9, gameState.upgrades.fuelEfficiency - 1) * 100);
+            const efficiencyPercent = Math.round(getFuelEfficiencyMultiplier(gameState.upgrades) * 100);
             logMessage(`Fuel efficiency improved to ${efficiencyPercent}% consumption`);
             break;
         case 'range':
             // Mining range is calculated dynamically in attemptMining()
             // Effect: +10 units per level
-            const newRange = CONFIG.miningRange + (gameState.upgrades.range - 1) * 10;
+            const newRange = getMiningRange(gameState.upgrades);
             logMessage(`Mining range increased to ${newRange} units`);
             break;
         case 'multiMining':
@@ -7681,26 +11350,10 @@ function applyUpgradeEffects(upgradeType) {
 }
 
 function performPrestige() {
-    gameState.prestige++;
-    gameState.prestigeBonus = gameState.prestige * 50;
-    
-    // Reset most stats
-    gameState.credits = 0;
-    gameState.sector = 1;
-    gameState.sectorName = 'ALPHA-001';
-    gameState.cargo = 0;
-    gameState.inventory = {};
-    gameState.firstRefuelUsed = false;  // Reset first refuel flag on prestige
+    const hadMissions = gameState.missions.length > 0;
     
-    // Keep 1 level in each upgrade (except one-time purchases)
-    Object.keys(gameState.upgrades).forEach(key => {
-        // Reset one-time purchases (advanced scanner and cargo drone) to 0
-        if (key === 'advancedScanner' || key === 'cargoDrone') {
-            gameState.upgrades[key] = 0;
-        } else {
-            gameState.upgrades[key] = 1;
-        }
-    });
+    // Level, bonus, credits, cargo, upgrades, missions, ship stats and world size (sim core)
+    applyPrestigeReset(gameState);
     
     // Clear cargo drone if it exists
     cargoDrone = null;
@@ -7708,16 +11361,13 @@ function performPrestige() {
     // Clear NPC miners
     npcMiners = [];
     
-    // Clear missions when performing prestige (missions are station-specific)
-    if (gameState.missions.length > 0) {
-        gameState.missions = [];
+    // Missions were cleared with the reset (missions are station-specific)
+    if (hadMissions) {
         updateMissionsDisplay();
     }
     
     // Clear stations before generating new sector (each prestige resets stations)
     stations = [];
-    // Clear station missions (new prestige = new stations = new missions)
-    gameState.stationMissions = {};
     
     // Clear mission board display
     hideMissionBoard();
@@ -7727,27 +11377,13 @@ function performPrestige() {
     }
     
     // Mark everything as dirty since prestige resets everything
-    markUIDirty('credits', 'cargo', 'hull', 'fuel', 'inventory', 'missions', 'upgrades', 'station', 'prestige');
-    
-    // Reset stat values to base
-    gameState.maxCargo = 100;
-    gameState.maxHull = 100;
-    gameState.hull = 100;
-    gameState.maxFuel = 100;
-    gameState.fuel = 100;
-    
-    // Reset world size to base values
-    CONFIG.worldWidth = CONFIG.baseWorldWidth;
-    CONFIG.worldHeight = CONFIG.baseWorldHeight;
+    markUIDirty('credits', 'cargo', 'hull', 'fuel', 'inventory', 'missions', 'upgrades', 'station', 'refinery', 'prestige');
     
     // Update NPC worker with reset world bounds
-    if (npcWorkerReady) {
-        npcWorker.postMessage({
-            type: 'updateConfig',
-            data: {
-                worldWidth: CONFIG.worldWidth,
-                worldHeight: CONFIG.worldHeight
-            }
+    if (simWorkerReady.npc) {
+        postWorkerMessage(npcWorker, 'updateConfig', {
+            worldWidth: CONFIG.worldWidth,
+            worldHeight: CONFIG.worldHeight
         });
     }
     
@@ -7757,6 +11393,13 @@ function performPrestige() {
     player.x = CONFIG.worldWidth / 2;
     player.y = CONFIG.worldHeight / 2;
     
+    // Player 2 starts over too - fresh tank, empty hold
+    if (coopState.ship) {
+        coopState.ship = createWingmate(gameState, player.x, player.y);
+        regroupWingmate();
+        markUIDirty('coop');
+    }
+    
     // Re-center viewport on player
     viewport.x = player.x - (VIEWPORT_REFERENCE.WIDTH / 2) / viewport.zoom;
     viewport.y = player.y - (VIEWPORT_REFERENCE.HEIGHT / 2) / viewport.zoom;
@@ -7938,20 +11581,28 @@ function updateRefuelTanker(dt = 1) {
     }
 }
 
-function jumpToNextSector() {
+// Warp to a sector linked to the current one (see the galaxy map)
+function jumpToSector(targetId) {
     // Prevent multiple jump attempts while warp is active
     if (warpState.active) {
         logMessage('Warp sequence already in progress...');
         return;
     }
     
-    if (gameState.fuel < 50) {
+    if (!getCurrentSector().links.includes(targetId)) {
+        logMessage(`No jump lane from ${gameState.sectorName} to ${getSectorName(targetId)}.`, 'error');
+        return;
+    }
+    
+    const cost = getJumpCost(getGalaxy(), gameState.sectorId, targetId);
+    
+    if (gameState.fuel < cost.fuel && !godModeActive) {
         logMessage('Insufficient fuel for sector jump. Refuel at a station or request remote refuelling.');
         return;
     }
     
-    if (gameState.credits < 5000) {
-        logMessage('Insufficient credits for sector jump. Need 5,000¢');
+    if (gameState.credits < cost.credits) {
+        logMessage(`Insufficient credits for sector jump. Need ${cost.credits.toLocaleString()}¢`);
         return;
     }
     
@@ -7984,9 +11635,9 @@ function jumpToNextSector() {
     
     // Store sector jump data for execution after animation
     warpState.nextSectorData = {
-        fuel: gameState.fuel,
-        credits: gameState.credits,
-        sector: gameState.sector + 1,
+        sectorId: targetId,
+        fuel: cost.fuel,
+        credits: cost.credits,
         missionsCount: gameState.missions.length
     };
     
@@ -7995,44 +11646,56 @@ function jumpToNextSector() {
 
 // Execute the actual sector jump after warp animation completes
 function executeSectorJump() {
+    const jump = warpState.nextSectorData;
+    
     if (godModeActive) {
         gameState.fuel = gameState.maxFuel;
     } else {
-        gameState.fuel -= 50;
+        gameState.fuel = Math.max(0, gameState.fuel - jump.fuel);
     }
-    gameState.credits -= 5000;
-    gameState.sector++;
-    gameState.sectorName = `ALPHA-${String(gameState.sector).padStart(3, '0')}`;
+    gameState.credits -= jump.credits;
+    
+    // Leave the field as it is for a later return
+    rememberSectorDepletion();
+    
+    const target = getGalaxySector(getGalaxy(), jump.sectorId);
+    gameState.sectorId = target.id;
+    gameState.sector = target.depth;
+    gameState.sectorName = getSectorName(target.id);
     gameState.stats.sectorsVisited++;
     
+    if (!gameState.visitedSectors.includes(target.id)) {
+        gameState.visitedSectors.push(target.id);
+        gameState.sectorsExplored = gameState.visitedSectors.length;
+    }
+    
     // Mark UI as dirty after sector jump
     markUIDirty('credits', 'fuel');
     
-    // Increase world size by 250 per sector
+    // World size grows by 250 per depth
     CONFIG.worldWidth = CONFIG.baseWorldWidth + (gameState.sector - 1) * 250;
     CONFIG.worldHeight = CONFIG.baseWorldHeight + (gameState.sector - 1) * 250;
     
     // Update NPC worker with new world bounds
-    if (npcWorkerReady) {
-        npcWorker.postMessage({
-            type: 'updateConfig',
-            data: {
-                worldWidth: CONFIG.worldWidth,
-                worldHeight: CONFIG.worldHeight
-            }
+    if (simWorkerReady.npc) {
+        postWorkerMessage(npcWorker, 'updateConfig', {
+            worldWidth: CONFIG.worldWidth,
+            worldHeight: CONFIG.worldHeight
         });
     }
     
     player.x = CONFIG.worldWidth / 2;
     player.y = CONFIG.worldHeight / 2;
+    regroupWingmate();
     
     // Re-center viewport on player
     viewport.x = player.x - (VIEWPORT_REFERENCE.WIDTH / 2) / viewport.zoom;
     viewport.y = player.y - (VIEWPORT_REFERENCE.HEIGHT / 2) / viewport.zoom;
     
-    // Clear missions when jumping sectors (missions are station-specific)
-    if (gameState.missions.length > 0) {
-        gameState.missions = [];
+    // Clear missions when jumping sectors (missions are station-specific, contracts carry over)
+    if (gameState.missions.some(m => m.type !== 'contract')) {
+        gameState.missions = gameState.missions.filter(m => m.type === 'contract');
+        markUIDirty('missions');
         updateMissionsDisplay();
     }
     
@@ -8049,11 +11712,327 @@ function executeSectorJump() {
     }
     
     generateSector();
-    logMessage(`Jumped to sector ${gameState.sectorName}`);
+    logMessage(`Jumped to sector ${gameState.sectorName} (depth ${gameState.sector})`);
     logMessage(`Sector difficulty: +${Math.floor((gameState.sector - 1) * 10)}% spawn rate, improved rare asteroid drops`);
     updateUI();
 }
 
+// ================================
+// GALAXY MAP
+// ================================
+// The galaxy itself (sectors, lanes, jump costs) is built by the sim core from the world seed.
+// The map shows every visited sector plus everything one lane out from them, and jumps go one
+// lane at a time from the current sector.
+
+const GALAXY_MAP_PADDING = 40;      // Canvas px kept clear around the outermost sectors
+const GALAXY_MAP_NODE_RADIUS = 9;
+
+let galaxy = null;                  // Rebuilt whenever the world seed changes
+let galaxyMapSelection = null;      // Sector id picked on the map
+let galaxyMapLayout = [];           // Canvas positions of the drawn sectors ({ id, x, y }), for clicks
+
+function getGalaxy() {
+    if (!galaxy || galaxy.seed !== gameState.worldSeed >>> 0) {
+        galaxy = createGalaxy(gameState.worldSeed);
+    }
+    return galaxy;
+}
+
+function getCurrentSector() {
+    return getGalaxySector(getGalaxy(), gameState.sectorId);
+}
+
+// Visited sectors and their neighbours - the part of the galaxy on the map
+function getKnownSectors() {
+    const known = new Map();
+    
+    gameState.visitedSectors.forEach(id => {
+        const sector = getGalaxySector(getGalaxy(), id);
+        if (!sector) return;
+        
+        known.set(id, sector);
+        getSectorLinks(getGalaxy(), id).forEach(link => known.set(link.id, link));
+    });
+    
+    return Array.from(known.values());
+}
+
+function getRichnessLabel(richness) {
+    return richness < 0.9 ? 'POOR' : richness < 1.1 ? 'AVERAGE' : richness < 1.3 ? 'RICH' : 'BONANZA';
+}
+
+function getHazardDensityLabel(hazardDensity) {
+    return hazardDensity < 0.8 ? 'LOW' : hazardDensity < 1.2 ? 'MODERATE' : hazardDensity < 1.5 ? 'HIGH' : 'EXTREME';
+}
+
+function initGalaxyMap() {
+    const canvas = document.getElementById('galaxyMapCanvas');
+    
+    document.getElementById('galaxyMapClose').addEventListener('click', closeGalaxyMap);
+    
+    document.getElementById('galaxyMapJump').addEventListener('click', () => {
+        const targetId = galaxyMapSelection;
+        closeGalaxyMap();
+        showSectorJumpConfirm(targetId);
+    });
+    
+    // Pick the sector under the cursor (canvas is scaled by CSS, so map back to canvas px)
+    canvas.addEventListener('click', (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (canvas.width / rect.width);
+        const y = (e.clientY - rect.top) * (canvas.height / rect.height);
+        
+        const hit = galaxyMapLayout.find(node => Math.hypot(node.x - x, node.y - y) <= GALAXY_MAP_NODE_RADIUS + 4);
+        if (hit) {
+            galaxyMapSelection = hit.id;
+            drawGalaxyMap();
+            updateGalaxyMapInfo();
+        }
+    });
+}
+
+function isGalaxyMapOpen() {
+    return document.getElementById('galaxyMapModal').classList.contains('active');
+}
+
+function openGalaxyMap() {
+    if (warpState.active) {
+        logMessage('Warp sequence already in progress...');
+        return;
+    }
+    
+    galaxyMapSelection = gameState.sectorId;
+    document.getElementById('galaxyMapModal').classList.add('active');
+    gameState.isPaused = true;
+    
+    drawGalaxyMap();
+    updateGalaxyMapInfo();
+}
+
+function closeGalaxyMap() {
+    document.getElementById('galaxyMapModal').classList.remove('active');
+    gameState.isPaused = false;
+}
+
+function drawGalaxyMap() {
+    const canvas = document.getElementById('galaxyMapCanvas');
+    const ctx = canvas.getContext('2d');
+    const known = getKnownSectors();
+    const knownIds = new Set(known.map(sector => sector.id));
+    const current = getCurrentSector();
+    
+    // Fit the known sectors into the canvas
+    const minX = Math.min(...known.map(sector => sector.x));
+    const maxX = Math.max(...known.map(sector => sector.x));
+    const minY = Math.min(...known.map(sector => sector.y));
+    const maxY = Math.max(...known.map(sector => sector.y));
+    const scale = Math.min(
+        (canvas.width - GALAXY_MAP_PADDING * 2) / Math.max(1, maxX - minX),
+        (canvas.height - GALAXY_MAP_PADDING * 2) / Math.max(1, maxY - minY),
+        2
+    );
+    const offsetX = canvas.width / 2 - ((minX + maxX) / 2) * scale;
+    const offsetY = canvas.height / 2 - ((minY + maxY) / 2) * scale;
+    const toCanvas = sector => ({ x: offsetX + sector.x * scale, y: offsetY + sector.y * scale });
+    
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    // Lanes - the ones out of the current sector are the jumps on offer
+    ctx.lineWidth = 2;
+    known.forEach(sector => {
+        sector.links.forEach(linkId => {
+            if (linkId < sector.id || !knownIds.has(linkId)) return;
+            
+            const from = toCanvas(sector);
+            const to = toCanvas(getGalaxy().sectors[linkId]);
+            const fromCurrent = sector.id === current.id || linkId === current.id;
+            
+            ctx.strokeStyle = fromCurrent ? 'rgba(255, 255, 0, 0.8)' : 'rgba(0, 170, 170, 0.35)';
+            ctx.setLineDash(fromCurrent ? [] : [4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        });
+    });
+    ctx.setLineDash([]);
+    
+    // Sectors - cyan here, green visited, yellow one jump away, grey further out
+    galaxyMapLayout = [];
+    ctx.font = '11px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    
+    known.forEach(sector => {
+        const pos = toCanvas(sector);
+        const visited = gameState.visitedSectors.includes(sector.id);
+        const color = sector.id === current.id ? '#00ffff'
+            : current.links.includes(sector.id) ? '#ffff00'
+            : visited ? '#00ff00'
+            : '#666666';
+        
+        ctx.fillStyle = visited ? color : '#000000';
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, GALAXY_MAP_NODE_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        if (sector.id === galaxyMapSelection) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, GALAXY_MAP_NODE_RADIUS + 5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        ctx.fillStyle = color;
+        ctx.fillText(getSectorName(sector.id), pos.x, pos.y + GALAXY_MAP_NODE_RADIUS + 14);
+        
+        galaxyMapLayout.push({ id: sector.id, x: pos.x, y: pos.y });
+    });
+}
+
+// Details of the picked sector, and whether the ship can jump there from here
+function updateGalaxyMapInfo() {
+    const info = document.getElementById('galaxyMapInfo');
+    const jumpBtn = document.getElementById('galaxyMapJump');
+    const sector = getGalaxySector(getGalaxy(), galaxyMapSelection);
+    const current = getCurrentSector();
+    const linked = current.links.includes(sector.id);
+    
+    const status = sector.id === current.id ? 'CURRENT SECTOR'
+        : gameState.visitedSectors.includes(sector.id) ? 'VISITED'
+        : 'UNEXPLORED';
+    
+    let html = `
+        <div class="galaxy-info-title">${getSectorName(sector.id)}</div>
+        <div class="galaxy-info-row"><span>STATUS</span><span>${status}</span></div>
+        <div class="galaxy-info-row"><span>DEPTH</span><span>${sector.depth}</span></div>
+        <div class="galaxy-info-row"><span>RICHNESS</span><span>${getRichnessLabel(sector.richness)} (${Math.round(sector.richness * 100)}%)</span></div>
+        <div class="galaxy-info-row"><span>HAZARDS</span><span>${getHazardDensityLabel(sector.hazardDensity)} (${Math.round(sector.hazardDensity * 100)}%)</span></div>
+        <div class="galaxy-info-row"><span>STATIONS</span><span>${sector.stationCount}</span></div>
+        <div class="galaxy-info-row"><span>LANES</span><span>${sector.links.length}</span></div>`;
+    
+    const sectorState = gameState.sectorStates[sector.id];
+    if (sectorState && sectorState.depleted.length > 0) {
+        html += `<div class="galaxy-info-row"><span>MINED OUT</span><span>${sectorState.depleted.length} / ${getSectorAsteroidCount(sector)}</span></div>`;
+    }
+    
+    if (linked) {
+        const cost = getJumpCost(getGalaxy(), current.id, sector.id);
+        html += `
+            <div class="galaxy-info-row galaxy-info-cost"><span>JUMP</span><span>${cost.distance} LY</span></div>
+            <div class="galaxy-info-row galaxy-info-cost"><span>COST</span><span>${cost.credits.toLocaleString()}¢ + ${cost.fuel} FUEL</span></div>`;
+    } else if (sector.id !== current.id) {
+        html += '<div class="galaxy-info-note">No direct lane from here - jump through a linked sector.</div>';
+    }
+    
+    info.innerHTML = html;
+    jumpBtn.disabled = !linked;
+}
+
+// Jump analysis for a linked sector: cost, and how the destination compares to here
+function showSectorJumpConfirm(targetId) {
+    const current = getCurrentSector();
+    const target = getGalaxySector(getGalaxy(), targetId);
+    const cost = getJumpCost(getGalaxy(), current.id, target.id);
+    const change = (from, to, digits = 0) => `${from.toFixed(digits)} → ${to.toFixed(digits)} (${to >= from ? '+' : ''}${(to - from).toFixed(digits)})`;
+    
+    // Map size, spawn rate and mission rewards follow depth; the field itself follows the sector's rolls
+    const currentMapSize = CONFIG.baseWorldWidth + (current.depth - 1) * 250;
+    const targetMapSize = CONFIG.baseWorldWidth + (target.depth - 1) * 250;
+    const currentRarity = getSectorRarityLevel(current);
+    const targetRarity = getSectorRarityLevel(target);
+    
+    // Check for missing requirements
+    const missingCredits = gameState.credits < cost.credits;
+    const missingFuel = gameState.fuel < cost.fuel && !godModeActive;
+    const stationMissionCount = gameState.missions.filter(m => m.type !== 'contract').length;
+    const hasActiveMissions = stationMissionCount > 0;
+    let warningText = '';
+    
+    if (missingCredits || missingFuel) {
+        warningText = '\n\n<b style="color: #ff0000;">INSUFFICIENT RESOURCES:</b>\n';
+        if (missingCredits) {
+            warningText += `<b style="color: #ff0000;">• Need ${cost.credits - gameState.credits} more credits</b>\n`;
+        }
+        if (missingFuel) {
+            warningText += `<b style="color: #ff0000;">• Need ${Math.ceil(cost.fuel - gameState.fuel)} more fuel</b>\n`;
+        }
+    }
+    
+    // Add mission abandonment warning if player has active missions
+    if (hasActiveMissions) {
+        warningText += '\n\n<b style="color: #ff6600;">\u26A0 MISSION WARNING \u26A0</b>\n';
+        warningText += `<b style="color: #ff6600;">You have ${stationMissionCount} active mission(s)!</b>\n`;
+        warningText += `<b style="color: #ff6600;">All missions will be ABANDONED if you jump sectors.</b>\n`;
+        warningText += `<b style="color: #ff6600;">Return to stations to complete missions first!</b>`;
+    }
+    
+    if (gameState.missions.some(m => m.type === 'contract' && m.status === 'active')) {
+        warningText += '\n\n<b style="color: #00ffff;">Active contracts carry over to the next sector.</b>';
+    }
+    
+    const sectorState = gameState.sectorStates[target.id];
+    if (sectorState && sectorState.depleted.length > 0) {
+        warningText += `\n\n<b style="color: #00ff00;">${sectorState.depleted.length} asteroids there were mined out on an earlier visit.</b>`;
+    }
+    
+    showConfirm(
+        `JUMP TO ${getSectorName(target.id)}`,
+        `SECTOR JUMP ANALYSIS:\n\n` +
+        `Destination: ${getSectorName(target.id)} (depth ${target.depth})\n` +
+        `Distance: ${cost.distance} LY\n` +
+        `Cost: ${cost.credits.toLocaleString()} Credits + ${cost.fuel} Fuel\n\n` +
+        `SECTOR COMPARISON:\n` +
+        `• Map size: ${change(currentMapSize, targetMapSize)}\n` +
+        `• Asteroid density: ${change(getSectorAsteroidCount(current), getSectorAsteroidCount(target))}\n` +
+        `• Hazard encounters: ${change(getSectorHazardCount(current), getSectorHazardCount(target))}\n` +
+        `• Uncommon drops: +${change(currentRarity * 1.5, targetRarity * 1.5, 1)}%\n` +
+        `• Rare drops: +${change(currentRarity * 1.2, targetRarity * 1.2, 1)}%\n` +
+        `• Spawn rate bonus: +${change((current.depth - 1) * 10, (target.depth - 1) * 10)}%\n` +
+        `• Mission rewards: ${change(1.0 + (current.depth - 1) * 0.1, 1.0 + (target.depth - 1) * 0.1, 1)}x\n` +
+        `• Stations: ${target.stationCount}\n\n` +
+        `WARNING: Deeper and richer sectors contain more valuable\n` +
+        `resources but significantly increased danger.` +
+        warningText +
+        `\n\nProceed with sector jump?`,
+        () => runReplayable('jump', target.id),
+        null,
+        () => missingFuel || missingCredits // Disable confirm if insufficient resources
+    );
+}
+
+// ================================
+// SEEDED RANDOM (SECTOR GENERATION)
+// ================================
+// Sector generation never calls Math.random() directly. Each part of a sector (stations,
+// asteroid/hazard layout, mission boards) draws from its own stream keyed on the world seed,
+// the galaxy sector id and a salt, so "ALPHA-001" is identical for anyone with the same seed.
+// hashSeed() and createSeededRandom() live in the sim, which builds the galaxy from the same seed.
+
+function generateWorldSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Random stream for the current sector, separated by salt (e.g. 'stations', 'layout')
+function createSectorRandom(...salt) {
+    return createSeededRandom(hashSeed(gameState.worldSeed, gameState.sectorId, ...salt));
+}
+
+function formatSeed(seed) {
+    return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+// Seeds are shown as 8-digit hex; anything else (e.g. a word) is hashed into a seed
+function parseSeed(text) {
+    if (/^[0-9a-fA-F]{1,8}$/.test(text)) {
+        return parseInt(text, 16) >>> 0;
+    }
+    return hashSeed(text);
+}
+
 // ================================
 // WORLD GENERATION
 // ================================
@@ -8178,7 +12157,11 @@ function generateStars() {
             parallaxFactor: 0.95 // Moves almost exactly with viewport (closest)
         });
     }
-    
+}
+
+// Start every worker once, at boot. Loading a save or a replay snapshot never restarts them -
+// a fresh worker's 'ready' would switch it back on in the middle of a replay.
+function initWorkers() {
     // Initialize star worker with the generated stars
     initStarWorker();
     
@@ -8241,41 +12224,34 @@ function initPhysicsWorker() {
             const { type, data } = e.data;
             
             if (type === 'ready') {
-                physicsWorkerReady = true;
+                setSimWorkerReady('physics', true);
                 console.log('Physics worker ready');
-            } else if (type === 'allUpdated') {
-                // Update main thread's physics data
-                // Note: Asteroids and hazards are updated on main thread to preserve object references
-                // asteroids = data.asteroids; // DISABLED - breaks mining references
-                // hazards = data.hazards; // DISABLED - breaks scan references
-                
-                // Filter out dead particles
-                particles = data.particles.filter(p => !p.dead);
-                
+            } else if (type === 'rejected') {
+                // Fall back to main thread until the worker is re-initialised
+                setSimWorkerReady('physics', false);
                 pendingPhysicsUpdate = false;
+                cancelPhysicsBatch();
+                handleWorkerRejection(physicsWorker, 'Physics', data);
+            } else if (type === 'stepped') {
+                applyPhysicsBatch(data);
             }
         };
         
         physicsWorker.onerror = function(error) {
             console.error('Physics worker error:', error);
-            physicsWorkerReady = false;
+            setSimWorkerReady('physics', false);
             pendingPhysicsUpdate = false;
+            cancelPhysicsBatch();
         };
         
-        // Send initial config to worker
-        physicsWorker.postMessage({
-            type: 'init',
-            data: { 
-                worldWidth: CONFIG.worldWidth,
-                worldHeight: CONFIG.worldHeight 
-            }
-        });
+        // Send initial config and type tables to worker
+        sendWorkerInit(physicsWorker);
         
         console.log('Physics worker initialized');
         
     } catch (error) {
         console.warn('Could not initialize physics worker, using main thread:', error);
-        physicsWorkerReady = false;
+        simWorkerReady.physics = false;
     }
 }
 
@@ -8288,7 +12264,15 @@ function initCollisionWorker() {
         collisionWorker.onmessage = function(e) {
             const { type, data } = e.data;
             
-            if (type === 'batchCollisionResults') {
+            if (type === 'ready') {
+                setSimWorkerReady('collision', true);
+                console.log('Collision worker ready');
+            } else if (type === 'rejected') {
+                // Fall back to main thread until the worker is re-initialised
+                setSimWorkerReady('collision', false);
+                pendingCollisionCheck = false;
+                handleWorkerRejection(collisionWorker, 'Collision', data);
+            } else if (type === 'batchCollisionResults') {
                 // Process hazard collisions
                 const { hazardCollisions, miningRange } = data;
                 
@@ -8303,19 +12287,24 @@ function initCollisionWorker() {
                 // Process collisions and damage
                 if (hazardCollisions.collisions) {
                     for (const collision of hazardCollisions.collisions) {
-                        // Only apply damage every 30 frames (same as before)
-                        if (frameCount % 30 === 0) {
-                            damagePlayer(collision.damage);
+                        // Vortex contact damage ticks every 30 frames, direct hits apply at once (same as main thread)
+                        if (!collision.removeHazard) {
+                            if (frameCount % 30 === 0) {
+                                damagePlayer(collision.damage);
+                            }
+                            continue;
                         }
                         
-                        // Remove hazard if needed
-                        if (collision.removeHazard && collision.index < hazards.length) {
-                            hazards.splice(collision.index, 1);
-                            
-                            // Create explosion particles
-                            for (let j = 0; j < 20; j++) {
-                                createParticle(collision.x, collision.y, collision.color);
-                            }
+                        // Hazards may have moved in the array since the check was sent, so match by id
+                        const hazardIndex = hazards.findIndex(h => h.id === collision.id);
+                        if (hazardIndex === -1) continue;
+                        
+                        damagePlayer(collision.damage);
+                        hazards.splice(hazardIndex, 1);
+                        
+                        // Create explosion particles
+                        for (let j = 0; j < 20; j++) {
+                            createParticle(collision.x, collision.y, collision.color);
                         }
                     }
                 }
@@ -8330,15 +12319,18 @@ function initCollisionWorker() {
         
         collisionWorker.onerror = function(error) {
             console.error('Collision worker error:', error);
-            collisionWorkerReady = false;
+            setSimWorkerReady('collision', false);
             pendingCollisionCheck = false;
         };
         
+        // Send type tables to worker - it replies 'ready' once it has them
+        sendWorkerInit(collisionWorker);
+        
         console.log('Collision worker initialized');
         
     } catch (error) {
         console.warn('Could not initialize collision worker, using main thread:', error);
-        collisionWorkerReady = false;
+        simWorkerReady.collision = false;
     }
 }
 
@@ -8389,8 +12381,17 @@ function initNPCWorker() {
             const { type, data } = e.data;
             
             if (type === 'ready') {
-                npcWorkerReady = true;
+                setSimWorkerReady('npc', true);
                 console.log('NPC worker ready');
+            } else if (type === 'rejected') {
+                // Fall back to main thread until the worker is re-initialised
+                setSimWorkerReady('npc', false);
+                pendingNPCUpdate = false;
+                pendingPirateUpdate = false;
+                handleWorkerRejection(npcWorker, 'NPC', data);
+            } else if (type === 'piratesUpdated') {
+                pendingPirateUpdate = false;
+                applyPirateUpdates(data.pirates);
             } else if (type === 'npcUpdated') {
                 // Apply updates from worker
                 const { npcMiners: updatedNPCs, removedNPCs, respawnRequests, asteroidUpdates, stateChanges } = data;
@@ -8442,6 +12443,17 @@ function initNPCWorker() {
                 
                 // Handle state changes (mining, asteroid destruction, particles, etc.)
                 for (const change of stateChanges) {
+                    // The hold is tracked here (trades change it too) - mined ore goes in, and it
+                    // is unloaded into the home station's stockpile on docking
+                    const changedNPC = npcMiners[change.index];
+                    if (changedNPC && change.minedType) {
+                        changedNPC.inventory = changedNPC.inventory || {};
+                        changedNPC.inventory[change.minedType] = (changedNPC.inventory[change.minedType] || 0) + 1;
+                    }
+                    if (changedNPC && change.state === 'docked') {
+                        unloadNPCCargo(changedNPC);
+                    }
+                    
                     // Process NPC mining events - visual effects only, no player cargo changes
                     if (change.npcMinedAsteroid && change.asteroidIndex >= 0 && change.asteroidIndex < asteroids.length) {
                         const asteroid = asteroids[change.asteroidIndex];
@@ -8546,30 +12558,28 @@ function initNPCWorker() {
         
         npcWorker.onerror = function(error) {
             console.error('NPC worker error:', error);
-            npcWorkerReady = false;
+            setSimWorkerReady('npc', false);
             pendingNPCUpdate = false;
+            pendingPirateUpdate = false;
         };
         
-        // Send initial config to worker
-        npcWorker.postMessage({
-            type: 'init',
-            data: { 
-                worldWidth: CONFIG.worldWidth,
-                worldHeight: CONFIG.worldHeight 
-            }
-        });
+        // Send initial config and type tables to worker
+        sendWorkerInit(npcWorker);
         
         console.log('NPC worker initialized');
         
     } catch (error) {
         console.warn('Could not initialize NPC worker, using main thread:', error);
-        npcWorkerReady = false;
+        simWorkerReady.npc = false;
     }
 }
 
 function generateSector() {
     asteroids = [];
     hazards = [];
+    pirates = [];
+    lootDrops = [];
+    gameState.sectorEvents = createSectorEventSchedule();
     
     // Generate new stations for this sector ONLY if stations don't already exist
     // (stations may have been loaded from save)
@@ -8577,38 +12587,64 @@ function generateSector() {
         initStationState();
     }
     
-    // Generate asteroids based on sector
-    const asteroidCount = 30 + gameState.sector * 5;
+    // Seeded layout - same world seed and sector always produce the same field
+    const rng = createSectorRandom('layout');
+    const sector = getCurrentSector();
+    
+    // Generate asteroids based on depth and richness. Each is tagged with its place in the
+    // seeded order so depletion can be remembered when the ship leaves.
+    const asteroidCount = getSectorAsteroidCount(sector);
     
     for (let i = 0; i < asteroidCount; i++) {
         spawnAsteroid(
-            Math.random() * CONFIG.worldWidth,
-            Math.random() * CONFIG.worldHeight
-        );
+            rng() * CONFIG.worldWidth,
+            rng() * CONFIG.worldHeight,
+            rng
+        ).seedIndex = i;
     }
     
     // Generate hazards
-    const hazardCount = Math.floor(2 + gameState.sector * 0.5);
+    const hazardCount = getSectorHazardCount(sector);
     
     for (let i = 0; i < hazardCount; i++) {
         spawnHazard(
-            Math.random() * CONFIG.worldWidth,
-            Math.random() * CONFIG.worldHeight
+            rng() * CONFIG.worldWidth,
+            rng() * CONFIG.worldHeight,
+            rng
         );
     }
     
-    logMessage(`Generated sector ${gameState.sectorName} with ${asteroidCount} asteroids`);
+    // Back in a sector mined before - take out what was mined then
+    const sectorState = gameState.sectorStates[gameState.sectorId];
+    if (sectorState) {
+        asteroids = applySectorDepletion(sectorState, asteroids);
+        if (sectorState.depleted.length > 0) {
+            logMessage(`Sector ${gameState.sectorName}: ${sectorState.depleted.length} of ${asteroidCount} asteroids mined out on earlier visits`);
+        }
+    } else {
+        gameState.sectorStates[gameState.sectorId] = { depleted: [], damaged: {} };
+    }
+    
+    logMessage(`Generated sector ${gameState.sectorName} with ${asteroids.length} asteroids (seed ${formatSeed(gameState.worldSeed)})`);
+}
+
+// Record the current sector's mined-out asteroids before leaving it. Only sectors this save
+// generated itself are tracked - a field loaded from an older save has no seed indices.
+function rememberSectorDepletion() {
+    if (!gameState.sectorStates[gameState.sectorId]) return;
+    
+    recordSectorDepletion(gameState, gameState.sectorId, getSectorAsteroidCount(getCurrentSector()), asteroids);
 }
 
-function generateAsteroidGeometry() {
+function generateAsteroidGeometry(rng = Math.random) {
     // Create irregular polygon for asteroid
     const points = [];
-    const numPoints = 8 + Math.floor(Math.random() * 5); // 8-12 points
+    const numPoints = 8 + Math.floor(rng() * 5); // 8-12 points
     const baseRadius = 15;
     
     for (let i = 0; i < numPoints; i++) {
         const angle = (i / numPoints) * Math.PI * 2;
-        const radiusVariation = 0.6 + Math.random() * 0.4; // 60-100% of base radius
+        const radiusVariation = 0.6 + rng() * 0.4; // 60-100% of base radius
         const radius = baseRadius * radiusVariation;
         
         points.push({
@@ -8620,10 +12656,11 @@ function generateAsteroidGeometry() {
     return points;
 }
 
-function spawnAsteroid(x, y) {
+// `forcedType` skips the rarity roll (meteor showers pick their own ore)
+function spawnAsteroid(x, y, rng = Math.random, forcedType = null) {
     // Determine asteroid type based on rarity with sector progression
-    // Each sector increases rare asteroid chances
-    const sectorLevel = gameState.sector - 1;
+    // Each depth (and a rich sector) increases rare asteroid chances
+    const sectorLevel = getSectorRarityLevel(getCurrentSector());
     
     // Calculate dynamic chances based on sector
     // Common asteroids: decrease 2.5% per sector (min 25%)
@@ -8675,20 +12712,23 @@ function spawnAsteroid(x, y) {
     }
     
     // Select asteroid type using weighted random selection
-    let type = 'common';
-    const roll = Math.random();
-    let cumulative = 0;
-    
-    for (const [key, chance] of Object.entries(adjustedChances)) {
-        cumulative += chance;
-        if (roll <= cumulative) {
-            type = key;
-            break;
+    let type = forcedType || 'common';
+    
+    if (!forcedType) {
+        const roll = rng();
+        let cumulative = 0;
+        
+        for (const [key, chance] of Object.entries(adjustedChances)) {
+            cumulative += chance;
+            if (roll <= cumulative) {
+                type = key;
+                break;
+            }
         }
     }
     
     const asteroidData = ASTEROID_TYPES[type];
-    const geometry = generateAsteroidGeometry();
+    const geometry = generateAsteroidGeometry(rng);
     
     asteroids.push({
         x: x,
@@ -8696,18 +12736,28 @@ function spawnAsteroid(x, y) {
         type: type,
         health: asteroidData.health,
         maxHealth: asteroidData.health,
-        vx: (Math.random() - 0.5) * 0.3,  // Reduced from 3.33
-        vy: (Math.random() - 0.5) * 0.3,  // Reduced from 3.33
-        rotation: Math.random() * Math.PI * 2,
-        rotationSpeed: (Math.random() - 0.5) * 0.03,  // Reduced from 0.33
+        vx: (rng() - 0.5) * 0.3,  // Reduced from 3.33
+        vy: (rng() - 0.5) * 0.3,  // Reduced from 3.33
+        rotation: rng() * Math.PI * 2,
+        rotationSpeed: (rng() - 0.5) * 0.03,  // Reduced from 0.33
         geometry: geometry, // Current shape
-        originalGeometry: JSON.parse(JSON.stringify(geometry)) // Store original shape for scaling
+        originalGeometry: JSON.parse(JSON.stringify(geometry)), // Store original shape for scaling
+        composition: createAsteroidCompositionAt(type, x, y),
+        analysed: false // Composition read by the advanced scanner
     });
+    
+    return asteroids[asteroids.length - 1];
+}
+
+// Composition comes from its own stream keyed on the asteroid's spot, so it doesn't shift the
+// seeded layout and a regenerated field's rocks keep the ores they had
+function createAsteroidCompositionAt(type, x, y) {
+    return createAsteroidComposition(type, createSectorRandom('composition', Math.round(x), Math.round(y)));
 }
 
-function spawnHazard(x, y) {
+function spawnHazard(x, y, rng = Math.random) {
     const types = Object.keys(HAZARD_TYPES);
-    const type = types[Math.floor(Math.random() * types.length)];
+    const type = types[Math.floor(rng() * types.length)];
     const hazardData = HAZARD_TYPES[type];
     
     hazards.push({
@@ -8715,9 +12765,107 @@ function spawnHazard(x, y) {
         x: x,
         y: y,
         type: type,
-        vx: (Math.random() - 0.5) * hazardData.speed,
-        vy: (Math.random() - 0.5) * hazardData.speed,
-        rotation: Math.random() * Math.PI * 2
+        vx: (rng() - 0.5) * hazardData.speed,
+        vy: (rng() - 0.5) * hazardData.speed,
+        rotation: rng() * Math.PI * 2
+    });
+}
+
+// ================================
+// ACHIEVEMENTS
+// ================================
+// The list and its progress rules are ACHIEVEMENTS in asteroid-miner-sim.js. Unlocks are kept
+// under their own localStorage key rather than in a save slot, so they outlast prestige,
+// deleted saves and restarts.
+
+const ACHIEVEMENTS_STORAGE_KEY = 'asteroidMinerAchievements';
+const ACHIEVEMENT_CHECK_FRAMES = 60; // Checked about once a second
+
+let achievementUnlocks = {}; // id -> Date.now() of the unlock
+
+function readAchievementUnlocks() {
+    try {
+        const data = JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY) || '{}');
+        const unlocked = data && data.unlocked;
+        return unlocked && typeof unlocked === 'object' && !Array.isArray(unlocked) ? unlocked : {};
+    } catch (e) {
+        console.error('Failed to parse achievements:', e);
+        return {};
+    }
+}
+
+function writeAchievementUnlocks() {
+    localStorage.setItem(ACHIEVEMENTS_STORAGE_KEY, JSON.stringify({ unlocked: achievementUnlocks }));
+}
+
+function initAchievements() {
+    achievementUnlocks = readAchievementUnlocks();
+    updateAchievementsDisplay();
+    
+    const achievementsDrawerBtn = document.getElementById('achievementsDrawerBtn');
+    const achievementsDrawerIcon = achievementsDrawerBtn.querySelector('.drawer-icon');
+    
+    achievementsDrawerBtn.addEventListener('click', () => {
+        const isOpen = domCache.achievementsList.style.display !== 'none';
+        domCache.achievementsList.style.display = isOpen ? 'none' : 'block';
+        achievementsDrawerIcon.textContent = isOpen ? '▶' : '▼';
+        updateAchievementsDisplay();
+    });
+}
+
+// Called from gameLoop() - never during replay playback, which returns before it
+function updateAchievements() {
+    if (frameCount % ACHIEVEMENT_CHECK_FRAMES !== 0) return;
+    
+    const unlocked = checkAchievements(gameState, achievementUnlocks);
+    
+    unlocked.forEach(achievement => {
+        achievementUnlocks[achievement.id] = Date.now();
+        logMessage(`${achievement.icon} ACHIEVEMENT UNLOCKED: ${achievement.name} - ${achievement.desc}`, 'success');
+    });
+    if (unlocked.length > 0) writeAchievementUnlocks();
+    
+    updateAchievementsDisplay();
+}
+
+function updateAchievementsDisplay() {
+    const list = domCache.achievementsList;
+    if (!list) return;
+    
+    const unlockedCount = ACHIEVEMENTS.filter(achievement => achievementUnlocks[achievement.id]).length;
+    domCache.achievementCount.textContent = `(${unlockedCount}/${ACHIEVEMENTS.length})`;
+    
+    // Progress bars only need redrawing while the drawer is open
+    if (list.style.display === 'none') return;
+    list.innerHTML = '';
+    
+    ACHIEVEMENTS.forEach(achievement => {
+        const unlockedAt = achievementUnlocks[achievement.id];
+        const progress = getAchievementProgress(achievement, gameState);
+        const item = document.createElement('div');
+        item.className = `mission-item ${unlockedAt ? 'completed' : 'achievement-locked'}`;
+        
+        const statusText = unlockedAt
+            ? `✓ ${new Date(unlockedAt).toLocaleDateString()}`
+            : `${Math.floor(progress.fraction * 100)}%`;
+        
+        item.innerHTML = `
+            <div class="mission-header">
+                <span class="item-icon">${achievement.icon}</span>
+                <span class="mission-title">${achievement.name}</span>
+                <span class="mission-status">${statusText}</span>
+            </div>
+            <div class="mission-description">${achievement.desc}</div>
+            ${unlockedAt ? '' : `
+            <div class="mission-progress">
+                <span>${progress.value.toLocaleString()}/${progress.target.toLocaleString()}</span>
+                <div class="mission-progress-bar">
+                    <div class="mission-progress-fill" style="width: ${progress.fraction * 100}%"></div>
+                </div>
+            </div>`}
+        `;
+        
+        list.appendChild(item);
     });
 }
 
@@ -8736,14 +12884,27 @@ function initDOMCache() {
     domCache.shipName = document.getElementById('shipName');
     domCache.sectorName = document.getElementById('sectorName');
     domCache.hullDisplay = document.getElementById('hullDisplay');
+    domCache.shieldDisplay = document.getElementById('shieldDisplay');
     domCache.dockingStatus = document.getElementById('dockingStatus');
     domCache.creditsDisplay = document.getElementById('creditsDisplay');
     domCache.cargoDisplay = document.getElementById('cargoDisplay');
     domCache.fuelDisplay = document.getElementById('fuelDisplay');
+    domCache.coopPanel = document.getElementById('coopPanel');
+    domCache.coopCargo = document.getElementById('coopCargo');
+    domCache.coopFuel = document.getElementById('coopFuel');
+    domCache.coopStatus = document.getElementById('coopStatus');
+    domCache.coopInput = document.getElementById('coopInput');
     
     domCache.stationName = document.getElementById('stationName');
     domCache.stationStatus = document.getElementById('stationStatus');
     domCache.cargoValueCredits = document.getElementById('cargoValueCredits');
+    domCache.marketList = document.getElementById('marketList');
+    domCache.marketReportStation = document.getElementById('marketReportStation');
+    domCache.marketShortageCount = document.getElementById('marketShortageCount');
+    domCache.marketSupplyList = document.getElementById('marketSupplyList');
+    domCache.marketDeliveryList = document.getElementById('marketDeliveryList');
+    domCache.sectorShortageList = document.getElementById('sectorShortageList');
+    domCache.stationStanding = document.getElementById('stationStanding');
     domCache.fuelNeeded = document.getElementById('fuelNeeded');
     domCache.hullNeeded = document.getElementById('hullNeeded');
     domCache.repairTotalCost = document.getElementById('repairTotalCost');
@@ -8757,6 +12918,14 @@ function initDOMCache() {
     
     domCache.missionsList = document.getElementById('missionsList');
     domCache.missionCount = document.getElementById('missionCount');
+    domCache.contractLogList = document.getElementById('contractLogList');
+    domCache.refineryRecipeList = document.getElementById('refineryRecipeList');
+    domCache.refineryQueueList = document.getElementById('refineryQueueList');
+    domCache.refineryJobCount = document.getElementById('refineryJobCount');
+    domCache.componentLocker = document.getElementById('componentLocker');
+    domCache.contractCount = document.getElementById('contractCount');
+    domCache.achievementsList = document.getElementById('achievementsList');
+    domCache.achievementCount = document.getElementById('achievementCount');
     
     domCache.prestigeCount = document.getElementById('prestigeCount');
     domCache.prestigeBonus = document.getElementById('prestigeBonus');
@@ -8767,6 +12936,9 @@ function initDOMCache() {
     
     domCache.consoleContent = document.getElementById('consoleContent');
     domCache.inventoryList = document.getElementById('inventoryList');
+    
+    domCache.scanReadout = document.getElementById('scanReadout');
+    domCache.scanReadoutBody = document.getElementById('scanReadoutBody');
 }
 
 // ================================
@@ -8787,6 +12959,9 @@ function initGame() {
     
     initTheme();
     initCRT();
+    initPhotoMode();
+    initCoop();
+    initAudio();
     initControlsHint();
     initShipRename();
     initPauseModal();
@@ -8794,6 +12969,12 @@ function initGame() {
     initInput();
     initUpgrades();
     initMissions();  // Initialize mission system
+    initRefinery();  // Initialize refinery drawer
+    initMarketReport();
+    initAchievements();
+    initGalaxyMap();
+    initReplayControls();
+    initScriptEditor();
     initMinimapScanner();
     initConsoleInput();
     setupTradeModalEventListeners(); // Initialize trading system
@@ -8839,6 +13020,7 @@ function initGame() {
     }
     
     generateStars();
+    initWorkers();
     
     // Only generate a new sector if asteroids/hazards weren't loaded from save
     if (asteroids.length === 0 && hazards.length === 0) {
@@ -8879,7 +13061,7 @@ function initGame() {
     viewport.y = player.y - (VIEWPORT_REFERENCE.HEIGHT / 2) / viewport.zoom;
     
     // Mark all UI as dirty on game start
-    markUIDirty('credits', 'cargo', 'hull', 'fuel', 'inventory', 'missions', 'upgrades', 'station', 'prestige');
+    markUIDirty('credits', 'cargo', 'hull', 'fuel', 'inventory', 'missions', 'upgrades', 'station', 'refinery', 'prestige');
     
     updateUI();
     updateMiningLasersDisplay(); // Initialize the laser display
@@ -8902,6 +13084,7 @@ function initGame() {
     
     logMessage('All systems online. Ready for mining operations.');
     logMessage('Use WASD to move, SPACE to mine asteroids.');
+    showOfflineReport();
     
     gameLoop();
 }
@@ -8928,6 +13111,24 @@ function gameLoop(currentTime = 0) {
         deltaTime = 16.67; // Default to 60 FPS
     }
     
+    // Recording or playback starts once no worker results are still in flight
+    if (replayState.mode === 'arming') {
+        finishReplayArming();
+    }
+    
+    // Watching a replay - the recording drives update() instead of live input
+    if (replayState.mode === 'playback') {
+        updateReplayPlayback();
+        render();
+        return;
+    }
+    
+    const recording = replayState.mode === 'recording';
+    if (recording) {
+        deltaTime = quantizeReplayDelta(deltaTime);
+        beginReplayFrame(deltaTime);
+    }
+    
     // Store delta time for use in render functions
     currentDeltaTime = deltaTime;
     
@@ -8937,11 +13138,17 @@ function gameLoop(currentTime = 0) {
     if (!gameState.isPaused) {
         // Update gamepad input
         updateGamepad();
+        updateZoomInput();
         
         update(deltaTime);
     } else {
         // Even when paused, update gamepad for virtual mouse in menus
         updateGamepad();
+        
+        // Photo mode flies its free camera instead
+        if (photoState.active) {
+            updatePhotoCamera(deltaTime);
+        }
     }
     
     render();
@@ -8955,6 +13162,12 @@ function gameLoop(currentTime = 0) {
     if (frameCount % 60 === 0) {
         gameState.stats.playTime++;
     }
+    updateAchievements();
+    updateAudio();
+    
+    if (recording) {
+        endReplayFrame();
+    }
     
     // Send frame notification to FPS worker (zero overhead on main thread)
     if (fpsCounterEnabled && fpsWorkerReady && fpsWorker) {
@@ -8973,6 +13186,12 @@ function gameLoop(currentTime = 0) {
 // ================================
 
 function triggerScan() {
+    // Solar storms jam the scanner
+    if (isScannerJammed(gameState.sectorEvents)) {
+        logMessage('Scanner jammed by the solar storm.', 'error');
+        return;
+    }
+    
     // Check cooldown
     if (scanState.cooldown > 0) {
         logMessage(`Scan recharging... ${Math.ceil(scanState.cooldown / 1000)}s remaining`);
@@ -9055,15 +13274,18 @@ function updateScan(deltaTime) {
                 
                 if (!alreadyDetected) {
                     const typeData = ASTEROID_TYPES[ast.type];
-                    // Calculate value with prestige bonus (same as when selling)
-                    const baseValue = typeData.value;
-                    const bonusValue = Math.floor(baseValue * (gameState.prestigeBonus / 100));
-                    const totalValue = baseValue + bonusValue;
+                    
+                    // The advanced scanner analyses the whole rock - its value is what's
+                    // left in it, rich core included (with prestige bonus, same as when selling)
+                    const deepScan = gameState.upgrades.advancedScanner >= 1;
+                    if (deepScan) ast.analysed = true;
+                    const totalValue = applyPrestigeBonus(estimateAsteroidYield(ast, deepScan).value, gameState.prestigeBonus);
+                    const hasCore = deepScan && ast.composition && ast.composition.core;
                     
                     scanState.detectedItems.push({
                         type: 'asteroid',
                         object: ast, // Store reference to track movement
-                        name: typeData.name,
+                        name: hasCore ? `${typeData.name} ◆CORE` : typeData.name,
                         value: totalValue,
                         color: typeData.color,
                         rarity: typeData.rarity  // Add rarity info
@@ -9163,6 +13385,8 @@ function updateWarpAnimation(deltaTime) {
         warpState.shipScale = 1.0;
     }
     
+    updateWarpAudio();
+    
     // Phase transitions based on elapsed time
     if (warpState.elapsedTime < warpState.countdownDuration) {
         // PHASE 1: Countdown (0-3s)
@@ -9734,7 +13958,9 @@ function renderWarpAnimation() {
 // CARGO DRONE SYSTEM
 // ================================
 
-function deployCargoDrone() {
+// Sends the hold off to the nearest station to be sold - or, given an outpost, as much of it
+// as the outpost's silo can take, to be stored there
+function deployCargoDrone(outpost = null) {
     // Check if upgrade is purchased
     if (gameState.upgrades.cargoDrone < 1) {
         logMessage('Cargo drone not installed. Purchase from External upgrades.');
@@ -9753,6 +13979,11 @@ function deployCargoDrone() {
         return;
     }
     
+    if (outpost) {
+        deployCargoDroneToOutpost(outpost);
+        return;
+    }
+    
     // Find nearest station
     const nearestStation = findNearestStation();
     if (!nearestStation) {
@@ -9787,6 +14018,7 @@ function deployCargoDrone() {
         vx: 0,
         vy: 0,
         targetStation: nearestStation,
+        targetOutpostId: null,
         state: 'traveling', // 'traveling', 'docked', 'returning'
         cargo: cargoToSell,
         cargoAmount: cargoAmount,
@@ -9801,6 +14033,40 @@ function deployCargoDrone() {
     createFloatingText(player.x, player.y - 30, 'DRONE DEPLOYED', '#00ff00');
 }
 
+function deployCargoDroneToOutpost(outpost) {
+    const room = getSiloCapacity(outpost) - getSiloTotal(outpost);
+    if (room <= 0) {
+        logMessage(`${outpost.name} silo is full.`);
+        return;
+    }
+    
+    // Best ore goes first; what the silo can't take stays in the hold
+    const haul = takeOre(gameState.inventory, room);
+    const haulAmount = Object.values(haul).reduce((sum, count) => sum + count, 0);
+    gameState.cargo -= haulAmount;
+    markUIDirty('cargo', 'inventory', 'station');
+    
+    cargoDrone = {
+        x: player.x,
+        y: player.y,
+        vx: 0,
+        vy: 0,
+        targetStation: outpost, // Flies to it like a station
+        targetOutpostId: outpost.id,
+        state: 'traveling',
+        cargo: haul,
+        cargoAmount: haulAmount,
+        credits: 0,
+        dockTime: 0,
+        dockDuration: 1000,
+        size: 15,
+        speed: 3.5
+    };
+    
+    logMessage(`Cargo drone hauling ${haulAmount} units to ${outpost.name}.`);
+    createFloatingText(player.x, player.y - 30, 'DRONE DEPLOYED', '#00ff00');
+}
+
 function findNearestStation() {
     let nearest = null;
     let minDist = Infinity;
@@ -9839,7 +14105,9 @@ function updateCargoDrone(dt) {
             // Arrived at station
             drone.state = 'docked';
             drone.dockTime = Date.now();
-            logMessage(`Drone docked at ${drone.targetStation.name}. Selling cargo...`);
+            logMessage(drone.targetOutpostId
+                ? `Drone docked at ${drone.targetStation.name}. Unloading...`
+                : `Drone docked at ${drone.targetStation.name}. Selling cargo...`);
         } else {
             // Move toward station
             const angle = Math.atan2(dy, dx);
@@ -9852,14 +14120,20 @@ function updateCargoDrone(dt) {
         // Wait at station
         const elapsed = Date.now() - drone.dockTime;
         
-        if (elapsed >= drone.dockDuration) {
-            // Sell cargo and get credits
+        if (elapsed >= drone.dockDuration && drone.targetOutpostId) {
+            // Outpost run - the silo was sized up at launch, so it all fits
+            const deposit = depositToSilo(drone.targetStation, drone.cargo);
+            drone.state = 'returning';
+            logMessage(`Drone stored ${deposit.count} units in the ${drone.targetStation.name} silo. Returning to ship.`);
+        } else if (elapsed >= drone.dockDuration) {
+            // Sell cargo at the target station's market prices and get credits
             let totalValue = 0;
             for (let type in drone.cargo) {
                 const quantity = drone.cargo[type];
                 const asteroidData = ASTEROID_TYPES[type];
                 if (asteroidData) {
-                    totalValue += asteroidData.value * quantity;
+                    totalValue += quoteMarketSale(drone.targetStation, type, quantity);
+                    recordMarketSale(drone.targetStation, type, quantity);
                 }
             }
             
@@ -9877,8 +14151,12 @@ function updateCargoDrone(dt) {
             // Arrived back at player
             gameState.credits += drone.credits;
             gameState.stats.creditsEarned += drone.credits;
-            logMessage(`Drone returned with ${drone.credits}¢!`);
-            createFloatingText(player.x, player.y - 30, `+${drone.credits}¢`, '#00ff00');
+            if (drone.targetOutpostId) {
+                logMessage('Drone back from the outpost run.');
+            } else {
+                logMessage(`Drone returned with ${drone.credits}¢!`);
+                createFloatingText(player.x, player.y - 30, `+${drone.credits}¢`, '#00ff00');
+            }
             markUIDirty('credits', 'station', 'prestige'); // Mark station and prestige dirty
             
             // Update upgrade buttons to reflect new credit balance
@@ -9911,57 +14189,402 @@ function renderCargoDrone(ctx) {
     if (drone.vx !== 0 || drone.vy !== 0) {
         angle = Math.atan2(drone.vy, drone.vx);
     }
-    ctx.rotate(angle);
+    ctx.rotate(angle);
+    
+    // Draw small rectangle body using player colors
+    ctx.fillStyle = player.colors.primary;
+    ctx.strokeStyle = player.colors.secondary;
+    ctx.lineWidth = 1.5;
+    
+    ctx.fillRect(-drone.size * 0.6, -drone.size * 0.3, drone.size * 1.2, drone.size * 0.6);
+    ctx.strokeRect(-drone.size * 0.6, -drone.size * 0.3, drone.size * 1.2, drone.size * 0.6);
+    
+    // Draw cargo indicator (if carrying cargo) - using accent color
+    if (drone.state === 'traveling' || drone.state === 'docked') {
+        ctx.fillStyle = player.colors.accent;
+        ctx.fillRect(-drone.size * 0.3, -drone.size * 0.2, drone.size * 0.6, drone.size * 0.4);
+    }
+    
+    // Draw credits indicator (if carrying credits) - using accent color
+    if (drone.state === 'returning') {
+        ctx.fillStyle = player.colors.accent;
+        ctx.fillRect(-drone.size * 0.3, -drone.size * 0.2, drone.size * 0.6, drone.size * 0.4);
+    }
+    
+    // Draw thruster flame if moving - using player thruster color
+    if (drone.vx !== 0 || drone.vy !== 0) {
+        const speed = Math.sqrt(drone.vx * drone.vx + drone.vy * drone.vy);
+        const flameLength = speed * 3;
+        
+        ctx.fillStyle = player.colors.thruster;
+        ctx.beginPath();
+        ctx.moveTo(-drone.size * 0.6, 0);
+        ctx.lineTo(-drone.size * 0.6 - flameLength, -drone.size * 0.15);
+        ctx.lineTo(-drone.size * 0.6 - flameLength * 0.7, 0);
+        ctx.lineTo(-drone.size * 0.6 - flameLength, drone.size * 0.15);
+        ctx.closePath();
+        ctx.fill();
+    }
+    
+    ctx.restore();
+    
+    // Draw status label in world space above the drone
+    ctx.save();
+    ctx.translate(drone.x, drone.y - drone.size);
+    ctx.scale(1 / viewport.zoom, 1 / viewport.zoom); // Keep text size consistent
+    ctx.fillStyle = player.colors.accent;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'center';
+    let statusText = '';
+    if (drone.state === 'traveling') statusText = 'TRAVELING';
+    else if (drone.state === 'docked') statusText = drone.targetOutpostId ? 'UNLOADING' : 'SELLING';
+    else if (drone.state === 'returning') statusText = drone.targetOutpostId ? 'RETURNING' : `RETURNING (${drone.credits}¢)`;
+    ctx.fillText(statusText, 0, 0);
+    ctx.restore();
+}
+
+// ================================
+// OFFLINE PROGRESS
+// ================================
+// The rules are in asteroid-miner-sim.js (OFFLINE PROGRESS). loadGameData() applies the time
+// since the AutoSave to the restored world; initGame() shows the report once the game is up.
+
+let offlineReport = null;
+
+// Run the stations' industry for the time away, credit the drone's runs, take the mined ore
+// out of the sector and stock the NPCs' hauls at their home stations. Returns the report, or
+// null if the ship has no drone or wasn't away long enough.
+function applyOfflineProgress(savedAt) {
+    if (!savedAt) return null;
+    
+    const away = getOfflineSeconds(savedAt, Date.now());
+    if (away.seconds < OFFLINE_CONFIG.minAwaySeconds) return null;
+    
+    for (const station of stations) {
+        if (station.market) stepStationEconomy(station.market, away.seconds);
+    }
+    
+    const field = asteroids.filter(ast => !ast.destroyed);
+    const fieldOre = field.reduce((sum, ast) => sum + ast.health, 0);
+    const estimate = field.reduce((total, ast) => {
+        const estimated = estimateAsteroidYield(ast);
+        total.units += estimated.units;
+        total.value += estimated.value;
+        return total;
+    }, { units: 0, value: 0 });
+    const station = findNearestStation();
+    
+    const report = computeOfflineProgress(gameState, away.seconds, {
+        tripDistance: station ? 2 * Math.hypot(station.x - player.x, station.y - player.y) : Infinity,
+        fieldOre: fieldOre,
+        oreValue: estimate.units > 0 ? estimate.value / estimate.units : 0,
+        npcCount: npcMiners.length
+    });
+    if (!report) return null;
+    
+    gameState.credits += report.droneCredits;
+    gameState.stats.creditsEarned += report.droneCredits;
+    
+    // The ship worked the rocks around it, each NPC the ones nearest its home station. The
+    // hauls land after the consumption above, so the last runs' ore is still on the shelves.
+    const haulers = npcMiners.filter(npc => npc.homeStation);
+    const holds = haulers.map(() => ({}));
+    report.asteroidsMined = mineOfflineOre(report.droneUnits, [player]) +
+        mineOfflineOre(report.npcUnits, haulers.map(npc => npc.homeStation), holds);
+    haulers.forEach((npc, i) => recordStationDelivery(npc.homeStation, holds[i], npc.name));
+    report.capped = away.capped;
+    
+    return report;
+}
+
+// Take `units` of health off the asteroids nearest each origin (split evenly between them),
+// adding the ore to holds[i] (type -> units) when holds are given. Returns how many asteroids
+// were mined out.
+function mineOfflineOre(units, origins, holds = null) {
+    if (units <= 0 || origins.length === 0) return 0;
+    
+    const share = Math.ceil(units / origins.length);
+    let minedOut = 0;
+    
+    origins.forEach((origin, index) => {
+        let left = share;
+        const nearest = asteroids
+            .filter(ast => !ast.destroyed)
+            .sort((a, b) => Math.hypot(a.x - origin.x, a.y - origin.y) - Math.hypot(b.x - origin.x, b.y - origin.y));
+        
+        for (const ast of nearest) {
+            if (left <= 0) break;
+            
+            const taken = Math.min(left, ast.health);
+            ast.health -= taken;
+            left -= taken;
+            if (holds) {
+                holds[index][ast.type] = (holds[index][ast.type] || 0) + taken;
+            }
+            
+            if (ast.health <= 0) {
+                ast.destroyed = true;
+                minedOut++;
+            }
+        }
+    });
+    
+    return minedOut;
+}
+
+function formatAwayTime(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function showOfflineReport() {
+    if (!offlineReport) return;
+    
+    const report = offlineReport;
+    offlineReport = null;
+    
+    const lines = [
+        `Away for ${formatAwayTime(report.seconds)}${report.capped ? ` (income stops after ${formatAwayTime(OFFLINE_CONFIG.maxAwaySeconds)})` : ''}`,
+        `Cargo drone: ${report.droneTrips} runs, ${report.droneUnits} units sold for ${report.droneCredits}¢`,
+        `NPC miners: ${report.npcUnits} units hauled over ${report.npcTrips} runs`,
+        `Asteroids mined out: ${report.asteroidsMined}`
+    ];
+    
+    logMessage('WHILE YOU WERE AWAY:', 'info');
+    lines.forEach(line => logMessage(`  ${line}`, 'info'));
+    if (report.droneCredits > 0) {
+        logMessage(`+${report.droneCredits}¢ from offline drone runs.`, 'success');
+    }
+    
+    showAlert('WHILE YOU WERE AWAY', lines.join('\n'));
+}
+
+// ================================
+// OUTPOSTS
+// ================================
+// Player outposts - the rules live in asteroid-miner-sim.js, this is the console command,
+// the services a ship in range gets and the rendering. "Outpost" with no arguments shows status.
+
+function getCurrentOutpost() {
+    return getSectorOutpost(gameState, gameState.sectorId);
+}
+
+function isInOutpostRange(outpost) {
+    return !!outpost && Math.hypot(outpost.x - player.x, outpost.y - player.y) <= OUTPOST_CONFIG.serviceRange;
+}
+
+// Called every frame from update()
+function updateOutposts(dt, deltaTime) {
+    if (gameState.outposts.length === 0) return;
+    
+    // Refineries work wherever the ship is
+    stepOutposts(gameState, deltaTime);
+    
+    const outpost = getCurrentOutpost();
+    if (!outpost) return;
+    
+    // Standing orders for the drone bays - haul the hold once it's full enough
+    if (gameState.upgrades.cargoDrone >= 1 && cargoDrone === null && !isDockedAtAnyStation() &&
+        gameState.cargo > 0 && gameState.cargo >= gameState.maxCargo * getOutpostHaulRatio(outpost) &&
+        getSiloTotal(outpost) < getSiloCapacity(outpost)) {
+        deployCargoDrone(outpost);
+    }
+    
+    if (!isInOutpostRange(outpost)) return;
+    
+    // Credits the refinery banked are paid out when the ship comes by
+    if (outpost.credits > 0) {
+        const payout = applyPrestigeBonus(outpost.credits, gameState.prestigeBonus);
+        outpost.credits = 0;
+        gameState.credits += payout;
+        gameState.stats.creditsEarned += payout;
+        logMessage(`Collected ${payout}¢ from the ${outpost.name} refinery.`, 'success');
+        createFloatingText(player.x, player.y - 30, `+${payout}¢`, '#00ff00');
+        markUIDirty('credits', 'station', 'prestige');
+        updateUpgradeButtons();
+    }
+    
+    // The fuel depot tops up the tank for free
+    if (outpost.modules.fuelDepot > 0 && gameState.fuel < gameState.maxFuel) {
+        gameState.fuel = Math.min(gameState.maxFuel, gameState.fuel + OUTPOST_CONFIG.fuelRate * outpost.modules.fuelDepot * dt);
+        markUIDirty('fuel', 'station');
+    }
+}
+
+function logOutpostStatus(outpost) {
+    const siloText = getSiloTotal(outpost) > 0 ? formatItemList(outpost.silo) : 'empty';
+    logMessage(`${outpost.name} - silo ${getSiloTotal(outpost)}/${getSiloCapacity(outpost)} (${siloText}), ${outpost.credits}¢ banked`, 'info');
+    
+    Object.keys(OUTPOST_MODULES).forEach(moduleId => {
+        const module = OUTPOST_MODULES[moduleId];
+        const level = outpost.modules[moduleId];
+        const cost = getOutpostUpgradeCost(outpost, moduleId);
+        const next = cost === null ? 'MAX' : `next ${cost}¢`;
+        logMessage(`  ${moduleId}: ${module.name} ${level}/${OUTPOST_MAX_LEVEL} (${next}) - ${module.desc}`, 'info');
+    });
+}
+
+function processOutpostCommand(args) {
+    const action = args[0] || 'status';
+    const outpost = getCurrentOutpost();
+    
+    switch(action) {
+        case 'status':
+            if (!outpost) {
+                logMessage(`No outpost in ${gameState.sectorName}. "Outpost found" builds one here for ${OUTPOST_CONFIG.foundingCost}¢.`, 'info');
+                return;
+            }
+            logOutpostStatus(outpost);
+            break;
+            
+        case 'found':
+            const result = foundOutpost(gameState, gameState.sectorId, `${gameState.sectorName} Outpost`, player.x, player.y, stations);
+            if (!result.ok) {
+                const reasons = {
+                    exists: `${gameState.sectorName} already has an outpost.`,
+                    station: `Too close to a station - outposts need ${OUTPOST_CONFIG.minStationDistance} units of clearance.`,
+                    credits: `Insufficient credits. Need ${result.cost}¢`
+                };
+                logMessage(`Error: ${reasons[result.reason]}`, 'error');
+                return;
+            }
+            logMessage(`Founded ${result.outpost.name} for ${result.cost}¢. The cargo drone will haul ore here.`, 'success');
+            markUIDirty('credits', 'station', 'prestige');
+            updateUpgradeButtons();
+            break;
+            
+        case 'upgrade':
+            if (!outpost) {
+                logMessage(`Error: No outpost in ${gameState.sectorName}.`, 'error');
+                return;
+            }
+            const upgrade = upgradeOutpost(gameState, outpost, args[1]);
+            if (!upgrade.ok) {
+                const reasons = {
+                    module: `Usage: Outpost upgrade <${Object.keys(OUTPOST_MODULES).join('|')}>`,
+                    max: `${OUTPOST_MODULES[args[1]] && OUTPOST_MODULES[args[1]].name} is already at max level.`,
+                    credits: `Insufficient credits. Need ${upgrade.cost}¢`
+                };
+                logMessage(`Error: ${reasons[upgrade.reason]}`, 'error');
+                return;
+            }
+            logMessage(`${outpost.name}: ${OUTPOST_MODULES[args[1]].name} upgraded to level ${upgrade.level} for ${upgrade.cost}¢`, 'success');
+            markUIDirty('credits', 'station', 'prestige');
+            updateUpgradeButtons();
+            break;
+            
+        case 'haul':
+            if (!outpost) {
+                logMessage(`Error: No outpost in ${gameState.sectorName}.`, 'error');
+                return;
+            }
+            if (gameState.upgrades.cargoDrone < 1 || cargoDrone !== null || gameState.cargo === 0) {
+                deployCargoDrone(); // Reports what's missing
+                return;
+            }
+            deployCargoDrone(outpost);
+            break;
+            
+        case 'load':
+            if (!isInOutpostRange(outpost)) {
+                logMessage('Error: Fly within range of your outpost to load from its silo.', 'error');
+                return;
+            }
+            const loaded = collectLoot(gameState, { inventory: outpost.silo });
+            if (loaded.count === 0) {
+                logMessage(getSiloTotal(outpost) > 0 ? 'Cargo hold full.' : 'The silo is empty.', 'info');
+                return;
+            }
+            logMessage(`Loaded ${formatItemList(loaded.taken)} from the silo.`, 'success');
+            markUIDirty('cargo', 'inventory', 'station');
+            break;
+            
+        case 'list':
+            if (gameState.outposts.length === 0) {
+                logMessage('You have no outposts yet.', 'info');
+                return;
+            }
+            gameState.outposts.forEach(entry => {
+                logMessage(`${entry.name} (${getSectorName(entry.sectorId)}) - silo ${getSiloTotal(entry)}/${getSiloCapacity(entry)}, ${entry.credits}¢ banked`, 'info');
+            });
+            break;
+            
+        default:
+            logMessage('Usage: Outpost [status|found|upgrade <module>|haul|load|list]', 'info');
+            break;
+    }
+}
+
+function renderOutposts() {
+    const outpost = getCurrentOutpost();
+    if (!outpost) return;
+    
+    const size = 36;
+    const inRange = isInOutpostRange(outpost);
+    
+    // Service range ring while the ship is inside it
+    if (inRange) {
+        ctx.save();
+        ctx.strokeStyle = player.colors.accent;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.3;
+        ctx.setLineDash([8, 8]);
+        ctx.beginPath();
+        ctx.arc(outpost.x, outpost.y, OUTPOST_CONFIG.serviceRange, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
     
-    // Draw small rectangle body using player colors
+    ctx.save();
+    ctx.translate(outpost.x, outpost.y);
+    
+    // Platform (square, in the player's colors)
     ctx.fillStyle = player.colors.primary;
     ctx.strokeStyle = player.colors.secondary;
-    ctx.lineWidth = 1.5;
-    
-    ctx.fillRect(-drone.size * 0.6, -drone.size * 0.3, drone.size * 1.2, drone.size * 0.6);
-    ctx.strokeRect(-drone.size * 0.6, -drone.size * 0.3, drone.size * 1.2, drone.size * 0.6);
-    
-    // Draw cargo indicator (if carrying cargo) - using accent color
-    if (drone.state === 'traveling' || drone.state === 'docked') {
-        ctx.fillStyle = player.colors.accent;
-        ctx.fillRect(-drone.size * 0.3, -drone.size * 0.2, drone.size * 0.6, drone.size * 0.4);
-    }
+    ctx.lineWidth = 2;
+    ctx.fillRect(-size / 2, -size / 2, size, size);
+    ctx.strokeRect(-size / 2, -size / 2, size, size);
     
-    // Draw credits indicator (if carrying credits) - using accent color
-    if (drone.state === 'returning') {
-        ctx.fillStyle = player.colors.accent;
-        ctx.fillRect(-drone.size * 0.3, -drone.size * 0.2, drone.size * 0.6, drone.size * 0.4);
+    // Docking arms, one per docks level
+    ctx.strokeStyle = player.colors.accent;
+    ctx.lineWidth = 3;
+    for (let i = 0; i < outpost.modules.docks; i++) {
+        const angle = (Math.PI * 2 / 3) * i - Math.PI / 2;
+        ctx.beginPath();
+        ctx.moveTo(Math.cos(angle) * size / 2, Math.sin(angle) * size / 2);
+        ctx.lineTo(Math.cos(angle) * size, Math.sin(angle) * size);
+        ctx.stroke();
     }
     
-    // Draw thruster flame if moving - using player thruster color
-    if (drone.vx !== 0 || drone.vy !== 0) {
-        const speed = Math.sqrt(drone.vx * drone.vx + drone.vy * drone.vy);
-        const flameLength = speed * 3;
-        
-        ctx.fillStyle = player.colors.thruster;
+    // Module pods in the platform's corners, dim until built
+    const pods = [['refinery', -1, -1], ['fuelDepot', 1, -1], ['silo', 1, 1]];
+    pods.forEach(([moduleId, sx, sy]) => {
+        ctx.fillStyle = outpost.modules[moduleId] > 0 ? player.colors.accent : 'rgba(255, 255, 255, 0.15)';
         ctx.beginPath();
-        ctx.moveTo(-drone.size * 0.6, 0);
-        ctx.lineTo(-drone.size * 0.6 - flameLength, -drone.size * 0.15);
-        ctx.lineTo(-drone.size * 0.6 - flameLength * 0.7, 0);
-        ctx.lineTo(-drone.size * 0.6 - flameLength, drone.size * 0.15);
-        ctx.closePath();
+        ctx.arc(sx * size / 2, sy * size / 2, 4 + outpost.modules[moduleId] * 2, 0, Math.PI * 2);
         ctx.fill();
-    }
+    });
+    
+    // Silo fill gauge
+    const fill = getSiloTotal(outpost) / getSiloCapacity(outpost);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(-size / 2 + 4, size / 2 - 8, size - 8, 4);
+    ctx.fillStyle = player.colors.accent;
+    ctx.fillRect(-size / 2 + 4, size / 2 - 8, (size - 8) * fill, 4);
     
     ctx.restore();
     
-    // Draw status label in world space above the drone
+    // Name tag
     ctx.save();
-    ctx.translate(drone.x, drone.y - drone.size);
-    ctx.scale(1 / viewport.zoom, 1 / viewport.zoom); // Keep text size consistent
-    ctx.fillStyle = player.colors.accent;
-    ctx.font = '10px monospace';
+    ctx.font = '12px monospace';
     ctx.textAlign = 'center';
-    let statusText = '';
-    if (drone.state === 'traveling') statusText = 'TRAVELING';
-    else if (drone.state === 'docked') statusText = 'SELLING';
-    else if (drone.state === 'returning') statusText = `RETURNING (${drone.credits}¢)`;
-    ctx.fillText(statusText, 0, 0);
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = player.colors.accent;
+    ctx.fillText(outpost.name.toUpperCase(), outpost.x, outpost.y - size - 6);
+    if (inRange) {
+        ctx.fillText('"Outpost" in the console for services', outpost.x, outpost.y + size + 20);
+    }
     ctx.restore();
 }
 
@@ -10104,6 +14727,18 @@ function update(deltaTime) {
     
     // Update scan system
     updateScan(deltaTime);
+    if (frameCount % SCAN_CONFIG.readoutInterval === 0) {
+        updateScanReadout();
+    }
+    
+    // Station refineries keep working wherever the ship is
+    updateRefineries(deltaTime);
+    
+    // Outpost refineries, drone standing orders and services in range
+    updateOutposts(dt, deltaTime);
+    
+    // Player autopilot script (runs in its own worker)
+    updateAutopilotScript();
     
     // Update missions (only every 10 frames to reduce overhead)
     if (frameCount % 10 === 0 && gameState.missions.length > 0) {
@@ -10124,37 +14759,37 @@ function update(deltaTime) {
     // Update NPC miners
     updateNPCMiners(dt);
     
+    // Update pirates, the turret and salvage
+    updatePirates(dt);
+    
+    // Meteor showers, solar storms and derelicts
+    updateSectorEvents(dt, deltaTime);
+    
+    // Recharge shields
+    stepShieldRegen(gameState, dt);
+    
     // Update station
     updateStation(dt);
     
+    // Recover station market prices and let stations use up their stockpiles
+    updateStationMarkets(dt);
+    
     // Update remote refuel tanker
     updateRefuelTanker(dt);
     
     // Update player
     updatePlayer(dt);
     
-    // Update asteroids on main thread (preserves object references for mining)
-    updateAsteroids(dt);
-    
-    // Update http://127.0.0.1:5500/WebAsteroidMiner.html hazards on main thread (preserves object references for scan system)
-    updateHazards(dt);
-    
-    // Update particles using worker if available
-    if (physicsWorkerReady && !pendingPhysicsUpdate) {
-        // Send to worker for parallel processing
-        // Note: Asteroids and hazards are updated on main thread to preserve object references
-        pendingPhysicsUpdate = true;
-        physicsWorker.postMessage({
-            type: 'updateAll',
-            data: {
-                asteroids: [], // Don't send asteroids to worker
-                hazards: [], // Don't send hazards to worker (preserve references for scan)
-                particles: particles,
-                dt: dt
-            }
-        });
+    // Player 2's ship (local co-op)
+    updateCoop(dt);
+    
+    // Move asteroids, hazards and particles - in the physics worker when it's running
+    if (simWorkerReady.physics) {
+        removeDestroyedAsteroids();
+        sendPhysicsBatch(dt);
     } else {
-        // Fallback to main thread if worker not ready or still processing
+        updateAsteroids(dt);
+        updateHazards(dt);
         updateParticles(dt);
     }
     
@@ -10172,9 +14807,10 @@ function update(deltaTime) {
     // Higher sectors have increased spawn rates (+10% per sector)
     const sectorSpawnMultiplier = 1 + (gameState.sector - 1) * 0.1;
     
-    // Calculate max limits based on sector
-    const maxAsteroids = CONFIG.baseMaxAsteroids + (gameState.sector * CONFIG.maxAsteroidsPerSector);
-    const maxHazards = CONFIG.baseMaxHazards + (gameState.sector * CONFIG.maxHazardsPerSector);
+    // Calculate max limits based on depth, scaled by the sector's richness and hazard density
+    const currentSector = getCurrentSector();
+    const maxAsteroids = Math.round((CONFIG.baseMaxAsteroids + (gameState.sector * CONFIG.maxAsteroidsPerSector)) * currentSector.richness);
+    const maxHazards = Math.round((CONFIG.baseMaxHazards + (gameState.sector * CONFIG.maxHazardsPerSector)) * currentSector.hazardDensity);
     
     // Only spawn if under the limit
     if (asteroids.length < maxAsteroids && Math.random() < CONFIG.asteroidSpawnChance * sectorSpawnMultiplier * dt) {
@@ -10214,29 +14850,16 @@ function update(deltaTime) {
     }
 }
 
-function updatePlayer(dt = 1) {
-    // Only lock player during flying_to_player and refueling states, NOT when fuel tanker is returning
-    if (refuelTanker && (refuelTanker.state === 'flying_to_player' || refuelTanker.state === 'refueling')) {
-        // Completely lock the ship in place - no movement at all
-        player.vx = 0;
-        player.vy = 0;
-        
-        // Don't change angle - keep player's current rotation
-        // (Removed the "point toward fuel tanker" behavior)
-        
-        return; // Skip all normal player controls
-    }
-    
-    // Check for player input FIRST (before auto-pilot processes)
-    // This allows player to cancel auto-pilot with any input
+// Read the flight controls for this frame (keyboard, gamepad stick, touch joystick, auto-mine)
+function readFlightInput() {
     let moveX = 0;
     let moveY = 0;
     
-    // Keyboard
-    if (keys['w'] || keys['arrowup']) moveY -= 1;
-    if (keys['s'] || keys['arrowdown']) moveY += 1;
-    if (keys['a'] || keys['arrowleft']) moveX -= 1;
-    if (keys['d'] || keys['arrowright']) moveX += 1;
+    // Keyboard (and any gamepad buttons bound to thrust)
+    if (isActionHeld('thrustUp')) moveY -= 1;
+    if (isActionHeld('thrustDown')) moveY += 1;
+    if (isActionHeld('thrustLeft')) moveX -= 1;
+    if (isActionHeld('thrustRight')) moveX += 1;
     
     // Gamepad (Left Stick) - inject into the same moveX/moveY system
     // BUT: Don't read gamepad input if virtual mouse is active
@@ -10281,16 +14904,50 @@ function updatePlayer(dt = 1) {
     }
     
     // Auto-mining toggle for touch devices - automatically mine when asteroids are in range
-    let playerWantsToMine = keys['space'];
+    let playerWantsToMine = isActionHeld('mine');
     if (isTouchDevice && autoMiningEnabled && !isDockedAtAnyStation()) {
         // Automatically attempt mining on touch devices when toggle is ON
         playerWantsToMine = true;
     }
     
+    // A running autopilot script flies whenever the player doesn't
+    if (scriptState.running) {
+        if (moveX === 0 && moveY === 0) {
+            const scripted = getScriptFlightInput();
+            moveX = scripted.moveX;
+            moveY = scripted.moveY;
+        }
+        playerWantsToMine = playerWantsToMine || scriptState.mine;
+    }
+    
+    return { moveX: moveX, moveY: moveY, mine: Boolean(playerWantsToMine) };
+}
+
+function updatePlayer(dt = 1) {
+    // Only lock player during flying_to_player and refueling states, NOT when fuel tanker is returning
+    if (refuelTanker && (refuelTanker.state === 'flying_to_player' || refuelTanker.state === 'refueling')) {
+        // Completely lock the ship in place - no movement at all
+        player.vx = 0;
+        player.vy = 0;
+        
+        // Don't change angle - keep player's current rotation
+        // (Removed the "point toward fuel tanker" behavior)
+        
+        return; // Skip all normal player controls
+    }
+    
+    // Check for player input FIRST (before auto-pilot processes)
+    // This allows player to cancel auto-pilot with any input
+    // (during replay playback this is the recorded input instead)
+    const input = getFlightInput();
+    const moveX = input.moveX;
+    const moveY = input.moveY;
+    const playerWantsToMine = input.mine;
+    
     // Check if there are asteroids in mining range (only needed if trying to mine)
     let asteroidInRange = false;
     if (playerWantsToMine) {
-        const miningRange = CONFIG.miningRange + (gameState.upgrades.range - 1) * 10;
+        const miningRange = getMiningRange(gameState.upgrades);
         for (let i = 0; i < asteroids.length; i++) {
             const dx = asteroids[i].x - player.x;
             const dy = asteroids[i].y - player.y;
@@ -10343,48 +15000,18 @@ function updatePlayer(dt = 1) {
             // Smoothly rotate toward target
             player.angle += normalizedAngleDiff * 0.1 * dt;
             
-            // Accelerate forward - only if fuel available
-            const autopilotMoveX = Math.cos(player.angle);
-            const autopilotMoveY = Math.sin(player.angle);
-            const speed = CONFIG.baseSpeed * (1 + (gameState.upgrades.speed - 1) * 0.2);
-            if (gameState.fuel > 0) {
-                player.vx += autopilotMoveX * CONFIG.acceleration * dt;
-                player.vy += autopilotMoveY * CONFIG.acceleration * dt;
-            }
-            
-            // Apply friction and speed limit
-            const frictionFactor = Math.pow(CONFIG.friction, dt);
-            player.vx *= frictionFactor;
-            player.vy *= frictionFactor;
-            
-            const currentSpeed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
-            if (currentSpeed > speed) {
-                player.vx = (player.vx / currentSpeed) * speed;
-                player.vy = (player.vy / currentSpeed) * speed;
-            }
-            
-            // Update position
-            player.x += player.vx * dt;
-            player.y += player.vy * dt;
-            
-            // Consume fuel during autopilot movement (only if not docked)
-            if (!isDockedAtAnyStation()) {
-                if (godModeActive) {
-                    gameState.fuel = gameState.maxFuel;
-                } else {
-                    // Apply fuel efficiency upgrade (x0.9 per level)
-                    const efficiencyMultiplier = Math.pow(0.9, gameState.upgrades.fuelEfficiency - 1);
-                    const fuelCost = CONFIG.baseFuelConsumption * efficiencyMultiplier * dt;
-                    gameState.fuel = Math.max(0, gameState.fuel - fuelCost);
-                    markUIDirty('station'); // Update station stats when fuel changes
-                }
-                gameState.stats.distanceTraveled += currentSpeed * dt;
+            // Accelerate forward along the heading (fuel, speed cap and world bounds handled by the sim core)
+            const movement = stepShipMovement(gameState, player, {
+                moveX: Math.cos(player.angle),
+                moveY: Math.sin(player.angle),
+                autopilot: true,
+                docked: isDockedAtAnyStation(),
+                godMode: godModeActive
+            }, dt);
+            if (movement.fuelUsed > 0) {
+                markUIDirty('station'); // Update station stats when fuel changes
             }
             
-            // Keep player in bounds (with wrapping)
-            player.x = Math.max(player.size, Math.min(CONFIG.worldWidth - player.size, player.x));
-            player.y = Math.max(player.size, Math.min(CONFIG.worldHeight - player.size, player.y));
-            
             // Check station proximity for docking (do this before updating angle)
             checkStationProximity(dt);
             
@@ -10399,24 +15026,21 @@ function updatePlayer(dt = 1) {
             }
             
             // Check hazard collisions during autopilot using worker if available
-            if (collisionWorkerReady && !pendingCollisionCheck) {
-                const miningRange = CONFIG.miningRange + (gameState.upgrades.range - 1) * 10;
+            if (simWorkerReady.collision && !pendingCollisionCheck) {
+                const miningRange = getMiningRange(gameState.upgrades);
                 pendingCollisionCheck = true;
-                collisionWorker.postMessage({
-                    type: 'checkBatchCollisions',
-                    data: {
-                        player: {
-                            x: player.x,
-                            y: player.y,
-                            size: player.size,
-                            vx: player.vx,
-                            vy: player.vy
-                        },
-                        asteroids: asteroids,
-                        hazards: hazards,
-                        dt: dt,
-                        miningRange: miningRange
-                    }
+                postWorkerMessage(collisionWorker, 'checkBatchCollisions', {
+                    player: {
+                        x: player.x,
+                        y: player.y,
+                        size: player.size,
+                        vx: player.vx,
+                        vy: player.vy
+                    },
+                    asteroids: asteroids,
+                    hazards: hazards,
+                    dt: dt,
+                    miningRange: miningRange
                 });
             } else {
                 // Fallback to main thread if worker not ready
@@ -10437,50 +15061,18 @@ function updatePlayer(dt = 1) {
     // This should NOT include autoPilotActive - only actual player input
     player.isManuallyControlled = (moveX !== 0 || moveY !== 0);
     
-    // Apply movement (time-consistent) - only if fuel available
-    const speed = CONFIG.baseSpeed * (1 + (gameState.upgrades.speed - 1) * 0.2);
-    if (gameState.fuel > 0) {
-        player.vx += moveX * CONFIG.acceleration * dt;
-        player.vy += moveY * CONFIG.acceleration * dt;
-    }
-    
-    // Apply friction (time-consistent)
-    const frictionFactor = Math.pow(CONFIG.friction, dt);
-    player.vx *= frictionFactor;
-    player.vy *= frictionFactor;
-    
-    // Limit speed
-    const currentSpeed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
-    if (currentSpeed > speed) {
-        player.vx = (player.vx / currentSpeed) * speed;
-        player.vy = (player.vy / currentSpeed) * speed;
+    // Apply movement (time-consistent) - thrust, friction, speed cap, fuel and world bounds live in the sim core
+    const movement = stepShipMovement(gameState, player, {
+        moveX: moveX,
+        moveY: moveY,
+        autopilot: false,
+        docked: isDockedAtAnyStation(),
+        godMode: godModeActive
+    }, dt);
+    if (movement.fuelUsed > 0) {
+        markUIDirty('station'); // Update station stats when fuel changes
     }
     
-    // Update position (time-consistent)
-    if (currentSpeed > 0.1) {
-        player.x += player.vx * dt;
-        player.y += player.vy * dt;
-        
-        // Consume fuel ONLY when player is manually controlling (providing input) - not from gravity/momentum
-        if (!isDockedAtAnyStation() && player.isManuallyControlled) {
-            if (godModeActive) {
-                gameState.fuel = gameState.maxFuel;
-            } else {
-                // Apply fuel efficiency upgrade (x0.9 per level)
-                const efficiencyMultiplier = Math.pow(0.9, gameState.upgrades.fuelEfficiency - 1);
-                const fuelCost = CONFIG.baseFuelConsumption * efficiencyMultiplier * dt;
-                gameState.fuel = Math.max(0, gameState.fuel - fuelCost);
-                markUIDirty('station'); // Update station stats when fuel changes
-            }
-            
-            gameState.stats.distanceTraveled += currentSpeed * dt;
-        }
-    }
-    
-    // Clamp to world bounds
-    player.x = Math.max(player.size, Math.min(CONFIG.worldWidth - player.size, player.x));
-    player.y = Math.max(player.size, Math.min(CONFIG.worldHeight - player.size, player.y));
-    
     // Check station proximity for docking (do this before updating angle)
     checkStationProximity(dt);
     
@@ -10512,57 +15104,438 @@ function updatePlayer(dt = 1) {
         player.miningTargets = []; // Clear all mining targets and their progress
     }
     
-    // Check hazard collisions using worker if available
-    if (collisionWorkerReady && !pendingCollisionCheck) {
-        const miningRange = CONFIG.miningRange + (gameState.upgrades.range - 1) * 10;
-        pendingCollisionCheck = true;
-        collisionWorker.postMessage({
-            type: 'checkBatchCollisions',
-            data: {
-                player: {
-                    x: player.x,
-                    y: player.y,
-                    size: player.size,
-                    vx: player.vx,
-                    vy: player.vy
-                },
-                asteroids: asteroids,
-                hazards: hazards,
-                dt: dt,
-                miningRange: miningRange
-            }
-        });
-    } else {
-        // Fallback to main thread if worker not ready
-        checkHazardCollisions(dt);
+    // Check hazard collisions using worker if available
+    if (simWorkerReady.collision && !pendingCollisionCheck) {
+        const miningRange = getMiningRange(gameState.upgrades);
+        pendingCollisionCheck = true;
+        postWorkerMessage(collisionWorker, 'checkBatchCollisions', {
+            player: {
+                x: player.x,
+                y: player.y,
+                size: player.size,
+                vx: player.vx,
+                vy: player.vy
+            },
+            asteroids: asteroids,
+            hazards: hazards,
+            dt: dt,
+            miningRange: miningRange
+        });
+    } else {
+        // Fallback to main thread if worker not ready
+        checkHazardCollisions(dt);
+    }
+    
+    // Out of fuel warning and game over check
+    if (gameState.fuel <= 0) {
+        // Check if player can afford remote refuel (2x fuel needed) or has free refuel available, or is docked
+        const fuelNeeded = gameState.maxFuel - gameState.fuel;
+        const refuelCost = Math.ceil(fuelNeeded * 2);
+        const hasFreeRefuel = !gameState.firstRefuelUsed;
+        const canAffordRefuel = gameState.credits >= refuelCost || hasFreeRefuel;
+        const isDocked = isDockedAtAnyStation();
+        
+        // If player cannot afford refuel (and no free refuel) and is not docked, game over
+        if (!canAffordRefuel && !isDocked && frameCount % 120 === 0) {
+            gameOverOutOfFuel();
+        } else if (frameCount % 120 === 0) {
+            if (isDocked) {
+                logMessage('WARNING: Out of fuel! Refuel at station.');
+            } else if (canAffordRefuel) {
+                const refuelMsg = hasFreeRefuel ? 'Request FREE remote refuelling!' : 'Request remote refuelling.';
+                logMessage(`WARNING: Out of fuel! ${refuelMsg}`);
+            }
+        }
+    }
+    
+    // Low hull warning
+    if (gameState.hull <= 20 && frameCount % 180 === 0) {
+        logMessage('CRITICAL: Hull integrity low! Return to station immediately.');
+    }
+}
+
+// ================================
+// LOCAL CO-OP
+// ================================
+// A second player joins from the pause menu (or the "Coop" console command) and flies the
+// wingmate ship (LOCAL CO-OP in asteroid-miner-sim.js) on the P2 keys or a second controller.
+// It mines into its own hold with a single laser and docks on its own - P2 DOCK sells the hold
+// and refuels at whichever station is in range. The camera frames both ships (updateViewport).
+// Replays only record the first ship, so co-op and replays don't mix.
+
+let coopState = {
+    active: false,
+    ship: null,         // Kept after player 2 leaves - their hold and fuel wait for next time
+    padDockHeld: false, // Second controller's dock button last frame
+    turret: { cooldown: 0, target: null, beamFrames: 0 }  // As turretState, for the wingmate
+};
+
+function initCoop() {
+    document.getElementById('coopBtn').addEventListener('click', toggleCoop);
+    updateCoopButton();
+}
+
+function toggleCoop() {
+    if (coopState.active) {
+        leaveCoop();
+    } else {
+        joinCoop();
+    }
+}
+
+function joinCoop() {
+    if (replayState.mode !== 'off') {
+        logMessage('Co-op is unavailable while a replay is recording or playing.', 'error');
+        return;
+    }
+    
+    if (!coopState.ship) {
+        coopState.ship = createWingmate(gameState, player.x, player.y);
+    }
+    regroupWingmate();
+    coopState.active = true;
+    coopState.padDockHeld = false;
+    
+    markUIDirty('coop');
+    updateCoopButton();
+    logMessage(getWingmatePad() ?
+        'Player 2 joined on the second controller.' :
+        'Player 2 joined - fly with the P2 keys (see CONTROLS) or connect a second controller.', 'success');
+}
+
+function leaveCoop() {
+    coopState.active = false;
+    coopState.ship.laser = null;
+    
+    markUIDirty('coop');
+    updateCoopButton();
+    logMessage('Player 2 left. Their hold and fuel are kept for next time.');
+}
+
+function updateCoopButton() {
+    document.getElementById('coopBtn').querySelector('.btn-text').textContent =
+        coopState.active ? 'CO-OP: LEAVE' : 'CO-OP: JOIN';
+}
+
+// From save data - saves from before co-op have none
+function restoreCoop(saved) {
+    const data = saved && typeof saved === 'object' ? saved : {};
+    coopState.ship = data.ship ? restoreWingmate(gameState, data.ship, player.x - COOP_CONFIG.spawnOffset, player.y) : null;
+    coopState.active = data.active === true && coopState.ship !== null;
+    coopState.padDockHeld = false;
+    
+    markUIDirty('coop');
+    updateCoopButton();
+}
+
+// Put the wingmate beside the first ship (joining, jumping sectors, prestige)
+function regroupWingmate() {
+    const ship = coopState.ship;
+    if (!ship) return;
+    
+    ship.x = Math.max(ship.size, player.x - COOP_CONFIG.spawnOffset);
+    ship.y = player.y;
+    ship.vx = player.vx;
+    ship.vy = player.vy;
+    ship.angle = player.angle;
+    ship.laser = null;
+}
+
+// Any connected controller other than the first player's
+function getWingmatePad() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    for (let i = 0; i < gamepads.length; i++) {
+        if (gamepads[i] && i !== gamepadIndex) return gamepads[i];
+    }
+    return null;
+}
+
+// Player 2's input: the P2 keys, or a second controller's left stick plus whichever buttons
+// the first player's gamepad bindings use for mining and docking. `dock` is set on the press.
+function readWingmateInput() {
+    let moveX = 0;
+    let moveY = 0;
+    if (isActionHeld('p2Up')) moveY -= 1;
+    if (isActionHeld('p2Down')) moveY += 1;
+    if (isActionHeld('p2Left')) moveX -= 1;
+    if (isActionHeld('p2Right')) moveX += 1;
+    
+    let mine = isActionHeld('p2Mine');
+    let dock = false;
+    
+    const gamepad = getWingmatePad();
+    if (gamepad) {
+        const DEADZONE = 0.15;
+        const leftX = Math.abs(gamepad.axes[0]) > DEADZONE ? gamepad.axes[0] : 0;
+        const leftY = Math.abs(gamepad.axes[1]) > DEADZONE ? gamepad.axes[1] : 0;
+        if (leftX !== 0 || leftY !== 0) {
+            moveX = leftX;
+            moveY = leftY;
+        }
+        
+        const pressed = action => inputBindings.gamepad[action].some(button => gamepad.buttons[button] && gamepad.buttons[button].pressed);
+        mine = mine || pressed('mine');
+        
+        const dockHeld = pressed('dock');
+        dock = dockHeld && !coopState.padDockHeld;
+        coopState.padDockHeld = dockHeld;
+    }
+    
+    return { moveX: moveX, moveY: moveY, mine: mine, dock: dock };
+}
+
+function updateCoop(dt = 1) {
+    if (!coopState.active) return;
+    
+    const ship = syncWingmate(coopState.ship, gameState);
+    const input = readWingmateInput();
+    
+    stepShipMovement(ship, ship, {
+        moveX: input.moveX,
+        moveY: input.moveY,
+        autopilot: false,
+        docked: false,
+        godMode: godModeActive
+    }, dt);
+    if (Math.abs(ship.vx) > 0.1 || Math.abs(ship.vy) > 0.1) {
+        ship.angle = Math.atan2(ship.vy, ship.vx);
+    }
+    
+    // Never further from the first ship than the camera can frame
+    leashWingmate(ship, player, VIEWPORT_REFERENCE.WIDTH, VIEWPORT_REFERENCE.HEIGHT, viewport.minZoom);
+    
+    if (input.dock) {
+        dockWingmate();
+    }
+    
+    updateWingmateMining(ship, input.mine, dt);
+    
+    // Hazards hit the crew's shared hull
+    for (const hit of stepHazardContacts(ship, hazards, dt, frameCount)) {
+        damagePlayer(hit.damage, ship);
+        
+        if (hit.destroyed) {
+            for (let j = 0; j < 20; j++) {
+                createParticle(hit.hazard.x, hit.hazard.y, HAZARD_TYPES[hit.hazard.type].color);
+            }
+        }
+    }
+    stepNearMisses(ship, hazards, gameState.stats);
+    
+    if (ship.fuel <= 0 && frameCount % 180 === 0) {
+        logMessage('Player 2 is out of fuel - tow them into a station to refuel.');
+    }
+}
+
+// One laser on the nearest asteroid in range - the wingmate has no tractor beam
+function updateWingmateMining(ship, wantsToMine, dt = 1) {
+    const blocker = wantsToMine ? getMiningBlocker(ship) : null;
+    if (!wantsToMine || blocker) {
+        if (blocker === 'cargo' && frameCount % 120 === 0) {
+            logMessage('Player 2\'s hold is full - dock to sell.');
+        }
+        ship.laser = null;
+        return;
+    }
+    
+    const miningRange = getMiningRange(ship.upgrades);
+    const miningRangeSq = miningRange * miningRange;
+    const distSq = asteroid => (asteroid.x - ship.x) ** 2 + (asteroid.y - ship.y) ** 2;
+    
+    if (ship.laser) {
+        const current = ship.laser.asteroid;
+        if (current.destroyed || !asteroids.includes(current) || distSq(current) >= miningRangeSq) {
+            ship.laser = null;
+        }
+    }
+    
+    if (!ship.laser) {
+        let closest = null;
+        for (const asteroid of asteroids) {
+            if (!asteroid.destroyed && distSq(asteroid) < miningRangeSq && (!closest || distSq(asteroid) < distSq(closest))) {
+                closest = asteroid;
+            }
+        }
+        if (!closest) return;
+        ship.laser = { asteroid: closest, progress: 0 };
+    }
+    
+    const asteroid = ship.laser.asteroid;
+    if (frameCount % 3 === 0) {
+        createLaserParticle(ship.x + Math.cos(ship.angle) * ship.size * 0.85, ship.y + Math.sin(ship.angle) * ship.size * 0.85, asteroid.x, asteroid.y);
+    }
+    
+    if (advanceMiningTarget(ship.laser, getMiningSpeed(ship.upgrades), dt)) {
+        mineAsteroid(asteroid, ship);
+        markUIDirty('coop');
+        if (asteroid.destroyed) {
+            ship.laser = null;
+        }
+    }
+    
+    burnFuel(ship, CONFIG.miningFuelCost, dt, godModeActive);
+}
+
+// P2 DOCK: sell the wingmate's hold and fill its tank (1 credit per fuel, as far as the credits
+// go) at the station it's in range of
+function dockWingmate() {
+    const ship = coopState.ship;
+    const station = stations.find(st => {
+        const dx = st.x - ship.x;
+        const dy = st.y - ship.y;
+        return Math.sqrt(dx * dx + dy * dy) < st.dockingRange;
+    });
+    
+    if (!station) {
+        logMessage('Player 2 must be in a station\'s docking range to sell and refuel.');
+        return;
+    }
+    
+    let saleValue = 0;
+    Object.keys(ship.inventory).forEach(type => {
+        saleValue += applyPrestigeBonus(quoteMarketSale(station, type, ship.inventory[type]), gameState.prestigeBonus);
+    });
+    Object.keys(ship.inventory).forEach(type => {
+        recordMarketSale(station, type, ship.inventory[type]);
+    });
+    
+    if (saleValue > 0) {
+        gameState.credits += saleValue;
+        gameState.stats.creditsEarned += saleValue;
+        ship.cargo = 0;
+        ship.inventory = {};
+        
+        createFloatingText(ship.x, ship.y - 30, `+${formatNumber(saleValue)}¢`, '#ffff00');
+        logMessage(`Player 2 sold their hold at ${station.name} for ${formatNumber(saleValue)} credits!`);
+        updateAllMissions();
+    }
+    
+    const fuelBought = Math.min(Math.ceil(ship.maxFuel - ship.fuel), gameState.credits);
+    if (fuelBought > 0) {
+        ship.fuel = Math.min(ship.maxFuel, ship.fuel + fuelBought);
+        gameState.credits -= fuelBought;
+        createFloatingText(ship.x, ship.y - 20, `+${fuelBought} FUEL`, '#00ffff');
     }
     
-    // Out of fuel warning and game over check
-    if (gameState.fuel <= 0) {
-        // Check if player can afford remote refuel (2x fuel needed) or has free refuel available, or is docked
-        const fuelNeeded = gameState.maxFuel - gameState.fuel;
-        const refuelCost = Math.ceil(fuelNeeded * 2);
-        const hasFreeRefuel = !gameState.firstRefuelUsed;
-        const canAffordRefuel = gameState.credits >= refuelCost || hasFreeRefuel;
-        const isDocked = isDockedAtAnyStation();
+    if (saleValue === 0 && fuelBought === 0) {
+        logMessage(ship.fuel < ship.maxFuel ? 'Insufficient credits to refuel player 2.' : 'Player 2 has nothing to sell and a full tank.');
+    }
+    
+    markUIDirty('credits', 'coop', 'prestige');
+    updateUpgradeButtons();
+}
+
+// Player 2's HUD panel
+function updateCoopPanel() {
+    domCache.coopPanel.style.display = coopState.active ? '' : 'none';
+    if (!coopState.active) return;
+    
+    const ship = coopState.ship;
+    const nearStation = stations.some(st => {
+        const dx = st.x - ship.x;
+        const dy = st.y - ship.y;
+        return Math.sqrt(dx * dx + dy * dy) < st.dockingRange;
+    });
+    
+    domCache.coopCargo.textContent = `${ship.cargo} / ${ship.maxCargo}`;
+    domCache.coopFuel.textContent = `${Math.ceil(ship.fuel)} / ${Math.ceil(ship.maxFuel)}`;
+    domCache.coopFuel.style.animation = ship.fuel / ship.maxFuel <= 0.15 ? 'blinkRed 1s steps(2) infinite' : '';
+    domCache.coopStatus.textContent = ship.fuel <= 0 ? 'NO FUEL' : ship.laser ? 'MINING' : nearStation ? 'AT STATION' : 'FLYING';
+    domCache.coopInput.textContent = getWingmatePad() ? 'CONTROLLER' : 'KEYBOARD';
+}
+
+// The second ship - a smaller cousin of the player's, like the NPC miners - and P1/P2 tags
+function renderWingmate() {
+    if (!coopState.active || warpState.active) return;
+    
+    const ship = coopState.ship;
+    const colors = COOP_CONFIG.colors;
+    
+    ctx.save();
+    ctx.translate(ship.x, ship.y);
+    ctx.rotate(ship.angle);
+    
+    const currentSpeed = Math.sqrt(ship.vx ** 2 + ship.vy ** 2);
+    if (currentSpeed > 0.1 && ship.fuel > 0) {
+        const thrusterLength = Math.min(currentSpeed * 12, ship.size * 6);
+        const flicker = Math.random() * 0.3 + 0.7;
         
-        // If player cannot afford refuel (and no free refuel) and is not docked, game over
-        if (!canAffordRefuel && !isDocked && frameCount % 120 === 0) {
-            gameOverOutOfFuel();
-        } else if (frameCount % 120 === 0) {
-            if (isDocked) {
-                logMessage('WARNING: Out of fuel! Refuel at station.');
-            } else if (canAffordRefuel) {
-                const refuelMsg = hasFreeRefuel ? 'Request FREE remote refuelling!' : 'Request remote refuelling.';
-                logMessage(`WARNING: Out of fuel! ${refuelMsg}`);
-            }
-        }
+        ctx.fillStyle = `${colors.thruster}${Math.floor(flicker * 204 + 51).toString(16).padStart(2, '0')}`;
+        ctx.beginPath();
+        ctx.moveTo(-ship.size * 0.75, -ship.size * 0.2);
+        ctx.lineTo(-ship.size * 0.75 - thrusterLength, 0);
+        ctx.lineTo(-ship.size * 0.75, ship.size * 0.2);
+        ctx.closePath();
+        ctx.fill();
     }
     
-    // Low hull warning
-    if (gameState.hull <= 20 && frameCount % 180 === 0) {
-        logMessage('CRITICAL: Hull integrity low! Return to station immediately.');
+    ctx.fillStyle = colors.primary;
+    ctx.strokeStyle = colors.secondary;
+    ctx.lineWidth = 1.5;
+    
+    // Nose
+    ctx.beginPath();
+    ctx.moveTo(ship.size * 0.85, 0);
+    ctx.lineTo(ship.size * 0.4, -ship.size * 0.25);
+    ctx.lineTo(ship.size * 0.4, ship.size * 0.25);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    
+    // Body
+    ctx.beginPath();
+    ctx.rect(-ship.size * 0.4, -ship.size * 0.25, ship.size * 0.8, ship.size * 0.5);
+    ctx.fill();
+    ctx.stroke();
+    
+    // Rear
+    ctx.beginPath();
+    ctx.moveTo(-ship.size * 0.4, -ship.size * 0.25);
+    ctx.lineTo(-ship.size * 0.75, -ship.size * 0.15);
+    ctx.lineTo(-ship.size * 0.75, ship.size * 0.15);
+    ctx.lineTo(-ship.size * 0.4, ship.size * 0.25);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    
+    // Cockpit
+    ctx.fillStyle = colors.accent;
+    ctx.beginPath();
+    ctx.arc(ship.size * 0.15, 0, ship.size * 0.12, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.restore();
+    
+    // Mining laser from the nose
+    if (ship.laser) {
+        const originX = ship.x + Math.cos(ship.angle) * ship.size * 0.85;
+        const originY = ship.y + Math.sin(ship.angle) * ship.size * 0.85;
+        
+        ctx.strokeStyle = `${colors.accent}99`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(originX, originY);
+        ctx.lineTo(ship.laser.asteroid.x, ship.laser.asteroid.y);
+        ctx.stroke();
+        
+        ctx.strokeStyle = `${colors.accent}4D`;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(originX, originY);
+        ctx.lineTo(ship.laser.asteroid.x, ship.laser.asteroid.y);
+        ctx.stroke();
     }
+    
+    // Who's who
+    ctx.save();
+    ctx.font = 'bold 14px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = player.colors.accent;
+    ctx.fillText('P1', player.x, player.y - player.size);
+    ctx.fillStyle = colors.primary;
+    ctx.fillText('P2', ship.x, ship.y - ship.size);
+    ctx.restore();
 }
 
 function updateStation(dt = 1) {
@@ -10993,7 +15966,7 @@ function checkStationProximity(dt = 1) {
                 updateMissionBoard(st.name, st.colorScheme);
                 
                 // Mark station and upgrades UI as dirty (upgrades need to update button states)
-                markUIDirty('station', 'upgrades');
+                markUIDirty('station', 'upgrades', 'refinery');
             }
             
             // When docked at this station, lock to its motion
@@ -11016,7 +15989,7 @@ function checkStationProximity(dt = 1) {
                 closeUpgradesDrawer();
                 
                 // Mark station and upgrades UI as dirty (upgrades need to update button states)
-                markUIDirty('station', 'upgrades');
+                markUIDirty('station', 'upgrades', 'refinery');
             }
         }
     });
@@ -11064,19 +16037,23 @@ function sellCargo() {
         return;
     }
     
-    // Sell all cargo
+    // Sell all cargo at the docked station's market prices
+    const dockedStation = stations.find(st => st.isDocked);
     let totalValue = 0;
     Object.keys(gameState.inventory).forEach(type => {
         const count = gameState.inventory[type];
         const asteroidType = ASTEROID_TYPES[type];
         if (asteroidType) {
-            const value = asteroidType.value * count;
-            const bonusValue = Math.floor(value * (gameState.prestigeBonus / 100));
-            totalValue += value + bonusValue;
+            totalValue += applyPrestigeBonus(quoteMarketSale(dockedStation, type, count), gameState.prestigeBonus);
         }
     });
     
     if (totalValue > 0) {
+        // Flood the market after quoting so every ore type is priced from the same snapshot
+        Object.keys(gameState.inventory).forEach(type => {
+            recordMarketSale(dockedStation, type, gameState.inventory[type]);
+        });
+        
         gameState.credits += totalValue;
         gameState.stats.creditsEarned += totalValue;
         gameState.cargo = 0;
@@ -11089,7 +16066,7 @@ function sellCargo() {
         updateAllMissions();
         
         // Mark UI elements as dirty (include prestige for button state)
-        markUIDirty('credits', 'cargo', 'inventory', 'station', 'prestige');
+        markUIDirty('credits', 'cargo', 'inventory', 'station', 'refinery', 'prestige');
         
         // Update upgrade buttons to reflect new credit balance
         updateUpgradeButtons();
@@ -11126,6 +16103,7 @@ function refuelAndRepair() {
         gameState.credits -= totalCost;
         gameState.fuel = gameState.maxFuel;
         gameState.hull = gameState.maxHull;
+        gameState.shield = gameState.maxShield;
         
         logMessage(`Ship refueled and repaired for ${totalCost}¢. All systems nominal.`);
         if (fuelNeeded > 0) {
@@ -11149,7 +16127,9 @@ function refuelAndRepair() {
 
 
 function attemptMining(dt = 1) {
-    if (gameState.fuel < CONFIG.miningFuelCost) {
+    const blocker = getMiningBlocker(gameState);
+    
+    if (blocker === 'fuel') {
         if (frameCount % 60 === 0) {
             logMessage('Insufficient fuel for mining.');
         }
@@ -11157,7 +16137,7 @@ function attemptMining(dt = 1) {
     }
     
     // Check if cargo is full
-    if (gameState.cargo >= gameState.maxCargo) {
+    if (blocker === 'cargo') {
         if (frameCount % 60 === 0) {
             logMessage('Cargo hold full! Return to station to sell.');
         }
@@ -11171,8 +16151,8 @@ function attemptMining(dt = 1) {
     
     // Calculate how many lasers we have available
     const maxTargets = gameState.upgrades.multiMining;
-    const miningRange = CONFIG.miningRange + (gameState.upgrades.range - 1) * 10;
-    const miningSpeed = CONFIG.baseMiningSpeed * (1 - (gameState.upgrades.mining - 1) * 0.1);
+    const miningRange = getMiningRange(gameState.upgrades);
+    const miningSpeed = getMiningSpeed(gameState.upgrades);
     const miningRangeSq = miningRange * miningRange; // Squared for faster comparison
     
     // Define laser positions relative to ship (matching rendering positions)
@@ -11528,20 +16508,13 @@ function attemptMining(dt = 1) {
             createLaserParticle(laserWorldX, laserWorldY, asteroid.x, asteroid.y);
         }
         
-        // Increment mining progress (time-consistent)
-        target.progress += dt;
-        
-        // Check if mining cycle is complete
-        if (target.progress >= miningSpeed) {
+        // Increment mining progress (time-consistent) and mine when the cycle completes
+        if (advanceMiningTarget(target, miningSpeed, dt)) {
             mineAsteroid(asteroid);
             
             // Clean up if asteroid was destroyed - free up this laser slot
             if (asteroid.destroyed) {
                 target.asteroid = null;
-                target.progress = 0;
-            } else {
-                // Reset progress for next mining cycle
-                target.progress = 0;
             }
         }
     }
@@ -11551,15 +16524,8 @@ function attemptMining(dt = 1) {
         player.isMining = true;
         
         // Consume fuel (once per frame, not per target) (time-consistent) - only if not docked
-        if (!isDockedAtAnyStation()) {
-            if (godModeActive) {
-                gameState.fuel = gameState.maxFuel;
-            } else {
-                // Apply fuel efficiency upgrade (x0.9 per level)
-                const efficiencyMultiplier = Math.pow(0.9, gameState.upgrades.fuelEfficiency - 1);
-                gameState.fuel = Math.max(0, gameState.fuel - CONFIG.miningFuelCost * efficiencyMultiplier * dt);
-                markUIDirty('station'); // Update station stats when fuel changes
-            }
+        if (!isDockedAtAnyStation() && burnFuel(gameState, CONFIG.miningFuelCost, dt, godModeActive) > 0) {
+            markUIDirty('station'); // Update station stats when fuel changes
         }
         
         // Update backward compatibility properties (use first active target)
@@ -11573,84 +16539,35 @@ function attemptMining(dt = 1) {
         player.miningTargets = [];
     }
 }
-function mineAsteroid(asteroid) {
-    // Reduce asteroid health first
-    asteroid.health--;
-    
-    // Calculate health ratio for proportional scaling
-    const healthRatio = asteroid.health / asteroid.maxHealth;
+// state: whose hold the ore goes into - the player's, or player 2's wingmate
+function mineAsteroid(asteroid, state = gameState) {
+    // Cargo, stats and asteroid damage are handled by the sim core - this just renders the result
+    const result = mineAsteroidCycle(state, asteroid, simContext);
+    const asteroidType = ASTEROID_TYPES[asteroid.type];
+    const minedType = ASTEROID_TYPES[result.type];
     
-    // Create chunk breaking effect at damaged vertices
-    if (asteroid.geometry && asteroid.geometry.length > 0) {
-        // Break off 1-3 chunks per mining cycle
-        const numChunks = 1 + Math.floor(Math.random() * 2);
-        
-        for (let chunk = 0; chunk < numChunks; chunk++) {
-            // Pick a random vertex to damage
-            const damageIndex = Math.floor(Math.random() * asteroid.geometry.length);
-            const vertsToShrink = [damageIndex];
-            
-            // Randomly include one or both neighbors
-            const includeLeft = Math.random() > 0.5;
-            const includeRight = Math.random() > 0.5;
-            
-            if (includeLeft) {
-                const leftIndex = (damageIndex - 1 + asteroid.geometry.length) % asteroid.geometry.length;
-                vertsToShrink.push(leftIndex);
-            }
-            
-            if (includeRight) {
-                const rightIndex = (damageIndex + 1) % asteroid.geometry.length;
-                vertsToShrink.push(rightIndex);
-            }
-            
-            // Shrink the selected vertices proportionally based on health
-            vertsToShrink.forEach(index => {
-                const point = asteroid.geometry[index];
-                const originalPoint = asteroid.originalGeometry[index];
-                
-                // Calculate world position for particles BEFORE shrinking
-                const worldX = asteroid.x + point.x * Math.cos(asteroid.rotation) - point.y * Math.sin(asteroid.rotation);
-                const worldY = asteroid.y + point.x * Math.sin(asteroid.rotation) + point.y * Math.cos(asteroid.rotation);
-                
-                // Create particles at the vertex location
-                for (let i = 0; i < 5; i++) {
-                    createParticle(worldX, worldY, ASTEROID_TYPES[asteroid.type].color);
-                }
-                
-                // Shrink this vertex proportionally based on health ratio
-                point.x = originalPoint.x * healthRatio;
-                point.y = originalPoint.y * healthRatio;
-            });
+    // Particles where chunks broke off
+    result.chips.forEach(chip => {
+        for (let i = 0; i < 5; i++) {
+            createParticle(chip.x, chip.y, asteroidType.color);
         }
-    }
+    });
     
-    // Add one piece to cargo after each mining cycle
-    const asteroidType = ASTEROID_TYPES[asteroid.type];
+    markUIDirty('cargo', 'inventory', 'station');
     
-    gameState.inventory[asteroid.type] = (gameState.inventory[asteroid.type] || 0) + 1;
-    gameState.cargo++;
-    gameState.stats.totalMined++;
+    createFloatingText(asteroid.x, asteroid.y - 20, `+${result.amount} ${minedType.name}`, minedType.color);
     
-    // Track minerals mined by type (for mineral survey missions)
-    if (!gameState.stats.mineralsMined[asteroid.type]) {
-        gameState.stats.mineralsMined[asteroid.type] = 0;
+    if (result.coreExposed) {
+        createFloatingText(asteroid.x, asteroid.y - 40, 'RICH CORE!', minedType.color);
+        logMessage(`Laser broke into a rich ${minedType.name} core!`, 'success');
+        for (let i = 0; i < 15; i++) {
+            createParticle(asteroid.x, asteroid.y, minedType.color);
+        }
     }
-    gameState.stats.mineralsMined[asteroid.type]++;
-    
-    markUIDirty('cargo', 'inventory', 'station');
-    
-    createFloatingText(asteroid.x, asteroid.y - 20, `+1 ${asteroidType.name}`, asteroidType.color);
     
-    if (asteroid.health <= 0) {
-        // Asteroid fully destroyed
-        gameState.stats.asteroidsDestroyed++;
-        
+    if (result.destroyed) {
         createFloatingText(asteroid.x, asteroid.y, `DESTROYED`, asteroidType.color);
         
-        // Mark asteroid as destroyed instead of removing immediately
-        asteroid.destroyed = true;
-        
         // Large explosion particles
         for (let i = 0; i < 20; i++) {
             createParticle(asteroid.x, asteroid.y, asteroidType.color);
@@ -11659,70 +16576,43 @@ function mineAsteroid(asteroid) {
 }
 
 function checkHazardCollisions(dt = 1) {
-    // Optimized with for loop instead of forEach
-    const len = hazards.length;
+    const hits = stepHazardContacts(player, hazards, dt, frameCount);
+    stepNearMisses(player, hazards, gameState.stats);
     
-    for (let i = len - 1; i >= 0; i--) {
-        const hazard = hazards[i];
-        const hazardData = HAZARD_TYPES[hazard.type];
-        const dx = hazard.x - player.x;
-        const dy = hazard.y - player.y;
-        const distSq = dx * dx + dy * dy; // Use squared distance to avoid sqrt
+    for (const hit of hits) {
+        damagePlayer(hit.damage);
         
-        if (hazard.type === 'vortex') {
-            const pullRadiusSq = (hazardData.size * 3) * (hazardData.size * 3);
-            
-            // Gravity pull - now properly scaled with deltaTime for consistent behavior across frame rates
-            if (distSq < pullRadiusSq) {
-                const dist = Math.sqrt(distSq);
-                const angle = Math.atan2(dy, dx);
-                // Pull force decreases with distance (inverse square law)
-                const distanceFactor = 1 - (dist / (hazardData.size * 3));
-                const pullStrength = hazardData.pullForce * distanceFactor * dt;
-                player.vx += Math.cos(angle) * pullStrength;
-                player.vy += Math.sin(angle) * pullStrength;
-            }
-            
-            // Damage if too close
-            const damageSq = hazardData.size * hazardData.size;
-            if (distSq < damageSq && frameCount % 30 === 0) {
-                damagePlayer(hazardData.damage);
-            }
-        } else {
-            // Direct collision (use squared distance)
-            const collisionRadiusSq = ((hazardData.size + player.size) / 2) * ((hazardData.size + player.size) / 2);
-            
-            if (distSq < collisionRadiusSq) {
-                damagePlayer(hazardData.damage);
-                
-                // Remove hazard if it's debris or mine
-                if (hazard.type !== 'vortex') {
-                    hazards.splice(i, 1);
-                    
-                    // Explosion
-                    for (let j = 0; j < 20; j++) {
-                        createParticle(hazard.x, hazard.y, hazardData.color);
-                    }
-                }
+        // Debris and mines explode on contact
+        if (hit.destroyed) {
+            for (let j = 0; j < 20; j++) {
+                createParticle(hit.hazard.x, hit.hazard.y, HAZARD_TYPES[hit.hazard.type].color);
             }
         }
     }
 }
 
-function damagePlayer(amount) {
+// ship: which ship took the hit (for the floating text) - both share the hull
+function damagePlayer(amount, ship = player) {
     // God mode prevents all damage
     if (godModeActive) {
-        gameState.hull = gameState.maxHull;
+        applyHullDamage(gameState, amount, true);
+        gameState.shield = gameState.maxShield;
         return;
     }
     
-    gameState.hull = Math.max(0, gameState.hull - amount);
-    markUIDirty('hull', 'station'); // Update hull display and station stats
-    createFloatingText(player.x, player.y - 20, `-${amount} HP`, '#ff0000');
+    // Shields take the hit first
+    const hit = applyShieldedDamage(gameState, amount);
+    markUIDirty('hull', 'station'); // Update hull and shield display and station stats
     
-    logMessage(`Hull damaged! -${amount} HP`);
+    if (hit.hullDamage === 0) {
+        createFloatingText(ship.x, ship.y - 20, `-${hit.absorbed} SHIELD`, '#00ccff');
+        return;
+    }
     
-    if (gameState.hull <= 0) {
+    createFloatingText(ship.x, ship.y - 20, `-${hit.hullDamage} HP`, '#ff0000');
+    logMessage(hit.absorbed > 0 ? `Shields down! Hull damaged -${hit.hullDamage} HP` : `Hull damaged! -${hit.hullDamage} HP`);
+    
+    if (hit.destroyed) {
         gameOver();
     }
 }
@@ -11762,9 +16652,310 @@ function gameOverOutOfFuel() {
     }, 1000);
 }
 
-function updateAsteroids(dt = 1) {
-    // Clean up destroyed asteroids BEFORE processing
-    // IMPORTANT: Filtering changes indices, so we need to update NPC target references
+// ================================
+// PHYSICS WORKER BATCHES
+// ================================
+// With the physics worker running, each frame copies the asteroid, hazard and particle records
+// into spare buffers and transfers those to the worker - nothing is structured-cloned. Results
+// land a frame later. Frames that pass while a batch is still out are stepped with the next one.
+//
+// The main thread keeps its own buffers (the entity stores and particleBuffer) instead of
+// handing them over: mining, collisions, NPCs, saves and replays use asteroids and hazards every
+// frame, and a transferred buffer can't be read until it comes back (a SharedArrayBuffer needs
+// cross-origin isolation headers this page isn't served with). So a batch is applied as the
+// change in position and rotation, and anything the main thread moved meanwhile keeps its own
+// change.
+
+let physicsBatch = {
+    id: 0,
+    carriedDt: 0,           // Frame time not yet sent to the worker
+    asteroids: [],          // Objects in the batch in flight, in buffer order
+    hazards: [],
+    particleCount: 0,       // Particle records in the batch - any after these were spawned since
+    sent: { asteroids: null, hazards: null },                   // What was sent, to diff the results against
+    spares: { asteroids: null, hazards: null, particles: null } // Buffers to pack the next batch into
+};
+
+function sendPhysicsBatch(dt) {
+    physicsBatch.carriedDt += dt;
+    if (pendingPhysicsUpdate) return;
+    
+    const spares = physicsBatch.spares;
+    const particleFloats = particleCount * ENTITY_LAYOUTS.particles.stride;
+    const stores = { asteroids: asteroidStore, hazards: hazardStore };
+    
+    syncEntityStore(asteroidStore, asteroids);
+    syncEntityStore(hazardStore, hazards);
+    
+    physicsBatch.id++;
+    physicsBatch.asteroids = asteroidStore.entities;
+    physicsBatch.hazards = hazardStore.entities;
+    physicsBatch.particleCount = particleCount;
+    
+    const buffers = {
+        particles: ensureEntityCapacity('particles', spares.particles, particleCount)
+    };
+    if (particleFloats > 0) {
+        buffers.particles.set(particleBuffer.subarray(0, particleFloats));
+    }
+    
+    ['asteroids', 'hazards'].forEach(kind => {
+        const store = stores[kind];
+        const records = store.buffer.subarray(0, store.count * ENTITY_LAYOUTS[kind].stride);
+        
+        buffers[kind] = ensureEntityCapacity(kind, spares[kind], store.count);
+        buffers[kind].set(records);
+        physicsBatch.sent[kind] = ensureEntityCapacity(kind, physicsBatch.sent[kind], store.count);
+        physicsBatch.sent[kind].set(records);
+    });
+    
+    pendingPhysicsUpdate = true;
+    postWorkerMessage(physicsWorker, 'step', {
+        batch: physicsBatch.id,
+        dt: physicsBatch.carriedDt,
+        world: getWorldBounds(),
+        counts: {
+            asteroids: asteroidStore.count,
+            hazards: hazardStore.count,
+            particles: particleCount
+        },
+        buffers: buffers
+    }, [buffers.asteroids.buffer, buffers.hazards.buffer, buffers.particles.buffer]);
+    
+    physicsBatch.carriedDt = 0;
+}
+
+function applyPhysicsBatch(data) {
+    pendingPhysicsUpdate = false;
+    if (data.batch !== physicsBatch.id) return; // Cancelled while it was out
+    
+    const { buffers, counts } = data;
+    applySteppedEntities('asteroids', physicsBatch.asteroids, buffers.asteroids);
+    applySteppedEntities('hazards', physicsBatch.hazards, buffers.hazards);
+    
+    // Particles spawned while the batch was out go after the stepped ones
+    const stride = ENTITY_LAYOUTS.particles.stride;
+    const spawned = particleCount - physicsBatch.particleCount;
+    const stepped = ensureEntityCapacity('particles', buffers.particles, counts.particles + spawned);
+    if (spawned > 0) {
+        stepped.set(particleBuffer.subarray(physicsBatch.particleCount * stride, particleCount * stride), counts.particles * stride);
+    }
+    
+    physicsBatch.spares = { asteroids: buffers.asteroids, hazards: buffers.hazards, particles: particleBuffer };
+    physicsBatch.asteroids = [];
+    physicsBatch.hazards = [];
+    particleBuffer = stepped;
+    particleCount = counts.particles + spawned;
+}
+
+function applySteppedEntities(kind, list, stepped) {
+    const { stride, offsets } = ENTITY_LAYOUTS[kind];
+    const sent = physicsBatch.sent[kind];
+    
+    for (let i = 0; i < list.length; i++) {
+        const base = i * stride;
+        const entity = list[i];
+        entity.x += stepped[base + offsets.x] - sent[base + offsets.x];
+        entity.y += stepped[base + offsets.y] - sent[base + offsets.y];
+        entity.rotation += stepped[base + offsets.rotation] - sent[base + offsets.rotation];
+    }
+}
+
+// Drop the batch in flight - its results are ignored when they arrive. Used when the world
+// is replaced under it, or the main thread takes the stepping over.
+function cancelPhysicsBatch() {
+    physicsBatch.id++;
+    physicsBatch.carriedDt = 0;
+    physicsBatch.asteroids = [];
+    physicsBatch.hazards = [];
+}
+
+// ================================
+// PHYSICS BENCHMARK
+// ================================
+// The "Benchmark" console command. For a range of sector depths it builds that sector's
+// asteroid and hazard limits (copied from the live field, so they clone like the real thing)
+// plus a busy particle load, then times physics frames on the main thread both ways: the old
+// protocol that posted the object arrays and got clones back, and packed buffers transferred to
+// a dedicated physics worker. The round trip to the worker is shown alongside.
+
+const PHYSICS_BENCHMARK_SECTORS = [1, 5, 10, 25, 50];
+const PHYSICS_BENCHMARK_FRAMES = 60;
+const PHYSICS_BENCHMARK_PARTICLES = 600;
+
+let physicsBenchmark = null; // { worker, sizes, sizeIndex, frame, totals, results } while running
+
+function runPhysicsBenchmark() {
+    if (physicsBenchmark) {
+        logMessage('Benchmark already running', 'error');
+        return;
+    }
+    if (replayState.mode !== 'off') {
+        logMessage('Benchmark is unavailable while a replay is recording or playing', 'error');
+        return;
+    }
+    
+    let worker;
+    try {
+        worker = new Worker('asteroid-miner-physics-worker.js');
+    } catch (error) {
+        logMessage('Benchmark needs the physics worker, which could not be started', 'error');
+        return;
+    }
+    
+    physicsBenchmark = {
+        worker: worker,
+        sizes: PHYSICS_BENCHMARK_SECTORS.map(createBenchmarkField),
+        sizeIndex: 0,
+        frame: 0,
+        totals: null,
+        results: []
+    };
+    
+    worker.onmessage = function(e) {
+        const { type, data } = e.data;
+        if (type === 'ready') {
+            startBenchmarkSize();
+        } else if (type === 'stepped') {
+            finishBenchmarkFrame(data);
+        } else if (type === 'rejected') {
+            endPhysicsBenchmark(`Benchmark worker refused '${data.rejectedType}': ${data.reason}`);
+        }
+    };
+    worker.onerror = function(error) {
+        endPhysicsBenchmark(`Benchmark worker error: ${error.message}`);
+    };
+    
+    logMessage(`Benchmarking physics for sectors ${PHYSICS_BENCHMARK_SECTORS.join(', ')}...`, 'info');
+    sendWorkerInit(worker);
+}
+
+// Sector-sized entity lists, built by repeating the live asteroids and hazards
+function createBenchmarkField(sector) {
+    const asteroidCount = CONFIG.baseMaxAsteroids + sector * CONFIG.maxAsteroidsPerSector;
+    const hazardCount = CONFIG.baseMaxHazards + sector * CONFIG.maxHazardsPerSector;
+    const fill = (source, count, fallback) => Array.from({ length: count }, (_, i) => {
+        const template = source.length > 0 ? source[i % source.length] : fallback;
+        return Object.assign(JSON.parse(JSON.stringify(template)), {
+            x: Math.random() * CONFIG.worldWidth,
+            y: Math.random() * CONFIG.worldHeight
+        });
+    });
+    
+    const fieldAsteroids = fill(asteroids.filter(a => !a.destroyed), asteroidCount,
+        { vx: 0.3, vy: -0.2, rotation: 0, rotationSpeed: 0.01, radius: 30, type: 'iron' });
+    const fieldHazards = fill(hazards, hazardCount, { vx: 0.5, vy: 0.4, rotation: 0, radius: 20, type: 'debris' });
+    const fieldParticles = fill([], PHYSICS_BENCHMARK_PARTICLES,
+        { vx: 1, vy: -1, color: getParticleColorIndex('#ffff00'), size: 2, life: 1000, alpha: 1 });
+    
+    // The asteroids and hazards go in their own stores, like the live ones
+    const stores = { asteroids: createEntityStore('asteroids'), hazards: createEntityStore('hazards') };
+    syncEntityStore(stores.asteroids, fieldAsteroids);
+    syncEntityStore(stores.hazards, fieldHazards);
+    
+    return { sector, asteroids: fieldAsteroids, hazards: fieldHazards, particles: fieldParticles, stores };
+}
+
+function startBenchmarkSize() {
+    physicsBenchmark.frame = 0;
+    physicsBenchmark.totals = { clone: 0, packed: 0, roundTrip: 0 };
+    runBenchmarkFrame();
+}
+
+function runBenchmarkFrame() {
+    const bench = physicsBenchmark;
+    const field = bench.sizes[bench.sizeIndex];
+    
+    // Old protocol: the arrays are cloned on the way to the worker and again on the way back
+    const cloneStart = performance.now();
+    const cloned = structuredClone({ asteroids: field.asteroids, hazards: field.hazards, particles: field.particles });
+    structuredClone(cloned);
+    bench.totals.clone += performance.now() - cloneStart;
+    
+    // Packed protocol: copy the store records into buffers and transfer them
+    const packStart = performance.now();
+    const buffers = {
+        asteroids: field.stores.asteroids.buffer.slice(0, field.asteroids.length * ENTITY_LAYOUTS.asteroids.stride),
+        hazards: field.stores.hazards.buffer.slice(0, field.hazards.length * ENTITY_LAYOUTS.hazards.stride),
+        particles: packEntities('particles', field.particles, null)
+    };
+    bench.sentAt = packStart;
+    postWorkerMessage(bench.worker, 'step', {
+        batch: bench.frame,
+        dt: 1,
+        world: getWorldBounds(),
+        counts: {
+            asteroids: field.asteroids.length,
+            hazards: field.hazards.length,
+            particles: field.particles.length
+        },
+        buffers: buffers
+    }, [buffers.asteroids.buffer, buffers.hazards.buffer, buffers.particles.buffer]);
+    bench.totals.packed += performance.now() - packStart;
+}
+
+function finishBenchmarkFrame(data) {
+    const bench = physicsBenchmark;
+    const field = bench.sizes[bench.sizeIndex];
+    
+    // Reading the results back is part of the packed frame
+    const applyStart = performance.now();
+    const { stride, offsets } = ENTITY_LAYOUTS.asteroids;
+    for (let i = 0; i < data.counts.asteroids; i++) {
+        field.asteroids[i].x = data.buffers.asteroids[i * stride + offsets.x];
+        field.asteroids[i].y = data.buffers.asteroids[i * stride + offsets.y];
+    }
+    const applyEnd = performance.now();
+    bench.totals.packed += applyEnd - applyStart;
+    bench.totals.roundTrip += applyEnd - bench.sentAt;
+    
+    bench.frame++;
+    if (bench.frame < PHYSICS_BENCHMARK_FRAMES) {
+        runBenchmarkFrame();
+        return;
+    }
+    
+    bench.results.push({
+        sector: field.sector,
+        entities: field.asteroids.length + field.hazards.length + field.particles.length,
+        clone: bench.totals.clone / PHYSICS_BENCHMARK_FRAMES,
+        packed: bench.totals.packed / PHYSICS_BENCHMARK_FRAMES,
+        roundTrip: bench.totals.roundTrip / PHYSICS_BENCHMARK_FRAMES
+    });
+    
+    bench.sizeIndex++;
+    if (bench.sizeIndex < bench.sizes.length) {
+        startBenchmarkSize();
+    } else {
+        endPhysicsBenchmark(null);
+    }
+}
+
+function endPhysicsBenchmark(error) {
+    const bench = physicsBenchmark;
+    physicsBenchmark = null;
+    bench.worker.terminate();
+    
+    if (error) {
+        logMessage(error, 'error');
+        return;
+    }
+    
+    logMessage('PHYSICS FRAME TIME (main thread ms/frame)', 'success');
+    logMessage('SECTOR  ENTITIES  CLONED  PACKED  ROUND TRIP', 'info');
+    bench.results.forEach(result => {
+        logMessage(
+            `${String(result.sector).padStart(6)}  ${String(result.entities).padStart(8)}  ` +
+            `${result.clone.toFixed(2).padStart(6)}  ${result.packed.toFixed(2).padStart(6)}  ` +
+            `${result.roundTrip.toFixed(2).padStart(10)}`,
+            'info'
+        );
+    });
+}
+
+// Clean up destroyed asteroids BEFORE they are moved
+// IMPORTANT: Filtering changes indices, so we need to update NPC target references
+function removeDestroyedAsteroids() {
     const oldAsteroids = asteroids;
     asteroids = asteroids.filter(a => !a.destroyed);
     
@@ -11799,83 +16990,23 @@ function updateAsteroids(dt = 1) {
             // because we're using object references, not array indices
         }
     }
-    
-    // Main thread physics - simple and reliable
-    // Physics is trivial (position += velocity) so multi-threading overhead isn't worth it
-    // This also eliminates array synchronization issues during mining/destruction
-    const len = asteroids.length;
-    for (let i = 0; i < len; i++) {
-        const asteroid = asteroids[i];
-        
-        // Skip destroyed asteroids
-        if (asteroid.destroyed) continue;
-        
-        // Update position (time-consistent)
-        asteroid.x += asteroid.vx * dt;
-        asteroid.y += asteroid.vy * dt;
-        asteroid.rotation += asteroid.rotationSpeed * dt;
-        
-        // Wrap around world with proper margin
-        const margin = asteroid.radius || 50; // Use asteroid radius for proper wrapping
-        
-        if (asteroid.x < -margin) {
-            asteroid.x = CONFIG.worldWidth + margin;
-        } else if (asteroid.x > CONFIG.worldWidth + margin) {
-            asteroid.x = -margin;
-        }
-        
-        if (asteroid.y < -margin) {
-            asteroid.y = CONFIG.worldHeight + margin;
-        } else if (asteroid.y > CONFIG.worldHeight + margin) {
-            asteroid.y = -margin;
-        }
-    }
 }
 
-function updateHazards(dt = 1) {
-    // Main thread physics - simple and reliable
-    const len = hazards.length;
-    for (let i = 0; i < len; i++) {
-        const hazard = hazards[i];
-        
-        // Update position (time-consistent)
-        hazard.x += hazard.vx * dt;
-        hazard.y += hazard.vy * dt;
-        hazard.rotation += 0.05 * dt;
-        
-        // Wrap around world with proper margin based on hazard size
-        const margin = hazard.radius || 50; // Use hazard radius for proper wrapping
-        
-        if (hazard.x < -margin) {
-            hazard.x = CONFIG.worldWidth + margin;
-        } else if (hazard.x > CONFIG.worldWidth + margin) {
-            hazard.x = -margin;
-        }
-        
-        if (hazard.y < -margin) {
-            hazard.y = CONFIG.worldHeight + margin;
-        } else if (hazard.y > CONFIG.worldHeight + margin) {
-            hazard.y = -margin;
-        }
-    }
+// Main-thread fallback for when the physics worker isn't running (and during replays) - the
+// same stepPackedEntities() the worker runs, on the stores themselves
+function updateAsteroids(dt = 1) {
+    removeDestroyedAsteroids();
+    syncEntityStore(asteroidStore, asteroids);
+    stepPackedEntities('asteroids', asteroidStore.buffer, asteroidStore.count, dt, getWorldBounds());
+}
+
+function updateHazards(dt = 1) {
+    syncEntityStore(hazardStore, hazards);
+    stepPackedEntities('hazards', hazardStore.buffer, hazardStore.count, dt, getWorldBounds());
 }
 
 function updateParticles(dt = 1) {
-    // Particles are frequently created/destroyed, so worker overhead isn't worth it
-    // Just use optimized main thread code with pooling
-    for (let i = particles.length - 1; i >= 0; i--) {
-        const p = particles[i];
-        // Update position (time-consistent)
-        p.x += p.vx * dt;
-        p.y += p.vy * dt;
-        p.life -= dt;
-        p.alpha -= 0.02 * dt;
-        
-        if (p.life <= 0 || p.alpha <= 0) {
-            returnParticleToPool(p); // Return to pool instead of GC
-            particles.splice(i, 1);
-        }
-    }
+    particleCount = stepPackedEntities('particles', particleBuffer, particleCount, dt, getWorldBounds());
 }
 
 function updateFloatingText(dt = 1) {
@@ -11893,11 +17024,23 @@ function updateFloatingText(dt = 1) {
 }
 
 function updateViewport(dt = 1) {
+    // Co-op frames both ships: aim between them and zoom out as far as minZoom to fit them.
+    // The player's own zoom (targetZoom) is kept and comes back when the ships close up.
+    let focusX = player.x;
+    let focusY = player.y;
+    let targetZoom = viewport.targetZoom;
+    if (coopState.active) {
+        const frame = getCoopFrame(player, coopState.ship, VIEWPORT_REFERENCE.WIDTH, VIEWPORT_REFERENCE.HEIGHT);
+        focusX = frame.x;
+        focusY = frame.y;
+        targetZoom = Math.max(viewport.minZoom, Math.min(viewport.targetZoom, frame.zoom));
+    }
+    
     // Smooth zoom interpolation (time-consistent)
-    if (Math.abs(viewport.targetZoom - viewport.zoom) > 0.001) {
+    if (Math.abs(targetZoom - viewport.zoom) > 0.001) {
         const oldZoom = viewport.zoom;
         const smoothingFactor = 1 - Math.pow(1 - viewport.zoomSmoothing, dt);
-        viewport.zoom += (viewport.targetZoom - viewport.zoom) * smoothingFactor;
+        viewport.zoom += (targetZoom - viewport.zoom) * smoothingFactor;
         
         // Adjust viewport position to keep the center point fixed during zoom
         const centerWorldX = viewport.x + VIEWPORT_REFERENCE.WIDTH / (2 * oldZoom);
@@ -11907,9 +17050,9 @@ function updateViewport(dt = 1) {
         viewport.y = centerWorldY - VIEWPORT_REFERENCE.HEIGHT / (2 * viewport.zoom);
     }
     
-    // Center camera on player with smoothing (time-consistent)
-    const targetX = player.x - VIEWPORT_REFERENCE.WIDTH / (2 * viewport.zoom);
-    const targetY = player.y - VIEWPORT_REFERENCE.HEIGHT / (2 * viewport.zoom);
+    // Center camera on player (or both ships) with smoothing (time-consistent)
+    const targetX = focusX - VIEWPORT_REFERENCE.WIDTH / (2 * viewport.zoom);
+    const targetY = focusY - VIEWPORT_REFERENCE.HEIGHT / (2 * viewport.zoom);
     
     const smoothingFactor = 1 - Math.pow(1 - viewport.smoothing, dt);
     viewport.x += (targetX - viewport.x) * smoothingFactor;
@@ -11945,81 +17088,57 @@ function updateStars(dt = 1) {
 }
 
 // ================================
-// PARTICLE SYSTEM (with Object Pooling)
+// PARTICLE SYSTEM (packed buffer)
 // ================================
+// Particles live only in particleBuffer, one ENTITY_LAYOUTS.particles record each, so they
+// can go to the physics worker without being cloned and renderParticles() reads them straight
+// from the buffer. Colors are stored as an index into particleColors.
 
-// Particle pool for performance
-const particlePool = [];
-const maxPoolSize = 500;
+const particleColors = [];
+const particleColorIndex = new Map();
 
-function getParticleFromPool() {
-    if (particlePool.length > 0) {
-        return particlePool.pop();
+function getParticleColorIndex(color) {
+    let index = particleColorIndex.get(color);
+    if (index === undefined) {
+        index = particleColors.length;
+        particleColors.push(color);
+        particleColorIndex.set(color, index);
     }
-    return null;
+    return index;
 }
 
-function returnParticleToPool(particle) {
-    if (particlePool.length < maxPoolSize) {
-        particlePool.push(particle);
-    }
+function addParticle(x, y, vx, vy, color, size, life) {
+    particleBuffer = ensureEntityCapacity('particles', particleBuffer, particleCount + 1);
+    
+    const { stride, offsets } = ENTITY_LAYOUTS.particles;
+    const base = particleCount * stride;
+    particleBuffer[base + offsets.x] = x;
+    particleBuffer[base + offsets.y] = y;
+    particleBuffer[base + offsets.vx] = vx;
+    particleBuffer[base + offsets.vy] = vy;
+    particleBuffer[base + offsets.life] = life;
+    particleBuffer[base + offsets.alpha] = 1;
+    particleBuffer[base + offsets.size] = size;
+    particleBuffer[base + offsets.color] = getParticleColorIndex(color);
+    particleCount++;
+}
+
+function clearParticles() {
+    particleCount = 0;
+    cancelPhysicsBatch(); // A batch in flight would bring the old particles back
 }
 
 function createParticle(x, y, color, size = 3) {
-    let particle = getParticleFromPool();
-    
-    if (particle) {
-        // Reuse existing particle
-        particle.x = x;
-        particle.y = y;
-        particle.vx = (Math.random() - 0.5) * 5;
-        particle.vy = (Math.random() - 0.5) * 5;
-        particle.color = color;
-        particle.size = size;
-        particle.life = 30;
-        particle.alpha = 1;
-        particles.push(particle);
-    } else {
-        // Create new particle if pool is empty
-        particles.push({
-            x: x,
-            y: y,
-            vx: (Math.random() - 0.5) * 5,
-            vy: (Math.random() - 0.5) * 5,
-            color: color,
-            size: size,
-            life: 30,
-            alpha: 1
-        });
-    }
+    const vx = (Math.random() - 0.5) * 5;
+    const vy = (Math.random() - 0.5) * 5;
+    addParticle(x, y, vx, vy, color, size, 30);
 }
 
 function createLaserParticle(x1, y1, x2, y2) {
     const t = Math.random();
-    let particle = getParticleFromPool();
-    
-    if (particle) {
-        particle.x = x1 + (x2 - x1) * t;
-        particle.y = y1 + (y2 - y1) * t;
-        particle.vx = (Math.random() - 0.5) * 3;
-        particle.vy = (Math.random() - 0.5) * 3;
-        particle.color = '#ffff00';
-        particle.size = 2;
-        particle.life = 15;
-        particle.alpha = 1;
-        particles.push(particle);
-    } else {
-        particles.push({
-            x: x1 + (x2 - x1) * t,
-            y: y1 + (y2 - y1) * t,
-            vx: (Math.random() - 0.5) * 3,
-            vy: (Math.random() - 0.5) * 3,
-            color: '#ffff00',
-            size: 2,
-            life: 15,
-            alpha: 1
-        });
-    }
+    const vx = (Math.random() - 0.5) * 3;
+    const vy = (Math.random() - 0.5) * 3;
+    addParticle(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t, vx, vy, '#ffff00', 2, 15);
 }
 
 function createFloatingText(x, y, text, color) {
@@ -12059,6 +17178,9 @@ function render() {
     // Render space station
     renderStation();
     
+    // Render the player's outpost in this sector
+    renderOutposts();
+    
     // Render remote refuel tanker
     if (refuelTanker) {
         renderRefuelTanker();
@@ -12071,6 +17193,13 @@ function render() {
     if (player.isMining && player.miningTargets && player.miningTargets.length > 0) {
         renderMiningLaser();
     }
+    renderTurretBeam();
+    
+    // Render salvage from destroyed pirates
+    renderLootDrops();
+    
+    // Render derelicts from sector events
+    renderSectorEvents();
     
     // Render hazards
     renderHazards();
@@ -12080,10 +17209,15 @@ function render() {
     
     // Render player (on top of mining laser)
     renderPlayer();
+    renderShieldFlash(player.x, player.y, player.size * 1.2, gameState.shieldRegenDelay);
+    renderWingmate();
     
     // Render NPC miners
     renderNPCMiners();
     
+    // Render pirates
+    renderPirates();
+    
     // Render cargo drone
     renderCargoDrone(ctx);
     
@@ -12095,13 +17229,16 @@ function render() {
     
     ctx.restore();
     
+    // Solar storm haze (screen space)
+    renderStormOverlay();
+    
     // Render trade prompt (in screen space, after ctx.restore())
     if (!gameState.isPaused && tradingState.nearbyNPC && !tradingState.isTrading) {
         renderTradePrompt();
     }
     
-    // Apply phosphor decay effect if CRT mode is enabled
-    if (crtEnabled) {
+    // Apply phosphor decay effect if CRT mode is enabled (not to a photo - it has no frames before it)
+    if (crtEnabled && !photoState.capturing) {
         applyPhosphorDecay();
     }
     
@@ -12112,7 +17249,7 @@ function render() {
     renderWarpAnimation();
     
     // Render touch control indicator (in screen space, after ctx.restore())
-    if (touchActive && isTouchDevice) {
+    if (touchActive && isTouchDevice && !photoState.active) {
         renderTouchIndicator();
     }
 }
@@ -12968,23 +18105,8 @@ function renderPlayer() {
     const fuelPercentage = (gameState.fuel / gameState.maxFuel) * 100;
     const currentTime = Date.now();
     
-    // Track when warnings are triggered
-    if (fuelPercentage <= 40 && fuelPercentage > 20 && !fuelWarnings.warning50.triggered) {
-        fuelWarnings.warning50.triggered = true;
-        fuelWarnings.warning50.timestamp = currentTime;
-    }
-    if (fuelPercentage <= 20 && fuelPercentage > 10 && !fuelWarnings.warning25.triggered) {
-        fuelWarnings.warning25.triggered = true;
-        fuelWarnings.warning25.timestamp = currentTime;
-    }
-    
-    // Reset warnings if fuel goes back above threshold (refueling)
-    if (fuelPercentage > 40) {
-        fuelWarnings.warning50.triggered = false;
-    }
-    if (fuelPercentage > 20) {
-        fuelWarnings.warning25.triggered = false;
-    }
+    // Track when warnings are triggered, and re-arm them on refuelling
+    stepFuelWarnings(fuelWarnings, gameState.fuel / gameState.maxFuel, currentTime);
     
     if (fuelPercentage <= 40) {
         // Save current rotation state and reset to upright
@@ -13287,6 +18409,151 @@ function renderNPCMiners() {
     }
 }
 
+// Brief bubble around a ship whose shield just took a hit
+function renderShieldFlash(x, y, radius, regenDelay) {
+    const flash = (regenDelay - (SHIELD_CONFIG.regenDelay - 20)) / 20;
+    if (flash <= 0) return;
+    
+    ctx.save();
+    ctx.strokeStyle = `rgba(0, 204, 255, ${flash * 0.8})`;
+    ctx.fillStyle = `rgba(0, 204, 255, ${flash * 0.15})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+}
+
+function renderPirates() {
+    // Viewport culling
+    const viewLeft = viewport.x;
+    const viewRight = viewport.x + VIEWPORT_REFERENCE.WIDTH / viewport.zoom;
+    const viewTop = viewport.y;
+    const viewBottom = viewport.y + VIEWPORT_REFERENCE.HEIGHT / viewport.zoom;
+    const cullMargin = 100;
+    
+    for (const pirate of pirates) {
+        // Pirate beams still have to reach the ship they hit from off screen
+        const beamShip = getPirateTargetShips()[pirate.beamTarget || 0];
+        if (pirate.beamFrames > 0 && beamShip && !(beamShip === player && gameState.isDocked)) {
+            drawLaserBeam(
+                pirate.x + Math.cos(pirate.angle) * pirate.size * 0.85,
+                pirate.y + Math.sin(pirate.angle) * pirate.size * 0.85,
+                beamShip.x, beamShip.y, PIRATE_COLORS.accent
+            );
+        }
+        
+        if (pirate.x + pirate.size < viewLeft - cullMargin || 
+            pirate.x - pirate.size > viewRight + cullMargin ||
+            pirate.y + pirate.size < viewTop - cullMargin || 
+            pirate.y - pirate.size > viewBottom + cullMargin) {
+            continue;
+        }
+        
+        ctx.save();
+        ctx.translate(pirate.x, pirate.y);
+        ctx.rotate(pirate.angle);
+        
+        // Thruster
+        const currentSpeed = Math.sqrt(pirate.vx ** 2 + pirate.vy ** 2);
+        if (currentSpeed > 0.1) {
+            const thrusterLength = Math.min(currentSpeed * 10, pirate.size * 6);
+            const flicker = Math.random() * 0.3 + 0.7;
+            
+            ctx.fillStyle = `${PIRATE_COLORS.thruster}${Math.floor(flicker * 204 + 51).toString(16).padStart(2, '0')}`;
+            ctx.beginPath();
+            ctx.moveTo(-pirate.size * 0.6, -pirate.size * 0.2);
+            ctx.lineTo(-pirate.size * 0.6 - thrusterLength, 0);
+            ctx.lineTo(-pirate.size * 0.6, pirate.size * 0.2);
+            ctx.closePath();
+            ctx.fill();
+        }
+        
+        // Swept-wing raider hull
+        ctx.fillStyle = PIRATE_COLORS.primary;
+        ctx.strokeStyle = PIRATE_COLORS.secondary;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(pirate.size * 0.9, 0);
+        ctx.lineTo(-pirate.size * 0.6, -pirate.size * 0.55);
+        ctx.lineTo(-pirate.size * 0.35, 0);
+        ctx.lineTo(-pirate.size * 0.6, pirate.size * 0.55);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        
+        // Cockpit
+        ctx.fillStyle = PIRATE_COLORS.accent;
+        ctx.beginPath();
+        ctx.arc(pirate.size * 0.2, 0, pirate.size * 0.1, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+        
+        renderShieldFlash(pirate.x, pirate.y, pirate.size * 1.1, pirate.shieldRegenDelay);
+        
+        // Hull bar once it's been hit
+        if (pirate.hull < pirate.maxHull || pirate.shield < pirate.maxShield) {
+            const barWidth = pirate.size * 1.6;
+            const barX = pirate.x - barWidth / 2;
+            const barY = pirate.y - pirate.size * 1.4;
+            
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(barX, barY, barWidth, 6);
+            ctx.fillStyle = PIRATE_COLORS.secondary;
+            ctx.fillRect(barX, barY, barWidth * (pirate.hull / pirate.maxHull), 3);
+            ctx.fillStyle = '#00ccff';
+            ctx.fillRect(barX, barY + 3, barWidth * (pirate.shield / pirate.maxShield), 3);
+        }
+        
+        // Name tag
+        ctx.save();
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = pirate.state === 'fleeing' ? '#ffaa00' : PIRATE_COLORS.secondary;
+        ctx.fillText(pirate.name, pirate.x, pirate.y - pirate.size * 1.5);
+        ctx.restore();
+    }
+}
+
+function renderLootDrops() {
+    const pulse = 0.6 + Math.sin(Date.now() / 200) * 0.4;
+    
+    for (const loot of lootDrops) {
+        // Fade out over the last few seconds
+        const remaining = LOOT_CONFIG.lifetime - loot.age;
+        const alpha = Math.min(1, remaining / 300);
+        
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.translate(loot.x, loot.y);
+        ctx.rotate(loot.age * 0.01);
+        
+        // Glow
+        ctx.fillStyle = `rgba(255, 221, 0, ${pulse * 0.25})`;
+        ctx.beginPath();
+        ctx.arc(0, 0, 14, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Crate
+        ctx.fillStyle = '#553300';
+        ctx.strokeStyle = '#ffdd00';
+        ctx.lineWidth = 1.5;
+        ctx.fillRect(-6, -6, 12, 12);
+        ctx.strokeRect(-6, -6, 12, 12);
+        ctx.beginPath();
+        ctx.moveTo(-6, -6);
+        ctx.lineTo(6, 6);
+        ctx.moveTo(6, -6);
+        ctx.lineTo(-6, 6);
+        ctx.stroke();
+        
+        ctx.restore();
+    }
+}
+
 function renderAsteroids() {
     // Viewport culling - only render visible asteroids
     // Use VIEWPORT_REFERENCE dimensions (not canvas dimensions) for consistent culling across all devices
@@ -13296,6 +18563,11 @@ function renderAsteroids() {
     const viewBottom = viewport.y + VIEWPORT_REFERENCE.HEIGHT / viewport.zoom;
     const cullMargin = 100; // Extra margin to avoid pop-in
     
+    // Position and rotation come straight from the store, in list order
+    syncEntityStore(asteroidStore, asteroids);
+    const { stride, offsets } = ENTITY_LAYOUTS.asteroids;
+    const records = asteroidStore.buffer;
+    
     const len = asteroids.length;
     for (let i = 0; i < len; i++) {
         const asteroid = asteroids[i];
@@ -13303,19 +18575,23 @@ function renderAsteroids() {
         // Skip destroyed asteroids
         if (asteroid.destroyed) continue;
         
+        const base = i * stride;
+        const x = records[base + offsets.x];
+        const y = records[base + offsets.y];
+        
         // Cull asteroids outside viewport
-        if (asteroid.x + 50 < viewLeft - cullMargin || 
-            asteroid.x - 50 > viewRight + cullMargin ||
-            asteroid.y + 50 < viewTop - cullMargin || 
-            asteroid.y - 50 > viewBottom + cullMargin) {
+        if (x + 50 < viewLeft - cullMargin || 
+            x - 50 > viewRight + cullMargin ||
+            y + 50 < viewTop - cullMargin || 
+            y - 50 > viewBottom + cullMargin) {
             continue; // Skip rendering this asteroid
         }
         
         const data = ASTEROID_TYPES[asteroid.type];
         
         ctx.save();
-        ctx.translate(asteroid.x, asteroid.y);
-        ctx.rotate(asteroid.rotation);
+        ctx.translate(x, y);
+        ctx.rotate(records[base + offsets.rotation]);
         
         // Draw custom geometry
         if (asteroid.geometry && asteroid.geometry.length > 0) {
@@ -13500,7 +18776,7 @@ function renderAsteroids() {
         
         // Check if player is mining this asteroid
         if (miningTarget) {
-            const miningSpeed = CONFIG.baseMiningSpeed * (1 - (gameState.upgrades.mining - 1) * 0.1);
+            const miningSpeed = getMiningSpeed(gameState.upgrades);
             progress = miningTarget.progress / miningSpeed;
             showProgressBar = true;
             barColor = '#ffff00'; // Yellow for player
@@ -13520,8 +18796,8 @@ function renderAsteroids() {
             // Draw progress bar above the asteroid
             const barWidth = 40;
             const barHeight = 6;
-            const barX = asteroid.x - barWidth / 2;
-            const barY = asteroid.y - data.size - 15;
+            const barX = x - barWidth / 2;
+            const barY = y - data.size - 15;
             
             // Background
             ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -13547,22 +18823,30 @@ function renderHazards() {
     const viewBottom = viewport.y + VIEWPORT_REFERENCE.HEIGHT / viewport.zoom;
     const cullMargin = 100;
     
+    // Position and rotation come straight from the store, as renderAsteroids()
+    syncEntityStore(hazardStore, hazards);
+    const { stride, offsets } = ENTITY_LAYOUTS.hazards;
+    const records = hazardStore.buffer;
+    
     const len = hazards.length;
     for (let i = 0; i < len; i++) {
         const hazard = hazards[i];
         const data = HAZARD_TYPES[hazard.type];
+        const base = i * stride;
+        const hazardX = records[base + offsets.x];
+        const hazardY = records[base + offsets.y];
         
         // Cull hazards outside viewport
-        if (hazard.x + data.size < viewLeft - cullMargin || 
-            hazard.x - data.size > viewRight + cullMargin ||
-            hazard.y + data.size < viewTop - cullMargin || 
-            hazard.y - data.size > viewBottom + cullMargin) {
+        if (hazardX + data.size < viewLeft - cullMargin || 
+            hazardX - data.size > viewRight + cullMargin ||
+            hazardY + data.size < viewTop - cullMargin || 
+            hazardY - data.size > viewBottom + cullMargin) {
             continue;
         }
         
         ctx.save();
-        ctx.translate(hazard.x, hazard.y);
-        ctx.rotate(hazard.rotation);
+        ctx.translate(hazardX, hazardY);
+        ctx.rotate(records[base + offsets.rotation]);
         
         // Draw hazard as geometric shape instead of text (for consistent cross-platform rendering)
         ctx.fillStyle = data.color;
@@ -13660,30 +18944,34 @@ function renderHazards() {
 }
 
 function renderParticles() {
-    // Optimized with for loop and viewport culling - use VIEWPORT_REFERENCE for consistency
+    // Read straight from the packed buffer, with viewport culling - use VIEWPORT_REFERENCE for consistency
     const viewLeft = viewport.x - 50;
     const viewRight = viewport.x + VIEWPORT_REFERENCE.WIDTH / viewport.zoom + 50;
     const viewTop = viewport.y - 50;
     const viewBottom = viewport.y + VIEWPORT_REFERENCE.HEIGHT / viewport.zoom + 50;
+    const { stride, offsets } = ENTITY_LAYOUTS.particles;
     
-    const len = particles.length;
-    for (let i = 0; i < len; i++) {
-        const p = particles[i];
+    for (let i = 0; i < particleCount; i++) {
+        const base = i * stride;
+        const x = particleBuffer[base + offsets.x];
+        const y = particleBuffer[base + offsets.y];
         
         // Cull particles outside viewport
-        if (p.x < viewLeft || p.x > viewRight || p.y < viewTop || p.y > viewBottom) {
+        if (x < viewLeft || x > viewRight || y < viewTop || y > viewBottom) {
             continue;
         }
         
-        ctx.globalAlpha = p.alpha;
-        ctx.fillStyle = p.color;
-        ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
+        const size = particleBuffer[base + offsets.size];
+        ctx.globalAlpha = particleBuffer[base + offsets.alpha];
+        ctx.fillStyle = particleColors[particleBuffer[base + offsets.color]];
+        ctx.fillRect(x - size / 2, y - size / 2, size, size);
     }
     ctx.globalAlpha = 1;
 }
 
-function renderMiningLaser() {
-    // Calculate physical laser positions on the ship based on tank locations
+// Physical laser emitter positions on the ship (world space) based on tank locations
+// Shared by the mining lasers and the defensive turret, which fires from emitter 1
+function getLaserEmitterPositions() {
     const miningLasers = gameState.upgrades.multiMining || 1;
     const laserPositions = [];
     
@@ -13736,6 +19024,26 @@ function renderMiningLaser() {
         laserPositions.push({ x: worldX, y: worldY, localX: local.x, localY: local.y });
     });
     
+    return laserPositions;
+}
+
+function drawLaserBeam(fromX, fromY, toX, toY, color) {
+    ctx.strokeStyle = `${color}99`; // 60% opacity
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(fromX, fromY);
+    ctx.lineTo(toX, toY);
+    ctx.stroke();
+    
+    // Glow effect
+    ctx.strokeStyle = `${color}4D`; // 30% opacity
+    ctx.lineWidth = 4;
+    ctx.stroke();
+}
+
+function renderMiningLaser() {
+    const laserPositions = getLaserEmitterPositions();
+    
     // Draw lasers from physical laser positions to targets
     player.miningTargets.forEach((target, index) => {
         // Skip idle lasers (no target assigned)
@@ -13753,20 +19061,30 @@ function renderMiningLaser() {
         if (!laserPos) return; // Safety check
         
         // Use player's accent color for laser beam
-        ctx.strokeStyle = `${player.colors.accent}99`; // 60% opacity
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(laserPos.x, laserPos.y);
-        ctx.lineTo(target.asteroid.x, target.asteroid.y);
-        ctx.stroke();
-        
-        // Glow effect
-        ctx.strokeStyle = `${player.colors.accent}4D`; // 30% opacity
-        ctx.lineWidth = 4;
-        ctx.stroke();
+        drawLaserBeam(laserPos.x, laserPos.y, target.asteroid.x, target.asteroid.y, player.colors.accent);
     });
 }
 
+// Turret shots - the same beam as the mining lasers, from the first emitter (the wingmate's
+// from its nose)
+function renderTurretBeam() {
+    const target = turretState.target;
+    if (turretState.beamFrames > 0 && target && pirates.includes(target)) {
+        const emitter = getLaserEmitterPositions()[0];
+        drawLaserBeam(emitter.x, emitter.y, target.x, target.y, player.colors.accent);
+    }
+    
+    const wingTarget = coopState.turret.target;
+    if (coopState.active && coopState.turret.beamFrames > 0 && wingTarget && pirates.includes(wingTarget)) {
+        const ship = coopState.ship;
+        drawLaserBeam(
+            ship.x + Math.cos(ship.angle) * ship.size * 0.85,
+            ship.y + Math.sin(ship.angle) * ship.size * 0.85,
+            wingTarget.x, wingTarget.y, COOP_CONFIG.colors.accent
+        );
+    }
+}
+
 function renderFloatingText() {
     floatingText.forEach(text => {
         ctx.globalAlpha = text.alpha;
@@ -14044,6 +19362,35 @@ function renderMinimap() {
         );
     });
     
+    // Draw salvage and pirates - always shown, the threat matters more than the scanner
+    minimapCtx.fillStyle = '#ffdd00';
+    lootDrops.forEach(loot => {
+        minimapCtx.fillRect(loot.x * scale - 1, loot.y * scale - 1, 2, 2);
+    });
+    minimapCtx.fillStyle = PIRATE_COLORS.secondary;
+    pirates.forEach(pirate => {
+        minimapCtx.fillRect(pirate.x * scale - 2, pirate.y * scale - 2, 4, 4);
+    });
+    
+    // Draw sector events - broadcast on every channel, so always shown too
+    renderSectorEventMarkers(scale);
+    
+    // Draw the player's outpost
+    const outpost = getCurrentOutpost();
+    if (outpost) {
+        minimapCtx.fillStyle = player.colors.accent;
+        minimapCtx.strokeStyle = player.colors.secondary;
+        minimapCtx.lineWidth = 1;
+        minimapCtx.beginPath();
+        minimapCtx.moveTo(outpost.x * scale, outpost.y * scale - 4);
+        minimapCtx.lineTo(outpost.x * scale + 4, outpost.y * scale);
+        minimapCtx.lineTo(outpost.x * scale, outpost.y * scale + 4);
+        minimapCtx.lineTo(outpost.x * scale - 4, outpost.y * scale);
+        minimapCtx.closePath();
+        minimapCtx.fill();
+        minimapCtx.stroke();
+    }
+    
     // Draw all space stations
     stations.forEach(st => {
         const stationColors = st.colorScheme || STATION_COLORS[2];
@@ -14071,6 +19418,16 @@ function renderMinimap() {
         4, 4
     );
     
+    // Draw player 2
+    if (coopState.active) {
+        minimapCtx.fillStyle = COOP_CONFIG.colors.primary;
+        minimapCtx.fillRect(
+            coopState.ship.x * scale - 2,
+            coopState.ship.y * scale - 2,
+            4, 4
+        );
+    }
+    
     // Draw cargo drone
     if (cargoDrone !== null) {
         minimapCtx.fillStyle = player.colors.accent;
@@ -14090,8 +19447,14 @@ function renderMinimap() {
         (VIEWPORT_REFERENCE.HEIGHT / viewport.zoom) * scale
     );
     
-    // Scanner indicator - show if scanner is ready
-    if (scanState.cooldown <= 0 && !scanState.active) {
+    // Scanner indicator - jammed by a solar storm, or show if scanner is ready
+    if (isScannerJammed(gameState.sectorEvents)) {
+        minimapCtx.fillStyle = '#ff3333';
+        minimapCtx.font = '10px monospace';
+        minimapCtx.textAlign = 'right';
+        minimapCtx.textBaseline = 'top';
+        minimapCtx.fillText('JAMMED', minimapCanvas.width - 3, 3);
+    } else if (scanState.cooldown <= 0 && !scanState.active) {
         // Subtle pulsing indicator in corner to show scanner is ready
         const pulseAlpha = 0.3 + Math.sin(Date.now() / 500) * 0.2;
         minimapCtx.fillStyle = `rgba(0, 255, 0, ${pulseAlpha})`;
@@ -14190,6 +19553,7 @@ function updateUI() {
     // Only update hull if it changed (check dirty flag or every frame for smooth animation)
     if (uiDirtyFlags.hull || frameCount % 2 === 0) {
         domCache.hullDisplay.textContent = `${Math.ceil(gameState.hull)}%`;
+        domCache.shieldDisplay.textContent = `${Math.floor(gameState.shield)}/${gameState.maxShield}`;
         uiDirtyFlags.hull = false;
     }
     
@@ -14239,6 +19603,12 @@ function updateUI() {
         uiDirtyFlags.inventory = false;
     }
     
+    // Player 2 - when joining/leaving, and every few frames while their fuel burns
+    if (uiDirtyFlags.coop || (coopState.active && frameCount % 5 === 0)) {
+        updateCoopPanel();
+        uiDirtyFlags.coop = false;
+    }
+    
     // Mining Lasers Display - update when actively mining OR when mining state changes
     if (player.isMining || wasMining !== player.isMining) {
         updateMiningLasersDisplay();
@@ -14301,13 +19671,25 @@ function updateUI() {
         uiDirtyFlags.station = false;
     }
     
+    // Refinery - only update when dirty (docking, queue changes, job progress)
+    if (uiDirtyFlags.refinery) {
+        updateRefineryDisplay();
+        uiDirtyFlags.refinery = false;
+    }
+    
+    // Market report - only update when dirty (docking, sales, deliveries, market samples)
+    if (uiDirtyFlags.market) {
+        updateMarketReport();
+        uiDirtyFlags.market = false;
+    }
+    
     // Prestige - only update when dirty
     if (uiDirtyFlags.prestige) {
         domCache.prestigeCount.textContent = gameState.prestige;
         domCache.prestigeBonus.textContent = `+${gameState.prestigeBonus}%`;
-        const nextBonus = gameState.prestigeBonus + 50;
+        const nextBonus = getPrestigeBonus(gameState.prestige + 1);
         domCache.prestigeNextBonus.textContent = `+${nextBonus}%`;
-        domCache.prestigeBtn.disabled = gameState.credits < 50000;
+        domCache.prestigeBtn.disabled = !canPrestige(gameState);
         uiDirtyFlags.prestige = false;
     }
 }
@@ -14326,20 +19708,23 @@ function updateStationInterface() {
         domCache.stationStatus.style.color = '#888888';
     }
     
-    // Calculate cargo value (always update)
+    // Calculate cargo value (always update) - priced at the docked station, or the nearest one for drone sales
+    const marketStation = dockedStation || findNearestStation();
     let cargoValue = 0;
     Object.keys(gameState.inventory).forEach(type => {
         const count = gameState.inventory[type];
         const asteroidType = ASTEROID_TYPES[type];
         if (asteroidType) {
-            const value = asteroidType.value * count;
-            const bonusValue = Math.floor(value * (gameState.prestigeBonus / 100));
-            cargoValue += value + bonusValue;
+            cargoValue += applyPrestigeBonus(quoteMarketSale(marketStation, type, count), gameState.prestigeBonus);
         }
     });
     
     domCache.cargoValueCredits.textContent = `${formatNumber(cargoValue)}¢`;
     
+    updateMarketDisplay(dockedStation);
+    updateStationStandingDisplay(dockedStation);
+    markUIDirty('market');
+    
     const fuelNeeded = gameState.maxFuel - gameState.fuel;
     const hullNeeded = gameState.maxHull - gameState.hull;
     
@@ -14390,6 +19775,168 @@ function updateStationInterface() {
     }
 }
 
+function updateStationStandingDisplay(station) {
+    const standingElement = domCache.stationStanding;
+    if (!standingElement) return;
+    
+    if (!station) {
+        standingElement.textContent = '---';
+        standingElement.style.color = '';
+        return;
+    }
+    
+    const standing = getFactionStanding(gameState, station.name);
+    const tier = getStandingTier(standing);
+    standingElement.textContent = `${tier.label} (${standing >= 0 ? '+' : ''}${Math.round(standing)})`;
+    standingElement.style.color = tier.color;
+}
+
+function updateMarketDisplay(station) {
+    const marketList = domCache.marketList;
+    if (!marketList) return;
+    
+    marketList.innerHTML = '';
+    
+    if (!station || !station.market) {
+        const emptyItem = document.createElement('div');
+        emptyItem.className = 'market-item empty';
+        emptyItem.textContent = 'DOCK TO VIEW MARKET';
+        marketList.appendChild(emptyItem);
+        return;
+    }
+    
+    // Show ores the player has found or is carrying (iron until anything has been mined)
+    const knownTypes = Object.keys(ASTEROID_TYPES).filter(type =>
+        gameState.inventory[type] > 0 || (gameState.stats.mineralsMined && gameState.stats.mineralsMined[type] > 0)
+    );
+    if (knownTypes.length === 0) {
+        knownTypes.push('common');
+    }
+    
+    knownTypes.forEach(type => {
+        const asteroidType = ASTEROID_TYPES[type];
+        const price = Math.max(1, Math.round(getMarketPrice(station, type)));
+        const factor = getMarketPriceFactor(station, type);
+        const trendClass = factor >= 1.1 ? 'market-high' : (factor < 0.8 ? 'market-low' : '');
+        
+        const item = document.createElement('div');
+        item.className = 'market-item';
+        item.innerHTML = `
+            <span class="market-icon" style="color: ${asteroidType.color}">${asteroidType.icon}</span>
+            <span class="market-name">${asteroidType.name}</span>
+            <span class="market-spark">${renderSparkline(station.market.history[type])}</span>
+            <span class="market-price ${trendClass}">${price}¢</span>
+        `;
+        marketList.appendChild(item);
+    });
+}
+
+function initMarketReport() {
+    const marketReportDrawerBtn = document.getElementById('marketReportDrawerBtn');
+    const marketReportDrawerIcon = marketReportDrawerBtn.querySelector('.drawer-icon');
+    
+    marketReportDrawerBtn.addEventListener('click', () => {
+        const marketReportContent = document.getElementById('marketReportContent');
+        const isOpen = marketReportContent.style.display !== 'none';
+        marketReportContent.style.display = isOpen ? 'none' : 'block';
+        marketReportDrawerIcon.textContent = isOpen ? '▶' : '▼';
+    });
+}
+
+const STOCK_BAR_LENGTH = 10;
+const STOCK_STATUS_LABELS = { shortage: 'SHORTAGE', low: 'LOW', stable: 'STABLE', surplus: 'SURPLUS' };
+
+// Stockpile fill as a text bar - full at the station's target
+function renderStockBar(ratio) {
+    const filled = Math.round(Math.min(1, ratio) * STOCK_BAR_LENGTH);
+    return '█'.repeat(filled) + '░'.repeat(STOCK_BAR_LENGTH - filled);
+}
+
+function formatDeliveryAge(time) {
+    const minutes = Math.floor((Date.now() - time) / 60000);
+    return minutes < 1 ? 'just now' : `${minutes}m ago`;
+}
+
+// Supply levels, recent NPC deliveries and the sector's shortages - for the docked station,
+// or the nearest one while flying
+function updateMarketReport() {
+    const supplyList = domCache.marketSupplyList;
+    const deliveryList = domCache.marketDeliveryList;
+    const shortageList = domCache.sectorShortageList;
+    if (!supplyList || !deliveryList || !shortageList) return;
+    
+    const station = stations.find(st => st.isDocked) || findNearestStation();
+    const sectorShortages = stations.filter(st => st.market).flatMap(st =>
+        findStockShortages(st.market).map(type => ({ station: st, type: type }))
+    );
+    domCache.marketShortageCount.textContent = `(${sectorShortages.length})`;
+    
+    supplyList.innerHTML = '';
+    deliveryList.innerHTML = '';
+    shortageList.innerHTML = '';
+    
+    if (!station || !station.market) {
+        domCache.marketReportStation.textContent = 'NO STATION IN RANGE';
+        return;
+    }
+    
+    domCache.marketReportStation.textContent = `${station.name.toUpperCase()}${station.isDocked ? '' : ' (NEAREST)'}`;
+    
+    Object.keys(ASTEROID_TYPES).forEach(type => {
+        const asteroidType = ASTEROID_TYPES[type];
+        const status = getStockStatus(station.market, type);
+        const price = Math.max(1, Math.round(getMarketPrice(station, type)));
+        
+        const item = document.createElement('div');
+        item.className = `market-item stock-${status}`;
+        item.innerHTML = `
+            <span class="market-icon" style="color: ${asteroidType.color}">${asteroidType.icon}</span>
+            <span class="market-name">${asteroidType.name}</span>
+            <span class="market-spark">${renderStockBar(getStockRatio(station.market, type))}</span>
+            <span class="market-stock">${Math.floor(station.market.stock[type])}/${station.market.target[type]}</span>
+            <span class="market-status">${STOCK_STATUS_LABELS[status]}</span>
+            <span class="market-price">${price}¢</span>
+        `;
+        supplyList.appendChild(item);
+    });
+    
+    const deliveries = station.market.deliveries.slice().reverse();
+    if (deliveries.length === 0) {
+        const emptyItem = document.createElement('div');
+        emptyItem.className = 'market-item empty';
+        emptyItem.textContent = 'NO DELIVERIES YET';
+        deliveryList.appendChild(emptyItem);
+    }
+    deliveries.forEach(delivery => {
+        const item = document.createElement('div');
+        item.className = 'market-item';
+        item.innerHTML = `
+            <span class="market-name">${delivery.from}</span>
+            <span class="market-stock">+${delivery.units}</span>
+            <span class="market-status">${formatDeliveryAge(delivery.time)}</span>
+        `;
+        deliveryList.appendChild(item);
+    });
+    
+    if (sectorShortages.length === 0) {
+        const emptyItem = document.createElement('div');
+        emptyItem.className = 'market-item empty';
+        emptyItem.textContent = 'NO SHORTAGES IN SECTOR';
+        shortageList.appendChild(emptyItem);
+    }
+    sectorShortages.forEach(({ station: shortStation, type }) => {
+        const asteroidType = ASTEROID_TYPES[type];
+        const item = document.createElement('div');
+        item.className = 'market-item stock-shortage';
+        item.innerHTML = `
+            <span class="market-icon" style="color: ${asteroidType.color}">${asteroidType.icon}</span>
+            <span class="market-name">${asteroidType.name}</span>
+            <span class="market-status">${shortStation.name}</span>
+        `;
+        shortageList.appendChild(item);
+    });
+}
+
 function updateMiningLasersDisplay() {
     const displayContainer = document.getElementById('miningLasersDisplay');
     const lasersList = document.getElementById('miningLasersList');
@@ -14399,7 +19946,7 @@ function updateMiningLasersDisplay() {
     lasersList.innerHTML = '';
     
     const maxLasers = gameState.upgrades.multiMining;
-    const miningSpeed = CONFIG.baseMiningSpeed * (1 - (gameState.upgrades.mining - 1) * 0.1);
+    const miningSpeed = getMiningSpeed(gameState.upgrades);
     
     // Use shorter labels and bars on small screens
     const isSmallScreen = window.innerWidth <= 768;
@@ -14463,6 +20010,77 @@ function updateScanDisplay() {
     }
 }
 
+// The asteroid the scan readout describes - whatever the lasers are on, otherwise the
+// nearest rock the advanced scanner has analysed
+function getScanReadoutAsteroid() {
+    if (player.miningTarget && !player.miningTarget.destroyed) {
+        return player.miningTarget;
+    }
+    
+    let nearest = null;
+    let nearestDist = SCAN_CONFIG.readoutRange;
+    
+    for (const ast of asteroids) {
+        if (!ast.analysed || ast.destroyed) continue;
+        
+        const dist = Math.sqrt((ast.x - player.x) ** 2 + (ast.y - player.y) ** 2);
+        if (dist < nearestDist) {
+            nearest = ast;
+            nearestDist = dist;
+        }
+    }
+    
+    return nearest;
+}
+
+function updateScanReadout() {
+    const readout = domCache.scanReadout;
+    if (!readout) return;
+    
+    const ast = getScanReadoutAsteroid();
+    if (!ast) {
+        readout.classList.remove('active');
+        return;
+    }
+    
+    const typeData = ASTEROID_TYPES[ast.type];
+    let html = `<div class="scan-readout-target" style="color: ${typeData.color}">${typeData.icon} ${typeData.name.toUpperCase()} <span class="scan-readout-health">${ast.health}/${ast.maxHealth}</span></div>`;
+    
+    if (!ast.analysed || !ast.composition) {
+        html += '<div class="scan-readout-note">Surface reading only - the Advanced Scanner analyses composition and cores</div>';
+    } else {
+        const ores = Object.entries(ast.composition.ores).sort((a, b) => b[1] - a[1]);
+        ores.forEach(([type, share]) => {
+            const ore = ASTEROID_TYPES[type];
+            html += `
+                <div class="scan-readout-ore">
+                    <span class="scan-readout-ore-name" style="color: ${ore.color}">${ore.name}</span>
+                    <span class="scan-readout-bar"><span style="width: ${share}%; background-color: ${ore.color}"></span></span>
+                    <span class="scan-readout-share">${share}%</span>
+                </div>`;
+        });
+        
+        const core = ast.composition.core;
+        if (core) {
+            const coreOre = ASTEROID_TYPES[core.type];
+            const status = isInCore(ast) ? 'EXPOSED' : `at ${Math.round(core.depth * 100)}% integrity`;
+            html += `<div class="scan-readout-core" style="color: ${coreOre.color}">◆ RICH CORE: ${coreOre.name} ×${core.yield} ${status}</div>`;
+        } else {
+            html += '<div class="scan-readout-note">No core detected</div>';
+        }
+        
+        const estimate = estimateAsteroidYield(ast);
+        html += `<div class="scan-readout-value">EST. ${estimate.units} units / ${applyPrestigeBonus(estimate.value, gameState.prestigeBonus)}¢</div>`;
+    }
+    
+    // Only touch the DOM when the reading changes
+    if (readout.dataset.html !== html) {
+        domCache.scanReadoutBody.innerHTML = html;
+        readout.dataset.html = html;
+    }
+    readout.classList.add('active');
+}
+
 function updateInventoryDisplay() {
     const inventoryList = domCache.inventoryList;
     if (!inventoryList) return;
@@ -14542,11 +20160,14 @@ function updateMissionsDisplay() {
             const stationNameHtml = mission.stationName ? 
                 `<div class="mission-station-name" style="color: ${mission.stationColor?.primary || mission.stationColor};">FROM: ${mission.stationName}</div>` : '';
             
+            // Contracts track their active stage
+            const objective = mission.type === 'contract' ? mission.stages[mission.stageIndex] : mission;
+            
             // Time remaining for speed missions
             let timeRemainingHtml = '';
-            if (mission.type === 'speed_mining' && mission.status === 'active' && !mission.failed) {
-                const elapsedTime = (Date.now() - mission.startTime) / 1000;
-                const timeRemaining = Math.max(0, mission.timeLimit - elapsedTime);
+            if (objective.type === 'speed_mining' && mission.status === 'active' && !objective.failed) {
+                const elapsedTime = (Date.now() - objective.startTime) / 1000;
+                const timeRemaining = Math.max(0, objective.timeLimit - elapsedTime);
                 const minutes = Math.floor(timeRemaining / 60);
                 const seconds = Math.floor(timeRemaining % 60);
                 const timeColor = timeRemaining < 30 ? '#ff0000' : timeRemaining < 60 ? '#ffaa00' : '#00ff00';
@@ -14555,13 +20176,15 @@ function updateMissionsDisplay() {
             
             // Hull threshold for hazard missions
             let hullInfoHtml = '';
-            if (mission.type === 'hazard_survival' && mission.status === 'active' && !mission.failed) {
+            if ((objective.type === 'hazard_survival' || objective.type === 'hazard_transit') && mission.status === 'active' && !objective.failed) {
                 const currentHullPercent = Math.floor((gameState.hull / gameState.maxHull) * 100);
-                const hullColor = currentHullPercent < mission.threshold ? '#ff0000' : '#00ff00';
-                hullInfoHtml = `<div class="mission-hull" style="color: ${hullColor};">HULL: ${currentHullPercent}% (MIN: ${mission.threshold}%)</div>`;
+                const hullColor = currentHullPercent < objective.threshold ? '#ff0000' : '#00ff00';
+                hullInfoHtml = `<div class="mission-hull" style="color: ${hullColor};">HULL: ${currentHullPercent}% (MIN: ${objective.threshold}%)</div>`;
             }
             
-            const rewardWithBonus = calculateMissionReward(mission.reward);
+            // Contracts pay per stage, so show what the active stage is worth
+            const rewardWithBonus = calculateMissionReward(mission.type === 'contract' ? { reward: objective.reward, stationName: mission.stationName } : mission);
+            const rewardLabel = mission.type === 'contract' ? 'STAGE REWARD' : 'REWARD';
             
             item.innerHTML = `
                 <div class="mission-header">
@@ -14579,30 +20202,19 @@ function updateMissionsDisplay() {
                         <div class="mission-progress-fill" style="width: ${progressPercent}%"></div>
                     </div>
                 </div>
-                <div class="mission-reward">REWARD: ${rewardWithBonus}¢</div>
+                <div class="mission-reward">${rewardLabel}: ${rewardWithBonus}¢</div>
             `;
             domCache.missionsList.appendChild(item);
         });
     }
     
+    updateContractLogDisplay();
+    
     uiDirtyFlags.missions = false;
 }
 
 function updateUpgradeButtons() {
-    const upgradeCosts = {
-        speed: [100, 200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200],
-        cargo: [150, 300, 600, 1200, 2400, 4800, 9600, 19200, 38400, 76800],
-        mining: [120, 240, 480, 960, 1920, 3840, 7680, 15360, 30720, 61440],
-        hull: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
-        fuelCapacity: [180, 360, 720, 1440, 2880, 5760, 11520, 23040, 46080, 92160],
-        fuelEfficiency: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
-        range: [160, 320, 640, 1280, 2560, 5120, 10240, 20480, 40960, 81920],
-        multiMining: [2400, 4800, 9600, 19200, 38400], // Max 6 lasers (5 upgrades from level 1)
-        advancedScanner: [5000],
-        scanRange: [250, 500, 1000, 2000, 4000, 8000, 16000, 32000, 64000, 128000],
-        scanCooldown: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
-        cargoDrone: [20000]
-    };
+    updateLoadoutDisplay();
     
     Object.keys(gameState.upgrades).forEach(upgradeType => {
         const level = gameState.upgrades[upgradeType];
@@ -14645,10 +20257,13 @@ function updateUpgradeButtons() {
                 case 'hull':
                     const currentHull = 100 + (level - 1) * 25;
                     const nextHull = 100 + level * 25;
+                    const shieldValue = document.getElementById('shieldValue');
                     if (level >= 10) {
                         valueDisplay.textContent = `${currentHull} HP (MAX)`;
+                        shieldValue.textContent = `${getMaxShield({ hull: level })} (MAX)`;
                     } else {
                         valueDisplay.textContent = `${currentHull} → ${nextHull} HP`;
+                        shieldValue.textContent = `${getMaxShield({ hull: level })} → ${getMaxShield({ hull: level + 1 })}`;
                     }
                     break;
                 case 'fuelCapacity':
@@ -14718,62 +20333,29 @@ function updateUpgradeButtons() {
             }
         }
         
-        // Special handling for one-time purchases
-        if (upgradeType === 'advancedScanner' || upgradeType === 'cargoDrone') {
-            if (level >= 1) {
-                if (levelDisplay) levelDisplay.textContent = 'PURCHASED';
-                if (costDisplay) costDisplay.textContent = '-';
-                btn.disabled = true;
-                const btnText = btn.querySelector('.btn-text');
-                if (btnText) btnText.textContent = 'PURCHASED';
-            } else {
-                if (levelDisplay) levelDisplay.textContent = 'NOT PURCHASED';
-                const cost = upgradeCosts[upgradeType][0];
-                if (costDisplay) costDisplay.textContent = cost;
-                const isDocked = isDockedAtAnyStation();
-                btn.disabled = !isDocked || gameState.credits < cost;
-                const btnText = btn.querySelector('.btn-text');
-                if (btnText) btnText.textContent = `PURCHASE: ${cost}¢`;
-            }
+        // Buy/refit the track's module - priced by what the player owns, stored modules included
+        const offer = getModuleOffer(gameState.loadout, getModuleTypeForTrack(upgradeType));
+        const btnText = btn.querySelector('.btn-text');
+        const isOneTime = upgradeType === 'advancedScanner' || upgradeType === 'cargoDrone';
+        
+        if (levelDisplay) {
+            levelDisplay.textContent = isOneTime ? (level >= 1 ? 'INSTALLED' : (offer.action === 'max' ? 'IN STORAGE' : 'NOT PURCHASED')) : level;
+        }
+        
+        if (offer.action === 'max') {
+            if (costDisplay) costDisplay.textContent = isOneTime ? '-' : 'MAX';
+            btn.disabled = true;
+            if (btnText) btnText.textContent = isOneTime ? 'PURCHASED' : 'MAX LEVEL';
         } else {
-            // Normal multi-level upgrades
-            if (levelDisplay) levelDisplay.textContent = level;
-            
-            // Check max level (6 for multiMining, infinite for cargo/fuelCapacity, 10 for others)
-            let maxLevel;
-            if (upgradeType === 'multiMining') {
-                maxLevel = 6;
-            } else if (upgradeType === 'cargo' || upgradeType === 'fuelCapacity') {
-                maxLevel = Infinity; // No limit
-            } else {
-                maxLevel = 10;
-            }
-            
-            if (level >= maxLevel) {
-                if (costDisplay) costDisplay.textContent = 'MAX';
-                btn.disabled = true;
-                const btnText = btn.querySelector('.btn-text');
-                if (btnText) btnText.textContent = 'MAX LEVEL';
-            } else {
-                // Calculate cost - use exponential scaling for levels beyond array
-                let cost;
-                if (level - 1 < upgradeCosts[upgradeType].length) {
-                    cost = upgradeCosts[upgradeType][level - 1];
-                } else {
-                    // For levels beyond the array, use exponential scaling
-                    const lastCost = upgradeCosts[upgradeType][upgradeCosts[upgradeType].length - 1];
-                    const costMultiplier = 2; // Double the cost each level
-                    const levelsBeyond = level - upgradeCosts[upgradeType].length;
-                    cost = Math.floor(lastCost * Math.pow(costMultiplier, levelsBeyond));
-                }
-                
-                if (costDisplay) costDisplay.textContent = cost;
-                // Disable upgrade buttons if not docked OR insufficient credits
-                const isDocked = isDockedAtAnyStation();
-                btn.disabled = !isDocked || gameState.credits < cost;
-                // Update button text
-                const btnText = btn.querySelector('.btn-text');
-                if (btnText) btnText.textContent = `UPGRADE: ${cost}¢`;
+            const hasComponents = Object.keys(getItemShortfall(gameState, offer.components)).length === 0;
+            const componentText = Object.keys(offer.components).length > 0 ? ` + ${formatItemList(offer.components)}` : '';
+            if (costDisplay) costDisplay.textContent = offer.cost;
+            // Disable buttons if not docked OR insufficient credits/components
+            btn.disabled = !isDockedAtAnyStation() || gameState.credits < offer.cost || !hasComponents;
+            if (btnText) {
+                btnText.textContent = offer.action === 'refit'
+                    ? `REFIT MK${offer.module.mark}→MK${offer.module.mark + 1}: ${offer.cost}¢${componentText}`
+                    : `BUY MK1: ${offer.cost}¢${componentText}`;
             }
         }
     });
@@ -0,0 +1,3456 @@
+// ================================
+// ASTEROID MINER: SIMULATION CORE
+// ================================
+//
+// The game rules with no DOM, canvas or timers. Every function takes the state it works on
+// plus the injected clock/RNG from createSimContext(), mutates that state and returns what
+// happened, so the caller decides how to show it (particles, floating text, log lines).
+//
+// asteroid-miner-script.js loads this as a plain <script> and drives it every frame;
+// tests/asteroid-miner-sim.test.js require()s it and ticks it headlessly under Node:
+//   node --test OldSite/WebGames/AsteroidMiner/tests/
+//
+// ================================
+
+// ================================
+// GAME CONFIGURATION
+// ================================
+
+const CONFIG = {
+    // Ship physics (scaled up for time-consistent movement)
+    baseSpeed: 1,
+    acceleration: 0.4,
+    friction: 0.92,
+    
+    // Mining
+    baseMiningSpeed: 60, // frames to mine
+    miningRange: 75,
+    
+    // Fuel consumption (less efficient - increased consumption)
+    baseFuelConsumption: 0.005,
+    miningFuelCost: 0.01,
+    
+    // Spawn rates (base values - multiplied by sector bonuses)
+    // Sector bonuses: +10% spawn rate per sector, increased rare asteroid chances
+    asteroidSpawnChance: 0.05, // Increased from 0.02 for faster spawning
+    hazardSpawnChance: 0.005,
+    rareAsteroidChance: 0.15,
+    legendaryAsteroidChance: 0.03,
+    
+    // Max object limits (scaled by sector)
+    baseMaxAsteroids: 150, // Increased from 100 to allow more asteroids
+    maxAsteroidsPerSector: 50, // Additional asteroids allowed per sector
+    baseMaxHazards: 40, // Base limit for sector 1
+    maxHazardsPerSector: 15, // Additional hazards allowed per sector
+    
+    // World size (base size, increases by 250 per sector)
+    baseWorldWidth: 3000,
+    baseWorldHeight: 3000,
+    worldWidth: 3000,  // Dynamic, updated per sector
+    worldHeight: 3000  // Dynamic, updated per sector
+};
+
+// The current sector's size - the `bounds` / `world` the stepping functions take
+function getWorldBounds() {
+    return { width: CONFIG.worldWidth, height: CONFIG.worldHeight };
+}
+
+// ================================
+// ASTEROID TYPES
+// ================================
+
+const ASTEROID_TYPES = {
+    // COMMON TIER - 60% total
+    common: {
+        name: 'Iron Ore',
+        color: '#888888',
+        icon: '●',
+        value: 2,
+        health: 10,
+        size: 12,
+        rarity: 'common',
+        baseChance: 0.40,      // 40% base chance
+        rarityMultiplier: 1.0
+    },
+    copper: {
+        name: 'Copper',
+        color: '#ff8844',
+        icon: '◆',
+        value: 5,
+        health: 9,
+        size: 13,
+        rarity: 'common',
+        baseChance: 0.20,      // 20% base chance
+        rarityMultiplier: 1.0
+    },
+    
+    // UNCOMMON TIER - 20% total
+    nickel: {
+        name: 'Nickel',
+        color: '#c0c0a0',
+        icon: '◇',
+        value: 12,
+        health: 7,
+        size: 14,
+        rarity: 'uncommon',
+        baseChance: 0.10,      // 10% base chance
+        rarityMultiplier: 1.3
+    },
+    silver: {
+        name: 'Silver',
+        color: '#ccccff',
+        icon: '◈',
+        value: 18,
+        health: 6,
+        size: 15,
+        rarity: 'uncommon',
+        baseChance: 0.07,      // 7% base chance
+        rarityMultiplier: 1.5
+    },
+    titanium: {
+        name: 'Titanium',
+        color: '#b0b0d0',
+        icon: '⬡',
+        value: 25,
+        health: 8,
+        size: 16,
+        rarity: 'uncommon',
+        baseChance: 0.03,      // 3% base chance
+        rarityMultiplier: 1.5
+    },
+    
+    // RARE TIER - 12% total
+    gold: {
+        name: 'Gold',
+        color: '#ffdd00',
+        icon: '◉',
+        value: 40,
+        health: 5,
+        size: 17,
+        rarity: 'rare',
+        baseChance: 0.05,      // 5% base chance
+        rarityMultiplier: 2.0
+    },
+    emerald: {
+        name: 'Emerald',
+        color: '#00ff88',
+        icon: '◊',
+        value: 55,
+        health: 4,
+        size: 18,
+        rarity: 'rare',
+        baseChance: 0.04,      // 4% base chance
+        rarityMultiplier: 2.0
+    },
+    platinum: {
+        name: 'Platinum',
+        color: '#aaffff',
+        icon: '◎',
+        value: 70,
+        health: 4,
+        size: 19,
+        rarity: 'rare',
+        baseChance: 0.03,      // 3% base chance
+        rarityMultiplier: 2.0
+    },
+    
+    // EPIC TIER - 6% total
+    ruby: {
+        name: 'Ruby',
+        color: '#ff0066',
+        icon: '◆',
+        value: 100,
+        health: 3,
+        size: 20,
+        rarity: 'epic',
+        baseChance: 0.025,     // 2.5% base chance
+        rarityMultiplier: 2.5
+    },
+    sapphire: {
+        name: 'Sapphire',
+        color: '#0066ff',
+        icon: '◈',
+        value: 120,
+        health: 3,
+        size: 20,
+        rarity: 'epic',
+        baseChance: 0.020,     // 2% base chance
+        rarityMultiplier: 2.5
+    },
+    obsidian: {
+        name: 'Obsidian',
+        color: '#1a0033',
+        icon: '⬢',
+        value: 140,
+        health: 5,
+        size: 21,
+        rarity: 'epic',
+        baseChance: 0.015,     // 1.5% base chance
+        rarityMultiplier: 2.5
+    },
+    
+    // LEGENDARY TIER - 2% total
+    crystal: {
+        name: 'Quantum Crystal',
+        color: '#ff00ff',
+        icon: '❖',
+        value: 200,
+        health: 2,
+        size: 22,
+        rarity: 'legendary',
+        baseChance: 0.010,     // 1% base chance
+        rarityMultiplier: 3.0
+    },
+    nebulite: {
+        name: 'Nebulite',
+        color: '#00ffff',
+        icon: '✦',
+        value: 250,
+        health: 2,
+        size: 23,
+        rarity: 'legendary',
+        baseChance: 0.007,     // 0.7% base chance
+        rarityMultiplier: 3.0
+    },
+    darkMatter: {
+        name: 'Dark Matter',
+        color: '#6600ff',
+        icon: '◉',
+        value: 350,
+        health: 3,
+        size: 24,
+        rarity: 'legendary',
+        baseChance: 0.003,     // 0.3% base chance
+        rarityMultiplier: 3.5
+    }
+};
+
+// ================================
+// HAZARD TYPES
+// ================================
+
+const HAZARD_TYPES = {
+    debris: {
+        name: 'Space Debris',
+        color: '#ff4444',
+        icon: '✕',
+        damage: 10,
+        size: 14,
+        speed: 0.75  // Reduced from 8.33
+    },
+    mine: {
+        name: 'Proximity Mine',
+        color: '#ff0000',
+        icon: '⊗',
+        damage: 25,
+        size: 12,
+        speed: 0.2
+    },
+    vortex: {
+        name: 'Gravity Vortex',
+        color: '#8800ff',
+        icon: '◉',
+        damage: 5,
+        size: 60,
+        speed: 0.1, // Fixed speed for vortex movement
+        pullForce: 0.4  // Reduced from 0.25 for more manageable gravity
+    }
+};
+// ================================
+// SIMULATION CONTEXT
+// ================================
+
+// Injected clock (ms) and RNG - the browser passes nothing and gets the real ones,
+// tests pass deterministic fakes
+function createSimContext(options = {}) {
+    return {
+        rng: options.rng || Math.random,
+        now: options.now || Date.now
+    };
+}
+
+// ================================
+// SEEDED RANDOM
+// ================================
+// Generated content (galaxy, sectors, stations, mission boards) never calls Math.random()
+// directly - it draws from streams keyed on the world seed, so a seed always makes the same game.
+
+// FNV-1a hash of the key parts -> 32-bit seed
+function hashSeed(...parts) {
+    const key = parts.join(':');
+    let hash = 0x811c9dc5;
+    
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return hash >>> 0;
+}
+
+// Mulberry32 - small, fast PRNG returning floats in [0, 1) like Math.random()
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ================================
+// UPGRADE MATH
+// ================================
+
+function getMaxShipSpeed(upgrades) {
+    return CONFIG.baseSpeed * (1 + (upgrades.speed - 1) * 0.2);
+}
+
+function getMiningRange(upgrades) {
+    return CONFIG.miningRange + (upgrades.range - 1) * 10;
+}
+
+// Frames per mining cycle (lower is faster)
+function getMiningSpeed(upgrades) {
+    return CONFIG.baseMiningSpeed * (1 - (upgrades.mining - 1) * 0.1);
+}
+
+// Fuel efficiency upgrade (x0.9 per level)
+function getFuelEfficiencyMultiplier(upgrades) {
+    return Math.pow(0.9, upgrades.fuelEfficiency - 1);
+}
+
+// ================================
+// SHIP LOADOUT & MODULES
+// ================================
+// The ship is a hull with a fixed number of module slots. Every module raises one upgrade
+// track by its mark (a Mk3 cargo pod is +3 cargo levels), so state.upgrades is no longer
+// bought directly - applyLoadout() derives it from the equipped modules and everything that
+// reads upgrade levels keeps working. Bought modules that don't fit are kept in storage.
+//
+// Modules add mass: acceleration is divided by, and thrust fuel multiplied by, the loadout's
+// mass factor (1 = empty hull).
+//
+// state.loadout: { hull, slots: [module | null], stored: [module] }, module: { type, mark }
+
+// Price of taking a track from `level` to `level + 1` (index = level - 1), doubling past the table
+const UPGRADE_COSTS = {
+    speed: [100, 200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200],
+    cargo: [150, 300, 600, 1200, 2400, 4800, 9600, 19200, 38400, 76800],
+    mining: [120, 240, 480, 960, 1920, 3840, 7680, 15360, 30720, 61440],
+    hull: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
+    fuelCapacity: [180, 360, 720, 1440, 2880, 5760, 11520, 23040, 46080, 92160],
+    fuelEfficiency: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
+    range: [160, 320, 640, 1280, 2560, 5120, 10240, 20480, 40960, 81920],
+    multiMining: [2400, 4800, 9600, 19200, 38400], // Max 6 lasers (5 upgrades from level 1)
+    advancedScanner: [5000], // One-time purchase
+    scanRange: [250, 500, 1000, 2000, 4000, 8000, 16000, 32000, 64000, 128000],
+    scanCooldown: [200, 400, 800, 1600, 3200, 6400, 12800, 25600, 51200, 102400],
+    cargoDrone: [20000] // One-time purchase
+};
+
+// One-time purchases start at 0, every other track at 1
+const UPGRADE_BASE_LEVELS = { advancedScanner: 0, cargoDrone: 0 };
+
+// Cargo and fuel capacity have no cap - stack more pods/tanks
+const UPGRADE_MAX_LEVELS = {
+    speed: 10, cargo: Infinity, mining: 10, hull: 10, fuelCapacity: Infinity, fuelEfficiency: 10,
+    range: 10, multiMining: 6, advancedScanner: 1, scanRange: 10, scanCooldown: 10, cargoDrone: 1
+};
+
+const SHIP_HULLS = {
+    skiff: { name: 'SKIFF', slots: 4, mass: 100, cost: 0 },
+    prospector: { name: 'PROSPECTOR', slots: 7, mass: 130, cost: 12000, components: { titaniumPlate: 4, wiring: 4 } },
+    hauler: { name: 'HAULER', slots: 12, mass: 170, cost: 60000, components: { titaniumPlate: 10, circuitBoard: 4 } }
+};
+
+const SHIP_HULL_ORDER = ['skiff', 'prospector', 'hauler'];
+
+// mass at Mk1, plus massPerMark for every mark above it
+const MODULE_TYPES = {
+    thruster: { name: 'THRUSTER', category: 'engine', track: 'speed', maxMark: 9, mass: 6, massPerMark: 0.5 },
+    fuelInjector: { name: 'FUEL INJECTOR', category: 'engine', track: 'fuelEfficiency', maxMark: 9, mass: 3, massPerMark: 0.25 },
+    cargoPod: { name: 'CARGO POD', category: 'cargo', track: 'cargo', maxMark: 9, mass: 8, massPerMark: 1 },
+    fuelTank: { name: 'FUEL TANK', category: 'fuel', track: 'fuelCapacity', maxMark: 9, mass: 6, massPerMark: 0.75 },
+    shieldEmitter: { name: 'SHIELD EMITTER', category: 'shield', track: 'hull', maxMark: 9, mass: 7, massPerMark: 0.75 },
+    laserHead: { name: 'LASER HEAD', category: 'laser', track: 'mining', maxMark: 9, mass: 5, massPerMark: 0.5 },
+    beamSplitter: { name: 'BEAM SPLITTER', category: 'laser', track: 'multiMining', maxMark: 5, mass: 6, massPerMark: 1 },
+    focusingLens: { name: 'FOCUSING LENS', category: 'laser', track: 'range', maxMark: 9, mass: 2, massPerMark: 0.25 },
+    analysisCore: { name: 'ANALYSIS CORE', category: 'scanner', track: 'advancedScanner', maxMark: 1, mass: 4, massPerMark: 0 },
+    scannerArray: { name: 'SCANNER ARRAY', category: 'scanner', track: 'scanRange', maxMark: 9, mass: 3, massPerMark: 0.25 },
+    scanCapacitor: { name: 'SCAN CAPACITOR', category: 'scanner', track: 'scanCooldown', maxMark: 9, mass: 2, massPerMark: 0.25 },
+    droneBay: { name: 'DRONE BAY', category: 'utility', track: 'cargoDrone', maxMark: 1, mass: 10, massPerMark: 0 }
+};
+
+function getUpgradeBaseLevel(track) {
+    return UPGRADE_BASE_LEVELS[track] !== undefined ? UPGRADE_BASE_LEVELS[track] : 1;
+}
+
+function getUpgradeCost(track, level) {
+    const costs = UPGRADE_COSTS[track];
+    const index = Math.max(0, level - 1);
+    if (index < costs.length) return costs[index];
+    
+    return Math.floor(costs[costs.length - 1] * Math.pow(2, index - costs.length + 1));
+}
+
+function getModuleTypeForTrack(track) {
+    return Object.keys(MODULE_TYPES).find(type => MODULE_TYPES[type].track === track);
+}
+
+function createModule(type, mark = 1) {
+    return { type: type, mark: mark };
+}
+
+function createLoadout(hull = 'skiff') {
+    return {
+        hull: hull,
+        slots: new Array(SHIP_HULLS[hull].slots).fill(null),
+        stored: []
+    };
+}
+
+// Saved loadout -> playable one: unknown hulls fall back to the skiff, unknown modules are
+// dropped, marks clamped, and slotted modules beyond the hull's slot count go to storage
+function restoreLoadout(saved) {
+    const hull = saved && SHIP_HULLS[saved.hull] ? saved.hull : 'skiff';
+    const loadout = createLoadout(hull);
+    if (!saved) return loadout;
+    
+    const restoreModule = module => {
+        if (!module || !MODULE_TYPES[module.type]) return null;
+        const mark = Math.round(Number(module.mark)) || 1;
+        return createModule(module.type, Math.max(1, Math.min(MODULE_TYPES[module.type].maxMark, mark)));
+    };
+    
+    (Array.isArray(saved.slots) ? saved.slots : []).forEach((module, i) => {
+        const restored = restoreModule(module);
+        if (!restored) return;
+        if (i < loadout.slots.length) {
+            loadout.slots[i] = restored;
+        } else {
+            loadout.stored.push(restored);
+        }
+    });
+    
+    (Array.isArray(saved.stored) ? saved.stored : []).forEach(module => {
+        const restored = restoreModule(module);
+        if (restored) loadout.stored.push(restored);
+    });
+    
+    return loadout;
+}
+
+function getModuleMass(module) {
+    const moduleType = MODULE_TYPES[module.type];
+    return moduleType.mass + (module.mark - 1) * moduleType.massPerMark;
+}
+
+function getEquippedModules(loadout) {
+    return loadout.slots.filter(module => module !== null);
+}
+
+function getLoadoutMass(loadout) {
+    return getEquippedModules(loadout).reduce((mass, module) => mass + getModuleMass(module), SHIP_HULLS[loadout.hull].mass);
+}
+
+// Total mass over the empty hull's mass. States without a loadout (tests) fly as an empty hull.
+function getLoadoutMassFactor(loadout) {
+    if (!loadout) return 1;
+    return getLoadoutMass(loadout) / SHIP_HULLS[loadout.hull].mass;
+}
+
+function sumTrackLevel(modules, track) {
+    return modules.reduce((level, module) => {
+        return MODULE_TYPES[module.type].track === track ? level + module.mark : level;
+    }, getUpgradeBaseLevel(track));
+}
+
+// Effective upgrade levels from the equipped modules, capped per track
+function getLoadoutUpgrades(loadout) {
+    const equipped = getEquippedModules(loadout);
+    const upgrades = {};
+    
+    Object.keys(UPGRADE_MAX_LEVELS).forEach(track => {
+        upgrades[track] = Math.min(sumTrackLevel(equipped, track), UPGRADE_MAX_LEVELS[track]);
+    });
+    
+    return upgrades;
+}
+
+// Track level counting stored modules too - prices and caps follow what the player owns,
+// so storing a module never makes the next one cheaper
+function getOwnedTrackLevel(loadout, track) {
+    return sumTrackLevel(getEquippedModules(loadout).concat(loadout.stored), track);
+}
+
+// Re-derive upgrades and ship maxima from the equipped modules. Raising a maximum also
+// fills the difference (like the old upgrades did), lowering one clamps the current value.
+function applyLoadout(state) {
+    const oldMaxHull = state.maxHull;
+    const oldMaxFuel = state.maxFuel;
+    
+    state.upgrades = getLoadoutUpgrades(state.loadout);
+    state.maxCargo = 100 + (state.upgrades.cargo - 1) * 50;
+    state.maxHull = 100 + (state.upgrades.hull - 1) * 25;
+    state.maxFuel = 100 + (state.upgrades.fuelCapacity - 1) * 20;
+    
+    state.hull = Math.min(state.hull + Math.max(0, state.maxHull - oldMaxHull), state.maxHull);
+    state.fuel = Math.min(state.fuel + Math.max(0, state.maxFuel - oldMaxFuel), state.maxFuel);
+    
+    // Shield emitters raise the shield along with the hull
+    const oldMaxShield = state.maxShield || 0;
+    state.maxShield = getMaxShield(state.upgrades);
+    state.shield = Math.min((state.shield || 0) + Math.max(0, state.maxShield - oldMaxShield), state.maxShield);
+}
+
+// What the shop's button for a module type does next: refit the best equipped module of that
+// type that can still take a mark, otherwise buy a new Mk1.
+// { action: 'refit'|'buy'|'max', module, cost, components }
+function getModuleOffer(loadout, type) {
+    const moduleType = MODULE_TYPES[type];
+    const ownedLevel = getOwnedTrackLevel(loadout, moduleType.track);
+    
+    if (ownedLevel >= UPGRADE_MAX_LEVELS[moduleType.track]) {
+        return { action: 'max', module: null, cost: 0, components: {} };
+    }
+    
+    const cost = getUpgradeCost(moduleType.track, ownedLevel);
+    const components = getUpgradeComponents(moduleType.track, ownedLevel + 1);
+    const refitTarget = getEquippedModules(loadout)
+        .filter(module => module.type === type && module.mark < moduleType.maxMark)
+        .sort((a, b) => b.mark - a.mark)[0];
+    
+    if (refitTarget) {
+        return { action: 'refit', module: refitTarget, cost: cost, components: components };
+    }
+    
+    return { action: 'buy', module: null, cost: cost, components: components };
+}
+
+// Buy or refit (see getModuleOffer). New modules go into the first free slot, else storage.
+// Returns { ok, reason: 'max'|'credits'|'components', action, module, cost, missing, stored }
+function buyModule(state, type) {
+    const offer = getModuleOffer(state.loadout, type);
+    
+    if (offer.action === 'max') return { ok: false, reason: 'max', action: offer.action, cost: 0 };
+    if (state.credits < offer.cost) return { ok: false, reason: 'credits', action: offer.action, cost: offer.cost };
+    if (!hasItems(state, offer.components)) {
+        return { ok: false, reason: 'components', action: offer.action, cost: offer.cost, missing: getItemShortfall(state, offer.components) };
+    }
+    
+    state.credits -= offer.cost;
+    spendItems(state, offer.components);
+    
+    let module = offer.module;
+    let stored = false;
+    
+    if (offer.action === 'refit') {
+        module.mark++;
+    } else {
+        module = createModule(type);
+        const freeSlot = state.loadout.slots.indexOf(null);
+        if (freeSlot !== -1) {
+            state.loadout.slots[freeSlot] = module;
+        } else {
+            state.loadout.stored.push(module);
+            stored = true;
+        }
+    }
+    
+    applyLoadout(state);
+    return { ok: true, action: offer.action, module: module, cost: offer.cost, stored: stored };
+}
+
+// Commit a slot/storage rearrangement unless the smaller hold could no longer carry the cargo
+function commitLoadoutChange(state, slots, stored) {
+    const upgrades = getLoadoutUpgrades({ hull: state.loadout.hull, slots: slots, stored: stored });
+    if (state.cargo > 100 + (upgrades.cargo - 1) * 50) {
+        return { ok: false, reason: 'cargo' };
+    }
+    
+    state.loadout.slots = slots;
+    state.loadout.stored = stored;
+    applyLoadout(state);
+    return { ok: true };
+}
+
+// Move a stored module into a slot - an occupied slot swaps its module into storage.
+// Returns { ok, reason: 'slot'|'cargo' }
+function fitModule(state, storedIndex, slotIndex) {
+    const module = state.loadout.stored[storedIndex];
+    if (!module || slotIndex < 0 || slotIndex >= state.loadout.slots.length) {
+        return { ok: false, reason: 'slot' };
+    }
+    
+    const slots = state.loadout.slots.slice();
+    const stored = state.loadout.stored.slice();
+    const previous = slots[slotIndex];
+    
+    slots[slotIndex] = module;
+    stored.splice(storedIndex, 1);
+    if (previous) stored.push(previous);
+    
+    return commitLoadoutChange(state, slots, stored);
+}
+
+// Move an equipped module into storage. Returns { ok, reason: 'slot'|'cargo' }
+function storeModule(state, slotIndex) {
+    const module = state.loadout.slots[slotIndex];
+    if (!module) return { ok: false, reason: 'slot' };
+    
+    const slots = state.loadout.slots.slice();
+    slots[slotIndex] = null;
+    
+    return commitLoadoutChange(state, slots, state.loadout.stored.concat([module]));
+}
+
+// The next larger hull, or null on the largest
+function getNextHull(loadout) {
+    return SHIP_HULL_ORDER[SHIP_HULL_ORDER.indexOf(loadout.hull) + 1] || null;
+}
+
+// Move every module onto the next hull class. Returns { ok, reason: 'max'|'credits'|'components', hull, cost, missing }
+function buyNextHull(state) {
+    const hull = getNextHull(state.loadout);
+    if (!hull) return { ok: false, reason: 'max' };
+    
+    const cost = SHIP_HULLS[hull].cost;
+    const components = SHIP_HULLS[hull].components || {};
+    if (state.credits < cost) return { ok: false, reason: 'credits', hull: hull, cost: cost };
+    if (!hasItems(state, components)) {
+        return { ok: false, reason: 'components', hull: hull, cost: cost, missing: getItemShortfall(state, components) };
+    }
+    
+    state.credits -= cost;
+    spendItems(state, components);
+    state.loadout.hull = hull;
+    while (state.loadout.slots.length < SHIP_HULLS[hull].slots) {
+        state.loadout.slots.push(null);
+    }
+    
+    applyLoadout(state);
+    return { ok: true, hull: hull, cost: cost };
+}
+
+// Modules (highest marks first) that add up to `level` on a track
+function createModulesForLevel(track, level) {
+    const type = getModuleTypeForTrack(track);
+    const modules = [];
+    let remaining = Math.min(level, UPGRADE_MAX_LEVELS[track]) - getUpgradeBaseLevel(track);
+    
+    while (remaining > 0) {
+        const mark = Math.min(remaining, MODULE_TYPES[type].maxMark);
+        modules.push(createModule(type, mark));
+        remaining -= mark;
+    }
+    
+    return modules;
+}
+
+// Old flat upgrade levels -> equivalent modules on the smallest hull that holds them all.
+// If even the largest hull is too small the rest go into storage, so nothing is lost -
+// one module per track is fitted first, extra stacked pods/tanks are the ones left over.
+function createLoadoutFromUpgrades(upgrades) {
+    const primary = [];
+    const extra = [];
+    Object.keys(UPGRADE_MAX_LEVELS).forEach(track => {
+        if (typeof upgrades[track] !== 'number') return;
+        const trackModules = createModulesForLevel(track, upgrades[track]);
+        primary.push(...trackModules.slice(0, 1));
+        extra.push(...trackModules.slice(1));
+    });
+    const modules = primary.concat(extra);
+    
+    const hull = SHIP_HULL_ORDER.find(name => SHIP_HULLS[name].slots >= modules.length) ||
+        SHIP_HULL_ORDER[SHIP_HULL_ORDER.length - 1];
+    const loadout = createLoadout(hull);
+    
+    modules.forEach((module, i) => {
+        if (i < loadout.slots.length) {
+            loadout.slots[i] = module;
+        } else {
+            loadout.stored.push(module);
+        }
+    });
+    
+    return loadout;
+}
+
+// ================================
+// REFINING
+// ================================
+// Station refineries turn ore (and other refined items) into ingots and components. Each
+// station works through its own queue one job at a time, on game time, and keeps going while
+// the ship is away - finished items are shipped to the component locker (state.components),
+// which doesn't take cargo space. Components are spent on higher module marks and hulls and
+// handed over for supply missions.
+//
+// state.refineryJobs: [{ id, recipe, stationName, elapsed (ms) }] in queue order
+
+const REFINED_ITEMS = {
+    ironIngot: { name: 'Iron Ingot', icon: '▬', color: '#aaaaaa', value: 12 },
+    copperIngot: { name: 'Copper Ingot', icon: '▬', color: '#ff8844', value: 24 },
+    wiring: { name: 'Wiring', icon: '≈', color: '#ffaa66', value: 30 },
+    titaniumPlate: { name: 'Titanium Plate', icon: '▦', color: '#b0b0d0', value: 110 },
+    circuitBoard: { name: 'Circuit Board', icon: '▣', color: '#66ff99', value: 180 },
+    focusCrystal: { name: 'Focus Crystal', icon: '✧', color: '#ff66cc', value: 320 }
+};
+
+// Inputs are ore types or refined items; duration in seconds, fee in credits
+const REFINERY_RECIPES = {
+    ironIngot: { inputs: { common: 5 }, output: 'ironIngot', count: 1, duration: 20, fee: 10 },
+    copperIngot: { inputs: { copper: 4 }, output: 'copperIngot', count: 1, duration: 20, fee: 15 },
+    wiring: { inputs: { ironIngot: 1, copperIngot: 2 }, output: 'wiring', count: 2, duration: 45, fee: 25 },
+    titaniumPlate: { inputs: { titanium: 3, nickel: 2 }, output: 'titaniumPlate', count: 1, duration: 60, fee: 60 },
+    circuitBoard: { inputs: { wiring: 2, silver: 2, gold: 1 }, output: 'circuitBoard', count: 1, duration: 90, fee: 120 },
+    focusCrystal: { inputs: { ruby: 1, sapphire: 1, emerald: 1 }, output: 'focusCrystal', count: 1, duration: 120, fee: 200 }
+};
+
+const REFINERY_QUEUE_LIMIT = 4; // Jobs per station, the running one included
+
+// Components a module mark / upgrade level needs on top of credits (highest tier reached applies)
+const UPGRADE_COMPONENT_TIERS = [
+    { minLevel: 10, components: { circuitBoard: 1, titaniumPlate: 2 } },
+    { minLevel: 8, components: { wiring: 2, titaniumPlate: 1 } },
+    { minLevel: 6, components: { wiring: 2 } }
+];
+
+function getComponentCount(state, item) {
+    return (state.components && state.components[item]) || 0;
+}
+
+// Held amount of an ore (cargo hold) or refined item (component locker)
+function getItemCount(state, type) {
+    return REFINED_ITEMS[type] ? getComponentCount(state, type) : (state.inventory[type] || 0);
+}
+
+// Take items from the hold or locker - the caller checks there are enough
+function removeItems(state, type, count) {
+    const store = REFINED_ITEMS[type] ? state.components : state.inventory;
+    store[type] -= count;
+    if (store[type] <= 0) delete store[type];
+    if (!REFINED_ITEMS[type]) state.cargo -= count;
+}
+
+// Components needed to take a track to `level` ({} below the first tier)
+function getUpgradeComponents(track, level) {
+    if (UPGRADE_MAX_LEVELS[track] === 1) return {};
+    const tier = UPGRADE_COMPONENT_TIERS.find(entry => level >= entry.minLevel);
+    return tier ? { ...tier.components } : {};
+}
+
+// What's still missing from `items` ({ type: count }), as { type: missing }
+function getItemShortfall(state, items) {
+    const missing = {};
+    Object.keys(items).forEach(type => {
+        const short = items[type] - getItemCount(state, type);
+        if (short > 0) missing[type] = short;
+    });
+    return missing;
+}
+
+function hasItems(state, items) {
+    return Object.keys(getItemShortfall(state, items)).length === 0;
+}
+
+function spendItems(state, items) {
+    Object.keys(items).forEach(type => removeItems(state, type, items[type]));
+}
+
+function getStationRefineryJobs(state, stationName) {
+    return state.refineryJobs.filter(job => job.stationName === stationName);
+}
+
+function getRefineryJobProgress(job) {
+    return Math.min(1, job.elapsed / (REFINERY_RECIPES[job.recipe].duration * 1000));
+}
+
+// Queue a recipe at a station, taking its inputs and fee now.
+// Returns { ok, reason: 'recipe'|'queue'|'inputs'|'credits', missing, job }
+function queueRefineryJob(state, stationName, recipeId) {
+    const recipe = REFINERY_RECIPES[recipeId];
+    if (!recipe) return { ok: false, reason: 'recipe' };
+    if (getStationRefineryJobs(state, stationName).length >= REFINERY_QUEUE_LIMIT) return { ok: false, reason: 'queue' };
+    
+    const missing = getItemShortfall(state, recipe.inputs);
+    if (Object.keys(missing).length > 0) return { ok: false, reason: 'inputs', missing: missing };
+    if (state.credits < recipe.fee) return { ok: false, reason: 'credits', cost: recipe.fee };
+    
+    state.credits -= recipe.fee;
+    spendItems(state, recipe.inputs);
+    
+    const job = { id: state.nextRefineryJobId++, recipe: recipeId, stationName: stationName, elapsed: 0 };
+    state.refineryJobs.push(job);
+    return { ok: true, job: job };
+}
+
+// Cancel a job and take its inputs back (the fee is kept). Ore has to fit in the hold.
+// Returns { ok, reason: 'job'|'cargo' }
+function cancelRefineryJob(state, jobId) {
+    const index = state.refineryJobs.findIndex(job => job.id === jobId);
+    if (index === -1) return { ok: false, reason: 'job' };
+    
+    const inputs = REFINERY_RECIPES[state.refineryJobs[index].recipe].inputs;
+    const ore = Object.keys(inputs).filter(type => !REFINED_ITEMS[type]).reduce((total, type) => total + inputs[type], 0);
+    if (state.cargo + ore > state.maxCargo) return { ok: false, reason: 'cargo' };
+    
+    Object.keys(inputs).forEach(type => {
+        const store = REFINED_ITEMS[type] ? state.components : state.inventory;
+        store[type] = (store[type] || 0) + inputs[type];
+    });
+    state.cargo += ore;
+    state.refineryJobs.splice(index, 1);
+    return { ok: true };
+}
+
+// Advance the first job at every station by `elapsedMs`. Finished output goes to the locker.
+// Returns [{ job, item, count }] for the jobs that finished.
+function stepRefineryJobs(state, elapsedMs) {
+    const finished = [];
+    const running = new Set();
+    
+    state.refineryJobs.forEach(job => {
+        if (running.has(job.stationName)) return;
+        running.add(job.stationName);
+        
+        job.elapsed += elapsedMs;
+        if (getRefineryJobProgress(job) >= 1) {
+            const recipe = REFINERY_RECIPES[job.recipe];
+            state.components[recipe.output] = getComponentCount(state, recipe.output) + recipe.count;
+            finished.push({ job: job, item: recipe.output, count: recipe.count });
+        }
+    });
+    
+    if (finished.length > 0) {
+        state.refineryJobs = state.refineryJobs.filter(job => !finished.some(entry => entry.job === job));
+    }
+    
+    return finished;
+}
+
+// ================================
+// OUTPOSTS
+// ================================
+// Player-founded bases, at most one per sector. The cargo drone hauls ore into the silo, the
+// refinery turns silo ore into credits banked at the outpost, and the fuel depot tops up a ship
+// in range. Outposts keep refining wherever the ship is.
+//
+// state.outposts: [{ id, sectorId, name, x, y, modules: { docks, refinery, fuelDepot, silo },
+//                    silo: { type: count }, credits, refineProgress }]
+
+const OUTPOST_CONFIG = {
+    foundingCost: 15000,       // Includes the first level of docks
+    minStationDistance: 1000,  // Keep clear of the sector's stations
+    serviceRange: 160,         // A ship this close can use the outpost
+    siloBase: 100,             // Silo capacity before any silo upgrades
+    siloPerLevel: 150,
+    refineRate: 6,             // Ore units refined per minute, per refinery level
+    refineBonus: 0.15,         // Refined ore is worth this much more per refinery level
+    fuelRate: 0.05,            // Fuel per frame from the depot, per level
+    haulRatios: [null, 0.8, 0.6, 0.4] // Hold fill that sends the drone off on its own, by docks level
+};
+
+// costs[level - 1] buys that level
+const OUTPOST_MODULES = {
+    docks: { name: 'Docks', costs: [0, 4000, 9000], desc: 'Drone bays - the cargo drone hauls here on its own, sooner each level' },
+    refinery: { name: 'Refinery', costs: [6000, 12000, 24000], desc: 'Refines silo ore into banked credits' },
+    fuelDepot: { name: 'Fuel Depot', costs: [3000, 6000, 12000], desc: 'Free refuelling in range' },
+    silo: { name: 'Storage Silo', costs: [2500, 5000, 10000], desc: 'More room for hauled ore' }
+};
+
+const OUTPOST_MAX_LEVEL = 3;
+
+function createOutpost(id, sectorId, name, x, y) {
+    return {
+        id: id,
+        sectorId: sectorId,
+        name: name,
+        x: x,
+        y: y,
+        modules: { docks: 1, refinery: 0, fuelDepot: 0, silo: 0 },
+        silo: {},
+        credits: 0,
+        refineProgress: 0
+    };
+}
+
+function getSectorOutpost(state, sectorId) {
+    return state.outposts.find(outpost => outpost.sectorId === sectorId) || null;
+}
+
+// Why an outpost can't be founded here ('exists'|'station'|'credits'), or null if it can
+function getOutpostFoundingBlocker(state, sectorId, x, y, stations) {
+    if (getSectorOutpost(state, sectorId)) return 'exists';
+    if (stations.some(st => Math.hypot(st.x - x, st.y - y) < OUTPOST_CONFIG.minStationDistance)) return 'station';
+    if (state.credits < OUTPOST_CONFIG.foundingCost) return 'credits';
+    return null;
+}
+
+// Returns { ok, reason (see getOutpostFoundingBlocker), outpost, cost }
+function foundOutpost(state, sectorId, name, x, y, stations) {
+    const cost = OUTPOST_CONFIG.foundingCost;
+    const reason = getOutpostFoundingBlocker(state, sectorId, x, y, stations);
+    if (reason) return { ok: false, reason: reason, cost: cost };
+    
+    state.credits -= cost;
+    const outpost = createOutpost(state.nextOutpostId++, sectorId, name, x, y);
+    state.outposts.push(outpost);
+    return { ok: true, outpost: outpost, cost: cost };
+}
+
+// Price of the module's next level, or null at max level
+function getOutpostUpgradeCost(outpost, moduleId) {
+    const level = outpost.modules[moduleId];
+    return level >= OUTPOST_MAX_LEVEL ? null : OUTPOST_MODULES[moduleId].costs[level];
+}
+
+// Returns { ok, reason: 'module'|'max'|'credits', cost, level }
+function upgradeOutpost(state, outpost, moduleId) {
+    if (!OUTPOST_MODULES[moduleId]) return { ok: false, reason: 'module' };
+    
+    const cost = getOutpostUpgradeCost(outpost, moduleId);
+    if (cost === null) return { ok: false, reason: 'max' };
+    if (state.credits < cost) return { ok: false, reason: 'credits', cost: cost };
+    
+    state.credits -= cost;
+    outpost.modules[moduleId]++;
+    return { ok: true, cost: cost, level: outpost.modules[moduleId] };
+}
+
+function getSiloCapacity(outpost) {
+    return OUTPOST_CONFIG.siloBase + outpost.modules.silo * OUTPOST_CONFIG.siloPerLevel;
+}
+
+function getSiloTotal(outpost) {
+    return Object.values(outpost.silo).reduce((sum, count) => sum + count, 0);
+}
+
+// Hold fill (0-1) at which the drone hauls to this outpost unasked
+function getOutpostHaulRatio(outpost) {
+    return OUTPOST_CONFIG.haulRatios[Math.min(outpost.modules.docks, OUTPOST_MAX_LEVEL)];
+}
+
+// Take up to `limit` units out of an ore inventory ({ type: count }), most valuable first.
+// Returns the ore taken as { type: count }.
+function takeOre(inventory, limit) {
+    const taken = {};
+    let remaining = limit;
+    
+    const types = Object.keys(inventory).sort((a, b) => ASTEROID_TYPES[b].value - ASTEROID_TYPES[a].value);
+    
+    for (const type of types) {
+        const amount = Math.min(inventory[type], remaining);
+        if (amount <= 0) break;
+        
+        inventory[type] -= amount;
+        if (inventory[type] === 0) delete inventory[type];
+        taken[type] = amount;
+        remaining -= amount;
+    }
+    
+    return taken;
+}
+
+// Unload ore ({ type: count }, taken from) into the silo, most valuable first, as far as it fits.
+// Returns { stored: { type: count }, count } - whatever didn't fit stays in `inventory`.
+function depositToSilo(outpost, inventory) {
+    const stored = takeOre(inventory, getSiloCapacity(outpost) - getSiloTotal(outpost));
+    let count = 0;
+    
+    Object.keys(stored).forEach(type => {
+        outpost.silo[type] = (outpost.silo[type] || 0) + stored[type];
+        count += stored[type];
+    });
+    
+    return { stored: stored, count: count };
+}
+
+// Credits one unit of `type` refines into at this outpost
+function getRefinedOreValue(outpost, type) {
+    return Math.round(ASTEROID_TYPES[type].value * (1 + outpost.modules.refinery * OUTPOST_CONFIG.refineBonus));
+}
+
+// Run every outpost refinery for `elapsedMs`, best ore first, banking the credits at the outpost.
+// Returns [{ outpost, units, credits }] for the outposts that refined anything.
+function stepOutposts(state, elapsedMs) {
+    const refined = [];
+    
+    state.outposts.forEach(outpost => {
+        if (outpost.modules.refinery === 0 || getSiloTotal(outpost) === 0) {
+            outpost.refineProgress = 0;
+            return;
+        }
+        
+        outpost.refineProgress += (elapsedMs / 60000) * OUTPOST_CONFIG.refineRate * outpost.modules.refinery;
+        
+        let units = 0;
+        let credits = 0;
+        
+        while (outpost.refineProgress >= 1 && getSiloTotal(outpost) > 0) {
+            const type = Object.keys(outpost.silo).sort((a, b) => ASTEROID_TYPES[b].value - ASTEROID_TYPES[a].value)[0];
+            
+            outpost.silo[type]--;
+            if (outpost.silo[type] === 0) delete outpost.silo[type];
+            outpost.refineProgress--;
+            
+            const value = getRefinedOreValue(outpost, type);
+            outpost.credits += value;
+            credits += value;
+            units++;
+        }
+        
+        if (units > 0) refined.push({ outpost: outpost, units: units, credits: credits });
+    });
+    
+    return refined;
+}
+
+// ================================
+// STATION ECONOMY
+// ================================
+// Every station keeps a stockpile of each ore on its market ({ stock, target, consumption }).
+// NPC miners unload at their home station, the player's sales land there too, and the
+// station's industry burns through it over time. Stock under the target is a shortage - the
+// station pays a premium and posts delivery missions - and stock far over it is a glut.
+
+const ECONOMY_CONFIG = {
+    stockPerChance: 400,    // Target stock per unit of an ore's baseChance (iron ore: 160)
+    minTarget: 4,           // Even the rarest ore is worth keeping a few of
+    targetSpread: 0.4,      // Targets roll within ±40% of the rarity-based amount
+    drainSeconds: 900,      // A station uses up its target stock in ~15 minutes
+    drainSpread: 0.3,       // Consumption rolls within ±30%
+    shortagePremium: 0.75,  // An empty stockpile pays 75% over the normal price
+    surplusDiscount: 0.15,  // Each full target of surplus takes 15% off the price...
+    minSurplusFactor: 0.6,  // ...down to 60%
+    shortageLevel: 0.35,    // Stock under 35% of target is a shortage
+    lowLevel: 0.75,         // Under 75% is running low
+    surplusLevel: 2         // Over twice the target is a surplus
+};
+
+// Stockpile targets and consumption rates, starting full
+function createStationStock(rng = Math.random) {
+    const stock = { stock: {}, target: {}, consumption: {} };
+    
+    for (const [type, data] of Object.entries(ASTEROID_TYPES)) {
+        const target = Math.max(ECONOMY_CONFIG.minTarget,
+            Math.round(data.baseChance * ECONOMY_CONFIG.stockPerChance * (1 + (rng() * 2 - 1) * ECONOMY_CONFIG.targetSpread)));
+        
+        stock.target[type] = target;
+        stock.stock[type] = target;
+        stock.consumption[type] = (target / ECONOMY_CONFIG.drainSeconds) * (1 + (rng() * 2 - 1) * ECONOMY_CONFIG.drainSpread);
+    }
+    
+    return stock;
+}
+
+// Stock over target (1 = exactly on target). Markets without a stockpile count as on target.
+function getStockRatio(market, type, extraStock = 0) {
+    if (!market.stock || !market.target || !market.target[type]) return 1;
+    return (market.stock[type] + extraStock) / market.target[type];
+}
+
+// Price multiplier from the stockpile: up to +75% when empty, falling off past the target
+function getStockPriceFactor(market, type, extraStock = 0) {
+    const ratio = getStockRatio(market, type, extraStock);
+    
+    if (ratio < 1) {
+        return 1 + ECONOMY_CONFIG.shortagePremium * (1 - ratio);
+    }
+    
+    return Math.max(ECONOMY_CONFIG.minSurplusFactor, 1 - ECONOMY_CONFIG.surplusDiscount * (ratio - 1));
+}
+
+// 'shortage' | 'low' | 'stable' | 'surplus'
+function getStockStatus(market, type) {
+    const ratio = getStockRatio(market, type);
+    
+    if (ratio < ECONOMY_CONFIG.shortageLevel) return 'shortage';
+    if (ratio < ECONOMY_CONFIG.lowLevel) return 'low';
+    if (ratio > ECONOMY_CONFIG.surplusLevel) return 'surplus';
+    return 'stable';
+}
+
+// Ores the station is short of, emptiest first
+function findStockShortages(market) {
+    return Object.keys(ASTEROID_TYPES)
+        .filter(type => getStockStatus(market, type) === 'shortage')
+        .sort((a, b) => getStockRatio(market, a) - getStockRatio(market, b));
+}
+
+// Unload ore ({ type: count }) into the stockpile. Unknown types are ignored.
+// Returns the number of units delivered.
+function deliverToStockpile(market, cargo) {
+    if (!market.stock) return 0;
+    
+    let units = 0;
+    for (const [type, count] of Object.entries(cargo || {})) {
+        if (market.stock[type] === undefined || !(count > 0)) continue;
+        
+        market.stock[type] += count;
+        units += count;
+    }
+    
+    return units;
+}
+
+// Burn `seconds` of consumption. Stock over target is used (or traded away) proportionally
+// faster, so a flooded stockpile settles back instead of growing forever.
+function stepStationEconomy(market, seconds) {
+    if (!market.stock) return;
+    
+    for (const type of Object.keys(market.stock)) {
+        if (market.stock[type] <= 0) continue;
+        
+        const rate = market.consumption[type] * Math.max(1, getStockRatio(market, type));
+        market.stock[type] = Math.max(0, market.stock[type] - rate * seconds);
+    }
+}
+
+// ================================
+// FUEL
+// ================================
+
+// Burn `rate` fuel per frame, scaled by the efficiency upgrade. God mode keeps the tank full.
+// Returns the amount actually burned.
+function burnFuel(state, rate, dt = 1, godMode = false) {
+    if (godMode) {
+        state.fuel = state.maxFuel;
+        return 0;
+    }
+    
+    const before = state.fuel;
+    state.fuel = Math.max(0, state.fuel - rate * getFuelEfficiencyMultiplier(state.upgrades) * dt);
+    return before - state.fuel;
+}
+
+// ================================
+// ALARMS
+// ================================
+// When the fuel and hull alarms go off - the sound code only plays what these report. Each
+// alarm after the first in its list is the urgent one.
+
+const HULL_ALARM_THRESHOLDS = [0.5, 0.25];   // Hull ratios, sounded once on the way down
+
+// Fuel warnings trip when the tank falls into their band (at or below `ratio`, above `floor`)
+// and re-arm once it is refilled past `ratio`
+const FUEL_WARNINGS = [
+    { id: 'warning50', ratio: 0.4, floor: 0.2 },
+    { id: 'warning25', ratio: 0.2, floor: 0.1 }
+];
+
+// Trip and re-arm `warnings` (id -> { triggered, timestamp }) for the current fuel ratio
+function stepFuelWarnings(warnings, fuelRatio, now) {
+    for (const { id, ratio, floor } of FUEL_WARNINGS) {
+        const warning = warnings[id];
+        if (fuelRatio <= ratio && fuelRatio > floor && !warning.triggered) {
+            warning.triggered = true;
+            warning.timestamp = now;
+        } else if (fuelRatio > ratio) {
+            warning.triggered = false;
+        }
+    }
+}
+
+// Alarms for the hull thresholds crossed going from `lastRatio` down to `ratio` - true for
+// an urgent one
+function getHullAlarms(lastRatio, ratio) {
+    const alarms = [];
+    HULL_ALARM_THRESHOLDS.forEach((threshold, i) => {
+        if (lastRatio > threshold && ratio <= threshold) alarms.push(i > 0);
+    });
+    return alarms;
+}
+
+// Alarms for the fuel warnings tripped since `seen` (id -> triggered, brought up to date
+// here) - true for an urgent one
+function stepFuelAlarms(seen, warnings) {
+    const alarms = [];
+    FUEL_WARNINGS.forEach(({ id }, i) => {
+        if (warnings[id].triggered && !seen[id]) alarms.push(i > 0);
+        seen[id] = warnings[id].triggered;
+    });
+    return alarms;
+}
+
+// ================================
+// SHIP MOVEMENT
+// ================================
+
+// One frame of thrust, friction, speed cap, position and fuel burn for the player ship.
+// input: { moveX, moveY, autopilot, docked, godMode }
+// Manual flight only moves (and burns fuel) above 0.1 speed and only while thrusting;
+// autopilot always thrusts. Returns { speed, fuelUsed }.
+function stepShipMovement(state, ship, input, dt = 1) {
+    const maxSpeed = getMaxShipSpeed(state.upgrades);
+    const massFactor = getLoadoutMassFactor(state.loadout);
+    
+    // Thrust only if fuel available - heavier loadouts accelerate slower
+    if (state.fuel > 0) {
+        ship.vx += input.moveX * (CONFIG.acceleration / massFactor) * dt;
+        ship.vy += input.moveY * (CONFIG.acceleration / massFactor) * dt;
+    }
+    
+    // Apply friction (time-consistent)
+    const frictionFactor = Math.pow(CONFIG.friction, dt);
+    ship.vx *= frictionFactor;
+    ship.vy *= frictionFactor;
+    
+    // Limit speed
+    const currentSpeed = Math.sqrt(ship.vx * ship.vx + ship.vy * ship.vy);
+    if (currentSpeed > maxSpeed) {
+        ship.vx = (ship.vx / currentSpeed) * maxSpeed;
+        ship.vy = (ship.vy / currentSpeed) * maxSpeed;
+    }
+    
+    let fuelUsed = 0;
+    
+    if (input.autopilot || currentSpeed > 0.1) {
+        ship.x += ship.vx * dt;
+        ship.y += ship.vy * dt;
+        
+        // Fuel is only spent on thrust - never on gravity/momentum drift
+        const thrusting = input.autopilot || input.moveX !== 0 || input.moveY !== 0;
+        if (!input.docked && thrusting) {
+            fuelUsed = burnFuel(state, CONFIG.baseFuelConsumption * massFactor, dt, input.godMode);
+            state.stats.distanceTraveled += currentSpeed * dt;
+        }
+    }
+    
+    // Clamp to world bounds
+    ship.x = Math.max(ship.size, Math.min(CONFIG.worldWidth - ship.size, ship.x));
+    ship.y = Math.max(ship.size, Math.min(CONFIG.worldHeight - ship.size, ship.y));
+    
+    return { speed: currentSpeed, fuelUsed: fuelUsed };
+}
+
+// ================================
+// MINING
+// ================================
+
+// Why the ship can't mine right now ('fuel' or 'cargo'), or null if it can
+function getMiningBlocker(state) {
+    if (state.fuel < CONFIG.miningFuelCost) return 'fuel';
+    if (state.cargo >= state.maxCargo) return 'cargo';
+    return null;
+}
+
+// Advance one laser's cycle. Returns true (and resets progress) when a cycle completes.
+function advanceMiningTarget(target, miningSpeed, dt = 1) {
+    target.progress += dt;
+    
+    if (target.progress < miningSpeed) return false;
+    
+    target.progress = 0;
+    return true;
+}
+
+// One completed mining cycle: ore into cargo (see getCycleYield), and 1-2 chunks chipped off
+// the asteroid's outline in proportion to its remaining health.
+// Returns { type, amount, coreExposed, destroyed, chips } - chips are the world points the
+// chunks broke off at, coreExposed is set on the cycle the laser first breaks into a rich core.
+function mineAsteroidCycle(state, asteroid, sim) {
+    const rng = sim.rng;
+    
+    asteroid.health--;
+    
+    const healthRatio = asteroid.health / asteroid.maxHealth;
+    const chips = [];
+    
+    if (asteroid.geometry && asteroid.geometry.length > 0) {
+        const numChunks = 1 + Math.floor(rng() * 2);
+        
+        for (let chunk = 0; chunk < numChunks; chunk++) {
+            // Pick a random vertex to damage, randomly including one or both neighbours
+            const damageIndex = Math.floor(rng() * asteroid.geometry.length);
+            const vertsToShrink = [damageIndex];
+            
+            if (rng() > 0.5) {
+                vertsToShrink.push((damageIndex - 1 + asteroid.geometry.length) % asteroid.geometry.length);
+            }
+            
+            if (rng() > 0.5) {
+                vertsToShrink.push((damageIndex + 1) % asteroid.geometry.length);
+            }
+            
+            vertsToShrink.forEach(index => {
+                const point = asteroid.geometry[index];
+                const originalPoint = asteroid.originalGeometry[index];
+                
+                // World position of the vertex BEFORE shrinking
+                chips.push({
+                    x: asteroid.x + point.x * Math.cos(asteroid.rotation) - point.y * Math.sin(asteroid.rotation),
+                    y: asteroid.y + point.x * Math.sin(asteroid.rotation) + point.y * Math.cos(asteroid.rotation)
+                });
+                
+                point.x = originalPoint.x * healthRatio;
+                point.y = originalPoint.y * healthRatio;
+            });
+        }
+    }
+    
+    const cycleYield = getCycleYield(asteroid, rng);
+    const amount = Math.max(1, Math.min(cycleYield.amount, state.maxCargo - state.cargo));
+    
+    state.inventory[cycleYield.type] = (state.inventory[cycleYield.type] || 0) + amount;
+    state.cargo += amount;
+    state.stats.totalMined += amount;
+    
+    // Track minerals mined by type (for mineral survey missions)
+    state.stats.mineralsMined[cycleYield.type] = (state.stats.mineralsMined[cycleYield.type] || 0) + amount;
+    
+    if (asteroid.health <= 0) {
+        state.stats.asteroidsDestroyed++;
+        asteroid.destroyed = true;
+        
+        // Rocks from a meteor shower count for meteor bounties
+        if (asteroid.meteor) {
+            state.stats.meteorsMined = (state.stats.meteorsMined || 0) + 1;
+        }
+    }
+    
+    return {
+        type: cycleYield.type,
+        amount: amount,
+        coreExposed: cycleYield.coreExposed,
+        destroyed: asteroid.destroyed === true,
+        chips: chips
+    };
+}
+
+// ================================
+// ASTEROID COMPOSITION
+// ================================
+// An asteroid is mostly its own ore with traces of its neighbours in ASTEROID_TYPES (which is
+// ordered by rarity), and some hide a core of richer ore that only pays out once the rock is
+// mined down to it. The advanced scanner reads all of this; without it only the surface shows.
+
+const COMPOSITION_CONFIG = {
+    primaryShare: [50, 85],   // % of the rock that is its own (surface) ore
+    maxTraces: 2,             // Other ores mixed in
+    traceReach: 2,            // Traces come from ores up to this many rarity steps away
+    coreChance: 0.2,          // Asteroids hiding a rich core
+    coreDepth: [0.2, 0.45],   // The core starts once health falls to this share of max
+    coreYield: [2, 3],        // Ore per mining cycle inside the core
+    coreStep: [1, 3]          // Rarity steps the core ore sits above the surface ore
+};
+
+// { ores: { type: percent } (sums to 100), core: null | { type, depth, yield, exposed } }
+function createAsteroidComposition(type, rng = Math.random) {
+    const types = Object.keys(ASTEROID_TYPES);
+    const index = types.indexOf(type);
+    const pick = range => range[0] + Math.floor(rng() * (range[1] - range[0] + 1));
+    
+    const ores = { [type]: pick(COMPOSITION_CONFIG.primaryShare) };
+    
+    // Traces split what's left of the rock
+    const candidates = types.filter((other, i) => other !== type && Math.abs(i - index) <= COMPOSITION_CONFIG.traceReach);
+    const traceCount = Math.min(candidates.length, 1 + Math.floor(rng() * COMPOSITION_CONFIG.maxTraces));
+    let remaining = 100 - ores[type];
+    
+    for (let i = 0; i < traceCount; i++) {
+        const trace = candidates.splice(Math.floor(rng() * candidates.length), 1)[0];
+        const share = i === traceCount - 1 ? remaining : Math.round(remaining * (0.4 + rng() * 0.3));
+        ores[trace] = share;
+        remaining -= share;
+    }
+    
+    // No neighbours to mix in - the rock is pure
+    if (remaining > 0) ores[type] += remaining;
+    
+    let core = null;
+    if (rng() < COMPOSITION_CONFIG.coreChance) {
+        const coreIndex = Math.min(types.length - 1, index + pick(COMPOSITION_CONFIG.coreStep));
+        const depthRange = COMPOSITION_CONFIG.coreDepth;
+        
+        core = {
+            type: types[coreIndex],
+            depth: Math.round((depthRange[0] + rng() * (depthRange[1] - depthRange[0])) * 100) / 100,
+            yield: pick(COMPOSITION_CONFIG.coreYield),
+            exposed: false
+        };
+    }
+    
+    return { ores: ores, core: core };
+}
+
+function isInCore(asteroid, health = asteroid.health) {
+    const core = asteroid.composition && asteroid.composition.core;
+    return !!core && health / asteroid.maxHealth <= core.depth;
+}
+
+// What one cycle pulls out of an asteroid at its current health: the core's ore once the laser
+// is in it, otherwise one unit drawn by the rock's ore shares. Asteroids without a composition
+// (older saves, tests) just give their own type.
+function getCycleYield(asteroid, rng = Math.random) {
+    const composition = asteroid.composition;
+    if (!composition) return { type: asteroid.type, amount: 1, coreExposed: false };
+    
+    if (isInCore(asteroid)) {
+        const core = composition.core;
+        const coreExposed = !core.exposed;
+        core.exposed = true;
+        return { type: core.type, amount: core.yield, coreExposed: coreExposed };
+    }
+    
+    let roll = rng() * 100;
+    for (const [type, share] of Object.entries(composition.ores)) {
+        roll -= share;
+        if (roll < 0) return { type: type, amount: 1, coreExposed: false };
+    }
+    
+    return { type: asteroid.type, amount: 1, coreExposed: false };
+}
+
+// Expected ore and credit value still in an asteroid, before prestige bonuses.
+// Pass deepScan = false to estimate only from what's visible (the surface ore, no core).
+function estimateAsteroidYield(asteroid, deepScan = true) {
+    const composition = deepScan ? asteroid.composition : null;
+    const surfaceValue = composition
+        ? Object.entries(composition.ores).reduce((sum, [type, share]) => sum + ASTEROID_TYPES[type].value * share / 100, 0)
+        : ASTEROID_TYPES[asteroid.type].value;
+    const core = composition && composition.core;
+    
+    let units = 0;
+    let value = 0;
+    
+    // Each cycle takes 1 health, and yields by the health left after it
+    for (let health = asteroid.health - 1; health >= 0; health--) {
+        if (core && isInCore(asteroid, health)) {
+            units += core.yield;
+            value += core.yield * ASTEROID_TYPES[core.type].value;
+        } else {
+            units += 1;
+            value += surfaceValue;
+        }
+    }
+    
+    return { units: units, value: Math.round(value) };
+}
+
+// ================================
+// HAZARDS
+// ================================
+
+// One frame of hazard contact for a ship. Vortex pull goes straight onto the ship's velocity
+// and vortex contact damage ticks every 30 frames; debris and mines hit once and are removed
+// from `hazards`. Returns [{ hazard, damage, destroyed }] for the caller to apply and render.
+function stepHazardContacts(ship, hazards, dt = 1, frame = 0) {
+    const hits = [];
+    
+    for (let i = hazards.length - 1; i >= 0; i--) {
+        const hazard = hazards[i];
+        const hazardData = HAZARD_TYPES[hazard.type];
+        const dx = hazard.x - ship.x;
+        const dy = hazard.y - ship.y;
+        const distSq = dx * dx + dy * dy; // Use squared distance to avoid sqrt
+        
+        if (hazard.type === 'vortex') {
+            const pullRadius = hazardData.size * 3;
+            
+            // Gravity pull - falls off linearly towards the edge of the pull radius
+            if (distSq < pullRadius * pullRadius) {
+                const dist = Math.sqrt(distSq);
+                const angle = Math.atan2(dy, dx);
+                const pullStrength = hazardData.pullForce * (1 - dist / pullRadius) * dt;
+                ship.vx += Math.cos(angle) * pullStrength;
+                ship.vy += Math.sin(angle) * pullStrength;
+            }
+            
+            if (distSq < hazardData.size * hazardData.size && frame % 30 === 0) {
+                hits.push({ hazard: hazard, damage: hazardData.damage, destroyed: false });
+            }
+        } else {
+            const collisionRadius = (hazardData.size + ship.size) / 2;
+            
+            if (distSq < collisionRadius * collisionRadius) {
+                hazards.splice(i, 1);
+                hits.push({ hazard: hazard, damage: hazardData.damage, destroyed: true });
+            }
+        }
+    }
+    
+    return hits;
+}
+
+const NEAR_MISS_MARGIN = 40; // How far outside the collision radius a hazard still counts as a close call
+
+// Close calls: debris or a mine that comes within NEAR_MISS_MARGIN of the ship and moves
+// off again without hitting it. ship.nearHazards holds the ones being passed right now; one
+// that hit was already spliced out of `hazards` by stepHazardContacts(), so it never counts.
+// Adds to stats.hazardsAvoided and returns how many got away this frame.
+function stepNearMisses(ship, hazards, stats) {
+    const near = [];
+    let avoided = 0;
+    
+    for (const hazard of hazards) {
+        if (hazard.type === 'vortex') continue;
+        
+        const nearRadius = (HAZARD_TYPES[hazard.type].size + ship.size) / 2 + NEAR_MISS_MARGIN;
+        const dx = hazard.x - ship.x;
+        const dy = hazard.y - ship.y;
+        if (dx * dx + dy * dy < nearRadius * nearRadius) {
+            near.push(hazard);
+        }
+    }
+    
+    for (const hazard of ship.nearHazards || []) {
+        if (!near.includes(hazard) && hazards.includes(hazard)) {
+            avoided++;
+        }
+    }
+    
+    ship.nearHazards = near;
+    stats.hazardsAvoided = (stats.hazardsAvoided || 0) + avoided;
+    return avoided;
+}
+
+// Take hull damage. God mode repairs instead. Returns true if the hull is gone.
+function applyHullDamage(state, amount, godMode = false) {
+    if (godMode) {
+        state.hull = state.maxHull;
+        return false;
+    }
+    
+    state.hull = Math.max(0, state.hull - amount);
+    return state.hull <= 0;
+}
+
+// ================================
+// SHIELDS & COMBAT
+// ================================
+// Ships carry a shield that soaks up damage before the hull and recharges after a few quiet
+// seconds. Shield emitters (the hull track) raise it along with the hull. Pirates run on the
+// same rules, so anything with shield/maxShield/shieldRegenDelay/hull fields can take a hit.
+//
+// Pirates prowl a sector and go after ships with a full hold. stepPirate() is the whole of
+// their flying - the NPC worker runs it, or the main thread while the worker isn't there:
+//   'seeking'  - drifting about, watching for a loaded ship in range
+//   'pursuing' - closing to firing range and shooting
+//   'fleeing'  - hull low, running until out of range (then it's gone)
+
+const SHIELD_CONFIG = {
+    base: 20,          // Shield with no emitter upgrades
+    perLevel: 10,      // Added per hull track level
+    regenDelay: 180,   // Frames without damage before it recharges
+    regenRate: 0.15    // Points per frame while recharging
+};
+
+const PIRATE_CONFIG = {
+    size: 30,
+    maxHull: 60,
+    maxShield: 30,
+    speed: 0.95,           // Just under an unupgraded ship's top speed
+    acceleration: 0.3,
+    friction: 0.94,
+    turnRate: 0.08,        // Radians per frame
+    detectRange: 900,      // Notices a loaded ship this close
+    giveUpRange: 1600,     // Breaks off a chase past this
+    attackRange: 260,
+    holdRange: 180,        // Stops closing in at this distance
+    fireInterval: 50,      // Frames between shots
+    damage: 6,
+    fleeHullRatio: 0.3,    // Runs once the hull drops to this share
+    escapeRange: 1800,     // A fleeing pirate this far out is gone
+    ambushCargoRatio: 0.5  // Hold share that makes a ship worth robbing
+};
+
+// The ship's defensive turret fires the mining laser at pirates in range.
+// Range follows the focusing lens (range track), damage the laser heads (mining track).
+const TURRET_CONFIG = {
+    range: 280,
+    rangePerLevel: 15,
+    damage: 5,
+    damagePerLevel: 1,
+    interval: 30           // Frames between shots
+};
+
+const LOOT_CONFIG = {
+    pickupRange: 45,       // From the ship's centre
+    lifetime: 3600,        // Frames before an unclaimed drop is lost
+    friction: 0.98
+};
+
+function getMaxShield(upgrades) {
+    return SHIELD_CONFIG.base + (upgrades.hull - 1) * SHIELD_CONFIG.perLevel;
+}
+
+// Drain the shield first and the hull with the rest, and hold off the recharge.
+// Returns { absorbed, hullDamage, destroyed }.
+function applyShieldedDamage(target, amount) {
+    const absorbed = Math.min(target.shield, amount);
+    const hullDamage = amount - absorbed;
+    
+    target.shield -= absorbed;
+    target.shieldRegenDelay = SHIELD_CONFIG.regenDelay;
+    
+    const destroyed = applyHullDamage(target, hullDamage);
+    return { absorbed: absorbed, hullDamage: hullDamage, destroyed: destroyed };
+}
+
+// Count down the recharge delay, then refill
+function stepShieldRegen(target, dt = 1) {
+    if (target.shieldRegenDelay > 0) {
+        target.shieldRegenDelay = Math.max(0, target.shieldRegenDelay - dt);
+        return;
+    }
+    
+    target.shield = Math.min(target.maxShield, target.shield + SHIELD_CONFIG.regenRate * dt);
+}
+
+function getTurretStats(upgrades) {
+    return {
+        range: TURRET_CONFIG.range + (upgrades.range - 1) * TURRET_CONFIG.rangePerLevel,
+        damage: TURRET_CONFIG.damage + (upgrades.mining - 1) * TURRET_CONFIG.damagePerLevel,
+        interval: TURRET_CONFIG.interval
+    };
+}
+
+// Nearest pirate within `range` of the ship, or null
+function findTurretTarget(ship, pirates, range) {
+    let nearest = null;
+    let nearestDistSq = range * range;
+    
+    for (const pirate of pirates) {
+        const dx = pirate.x - ship.x;
+        const dy = pirate.y - ship.y;
+        const distSq = dx * dx + dy * dy;
+        
+        if (distSq <= nearestDistSq) {
+            nearest = pirate;
+            nearestDistSq = distSq;
+        }
+    }
+    
+    return nearest;
+}
+
+function createPirate(id, name, x, y, inventory, rng = Math.random) {
+    return {
+        id: id,
+        name: name,
+        x: x,
+        y: y,
+        vx: 0,
+        vy: 0,
+        angle: rng() * Math.PI * 2,
+        wanderAngle: rng() * Math.PI * 2,
+        size: PIRATE_CONFIG.size,
+        hull: PIRATE_CONFIG.maxHull,
+        maxHull: PIRATE_CONFIG.maxHull,
+        shield: PIRATE_CONFIG.maxShield,
+        maxShield: PIRATE_CONFIG.maxShield,
+        shieldRegenDelay: 0,
+        state: 'seeking',
+        fireCooldown: PIRATE_CONFIG.fireInterval,
+        inventory: inventory,
+        cargo: Object.values(inventory).reduce((sum, count) => sum + count, 0)
+    };
+}
+
+// Is a ship ({ cargo, maxCargo, docked }) worth ambushing
+function isPirateTarget(ship) {
+    return !!ship && !ship.docked && ship.maxCargo > 0 &&
+        ship.cargo / ship.maxCargo >= PIRATE_CONFIG.ambushCargoRatio;
+}
+
+// Which of the crew's ships a pirate hunts - the nearest one worth ambushing, else the
+// nearest. Returns its index in `ships`, or -1 when there are none.
+function choosePirateTarget(pirate, ships) {
+    let best = -1;
+    let bestDistSq = Infinity;
+    let bestIsPrey = false;
+    
+    ships.forEach((ship, index) => {
+        const isPrey = isPirateTarget(ship);
+        const distSq = (ship.x - pirate.x) ** 2 + (ship.y - pirate.y) ** 2;
+        if ((isPrey && !bestIsPrey) || (isPrey === bestIsPrey && distSq < bestDistSq)) {
+            best = index;
+            bestDistSq = distSq;
+            bestIsPrey = isPrey;
+        }
+    });
+    
+    return best;
+}
+
+// Turn `angle` towards `desired` by at most `maxStep` radians
+function turnTowards(angle, desired, maxStep) {
+    let diff = desired - angle;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    
+    return angle + Math.max(-maxStep, Math.min(maxStep, diff));
+}
+
+// One frame of a pirate. target is the ship it hunts ({ x, y, cargo, maxCargo, docked }) or
+// null, bounds the sector size ({ width, height }). Returns { fired, escaped, state } -
+// state is the new state when it changed this frame, else null.
+function stepPirate(pirate, target, bounds, dt = 1, rng = Math.random) {
+    const config = PIRATE_CONFIG;
+    const dx = target ? target.x - pirate.x : 0;
+    const dy = target ? target.y - pirate.y : 0;
+    const dist = target ? Math.sqrt(dx * dx + dy * dy) : Infinity;
+    const previousState = pirate.state;
+    
+    if (pirate.hull <= pirate.maxHull * config.fleeHullRatio) {
+        pirate.state = 'fleeing';
+    } else if (pirate.state === 'pursuing' && (!target || target.docked || target.cargo === 0 || dist > config.giveUpRange)) {
+        pirate.state = 'seeking';
+    } else if (pirate.state === 'seeking' && isPirateTarget(target) && dist < config.detectRange) {
+        pirate.state = 'pursuing';
+    }
+    
+    pirate.fireCooldown = Math.max(0, pirate.fireCooldown - dt);
+    
+    let thrustAngle = null;
+    let thrust = 0;
+    let facing = null;
+    let fired = false;
+    let escaped = false;
+    
+    switch (pirate.state) {
+        case 'seeking':
+            pirate.wanderAngle += (rng() - 0.5) * 0.2 * dt;
+            thrustAngle = pirate.wanderAngle;
+            thrust = 0.4;
+            break;
+            
+        case 'pursuing':
+            facing = Math.atan2(dy, dx);
+            if (dist > config.holdRange) {
+                thrustAngle = facing;
+                thrust = 1;
+            }
+            if (dist < config.attackRange && pirate.fireCooldown === 0) {
+                fired = true;
+                pirate.fireCooldown = config.fireInterval;
+            }
+            break;
+            
+        case 'fleeing':
+            thrustAngle = target ? Math.atan2(-dy, -dx) : pirate.wanderAngle;
+            thrust = 1;
+            escaped = dist > config.escapeRange;
+            break;
+    }
+    
+    if (thrustAngle !== null) {
+        pirate.vx += Math.cos(thrustAngle) * config.acceleration * thrust * dt;
+        pirate.vy += Math.sin(thrustAngle) * config.acceleration * thrust * dt;
+    }
+    
+    const frictionFactor = Math.pow(config.friction, dt);
+    pirate.vx *= frictionFactor;
+    pirate.vy *= frictionFactor;
+    
+    const speed = Math.sqrt(pirate.vx * pirate.vx + pirate.vy * pirate.vy);
+    if (speed > config.speed) {
+        pirate.vx = (pirate.vx / speed) * config.speed;
+        pirate.vy = (pirate.vy / speed) * config.speed;
+    }
+    
+    pirate.x += pirate.vx * dt;
+    pirate.y += pirate.vy * dt;
+    
+    // Fleeing pirates leave through the sector edge, the rest turn back towards the middle
+    const clampedX = Math.max(pirate.size, Math.min(bounds.width - pirate.size, pirate.x));
+    const clampedY = Math.max(pirate.size, Math.min(bounds.height - pirate.size, pirate.y));
+    if (clampedX !== pirate.x || clampedY !== pirate.y) {
+        pirate.x = clampedX;
+        pirate.y = clampedY;
+        if (pirate.state === 'fleeing') {
+            escaped = true;
+        } else {
+            pirate.wanderAngle = Math.atan2(bounds.height / 2 - pirate.y, bounds.width / 2 - pirate.x);
+        }
+    }
+    
+    // Pursuers keep their guns on the target, otherwise the nose follows the velocity
+    if (facing === null && speed > 0.05) {
+        facing = Math.atan2(pirate.vy, pirate.vx);
+    }
+    if (facing !== null) {
+        pirate.angle = turnTowards(pirate.angle, facing, config.turnRate * dt);
+    }
+    
+    return { fired: fired, escaped: escaped, state: pirate.state !== previousState ? pirate.state : null };
+}
+
+function createLootDrop(id, x, y, vx, vy, inventory) {
+    return { id: id, x: x, y: y, vx: vx, vy: vy, inventory: { ...inventory }, age: 0 };
+}
+
+// Scoop a drop into the hold, most valuable ore first, as far as the hold has room.
+// Returns { taken: { type: count }, count, empty }.
+function collectLoot(state, loot) {
+    const taken = {};
+    let count = 0;
+    
+    const types = Object.keys(loot.inventory)
+        .sort((a, b) => (ASTEROID_TYPES[b] ? ASTEROID_TYPES[b].value : 0) - (ASTEROID_TYPES[a] ? ASTEROID_TYPES[a].value : 0));
+    
+    for (const type of types) {
+        const amount = Math.min(loot.inventory[type], state.maxCargo - state.cargo);
+        if (amount <= 0) break;
+        
+        state.inventory[type] = (state.inventory[type] || 0) + amount;
+        state.cargo += amount;
+        loot.inventory[type] -= amount;
+        if (loot.inventory[type] === 0) delete loot.inventory[type];
+        
+        taken[type] = amount;
+        count += amount;
+    }
+    
+    return { taken: taken, count: count, empty: Object.keys(loot.inventory).length === 0 };
+}
+
+// ================================
+// SECTOR EVENTS
+// ================================
+// Timed happenings in the current sector, run on game time (seconds) by a scheduler:
+//   'meteorShower' - a burst of rich asteroids sweeps in from one edge of the sector
+//   'solarStorm'   - the scanner is jammed and shields bleed away for the duration
+//   'derelict'     - a wrecked ship drifts through with parts for whoever salvages it
+// Every event is announced `warning` seconds before it starts. A sector jump starts a fresh
+// schedule, and stations post bounties for the events that are on (see getObjectiveProgress).
+
+const SECTOR_EVENT_CONFIG = {
+    firstDelay: [60, 120],   // Seconds before the first announcement in a sector
+    interval: [150, 300],    // Seconds between announcements after that
+    warning: 15,             // Seconds from the announcement to the start
+    maxEvents: 2             // Announcements wait while this many are pending or running
+};
+
+const SECTOR_EVENT_TYPES = {
+    meteorShower: {
+        name: 'Meteor Shower',
+        icon: '☄',
+        color: '#ff8844',
+        weight: 3,
+        duration: 90,            // Seconds its bounties stay on offer
+        meteors: [6, 10],        // Rich asteroids in the burst
+        spread: 400              // Burst radius around the entry point
+    },
+    solarStorm: {
+        name: 'Solar Storm',
+        icon: '☀',
+        color: '#ffdd33',
+        weight: 2,
+        duration: 45,
+        shieldDrain: 0.12        // Shield points per frame
+    },
+    derelict: {
+        name: 'Derelict Ship',
+        icon: '⌧',
+        color: '#88aacc',
+        weight: 2,
+        duration: 240,           // Seconds before it drifts out of reach
+        drift: 6,                // Top drift speed, units per second
+        salvageRange: 90,
+        salvageTime: 5,          // Seconds in range to strip it
+        partCount: [2, 4],
+        parts: ['wiring', 'wiring', 'titaniumPlate', 'titaniumPlate', 'circuitBoard']
+    }
+};
+
+function randomBetween(range, rng) {
+    return range[0] + rng() * (range[1] - range[0]);
+}
+
+function createSectorEventSchedule(rng = Math.random) {
+    return {
+        timer: randomBetween(SECTOR_EVENT_CONFIG.firstDelay, rng),
+        nextId: 1,
+        events: []
+    };
+}
+
+// A new event of `type`, announced and waiting out its warning. bounds is the sector size
+// ({ width, height }).
+function createSectorEvent(id, type, bounds, rng = Math.random) {
+    const event = {
+        id: id,
+        type: type,
+        status: 'warning',
+        remaining: SECTOR_EVENT_CONFIG.warning,
+        x: bounds.width / 2,
+        y: bounds.height / 2,
+        posted: []            // Stations whose boards carry a bounty for it
+    };
+    
+    if (type === 'meteorShower') {
+        // Comes in over a point on one edge, heading for the middle
+        const edge = Math.floor(rng() * 4);
+        const along = 0.2 + rng() * 0.6;
+        event.x = edge === 1 ? bounds.width : edge === 3 ? 0 : along * bounds.width;
+        event.y = edge === 0 ? 0 : edge === 2 ? bounds.height : along * bounds.height;
+    } else if (type === 'derelict') {
+        const config = SECTOR_EVENT_TYPES.derelict;
+        const heading = rng() * Math.PI * 2;
+        event.x = (0.2 + rng() * 0.6) * bounds.width;
+        event.y = (0.2 + rng() * 0.6) * bounds.height;
+        event.vx = Math.cos(heading) * config.drift;
+        event.vy = Math.sin(heading) * config.drift;
+        event.salvage = 0;
+    }
+    
+    return event;
+}
+
+function findSectorEvent(schedule, id) {
+    return schedule ? schedule.events.find(event => event.id === id) || null : null;
+}
+
+// Running (not just announced) event of a type, or null
+function getActiveSectorEvent(schedule, type) {
+    return schedule ? schedule.events.find(event => event.type === type && event.status === 'active') || null : null;
+}
+
+function isScannerJammed(schedule) {
+    return getActiveSectorEvent(schedule, 'solarStorm') !== null;
+}
+
+// Pick an event type by weight, skipping types already pending or running
+function pickSectorEventType(schedule, rng = Math.random) {
+    const types = Object.keys(SECTOR_EVENT_TYPES).filter(type => !schedule.events.some(event => event.type === type));
+    const totalWeight = types.reduce((sum, type) => sum + SECTOR_EVENT_TYPES[type].weight, 0);
+    let roll = rng() * totalWeight;
+    
+    for (const type of types) {
+        roll -= SECTOR_EVENT_TYPES[type].weight;
+        if (roll < 0) return type;
+    }
+    
+    return types[types.length - 1] || null;
+}
+
+// Advance the schedule by `dt` seconds of game time. Events move from their warning to running
+// to ended, and a new one is announced when the timer runs out and there's room.
+// Returns [{ event, change: 'announced'|'started'|'ended' }] in the order they happened.
+function stepSectorEvents(schedule, dt, bounds, rng = Math.random) {
+    const changes = [];
+    
+    for (const event of schedule.events.slice()) {
+        event.remaining -= dt;
+        
+        if (event.type === 'derelict') {
+            event.x = Math.max(0, Math.min(bounds.width, event.x + event.vx * dt));
+            event.y = Math.max(0, Math.min(bounds.height, event.y + event.vy * dt));
+        }
+        
+        if (event.remaining > 0) continue;
+        
+        if (event.status === 'warning') {
+            event.status = 'active';
+            event.remaining = SECTOR_EVENT_TYPES[event.type].duration;
+            changes.push({ event: event, change: 'started' });
+        } else {
+            changes.push({ event: endSectorEvent(schedule, event), change: 'ended' });
+        }
+    }
+    
+    schedule.timer = Math.max(0, schedule.timer - dt);
+    
+    if (schedule.timer === 0 && schedule.events.length < SECTOR_EVENT_CONFIG.maxEvents) {
+        const type = pickSectorEventType(schedule, rng);
+        const event = createSectorEvent(schedule.nextId++, type, bounds, rng);
+        
+        schedule.events.push(event);
+        schedule.timer = randomBetween(SECTOR_EVENT_CONFIG.interval, rng);
+        changes.push({ event: event, change: 'announced' });
+    }
+    
+    return changes;
+}
+
+function endSectorEvent(schedule, event) {
+    schedule.events = schedule.events.filter(other => other !== event);
+    event.status = 'ended';
+    event.remaining = 0;
+    return event;
+}
+
+// Ore type for one meteor - never common rock, rarer types as often as the field has them
+function pickMeteorType(rng = Math.random) {
+    const types = Object.keys(ASTEROID_TYPES).filter(type => ASTEROID_TYPES[type].rarity !== 'common');
+    const totalWeight = types.reduce((sum, type) => sum + ASTEROID_TYPES[type].baseChance, 0);
+    let roll = rng() * totalWeight;
+    
+    for (const type of types) {
+        roll -= ASTEROID_TYPES[type].baseChance;
+        if (roll < 0) return type;
+    }
+    
+    return types[types.length - 1];
+}
+
+// One frame of a running storm on a ship: the shield drains and can't start recharging.
+// Returns the shield points lost.
+function stepStormShieldDrain(target, schedule, dt = 1) {
+    if (!isScannerJammed(schedule)) return 0;
+    
+    const drained = Math.min(target.shield, SECTOR_EVENT_TYPES.solarStorm.shieldDrain * dt);
+    target.shield -= drained;
+    target.shieldRegenDelay = Math.max(target.shieldRegenDelay, SHIELD_CONFIG.regenDelay);
+    return drained;
+}
+
+// Work on a running derelict for `dt` seconds if the ship ({ x, y }) is in range. Progress is
+// kept while the ship is away. Returns { inRange, progress (0-1), done }.
+function stepDerelictSalvage(event, ship, dt) {
+    const config = SECTOR_EVENT_TYPES.derelict;
+    const inRange = event.status === 'active' &&
+        Math.hypot(event.x - ship.x, event.y - ship.y) <= config.salvageRange;
+    
+    if (inRange) {
+        event.salvage = Math.min(config.salvageTime, event.salvage + dt);
+    }
+    
+    return { inRange: inRange, progress: event.salvage / config.salvageTime, done: event.salvage >= config.salvageTime };
+}
+
+// Strip a derelict: parts go into the component locker and it counts for salvage bounties.
+// Returns the parts taken as { item: count }.
+function salvageDerelict(state, rng = Math.random) {
+    const config = SECTOR_EVENT_TYPES.derelict;
+    const count = config.partCount[0] + Math.floor(rng() * (config.partCount[1] - config.partCount[0] + 1));
+    const parts = {};
+    
+    for (let i = 0; i < count; i++) {
+        const item = config.parts[Math.floor(rng() * config.parts.length)];
+        parts[item] = (parts[item] || 0) + 1;
+        state.components[item] = (state.components[item] || 0) + 1;
+    }
+    
+    state.stats.derelictsSalvaged = (state.stats.derelictsSalvaged || 0) + 1;
+    return parts;
+}
+
+// ================================
+// GALAXY
+// ================================
+// Sectors form a graph grown outward from the home sector one depth at a time. A sector's depth
+// is its difficulty tier (state.sector - world size, spawn rates, rewards all scale with it),
+// while its id (state.sectorId) names it and keys its seeded content. Each sector rolls its own
+// richness (asteroid count and rarity), hazard density and station count, and lanes branch and
+// cross-link so there's usually more than one way deeper.
+//
+// Nothing of the galaxy is saved: it's rebuilt from the world seed, and every depth draws from
+// its own stream, so extending it further later gives the same sectors as building it at once.
+
+const GALAXY_CONFIG = {
+    layerSpacing: 120,       // Map units between depths
+    laneSpread: 90,          // Map units between sectors of the same depth
+    maxLayerSize: 3,         // Sectors per depth (1..n)
+    branchChance: 0.4,       // Chance a sector gets a second lane deeper
+    lateralLinkChance: 0.35, // Chance of a lane between neighbours of the same depth
+    fuelPerUnit: 0.35,       // Jump fuel per map unit
+    creditsPerUnit: 35,      // Jump fee per map unit
+    lookahead: 2             // Depths generated past the deepest sector reached
+};
+
+function createGalaxy(seed) {
+    const galaxy = { seed: seed >>> 0, sectors: {}, layers: [], nextId: 1 };
+    extendGalaxy(galaxy, 1 + GALAXY_CONFIG.lookahead);
+    return galaxy;
+}
+
+function linkSectors(a, b) {
+    if (a.id === b.id || a.links.includes(b.id)) return;
+    a.links.push(b.id);
+    b.links.push(a.id);
+}
+
+function createGalaxySector(galaxy, depth, x, y, rng) {
+    const sector = {
+        id: galaxy.nextId++,
+        depth: depth,
+        x: x,
+        y: y,
+        links: [],
+        richness: Math.round((0.7 + rng() * 0.8) * 100) / 100,
+        hazardDensity: Math.round((0.5 + rng() * 1.2) * 100) / 100,
+        stationCount: 1 + (rng() < 0.45 ? 1 : 0) + (rng() < 0.3 ? 1 : 0)
+    };
+    galaxy.sectors[sector.id] = sector;
+    return sector;
+}
+
+// Generate depths until the galaxy is `depth` deep
+function extendGalaxy(galaxy, depth) {
+    while (galaxy.layers.length < depth) {
+        const layerDepth = galaxy.layers.length + 1;
+        const rng = createSeededRandom(hashSeed(galaxy.seed, 'galaxy', layerDepth));
+        
+        if (layerDepth === 1) {
+            // Home is an average sector, so a new game starts the way it always has
+            const home = createGalaxySector(galaxy, 1, 0, 0, rng);
+            home.richness = 1;
+            home.hazardDensity = 1;
+            galaxy.layers.push([home.id]);
+            continue;
+        }
+        
+        const previous = galaxy.layers[layerDepth - 2].map(id => galaxy.sectors[id]);
+        const size = 1 + Math.floor(rng() * GALAXY_CONFIG.maxLayerSize);
+        const layer = [];
+        
+        for (let i = 0; i < size; i++) {
+            const x = (layerDepth - 1) * GALAXY_CONFIG.layerSpacing + (rng() - 0.5) * 30;
+            const y = (i - (size - 1) / 2) * GALAXY_CONFIG.laneSpread + (rng() - 0.5) * 30;
+            layer.push(createGalaxySector(galaxy, layerDepth, x, y, rng));
+        }
+        
+        const nearest = (sector, candidates) => candidates.reduce((best, other) =>
+            Math.abs(other.y - sector.y) < Math.abs(best.y - sector.y) ? other : best);
+        
+        // Every sector leads deeper, sometimes down two lanes...
+        previous.forEach(sector => {
+            const first = nearest(sector, layer);
+            linkSectors(sector, first);
+            
+            const others = layer.filter(other => other !== first);
+            if (others.length > 0 && rng() < GALAXY_CONFIG.branchChance) {
+                linkSectors(sector, nearest(sector, others));
+            }
+        });
+        
+        // ...every new sector is reachable...
+        layer.forEach(sector => {
+            if (sector.links.length === 0) {
+                linkSectors(sector, nearest(sector, previous));
+            }
+        });
+        
+        // ...and neighbours of the same depth are sometimes linked
+        for (let i = 1; i < layer.length; i++) {
+            if (rng() < GALAXY_CONFIG.lateralLinkChance) {
+                linkSectors(layer[i - 1], layer[i]);
+            }
+        }
+        
+        galaxy.layers.push(layer.map(sector => sector.id));
+    }
+    
+    return galaxy;
+}
+
+// A sector by id, or null. Ids are handed out depth by depth, so looking one up
+// generates up to the depth that holds it.
+function getGalaxySector(galaxy, sectorId) {
+    while (!galaxy.sectors[sectorId] && galaxy.nextId <= sectorId) {
+        extendGalaxy(galaxy, galaxy.layers.length + 1);
+    }
+    return galaxy.sectors[sectorId] || null;
+}
+
+// Sectors one jump away. The galaxy always reaches a depth past them, so their lanes are final.
+function getSectorLinks(galaxy, sectorId) {
+    const sector = getGalaxySector(galaxy, sectorId);
+    if (!sector) return [];
+    
+    extendGalaxy(galaxy, sector.depth + 1);
+    return sector.links.map(id => galaxy.sectors[id]);
+}
+
+// Jump price between two sectors, by map distance. Returns { distance, fuel, credits }
+function getJumpCost(galaxy, fromId, toId) {
+    const from = getGalaxySector(galaxy, fromId);
+    const to = getGalaxySector(galaxy, toId);
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    
+    return {
+        distance: Math.round(distance),
+        fuel: Math.ceil(distance * GALAXY_CONFIG.fuelPerUnit),
+        credits: Math.ceil(distance * GALAXY_CONFIG.creditsPerUnit / 50) * 50
+    };
+}
+
+// The sector `depth` jumps straight out from home, always taking the lowest-numbered lane deeper.
+// Old saves (one sector per depth) map onto this lane.
+function getMainLaneSector(galaxy, depth) {
+    let sector = getGalaxySector(galaxy, 1);
+    
+    while (sector.depth < depth) {
+        const deeper = getSectorLinks(galaxy, sector.id).filter(other => other.depth === sector.depth + 1);
+        sector = deeper.reduce((best, other) => other.id < best.id ? other : best);
+    }
+    
+    return sector;
+}
+
+// Seeded content of a sector - rarity level feeds the asteroid type roll (depth - 1 on an average sector)
+function getSectorAsteroidCount(sector) {
+    return Math.round((30 + sector.depth * 5) * sector.richness);
+}
+
+function getSectorHazardCount(sector) {
+    return Math.round(Math.floor(2 + sector.depth * 0.5) * sector.hazardDensity);
+}
+
+function getSectorRarityLevel(sector) {
+    return Math.max(0, sector.depth - 1 + (sector.richness - 1) * 4);
+}
+
+// Remember which of a sector's `seededCount` generated asteroids (tagged with seedIndex) are
+// gone or part-mined, so the field is left the way it was when the ship comes back
+function recordSectorDepletion(state, sectorId, seededCount, asteroids) {
+    const sectorState = { depleted: [], damaged: {} };
+    const remaining = {};
+    
+    asteroids.forEach(asteroid => {
+        if (asteroid.seedIndex !== undefined && !asteroid.destroyed) {
+            remaining[asteroid.seedIndex] = asteroid;
+        }
+    });
+    
+    for (let i = 0; i < seededCount; i++) {
+        const asteroid = remaining[i];
+        if (!asteroid) {
+            sectorState.depleted.push(i);
+        } else if (asteroid.health < asteroid.maxHealth) {
+            sectorState.damaged[i] = asteroid.health;
+        }
+    }
+    
+    state.sectorStates[sectorId] = sectorState;
+    return sectorState;
+}
+
+// Apply a remembered depletion to a freshly generated field. Returns the asteroids left.
+function applySectorDepletion(sectorState, asteroids) {
+    if (!sectorState) return asteroids;
+    
+    const depleted = new Set(sectorState.depleted);
+    const remaining = asteroids.filter(asteroid => !depleted.has(asteroid.seedIndex));
+    
+    remaining.forEach(asteroid => {
+        const health = sectorState.damaged[asteroid.seedIndex];
+        if (health === undefined) return;
+        
+        asteroid.health = Math.max(1, Math.min(asteroid.maxHealth, health));
+        
+        // Shrink the outline the way mining would have
+        const healthRatio = asteroid.health / asteroid.maxHealth;
+        if (asteroid.geometry && asteroid.originalGeometry) {
+            asteroid.geometry.forEach((point, index) => {
+                point.x = asteroid.originalGeometry[index].x * healthRatio;
+                point.y = asteroid.originalGeometry[index].y * healthRatio;
+            });
+        }
+    });
+    
+    return remaining;
+}
+
+// ================================
+// MISSIONS
+// ================================
+
+// Set an active mission's progress (capped at its target). Returns 'completed', 'progress'
+// or null if nothing changed.
+function setMissionProgress(mission, progress) {
+    const oldProgress = mission.current;
+    mission.current = Math.min(progress, mission.target);
+    
+    if (mission.current >= mission.target) {
+        mission.status = 'completed';
+        return 'completed';
+    }
+    
+    return mission.current !== oldProgress ? 'progress' : null;
+}
+
+function failMission(mission, reason) {
+    mission.failed = true;
+    mission.status = 'failed';
+    return { mission: mission, event: 'failed', reason: reason };
+}
+
+// Start values for an objective - a one-shot mission, or one stage of a contract - taken when
+// it becomes active, so only what happens from then on counts
+function startMissionObjective(state, objective, now) {
+    objective.current = 0;
+    objective.status = 'active';
+    
+    switch (objective.type) {
+        case 'mine_asteroids':
+        case 'hazard_survival':
+        case 'speed_mining':
+            objective.startValue = state.stats.asteroidsDestroyed;
+            break;
+        case 'mine_specific':
+            objective.startValue = state.stats.mineralsMined[objective.resourceType] || 0;
+            break;
+        case 'earn_credits':
+            objective.startValue = state.stats.creditsEarned;
+            break;
+        case 'travel_distance':
+        case 'hazard_transit':
+            objective.startValue = state.stats.distanceTraveled;
+            break;
+        case 'deliver':
+            objective.startValue = state.stats.sectorsVisited;
+            break;
+        case 'meteor_mining':
+            objective.startValue = state.stats.meteorsMined || 0;
+            break;
+        case 'salvage_derelict':
+            objective.startValue = state.stats.derelictsSalvaged || 0;
+            break;
+        case 'storm_survival':
+            objective.startValue = state.stats.stormTime || 0;
+            break;
+        default:
+            objective.startValue = 0;
+    }
+    
+    if (objective.type === 'hazard_survival' || objective.type === 'hazard_transit') {
+        objective.lowestHull = state.hull;
+        objective.failed = false;
+    }
+    
+    if (objective.type === 'speed_mining') {
+        objective.startTime = now;
+        objective.failed = false;
+    }
+}
+
+// Where an active objective stands now. Returns { progress } (null = unchanged) or { failed: reason }.
+// `dockedStation` is the name of the station the ship is docked at, if any (for deliveries).
+function getObjectiveProgress(state, objective, now, dockedStation) {
+    switch (objective.type) {
+        case 'mine_asteroids':
+            // Asteroids destroyed since mission start
+            return { progress: state.stats.asteroidsDestroyed - objective.startValue };
+            
+        case 'mine_specific':
+            // Specific resource mined since mission start (total mined, not current inventory)
+            return { progress: (state.stats.mineralsMined[objective.resourceType] || 0) - objective.startValue };
+            
+        case 'earn_credits':
+            return { progress: state.stats.creditsEarned - objective.startValue };
+            
+        case 'travel_distance':
+            return { progress: Math.floor(state.stats.distanceTraveled - objective.startValue) };
+            
+        case 'cargo_delivery':
+            // Total cargo currently held
+            return { progress: Object.values(state.inventory).reduce((total, count) => total + count, 0) };
+            
+        case 'hazard_survival':
+        case 'hazard_transit':
+            if (objective.failed) return { progress: null };
+            
+            // Asteroids destroyed (or distance flown) while keeping the hull above the threshold
+            if ((state.hull / state.maxHull) * 100 < objective.threshold) {
+                return { failed: `Hull dropped below ${objective.threshold}%` };
+            }
+            
+            return {
+                progress: objective.type === 'hazard_survival'
+                    ? state.stats.asteroidsDestroyed - objective.startValue
+                    : Math.floor(state.stats.distanceTraveled - objective.startValue)
+            };
+            
+        case 'speed_mining':
+            if (objective.failed) return { progress: null };
+            
+            // Asteroids destroyed within the time limit
+            if ((now - objective.startTime) / 1000 > objective.timeLimit) {
+                if (state.stats.asteroidsDestroyed - objective.startValue < objective.target) {
+                    return { failed: 'Time limit exceeded' };
+                }
+                return { progress: null };
+            }
+            
+            return { progress: state.stats.asteroidsDestroyed - objective.startValue };
+            
+        case 'deliver': {
+            // A delivery with a jump limit is missed once that many jumps pass without it
+            if (objective.jumpLimit && state.stats.sectorsVisited - objective.startValue > objective.jumpLimit) {
+                return { failed: `Missed the delivery to ${objective.stationName}` };
+            }
+            if (state.sectorId !== objective.sector || dockedStation !== objective.stationName) {
+                return { progress: null };
+            }
+            
+            // Hand over whatever of the ore (or refined item) is held, up to what's still owed
+            const delivered = Math.min(getItemCount(state, objective.resourceType), objective.target - objective.current);
+            if (delivered <= 0) return { progress: null };
+            
+            removeItems(state, objective.resourceType, delivered);
+            return { progress: objective.current + delivered };
+        }
+        
+        case 'meteor_mining':
+            // Meteors from any shower destroyed since mission start
+            return { progress: (state.stats.meteorsMined || 0) - objective.startValue };
+            
+        case 'salvage_derelict':
+        case 'storm_survival': {
+            // Bounties on one sector event - missed once the event is over short of the target
+            const progress = objective.type === 'salvage_derelict'
+                ? (state.stats.derelictsSalvaged || 0) - objective.startValue
+                : Math.floor((state.stats.stormTime || 0) - objective.startValue);
+            
+            if (progress < objective.target && !findSectorEvent(state.sectorEvents, objective.eventId)) {
+                return { failed: objective.type === 'salvage_derelict' ? 'The derelict drifted out of reach' : 'The storm blew over' };
+            }
+            
+            return { progress: progress };
+        }
+    }
+    
+    return { progress: null };
+}
+
+// Advance a contract's active stage. A failed stage fails the whole contract; a completed one
+// starts the next (its reward is paid by the caller), or completes the contract after the last.
+function updateContractStage(state, contract, now, dockedStation) {
+    const stage = contract.stages[contract.stageIndex];
+    const result = getObjectiveProgress(state, stage, now, dockedStation);
+    
+    if (result.failed) {
+        stage.status = 'failed';
+        return [failMission(contract, result.failed)];
+    }
+    
+    const event = result.progress === null ? null : setMissionProgress(stage, result.progress);
+    syncContractStage(contract);
+    
+    if (event === 'progress') return [{ mission: contract, event: 'progress', stage: stage }];
+    if (event !== 'completed') return [];
+    
+    if (contract.stageIndex === contract.stages.length - 1) {
+        contract.status = 'completed';
+        return [{ mission: contract, event: 'completed', stage: stage }];
+    }
+    
+    contract.stageIndex++;
+    startMissionObjective(state, contract.stages[contract.stageIndex], now);
+    syncContractStage(contract);
+    return [{ mission: contract, event: 'stage_completed', stage: stage }];
+}
+
+// Mirror the active stage onto the contract so mission lists can show it like any mission
+function syncContractStage(contract) {
+    const stage = contract.stages[contract.stageIndex];
+    contract.current = stage.current || 0;
+    contract.target = stage.target;
+    contract.description = `STAGE ${contract.stageIndex + 1}/${contract.stages.length}: ${stage.description}`;
+}
+
+// Recompute every active mission from the state's stats. `now` is the injected clock (ms)
+// used by timed missions, `dockedStation` the name of the station the ship is docked at.
+// Returns [{ mission, event: 'progress'|'completed'|'failed'|'stage_completed', reason, stage }].
+function updateMissionStates(state, now, dockedStation = null) {
+    const events = [];
+    
+    state.missions.forEach(mission => {
+        if (mission.status !== 'active') return;
+        
+        if (mission.type === 'contract') {
+            events.push(...updateContractStage(state, mission, now, dockedStation));
+            return;
+        }
+        
+        const result = getObjectiveProgress(state, mission, now, dockedStation);
+        
+        if (result.failed) {
+            events.push(failMission(mission, result.failed));
+        } else if (result.progress !== null) {
+            const event = setMissionProgress(mission, result.progress);
+            if (event) {
+                events.push({ mission: mission, event: event });
+            }
+        }
+    });
+    
+    return events;
+}
+
+// ================================
+// PRESTIGE
+// ================================
+
+const PRESTIGE_CREDIT_REQUIREMENT = 50000;
+const PRESTIGE_BONUS_PER_LEVEL = 50; // % added to all credit gains per prestige level
+
+function canPrestige(state) {
+    return state.credits >= PRESTIGE_CREDIT_REQUIREMENT;
+}
+
+function getPrestigeBonus(level) {
+    return level * PRESTIGE_BONUS_PER_LEVEL;
+}
+
+// Credit amount with the prestige bonus percentage added (bonus part floored)
+function applyPrestigeBonus(value, bonusPercent) {
+    return value + Math.floor(value * (bonusPercent / 100));
+}
+
+// The rules side of a prestige: next level and bonus, credits/cargo/components/refinery
+// jobs/sector/galaxy progress/missions wiped, loadout back to an empty skiff (upgrades level 1, one-time purchases 0), ship stats and
+// world size to base
+function applyPrestigeReset(state) {
+    state.prestige++;
+    state.prestigeBonus = getPrestigeBonus(state.prestige);
+    
+    state.credits = 0;
+    state.sector = 1;
+    state.sectorId = 1;
+    state.sectorName = 'ALPHA-001';
+    state.sectorsExplored = 1;
+    state.visitedSectors = [1];
+    state.sectorStates = {};
+    state.cargo = 0;
+    state.inventory = {};
+    state.components = {};
+    state.refineryJobs = [];
+    state.outposts = [];
+    state.firstRefuelUsed = false;
+    
+    state.loadout = createLoadout();
+    state.upgrades = getLoadoutUpgrades(state.loadout);
+    state.maxShield = getMaxShield(state.upgrades);
+    state.shield = state.maxShield;
+    
+    // Missions are station-specific and every prestige starts with fresh stations
+    state.missions = [];
+    state.stationMissions = {};
+    
+    state.maxCargo = 100;
+    state.maxHull = 100;
+    state.hull = 100;
+    state.maxFuel = 100;
+    state.fuel = 100;
+    
+    CONFIG.worldWidth = CONFIG.baseWorldWidth;
+    CONFIG.worldHeight = CONFIG.baseWorldHeight;
+}
+
+// ================================
+// REPUTATION & FACTION STANDING
+// ================================
+// Each NPC keeps a personal reputation with the player, and each station is a faction whose
+// standing (state.factionStanding, keyed by station name) its miners share. Both run -100..100.
+// A fraction of every personal change rubs off on the NPC's home station, and the standing an
+// NPC actually shows the player is its own reputation plus half its faction's.
+
+const STANDING_LIMIT = 100;
+const FACTION_SPILLOVER = 0.5; // Share of an NPC reputation change applied to its home station
+
+// Highest first - a standing belongs to the first tier whose min it reaches
+//   priceMultiplier  - on what NPCs ask in trades
+//   rewardMultiplier - on station mission rewards
+//   maxDifficulty    - hardest mission the station will hand out (null = no new contracts)
+//   tone/toneChance  - how often radio chatter uses the warm/cold lines instead of personality lines
+//   warnsOfHazards   - NPCs call out hazards near the player
+const STANDING_TIERS = [
+    { key: 'allied', label: 'ALLIED', min: 50, color: '#00ffaa', priceMultiplier: 0.8, rewardMultiplier: 1.25, maxDifficulty: 'hard', tone: 'warm', toneChance: 1, warnsOfHazards: true },
+    { key: 'friendly', label: 'FRIENDLY', min: 15, color: '#66ff66', priceMultiplier: 0.9, rewardMultiplier: 1.1, maxDifficulty: 'hard', tone: 'warm', toneChance: 0.5, warnsOfHazards: true },
+    { key: 'neutral', label: 'NEUTRAL', min: -15, color: '#cccccc', priceMultiplier: 1.0, rewardMultiplier: 1.0, maxDifficulty: 'hard', tone: null, toneChance: 0, warnsOfHazards: false },
+    { key: 'unfriendly', label: 'UNFRIENDLY', min: -50, color: '#ffaa44', priceMultiplier: 1.15, rewardMultiplier: 0.9, maxDifficulty: 'medium', tone: 'cold', toneChance: 0.5, warnsOfHazards: false },
+    { key: 'hostile', label: 'HOSTILE', min: -STANDING_LIMIT, color: '#ff4444', priceMultiplier: 1.3, rewardMultiplier: 0.75, maxDifficulty: null, tone: 'cold', toneChance: 1, warnsOfHazards: false }
+];
+
+const MISSION_DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+// Faction standing gained for each claimed mission, by difficulty
+const MISSION_STANDING_REWARD = { easy: 3, medium: 5, hard: 8 };
+const MISSION_ABANDON_STANDING = -5;
+
+function clampStanding(value) {
+    return Math.max(-STANDING_LIMIT, Math.min(STANDING_LIMIT, value));
+}
+
+function getStandingTier(standing) {
+    return STANDING_TIERS.find(tier => standing >= tier.min) || STANDING_TIERS[STANDING_TIERS.length - 1];
+}
+
+function getFactionStanding(state, stationName) {
+    return (state.factionStanding && state.factionStanding[stationName]) || 0;
+}
+
+function adjustFactionStanding(state, stationName, delta) {
+    if (!stationName || !delta) return getFactionStanding(state, stationName);
+    
+    if (!state.factionStanding) state.factionStanding = {};
+    state.factionStanding[stationName] = clampStanding(getFactionStanding(state, stationName) + delta);
+    return state.factionStanding[stationName];
+}
+
+// Change an NPC's personal reputation; part of it carries over to its home station
+function adjustNPCReputation(state, npc, delta) {
+    if (!delta) return;
+    
+    npc.reputation = clampStanding((npc.reputation || 0) + delta);
+    
+    if (npc.homeStation) {
+        adjustFactionStanding(state, npc.homeStation.name, delta * FACTION_SPILLOVER);
+    }
+}
+
+// The standing an NPC actually treats the player with
+function getNPCStanding(state, npc) {
+    const faction = npc.homeStation ? getFactionStanding(state, npc.homeStation.name) : 0;
+    return clampStanding((npc.reputation || 0) + faction * 0.5);
+}
+
+function isMissionDifficultyAllowed(tier, difficulty) {
+    if (!tier.maxDifficulty) return false;
+    return MISSION_DIFFICULTY_ORDER.indexOf(difficulty) <= MISSION_DIFFICULTY_ORDER.indexOf(tier.maxDifficulty);
+}
+
+// ================================
+// AUTOPILOT SCRIPTS
+// ================================
+// Player scripts run in a worker and answer each script tick with ship commands. Nothing a
+// script sends is trusted: commands are checked against SCRIPT_COMMANDS before the game acts.
+
+const SCRIPT_COMMAND_LIMIT = 16; // Commands kept per tick
+const SCRIPT_LOG_LIMIT = 3;      // Log lines kept per tick
+const SCRIPT_LOG_LENGTH = 120;
+const SCRIPT_ARRIVAL_DISTANCE = 150; // moveTo() eases off over this last stretch
+const SCRIPT_TICK_BUDGET_MS = 50;    // Longest a tick may take to answer (rest of the frame included)
+const SCRIPT_OVERRUN_LIMIT = 3;      // Late answers in a row before a script is stopped
+
+// Argument kinds per command ('number?' may be left out)
+const SCRIPT_COMMANDS = {
+    thrust: ['number', 'number'],
+    moveTo: ['number', 'number', 'number?'],
+    stop: [],
+    mine: ['boolean'],
+    dock: [],
+    sell: [],
+    refuel: [],
+    scan: [],
+    log: ['string']
+};
+
+// Keep the well-formed commands of a script's answer. Returns { commands, dropped }.
+function sanitizeScriptCommands(raw) {
+    const commands = [];
+    let dropped = 0;
+    let logs = 0;
+    
+    for (const command of Array.isArray(raw) ? raw : []) {
+        const spec = command && SCRIPT_COMMANDS.hasOwnProperty(command.type) ? SCRIPT_COMMANDS[command.type] : null;
+        const args = command && Array.isArray(command.args) ? command.args : null;
+        
+        const valid = spec && args && args.length <= spec.length && spec.every((kind, i) => {
+            if (kind === 'number?') return args[i] === undefined || Number.isFinite(args[i]);
+            if (kind === 'number') return Number.isFinite(args[i]);
+            return typeof args[i] === kind;
+        });
+        
+        if (!valid || commands.length >= SCRIPT_COMMAND_LIMIT || (command.type === 'log' && logs >= SCRIPT_LOG_LIMIT)) {
+            dropped++;
+            continue;
+        }
+        
+        let cleanArgs = args.slice();
+        if (command.type === 'thrust') {
+            cleanArgs = args.map(value => Math.max(-1, Math.min(1, value)));
+        } else if (command.type === 'moveTo') {
+            cleanArgs = [args[0], args[1], Math.max(0, args[2] || 0)];
+        } else if (command.type === 'log') {
+            cleanArgs = [args[0].slice(0, SCRIPT_LOG_LENGTH)];
+            logs++;
+        }
+        
+        commands.push({ type: command.type, args: cleanArgs });
+    }
+    
+    return { commands, dropped };
+}
+
+// One answered tick against the budget. It's timed by the main thread from when the tick went
+// out, so a slow frame or a GC pause makes a quick script look late - only a run of
+// SCRIPT_OVERRUN_LIMIT late answers stops it. `budget` keeps the run in `overruns`.
+// Returns true once the script should be stopped.
+function checkScriptTickBudget(budget, elapsed) {
+    budget.overruns = elapsed > SCRIPT_TICK_BUDGET_MS ? (budget.overruns || 0) + 1 : 0;
+    return budget.overruns >= SCRIPT_OVERRUN_LIMIT;
+}
+
+// Flight input that flies `ship` to `target` ({ x, y, stopDistance }) and holds it there: aims for
+// a velocity toward the target that eases off on arrival, and thrusts to close the difference.
+// A stopDistance of Infinity just brakes. Returns { moveX, moveY } like the flight controls.
+function getSteeringInput(ship, target, maxSpeed) {
+    const dx = target.x - ship.x;
+    const dy = target.y - ship.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const remaining = dist - (target.stopDistance || 0);
+    
+    let desiredX = 0;
+    let desiredY = 0;
+    if (remaining > 0 && dist > 0) {
+        const speed = maxSpeed * Math.min(1, remaining / SCRIPT_ARRIVAL_DISTANCE);
+        desiredX = (dx / dist) * speed;
+        desiredY = (dy / dist) * speed;
+    }
+    
+    let moveX = (desiredX - ship.vx) / maxSpeed * 4;
+    let moveY = (desiredY - ship.vy) / maxSpeed * 4;
+    const magnitude = Math.sqrt(moveX * moveX + moveY * moveY);
+    
+    // Close enough - don't burn fuel on tiny corrections
+    if (magnitude < 0.05) return { moveX: 0, moveY: 0 };
+    if (magnitude > 1) {
+        moveX /= magnitude;
+        moveY /= magnitude;
+    }
+    
+    return { moveX, moveY };
+}
+
+// ================================
+// INPUT BINDINGS
+// ================================
+// Rebindable actions and which keys/buttons trigger them, per device. Keyboard inputs are
+// KeyboardEvent.key lowercased (' ' is 'space'), gamepad inputs are standard-mapping button
+// indexes. Each input belongs to at most one action; the pause/save/virtual-mouse controls are
+// reserved so a bad binding can't lock the player out of the menus.
+
+// hold: read every frame while down; the rest fire once per press
+// keyboardOnly: the second player's split-keyboard keys - a second controller flies that ship
+// with the first player's gamepad bindings instead (see LOCAL CO-OP)
+const INPUT_ACTIONS = [
+    { id: 'thrustUp', name: 'THRUST UP', hold: true },
+    { id: 'thrustDown', name: 'THRUST DOWN', hold: true },
+    { id: 'thrustLeft', name: 'THRUST LEFT', hold: true },
+    { id: 'thrustRight', name: 'THRUST RIGHT', hold: true },
+    { id: 'mine', name: 'MINING LASER', hold: true },
+    { id: 'scan', name: 'DEEP SPACE SCAN', hold: false },
+    { id: 'dock', name: 'AUTOPILOT TO STATION', hold: false },
+    { id: 'jump', name: 'GALAXY MAP / JUMP', hold: false },
+    { id: 'sell', name: 'SELL CARGO', hold: false },
+    { id: 'trade', name: 'TRADE WITH NPC', hold: false },
+    { id: 'missions', name: 'MISSIONS DRAWER', hold: false },
+    { id: 'console', name: 'CONSOLE', hold: false },
+    { id: 'zoomIn', name: 'ZOOM IN', hold: true },
+    { id: 'zoomOut', name: 'ZOOM OUT', hold: true },
+    { id: 'photo', name: 'PHOTO MODE', hold: false },
+    { id: 'p2Up', name: 'P2 THRUST UP', hold: true, keyboardOnly: true },
+    { id: 'p2Down', name: 'P2 THRUST DOWN', hold: true, keyboardOnly: true },
+    { id: 'p2Left', name: 'P2 THRUST LEFT', hold: true, keyboardOnly: true },
+    { id: 'p2Right', name: 'P2 THRUST RIGHT', hold: true, keyboardOnly: true },
+    { id: 'p2Mine', name: 'P2 MINING LASER', hold: true, keyboardOnly: true },
+    { id: 'p2Dock', name: 'P2 DOCK (SELL & REFUEL)', hold: false, keyboardOnly: true }
+];
+
+const INPUT_DEVICES = ['keyboard', 'gamepad'];
+const BINDINGS_PER_ACTION = 2;
+
+const DEFAULT_BINDINGS = {
+    keyboard: {
+        thrustUp: ['w', 'arrowup'],
+        thrustDown: ['s', 'arrowdown'],
+        thrustLeft: ['a', 'arrowleft'],
+        thrustRight: ['d', 'arrowright'],
+        mine: ['space'],
+        scan: ['e', 'q'],
+        dock: ['r'],
+        jump: ['m'],
+        sell: [],
+        trade: ['t'],
+        missions: [],
+        console: ['`'],
+        zoomIn: ['='],
+        zoomOut: ['-'],
+        photo: ['p'],
+        p2Up: ['i'],
+        p2Down: ['k'],
+        p2Left: ['j'],
+        p2Right: ['l'],
+        p2Mine: ['u'],
+        p2Dock: ['o']
+    },
+    // The left stick always flies the ship; buttons can be added for digital thrust
+    gamepad: {
+        thrustUp: [],
+        thrustDown: [],
+        thrustLeft: [],
+        thrustRight: [],
+        mine: [0],
+        scan: [1],
+        dock: [12],
+        jump: [2],
+        sell: [15],
+        trade: [3],
+        missions: [14],
+        console: [],
+        zoomIn: [5],
+        zoomOut: [4],
+        photo: [],
+        p2Up: [],
+        p2Down: [],
+        p2Left: [],
+        p2Right: [],
+        p2Mine: [],
+        p2Dock: []
+    }
+};
+
+const RESERVED_INPUTS = {
+    keyboard: ['escape', 'f5', 'f9', 'tab'],
+    gamepad: [8, 9, 10, 11] // SELECT (virtual mouse), START (pause), L3/R3 (quick load/save)
+};
+
+function isValidBindingInput(device, input) {
+    if (RESERVED_INPUTS[device].includes(input)) return false;
+    if (device === 'keyboard') return typeof input === 'string' && input.length > 0 && input.length <= 20;
+    return Number.isInteger(input) && input >= 0 && input < 32;
+}
+
+function createDefaultBindings() {
+    return JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+}
+
+// Saved bindings -> usable ones: unknown actions and bad or reserved inputs are dropped,
+// actions the save doesn't mention keep their defaults, and an input claimed twice stays with
+// the first action that has it
+function restoreBindings(saved) {
+    const bindings = createDefaultBindings();
+    if (!saved || typeof saved !== 'object') return bindings;
+    
+    for (const device of INPUT_DEVICES) {
+        const savedDevice = saved[device];
+        if (!savedDevice || typeof savedDevice !== 'object') continue;
+        
+        const claimed = new Set();
+        for (const { id } of INPUT_ACTIONS) {
+            const inputs = Array.isArray(savedDevice[id]) ? savedDevice[id] : bindings[device][id];
+            bindings[device][id] = inputs
+                .filter(input => isValidBindingInput(device, input) && !claimed.has(input))
+                .filter((input, i, list) => list.indexOf(input) === i)
+                .slice(0, BINDINGS_PER_ACTION);
+            bindings[device][id].forEach(input => claimed.add(input));
+        }
+    }
+    
+    return bindings;
+}
+
+// Action an input triggers on a device, or null
+function getBoundAction(bindings, device, input) {
+    const actions = bindings[device];
+    return Object.keys(actions).find(action => actions[action].includes(input)) || null;
+}
+
+// The other action already using `input`, or null if binding it to `action` is free
+function findBindingConflict(bindings, device, action, input) {
+    const bound = getBoundAction(bindings, device, input);
+    return bound && bound !== action ? bound : null;
+}
+
+// Put `input` in one of the action's slots, taking it off whichever action had it.
+// Returns the action it was taken from (null if none), or false for a reserved/bad input.
+function setBinding(bindings, device, action, slot, input) {
+    if (!isValidBindingInput(device, input) || slot < 0 || slot >= BINDINGS_PER_ACTION) return false;
+    
+    const conflict = findBindingConflict(bindings, device, action, input);
+    if (conflict) {
+        bindings[device][conflict] = bindings[device][conflict].filter(bound => bound !== input);
+    }
+    
+    const inputs = bindings[device][action].filter(bound => bound !== input);
+    inputs.splice(Math.min(slot, inputs.length), slot < inputs.length ? 1 : 0, input);
+    bindings[device][action] = inputs;
+    
+    return conflict;
+}
+
+function clearBinding(bindings, device, action, slot) {
+    bindings[device][action] = bindings[device][action].filter((input, i) => i !== slot);
+}
+
+// ================================
+// LOCAL CO-OP
+// ================================
+// An optional second ship in the same sector. It has its own fuel tank and hold; credits, hull,
+// upgrades, loadout and stats belong to the crew. The wingmate object is also the `state` the
+// ship functions above take (stepShipMovement, burnFuel, getMiningBlocker, mineAsteroidCycle),
+// so syncWingmate() points its shared fields at the crew's before it flies each frame.
+
+const COOP_CONFIG = {
+    spawnOffset: 90,   // Joins this far to the left of the first ship
+    frameMargin: 200,  // World units the camera keeps around both ships
+    colors: { primary: '#ffcc44', secondary: '#aa7722', accent: '#ffe699', thruster: '#00ccff' }
+};
+
+function createWingmate(state, x, y) {
+    const wing = { x: x, y: y, vx: 0, vy: 0, angle: 0, size: 36, fuel: state.maxFuel, cargo: 0, inventory: {} };
+    return syncWingmate(wing, state);
+}
+
+// Shared fields - a load or a prestige reset replaces the crew's objects, so refresh every frame
+function syncWingmate(wing, state) {
+    wing.maxFuel = state.maxFuel;
+    wing.maxCargo = state.maxCargo;
+    wing.upgrades = state.upgrades;
+    wing.loadout = state.loadout;
+    wing.stats = state.stats;
+    wing.fuel = Math.min(wing.fuel, wing.maxFuel);
+    return wing;
+}
+
+// Just the wingmate's own fields
+function getWingmateSaveData(wing) {
+    return {
+        x: wing.x,
+        y: wing.y,
+        vx: wing.vx,
+        vy: wing.vy,
+        angle: wing.angle,
+        fuel: wing.fuel,
+        inventory: { ...wing.inventory }
+    };
+}
+
+// A wingmate from save data. Bad fields fall back to a fresh ship at (x, y); the hold is
+// recounted from the inventory.
+function restoreWingmate(state, saved, x, y) {
+    const wing = createWingmate(state, x, y);
+    if (!saved || typeof saved !== 'object') return wing;
+    
+    for (const key of ['x', 'y', 'vx', 'vy', 'angle', 'fuel']) {
+        if (Number.isFinite(saved[key])) wing[key] = saved[key];
+    }
+    wing.fuel = Math.max(0, Math.min(wing.maxFuel, wing.fuel));
+    
+    if (saved.inventory && typeof saved.inventory === 'object') {
+        for (const [type, amount] of Object.entries(saved.inventory)) {
+            if (ASTEROID_TYPES[type] && Number.isInteger(amount) && amount > 0) {
+                wing.inventory[type] = amount;
+                wing.cargo += amount;
+            }
+        }
+    }
+    
+    return wing;
+}
+
+// Where the camera aims, and the zoom that fits both ships with `margin` to spare
+function getCoopFrame(a, b, viewWidth, viewHeight, margin = COOP_CONFIG.frameMargin) {
+    return {
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+        zoom: Math.min(
+            viewWidth / (Math.abs(a.x - b.x) + margin * 2),
+            viewHeight / (Math.abs(a.y - b.y) + margin * 2)
+        )
+    };
+}
+
+// Keep the wingmate within what the camera can frame at `minZoom` - past that it's towed along
+// at the edge, moving no faster away than `anchor` does. Returns true if it was held back.
+function leashWingmate(wing, anchor, viewWidth, viewHeight, minZoom, margin = COOP_CONFIG.frameMargin) {
+    const limits = { x: viewWidth / minZoom - margin * 2, y: viewHeight / minZoom - margin * 2 };
+    let held = false;
+    
+    for (const axis of ['x', 'y']) {
+        const offset = wing[axis] - anchor[axis];
+        if (Math.abs(offset) <= limits[axis]) continue;
+        
+        const velocity = 'v' + axis;
+        wing[axis] = anchor[axis] + Math.sign(offset) * limits[axis];
+        if ((wing[velocity] - anchor[velocity]) * offset > 0) {
+            wing[velocity] = anchor[velocity];
+        }
+        held = true;
+    }
+    
+    return held;
+}
+
+// ================================
+// REPLAYS
+// ================================
+// A replay is the save the recording started from plus everything fed into update() frame by
+// frame: the frame delta, the flight input, one-shot actions (scan, jump, sell...) and state
+// keyframes taken after menu/UI changes. Each frame's Math.random() is reseeded from
+// hashSeed(replay.seed, frame), so only the base seed is stored. Deltas are run-length encoded
+// and inputs only stored when they change; periodic state checksums expose playback drift.
+
+const REPLAY_FORMAT = 'asteroid-miner-replay';
+const REPLAY_FORMAT_VERSION = 1;
+const REPLAY_CHECKSUM_INTERVAL = 60; // Frames between state checksums
+
+function quantizeReplayInput(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+function quantizeReplayDelta(ms) {
+    return Math.round(ms * 10) / 10;
+}
+
+function createReplay(seed, start, meta = {}) {
+    return {
+        format: REPLAY_FORMAT,
+        formatVersion: REPLAY_FORMAT_VERSION,
+        gameVersion: meta.gameVersion || null,
+        recordedAt: meta.recordedAt || null,
+        seed: seed >>> 0,
+        startClock: meta.startClock || 0,
+        startFrame: meta.startFrame || 0,
+        runtime: meta.runtime || {},   // Counters the save doesn't hold, as they were at the start
+        start: start,
+        frames: 0,
+        deltas: [],     // [ms, frameCount] runs
+        inputs: [],     // [frame, moveX, moveY, mine, paused] - only when the input changes
+        actions: [],    // [frame, type, ...args]
+        keyframes: [],  // [frame, snapshot] - applied before that frame's actions
+        checksums: []   // [frame, hash] - state after that frame
+    };
+}
+
+function getReplayFrameSeed(replay, frame) {
+    return hashSeed(replay.seed, frame);
+}
+
+// Add one frame ({ moveX, moveY, mine, paused } input). Returns the frame's index.
+function appendReplayFrame(replay, dt, input) {
+    const frame = replay.frames;
+    const lastRun = replay.deltas[replay.deltas.length - 1];
+    
+    if (lastRun && lastRun[0] === dt) {
+        lastRun[1]++;
+    } else {
+        replay.deltas.push([dt, 1]);
+    }
+    
+    const entry = [frame, input.moveX, input.moveY, input.mine ? 1 : 0, input.paused ? 1 : 0];
+    const lastInput = replay.inputs[replay.inputs.length - 1];
+    
+    if (!lastInput || entry.some((value, i) => i > 0 && value !== lastInput[i])) {
+        replay.inputs.push(entry);
+    }
+    
+    replay.frames++;
+    return frame;
+}
+
+// Per-frame deltas (ms), expanded from the runs
+function expandReplayDeltas(replay) {
+    const deltas = [];
+    
+    for (const [dt, count] of replay.deltas) {
+        for (let i = 0; i < count; i++) deltas.push(dt);
+    }
+    
+    return deltas;
+}
+
+// Per-frame inputs - unchanged frames share the same object
+function expandReplayInputs(replay) {
+    const inputs = [];
+    let current = { moveX: 0, moveY: 0, mine: false, paused: false };
+    let next = 0;
+    
+    for (let frame = 0; frame < replay.frames; frame++) {
+        if (next < replay.inputs.length && replay.inputs[next][0] === frame) {
+            const entry = replay.inputs[next++];
+            current = { moveX: entry[1], moveY: entry[2], mine: entry[3] === 1, paused: entry[4] === 1 };
+        }
+        inputs.push(current);
+    }
+    
+    return inputs;
+}
+
+// Frame-keyed lookup for actions, keyframes or checksums: Map(frame -> [entries])
+function indexReplayEntries(entries) {
+    const index = new Map();
+    
+    for (const entry of entries) {
+        if (!index.has(entry[0])) index.set(entry[0], []);
+        index.get(entry[0]).push(entry);
+    }
+    
+    return index;
+}
+
+// Workers that step game state hand their results back whenever they arrive, so a replay runs
+// everything on the main thread: parkReplayWorkers() keeps the ready flags (name -> bool) and
+// clears them. Until releaseReplayWorkers(), whatever a worker reports - 'ready' after a
+// re-init, a rejection, an error - only updates the parked copy, so a keyframe or seek can't
+// switch a worker back on mid-run.
+function parkReplayWorkers(ready) {
+    const parked = { ...ready };
+    for (const name of Object.keys(ready)) ready[name] = false;
+    return parked;
+}
+
+// parked: the copy from parkReplayWorkers(), or null outside a replay
+function setReplayWorkerReady(ready, parked, name, isReady) {
+    (parked || ready)[name] = isReady;
+}
+
+function releaseReplayWorkers(ready, parked) {
+    Object.assign(ready, parked);
+}
+
+// Structural check of an imported replay. Returns a list of problems (empty = playable).
+function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') return ['not a replay file'];
+    if (replay.format !== REPLAY_FORMAT) return ['not a replay file'];
+    if (replay.formatVersion !== REPLAY_FORMAT_VERSION) {
+        return [`unsupported replay version ${replay.formatVersion}`];
+    }
+    
+    const errors = [];
+    const isFrame = frame => Number.isInteger(frame) && frame >= 0 && frame < replay.frames;
+    
+    if (typeof replay.seed !== 'number') errors.push('missing seed');
+    if (!replay.start || typeof replay.start !== 'object') errors.push('missing start state');
+    if (!Number.isInteger(replay.frames) || replay.frames < 0) errors.push('bad frame count');
+    
+    for (const key of ['deltas', 'inputs', 'actions', 'keyframes', 'checksums']) {
+        if (!Array.isArray(replay[key])) errors.push(`missing ${key}`);
+    }
+    if (errors.length > 0) return errors;
+    
+    const deltaFrames = replay.deltas.reduce((sum, run) => sum + run[1], 0);
+    if (deltaFrames !== replay.frames) {
+        errors.push(`frame deltas cover ${deltaFrames} of ${replay.frames} frames`);
+    }
+    if (replay.deltas.some(run => !(run[0] > 0) || !(run[1] > 0))) errors.push('bad frame delta');
+    
+    let lastFrame = -1;
+    for (const entry of replay.inputs) {
+        if (!isFrame(entry[0]) || entry[0] <= lastFrame) {
+            errors.push('inputs out of order');
+            break;
+        }
+        lastFrame = entry[0];
+    }
+    
+    if (replay.actions.some(entry => !isFrame(entry[0]) || typeof entry[1] !== 'string')) {
+        errors.push('bad action entry');
+    }
+    if (replay.keyframes.some(entry => !isFrame(entry[0]) || !entry[1] || typeof entry[1] !== 'object')) {
+        errors.push('bad keyframe entry');
+    }
+    if (replay.checksums.some(entry => !isFrame(entry[0]))) errors.push('bad checksum entry');
+    
+    return errors;
+}
+
+// ================================
+// OFFLINE PROGRESS
+// ================================
+// While the tab is closed a ship with a cargo drone keeps working: it mines a hold's worth,
+// the drone ferries it to the nearest station and back, repeat. NPC miners keep working the
+// same field. Both draw on the ore actually left in the sector, so a small field runs dry.
+
+const OFFLINE_CONFIG = {
+    minAwaySeconds: 300,        // Shorter absences aren't worth a report
+    maxAwaySeconds: 8 * 3600,   // Income stops accruing after 8 hours away
+    efficiency: 0.5,            // Offline runs earn half of what flying them would
+    droneSpeed: 3.5,            // Matches the live drone (units per frame at 60 FPS)
+    droneDockSeconds: 1,
+    npcTripSeconds: 180,        // One NPC mining run, out and back
+    npcHaul: 40                 // Units an NPC brings home per run
+};
+
+// Seconds between two timestamps (ms), capped at maxAwaySeconds
+function getOfflineSeconds(savedAt, now) {
+    const seconds = Math.max(0, Math.floor((now - savedAt) / 1000));
+    return { seconds: Math.min(seconds, OFFLINE_CONFIG.maxAwaySeconds), capped: seconds > OFFLINE_CONFIG.maxAwaySeconds };
+}
+
+// One drone cycle: fill the hold with every laser at the current mining speed, then the
+// drone's round trip
+function getOfflineDroneCycleSeconds(state, tripDistance) {
+    const fillSeconds = state.maxCargo * getMiningSpeed(state.upgrades) / 60 / (state.upgrades.multiMining || 1);
+    const flightSeconds = tripDistance / (OFFLINE_CONFIG.droneSpeed * 60);
+    return fillSeconds + flightSeconds + OFFLINE_CONFIG.droneDockSeconds;
+}
+
+// What `seconds` away produced. `field` describes the sector as it was left:
+//   { tripDistance (drone round trip), fieldOre (units left), oreValue (credits per unit), npcCount }
+// Returns null without a cargo drone. Credits include the prestige bonus; nothing is applied here.
+function computeOfflineProgress(state, seconds, field) {
+    if (state.upgrades.cargoDrone < 1) return null;
+    
+    const droneLoad = state.maxCargo * OFFLINE_CONFIG.efficiency;
+    let droneTrips = Math.floor(seconds / getOfflineDroneCycleSeconds(state, field.tripDistance));
+    let npcTrips = field.npcCount * Math.floor(seconds / OFFLINE_CONFIG.npcTripSeconds);
+    let droneUnits = Math.floor(droneTrips * droneLoad);
+    let npcUnits = npcTrips * OFFLINE_CONFIG.npcHaul;
+    
+    // Everyone shares what's left of the field - once it runs dry the runs stop too
+    const demand = droneUnits + npcUnits;
+    if (demand > field.fieldOre) {
+        const share = field.fieldOre / demand;
+        droneUnits = Math.floor(droneUnits * share);
+        npcUnits = Math.floor(npcUnits * share);
+        droneTrips = Math.ceil(droneUnits / droneLoad);
+        npcTrips = Math.ceil(npcUnits / OFFLINE_CONFIG.npcHaul);
+    }
+    
+    return {
+        seconds: seconds,
+        droneTrips: droneTrips,
+        droneUnits: droneUnits,
+        droneCredits: applyPrestigeBonus(Math.floor(droneUnits * field.oreValue), state.prestigeBonus),
+        npcTrips: npcTrips,
+        npcUnits: npcUnits
+    };
+}
+
+// ================================
+// ACHIEVEMENTS
+// ================================
+// Declarative: each achievement reads one number off the game state and unlocks once it
+// reaches its target. Unlocks themselves are kept by the caller (outside any save slot).
+
+const ACHIEVEMENTS = [
+    { id: 'firstOre', name: 'FIRST STRIKE', icon: '⛏', desc: 'Mine your first unit of ore',
+        target: 1, progress: state => state.stats.totalMined },
+    { id: 'prospector', name: 'PROSPECTOR', icon: '⛏', desc: 'Mine 1,000 units of ore',
+        target: 1000, progress: state => state.stats.totalMined },
+    { id: 'strikeItRich', name: 'MOTHER LODE', icon: '⛏', desc: 'Mine 25,000 units of ore',
+        target: 25000, progress: state => state.stats.totalMined },
+    { id: 'rockBreaker', name: 'ROCK BREAKER', icon: '◆', desc: 'Break up 100 asteroids',
+        target: 100, progress: state => state.stats.asteroidsDestroyed },
+    { id: 'geologist', name: 'GEOLOGIST', icon: '◈', desc: 'Mine every type of ore',
+        target: Object.keys(ASTEROID_TYPES).length,
+        progress: state => Object.keys(state.stats.mineralsMined).filter(type => state.stats.mineralsMined[type] > 0).length },
+    { id: 'longHaul', name: 'LONG HAUL', icon: '→', desc: 'Travel 1,000,000 units',
+        target: 1000000, progress: state => state.stats.distanceTraveled },
+    { id: 'explorer', name: 'EXPLORER', icon: '✦', desc: 'Visit 10 sectors',
+        target: 10, progress: state => state.stats.sectorsVisited },
+    { id: 'closeCalls', name: 'CLOSE CALLS', icon: '⚠', desc: 'Slip past 50 hazards without a hit',
+        target: 50, progress: state => state.stats.hazardsAvoided || 0 },
+    { id: 'pirateHunter', name: 'PIRATE HUNTER', icon: '☠', desc: 'Destroy 25 pirates',
+        target: 25, progress: state => state.stats.piratesDestroyed || 0 },
+    { id: 'tycoon', name: 'TYCOON', icon: '¢', desc: 'Earn 1,000,000 credits',
+        target: 1000000, progress: state => state.stats.creditsEarned },
+    { id: 'settler', name: 'SETTLER', icon: '⌂', desc: 'Found an outpost',
+        target: 1, progress: state => state.outposts.length },
+    { id: 'reborn', name: 'REBORN', icon: '★', desc: 'Prestige for the first time',
+        target: 1, progress: state => state.prestige }
+];
+
+function getAchievement(id) {
+    return ACHIEVEMENTS.find(achievement => achievement.id === id) || null;
+}
+
+// { value, target, fraction } - value is capped at the target so bars stop at full
+function getAchievementProgress(achievement, state) {
+    const value = Math.min(achievement.target, Math.max(0, Math.floor(achievement.progress(state) || 0)));
+    return { value: value, target: achievement.target, fraction: value / achievement.target };
+}
+
+// Achievements that have reached their target but aren't in `unlocked` (id -> unlock time) yet
+function checkAchievements(state, unlocked) {
+    return ACHIEVEMENTS.filter(achievement =>
+        !unlocked[achievement.id] && getAchievementProgress(achievement, state).value >= achievement.target
+    );
+}
+
+// ================================
+// SAVE BUNDLES
+// ================================
+// The export/import format: every save slot plus the settings that travel with a player
+// (theme, CRT, ship name, tutorial flags). Each slot and the settings block carry a checksum
+// keyed on SAVE_BUNDLE_KEY and the slot name, so editing a bundle by hand - or renaming a slot
+// inside one - shows up as tampered on import. The key ships with the game: this stops casual
+// edits, not a determined cheat.
+
+const SAVE_BUNDLE_FORMAT = 'asteroid-miner-saves';
+const SAVE_BUNDLE_VERSION = 1;
+const SAVE_BUNDLE_KEY = 'asteroid-miner:save-bundle:v1';
+
+// JSON with object keys sorted, so equal data always hashes the same however it was built
+function toCanonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => item === undefined ? 'null' : toCanonicalJSON(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${toCanonicalJSON(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Two FNV-1a passes in opposite key order -> 16 hex digits
+function getSaveChecksum(label, data) {
+    const json = toCanonicalJSON(data);
+    const high = hashSeed(SAVE_BUNDLE_KEY, label, json);
+    const low = hashSeed(json, label, SAVE_BUNDLE_KEY);
+    return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+}
+
+function createSaveBundle(saves, settings, meta = {}) {
+    const bundle = {
+        format: SAVE_BUNDLE_FORMAT,
+        formatVersion: SAVE_BUNDLE_VERSION,
+        gameVersion: meta.gameVersion || null,
+        exportedAt: meta.exportedAt || null,
+        saves: {},
+        settings: { data: settings, checksum: getSaveChecksum('settings', settings) }
+    };
+    
+    Object.keys(saves).forEach(name => {
+        bundle.saves[name] = { data: saves[name], checksum: getSaveChecksum(`save:${name}`, saves[name]) };
+    });
+    
+    return bundle;
+}
+
+// Check a parsed bundle file. Returns { ok, error } and, when ok, the slots
+// ([{ name, data, tampered }]) and settings ({ data, tampered } or null).
+// A file that doesn't verify is still read, so the import screen can show what was changed.
+function readSaveBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return { ok: false, error: 'File is not a save bundle' };
+    }
+    if (bundle.format !== SAVE_BUNDLE_FORMAT) {
+        // Exports from before bundles were a bare saves object with nothing to check against
+        return { ok: false, error: 'Unsigned save file - only save bundles can be imported' };
+    }
+    if (typeof bundle.formatVersion !== 'number' || bundle.formatVersion > SAVE_BUNDLE_VERSION) {
+        return { ok: false, error: 'Save bundle is from a newer version of the game' };
+    }
+    if (!bundle.saves || typeof bundle.saves !== 'object' || Array.isArray(bundle.saves)) {
+        return { ok: false, error: 'Save bundle has no saves' };
+    }
+    
+    const slots = Object.keys(bundle.saves).map(name => {
+        const entry = bundle.saves[name];
+        const data = entry && typeof entry === 'object' ? entry.data : undefined;
+        const tampered = !entry || typeof entry !== 'object' || data === undefined ||
+            entry.checksum !== getSaveChecksum(`save:${name}`, data);
+        return { name, data, tampered };
+    });
+    
+    let settings = null;
+    if (bundle.settings && typeof bundle.settings === 'object' && bundle.settings.data !== undefined) {
+        settings = {
+            data: bundle.settings.data,
+            tampered: bundle.settings.checksum !== getSaveChecksum('settings', bundle.settings.data)
+        };
+    }
+    
+    return { ok: true, error: null, slots, settings };
+}
+
+function summarizeSave(save) {
+    const gameState = save && save.gameState ? save.gameState : {};
+    return {
+        sector: gameState.sector,
+        credits: gameState.credits,
+        rebirths: save && save.prestige ? save.prestige.level || 0 : 0,
+        timestamp: save ? save.timestamp : null
+    };
+}
+
+// One row per slot for the import screen. status is:
+//   new      - not in the current saves
+//   replace  - overwrites a current save with different data
+//   same     - identical to the current save
+//   tampered - failed its checksum, can't be imported
+//   local    - only in the current saves, kept as is
+function diffSaveSlots(currentSaves, slots) {
+    const rows = slots.map(slot => {
+        const current = Object.prototype.hasOwnProperty.call(currentSaves, slot.name) ? currentSaves[slot.name] : null;
+        let status;
+        if (slot.tampered) {
+            status = 'tampered';
+        } else if (!current) {
+            status = 'new';
+        } else {
+            status = toCanonicalJSON(current) === toCanonicalJSON(slot.data) ? 'same' : 'replace';
+        }
+        
+        return {
+            name: slot.name,
+            status,
+            before: current ? summarizeSave(current) : null,
+            after: summarizeSave(slot.data)
+        };
+    });
+    
+    Object.keys(currentSaves).forEach(name => {
+        if (!slots.some(slot => slot.name === name)) {
+            rows.push({ name, status: 'local', before: summarizeSave(currentSaves[name]), after: null });
+        }
+    });
+    
+    return rows;
+}
+
+// Current saves with the chosen slots written over them. Tampered slots are never merged.
+function mergeSaveSlots(currentSaves, slots, names) {
+    const merged = Object.assign({}, currentSaves);
+    slots.forEach(slot => {
+        if (!slot.tampered && names.includes(slot.name)) {
+            merged[slot.name] = slot.data;
+        }
+    });
+    return merged;
+}
+
+// Node (tests) - in the browser everything above is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG, getWorldBounds, ASTEROID_TYPES, HAZARD_TYPES,
+        PRESTIGE_CREDIT_REQUIREMENT, PRESTIGE_BONUS_PER_LEVEL,
+        createSimContext, hashSeed, createSeededRandom,
+        getMaxShipSpeed, getMiningRange, getMiningSpeed, getFuelEfficiencyMultiplier,
+        UPGRADE_COSTS, UPGRADE_MAX_LEVELS, SHIP_HULLS, MODULE_TYPES,
+        getUpgradeCost, createModule, createLoadout, getLoadoutMass, getLoadoutMassFactor,
+        restoreLoadout, getLoadoutUpgrades, getOwnedTrackLevel, applyLoadout, getModuleOffer, buyModule,
+        fitModule, storeModule, getNextHull, buyNextHull, createModulesForLevel, createLoadoutFromUpgrades,
+        REFINED_ITEMS, REFINERY_RECIPES, REFINERY_QUEUE_LIMIT, UPGRADE_COMPONENT_TIERS,
+        getItemCount, getUpgradeComponents, getItemShortfall, getStationRefineryJobs, getRefineryJobProgress,
+        queueRefineryJob, cancelRefineryJob, stepRefineryJobs,
+        OUTPOST_CONFIG, OUTPOST_MODULES, OUTPOST_MAX_LEVEL, createOutpost, getSectorOutpost, getOutpostFoundingBlocker,
+        foundOutpost, getOutpostUpgradeCost, upgradeOutpost, getSiloCapacity, getSiloTotal, getOutpostHaulRatio,
+        takeOre, depositToSilo, getRefinedOreValue, stepOutposts,
+        ECONOMY_CONFIG, createStationStock, getStockRatio, getStockPriceFactor, getStockStatus, findStockShortages,
+        deliverToStockpile, stepStationEconomy,
+        burnFuel, stepShipMovement,
+        HULL_ALARM_THRESHOLDS, FUEL_WARNINGS, stepFuelWarnings, getHullAlarms, stepFuelAlarms,
+        getMiningBlocker, advanceMiningTarget, mineAsteroidCycle,
+        COMPOSITION_CONFIG, createAsteroidComposition, isInCore, getCycleYield, estimateAsteroidYield,
+        stepHazardContacts, NEAR_MISS_MARGIN, stepNearMisses, applyHullDamage,
+        SHIELD_CONFIG, PIRATE_CONFIG, TURRET_CONFIG, LOOT_CONFIG, getMaxShield, applyShieldedDamage, stepShieldRegen,
+        getTurretStats, findTurretTarget, createPirate, isPirateTarget, choosePirateTarget, stepPirate,
+        createLootDrop, collectLoot,
+        SECTOR_EVENT_CONFIG, SECTOR_EVENT_TYPES, createSectorEventSchedule, createSectorEvent, findSectorEvent,
+        getActiveSectorEvent, isScannerJammed, pickSectorEventType, stepSectorEvents, endSectorEvent, pickMeteorType,
+        stepStormShieldDrain, stepDerelictSalvage, salvageDerelict,
+        GALAXY_CONFIG, createGalaxy, extendGalaxy, getGalaxySector, getSectorLinks, getJumpCost, getMainLaneSector,
+        getSectorAsteroidCount, getSectorHazardCount, getSectorRarityLevel, recordSectorDepletion, applySectorDepletion,
+        setMissionProgress, startMissionObjective, syncContractStage, updateMissionStates,
+        canPrestige, getPrestigeBonus, applyPrestigeBonus, applyPrestigeReset,
+        STANDING_LIMIT, STANDING_TIERS, MISSION_STANDING_REWARD, MISSION_ABANDON_STANDING,
+        clampStanding, getStandingTier, getFactionStanding, adjustFactionStanding,
+        adjustNPCReputation, getNPCStanding, isMissionDifficultyAllowed,
+        SCRIPT_COMMANDS, SCRIPT_COMMAND_LIMIT, SCRIPT_LOG_LIMIT, SCRIPT_TICK_BUDGET_MS, SCRIPT_OVERRUN_LIMIT,
+        sanitizeScriptCommands, checkScriptTickBudget, getSteeringInput,
+        INPUT_ACTIONS, INPUT_DEVICES, BINDINGS_PER_ACTION, DEFAULT_BINDINGS, RESERVED_INPUTS, isValidBindingInput,
+        createDefaultBindings, restoreBindings, getBoundAction, findBindingConflict, setBinding, clearBinding,
+        COOP_CONFIG, createWingmate, syncWingmate, getWingmateSaveData, restoreWingmate, getCoopFrame, leashWingmate,
+        REPLAY_FORMAT, REPLAY_FORMAT_VERSION, REPLAY_CHECKSUM_INTERVAL, quantizeReplayInput, quantizeReplayDelta,
+        createReplay, getReplayFrameSeed, appendReplayFrame, expandReplayDeltas, expandReplayInputs,
+        indexReplayEntries, parkReplayWorkers, setReplayWorkerReady, releaseReplayWorkers, validateReplay,
+        OFFLINE_CONFIG, getOfflineSeconds, getOfflineDroneCycleSeconds, computeOfflineProgress,
+        ACHIEVEMENTS, getAchievement, getAchievementProgress, checkAchievements,
+        SAVE_BUNDLE_FORMAT, SAVE_BUNDLE_VERSION, toCanonicalJSON, getSaveChecksum, createSaveBundle, readSaveBundle,
+        summarizeSave, diffSaveSlots, mergeSaveSlots
+    };
+}
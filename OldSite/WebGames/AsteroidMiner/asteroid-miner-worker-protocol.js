@@ -0,0 +1,278 @@
+// ================================
+// WORKER MESSAGE PROTOCOL
+// Shared by the main thread (script tag) and the collision, physics, NPC and autopilot script
+// workers (importScripts)
+// ================================
+//
+// Every message between the main thread and these workers has the shape:
+//   { protocol, tablesVersion, type, data }
+// Entity state for the physics worker travels as packed Float32Array buffers (see PACKED
+// ENTITY BUFFERS below) that are transferred with the message rather than copied.
+//
+// The main thread sends the authoritative ASTEROID_TYPES / HAZARD_TYPES tables in the 'init'
+// message. Workers keep no type data of their own and refuse any work message until they
+// have been initialised, or whose protocol or tables version differs from their tables.
+// A refused message is answered with 'rejected' so the main thread can re-send 'init'.
+//
+// Bump WORKER_PROTOCOL_VERSION when the message shapes change.
+
+const WORKER_PROTOCOL_VERSION = 4;
+
+function createWorkerMessage(type, data, tablesVersion) {
+    return {
+        protocol: WORKER_PROTOCOL_VERSION,
+        tablesVersion: tablesVersion,
+        type: type,
+        data: data
+    };
+}
+
+// Worker side - returns null when the message may be processed, otherwise the reason it can't
+function checkWorkerMessage(message, tables) {
+    if (!message || message.protocol !== WORKER_PROTOCOL_VERSION) {
+        return `protocol mismatch (got ${message && message.protocol}, expected ${WORKER_PROTOCOL_VERSION})`;
+    }
+    
+    if (message.type === 'init') {
+        const incoming = message.data && message.data.tables;
+        if (!incoming || !incoming.hazardTypes || !incoming.asteroidTypes) {
+            return 'init message has no type tables';
+        }
+        if (incoming.version !== message.tablesVersion) {
+            return 'init tables do not match their version';
+        }
+        return null;
+    }
+    
+    if (!tables) {
+        return 'worker has not been initialised with type tables';
+    }
+    
+    if (message.tablesVersion !== tables.version) {
+        return `stale type tables (got ${message.tablesVersion}, have ${tables.version})`;
+    }
+    
+    return null;
+}
+
+// Worker side - reply to a refused message
+function rejectWorkerMessage(message, reason) {
+    self.postMessage(createWorkerMessage('rejected', {
+        rejectedType: message && message.type,
+        reason: reason
+    }, message && message.tablesVersion));
+}
+
+// ================================
+// PACKED ENTITY BUFFERS
+// ================================
+// One record of `stride` floats per entity, fields in layout order. Asteroids and hazards live in
+// entity stores (see ENTITY STORES below) and particles in a plain buffer, on the main thread
+// full time; each physics step sends the worker a copy. stepPackedEntities() is the only physics
+// for the buffers - the worker runs it, and the main thread runs the same code on its own
+// buffers when the worker isn't available.
+
+const ENTITY_LAYOUTS = {
+    asteroids: createEntityLayout(['x', 'y', 'vx', 'vy', 'rotation', 'rotationSpeed', 'radius']),
+    hazards: createEntityLayout(['x', 'y', 'vx', 'vy', 'rotation', 'radius']),
+    particles: createEntityLayout(['x', 'y', 'vx', 'vy', 'life', 'alpha', 'size', 'color'])
+};
+
+const HAZARD_SPIN_SPEED = 0.05;     // Radians per frame - every hazard turns at the same rate
+const FULL_TURN = Math.PI * 2;
+const PARTICLE_FADE_SPEED = 0.02;   // Alpha lost per frame
+
+function createEntityLayout(fields) {
+    const offsets = {};
+    fields.forEach((field, i) => { offsets[field] = i; });
+    return { fields, stride: fields.length, offsets };
+}
+
+// A buffer that holds at least `count` records, reusing `buffer` when it is big enough.
+// A buffer that has been transferred away reads as empty, so it is simply replaced.
+function ensureEntityCapacity(kind, buffer, count) {
+    const stride = ENTITY_LAYOUTS[kind].stride;
+    if (buffer && buffer.length >= count * stride) return buffer;
+    
+    let capacity = 64;
+    while (capacity < count) capacity *= 2;
+    
+    const grown = new Float32Array(capacity * stride);
+    if (buffer && buffer.length > 0) grown.set(buffer);
+    return grown;
+}
+
+// Write `list` (objects with the layout's fields) into a buffer. Rotation is packed modulo a
+// full turn so it keeps its precision as a float (stepping keeps it there).
+function packEntities(kind, list, buffer) {
+    const { fields, stride } = ENTITY_LAYOUTS[kind];
+    const packed = ensureEntityCapacity(kind, buffer, list.length);
+    
+    for (let i = 0; i < list.length; i++) {
+        const entity = list[i];
+        const base = i * stride;
+        for (let f = 0; f < fields.length; f++) {
+            const value = entity[fields[f]] || 0;
+            packed[base + f] = fields[f] === 'rotation' ? value % FULL_TURN : value;
+        }
+    }
+    
+    return packed;
+}
+
+// Advance `count` records by dt frames in place. Asteroids and hazards wrap around the
+// world; particles age and dead ones are compacted out. Returns the records left.
+function stepPackedEntities(kind, buffer, count, dt, world) {
+    const { stride, offsets } = ENTITY_LAYOUTS[kind];
+    
+    if (kind === 'particles') {
+        let alive = 0;
+        for (let i = 0; i < count; i++) {
+            const base = i * stride;
+            buffer[base + offsets.x] += buffer[base + offsets.vx] * dt;
+            buffer[base + offsets.y] += buffer[base + offsets.vy] * dt;
+            buffer[base + offsets.life] -= dt;
+            buffer[base + offsets.alpha] -= PARTICLE_FADE_SPEED * dt;
+            
+            if (buffer[base + offsets.life] <= 0 || buffer[base + offsets.alpha] <= 0) continue;
+            
+            if (alive !== i) {
+                buffer.copyWithin(alive * stride, base, base + stride);
+            }
+            alive++;
+        }
+        return alive;
+    }
+    
+    for (let i = 0; i < count; i++) {
+        const base = i * stride;
+        const x = base + offsets.x;
+        const y = base + offsets.y;
+        const spin = kind === 'asteroids' ? buffer[base + offsets.rotationSpeed] : HAZARD_SPIN_SPEED;
+        
+        buffer[x] += buffer[base + offsets.vx] * dt;
+        buffer[y] += buffer[base + offsets.vy] * dt;
+        buffer[base + offsets.rotation] = (buffer[base + offsets.rotation] + spin * dt) % FULL_TURN;
+        
+        // Wrap around the world with the entity's radius as margin
+        const margin = buffer[base + offsets.radius] || 50;
+        
+        if (buffer[x] < -margin) {
+            buffer[x] = world.width + margin;
+        } else if (buffer[x] > world.width + margin) {
+            buffer[x] = -margin;
+        }
+        
+        if (buffer[y] < -margin) {
+            buffer[y] = world.height + margin;
+        } else if (buffer[y] > world.height + margin) {
+            buffer[y] = -margin;
+        }
+    }
+    
+    return count;
+}
+
+// ================================
+// ENTITY STORES
+// ================================
+// Where asteroid and hazard state lives on the main thread: one record per entity in a packed
+// buffer, kept in the same order as the game's list. Binding an object turns its layout fields
+// into accessors onto its record, so game code still reads and writes asteroid.x while the
+// value lives in the buffer - and the renderer and the physics step read the buffer directly.
+// An object that leaves the list gets its fields back as plain properties, so a reference kept
+// elsewhere (an NPC's target, a batch in flight) never reads another entity's record.
+
+const ENTITY_BINDING = Symbol('entityBinding'); // { store, index } on a bound object
+
+// Shared accessor descriptors per kind - `this` is the bound object
+const ENTITY_ACCESSORS = {};
+for (const kind of Object.keys(ENTITY_LAYOUTS)) {
+    const { fields, stride } = ENTITY_LAYOUTS[kind];
+    ENTITY_ACCESSORS[kind] = {};
+    
+    fields.forEach((field, offset) => {
+        ENTITY_ACCESSORS[kind][field] = {
+            get() {
+                const binding = this[ENTITY_BINDING];
+                return binding.store.buffer[binding.index * stride + offset];
+            },
+            set(value) {
+                const binding = this[ENTITY_BINDING];
+                binding.store.buffer[binding.index * stride + offset] = value;
+            },
+            enumerable: true,
+            configurable: true
+        };
+    });
+}
+
+function createEntityStore(kind) {
+    return { kind: kind, buffer: ensureEntityCapacity(kind, null, 0), count: 0, entities: [] };
+}
+
+// Bring the store in line with `list`: objects new to it are packed and bound, ones that left
+// are released, and the records are laid out in list order. Nothing to do (and nothing
+// allocated) when the list hasn't changed since the last sync.
+function syncEntityStore(store, list) {
+    const current = store.entities;
+    if (current.length === list.length && current.every((entity, i) => entity === list[i])) return;
+    
+    const kind = store.kind;
+    const { fields, stride } = ENTITY_LAYOUTS[kind];
+    const buffer = ensureEntityCapacity(kind, null, list.length);
+    
+    // Bound objects read from the old buffer here, new ones from their own fields
+    for (let i = 0; i < list.length; i++) {
+        const entity = list[i];
+        const base = i * stride;
+        for (let f = 0; f < fields.length; f++) {
+            const value = entity[fields[f]] || 0;
+            buffer[base + f] = fields[f] === 'rotation' ? value % FULL_TURN : value;
+        }
+    }
+    
+    const kept = new Set(list);
+    for (const entity of current) {
+        if (!kept.has(entity)) releaseEntity(entity);
+    }
+    
+    store.buffer = buffer;
+    store.count = list.length;
+    store.entities = list.slice();
+    
+    for (let i = 0; i < list.length; i++) {
+        const entity = list[i];
+        if (entity[ENTITY_BINDING]) {
+            entity[ENTITY_BINDING].store = store;
+            entity[ENTITY_BINDING].index = i;
+        } else {
+            Object.defineProperty(entity, ENTITY_BINDING, { value: { store: store, index: i }, configurable: true });
+            Object.defineProperties(entity, ENTITY_ACCESSORS[kind]);
+        }
+    }
+}
+
+// Give a bound object its fields back as plain properties, holding their current values
+function releaseEntity(entity) {
+    const binding = entity[ENTITY_BINDING];
+    if (!binding) return;
+    
+    const values = {};
+    for (const field of ENTITY_LAYOUTS[binding.store.kind].fields) values[field] = entity[field];
+    
+    delete entity[ENTITY_BINDING];
+    for (const field of Object.keys(values)) {
+        Object.defineProperty(entity, field, { value: values[field], writable: true, enumerable: true, configurable: true });
+    }
+}
+
+// Node (tests) - in the browser and in workers everything above is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WORKER_PROTOCOL_VERSION, createWorkerMessage, checkWorkerMessage,
+        ENTITY_LAYOUTS, HAZARD_SPIN_SPEED, PARTICLE_FADE_SPEED,
+        ensureEntityCapacity, packEntities, stepPackedEntities,
+        createEntityStore, syncEntityStore, releaseEntity
+    };
+}
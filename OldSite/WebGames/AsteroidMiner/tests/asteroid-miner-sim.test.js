@@ -0,0 +1,1921 @@
+// ================================
+// SIMULATION CORE TESTS
+// ================================
+// Ticks asteroid-miner-sim.js headlessly - no DOM, canvas or workers.
+// Run with: node --test OldSite/WebGames/AsteroidMiner/tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sim = require('../asteroid-miner-sim.js');
+
+const { CONFIG, ASTEROID_TYPES, HAZARD_TYPES } = sim;
+
+// ================================
+// FIXTURES
+// ================================
+
+// Just the parts of gameState the simulation core reads and writes
+function createState(overrides = {}) {
+    return {
+        credits: 0,
+        hull: 100,
+        maxHull: 100,
+        shield: 20,
+        maxShield: 20,
+        shieldRegenDelay: 0,
+        fuel: 100,
+        maxFuel: 100,
+        cargo: 0,
+        maxCargo: 100,
+        upgrades: {
+            speed: 1,
+            cargo: 1,
+            mining: 1,
+            hull: 1,
+            fuelCapacity: 1,
+            fuelEfficiency: 1,
+            range: 1,
+            multiMining: 1,
+            scanRange: 1,
+            scanCooldown: 1,
+            advancedScanner: 0,
+            cargoDrone: 0
+        },
+        prestige: 0,
+        prestigeBonus: 0,
+        sector: 1,
+        sectorId: 1,
+        sectorName: 'ALPHA-001',
+        visitedSectors: [1],
+        sectorStates: {},
+        inventory: {},
+        components: {},
+        refineryJobs: [],
+        nextRefineryJobId: 1,
+        outposts: [],
+        nextOutpostId: 1,
+        missions: [],
+        stationMissions: {},
+        stats: {
+            totalMined: 0,
+            distanceTraveled: 0,
+            asteroidsDestroyed: 0,
+            creditsEarned: 0,
+            sectorsVisited: 1,
+            mineralsMined: {}
+        },
+        ...overrides
+    };
+}
+
+function createShip(overrides = {}) {
+    return { x: 1000, y: 1000, vx: 0, vy: 0, size: 20, ...overrides };
+}
+
+function createAsteroid(type, overrides = {}) {
+    const health = ASTEROID_TYPES[type].health;
+    const geometry = [];
+    for (let i = 0; i < 8; i++) {
+        const angle = (Math.PI * 2 * i) / 8;
+        geometry.push({ x: Math.cos(angle) * 15, y: Math.sin(angle) * 15 });
+    }
+    
+    return {
+        x: 1050,
+        y: 1000,
+        rotation: 0,
+        type: type,
+        health: health,
+        maxHealth: health,
+        geometry: geometry,
+        originalGeometry: geometry.map(p => ({ ...p })),
+        ...overrides
+    };
+}
+
+// Deterministic clock and RNG
+function createTestContext(startTime = 0) {
+    let time = startTime;
+    let seed = 1;
+    
+    const context = sim.createSimContext({
+        rng: () => {
+            seed = (seed * 16807) % 2147483647;
+            return (seed - 1) / 2147483646;
+        },
+        now: () => time
+    });
+    context.advance = ms => { time += ms; };
+    return context;
+}
+
+// One laser locked on `asteroid`, mined frame by frame until it breaks or `maxFrames` pass
+function mineUntilDestroyed(state, asteroid, context, maxFrames = 10000) {
+    const target = { asteroid: asteroid, progress: 0 };
+    const miningSpeed = sim.getMiningSpeed(state.upgrades);
+    let frames = 0;
+    
+    while (!asteroid.destroyed && frames < maxFrames && !sim.getMiningBlocker(state)) {
+        frames++;
+        sim.burnFuel(state, CONFIG.miningFuelCost, 1);
+        if (sim.advanceMiningTarget(target, miningSpeed, 1)) {
+            sim.mineAsteroidCycle(state, asteroid, context);
+        }
+    }
+    
+    return frames;
+}
+
+// ================================
+// MINING
+// ================================
+
+test('mining yields one ore per cycle until the asteroid breaks', () => {
+    const state = createState();
+    const asteroid = createAsteroid('gold');
+    const context = createTestContext();
+    
+    const frames = mineUntilDestroyed(state, asteroid, context);
+    
+    assert.strictEqual(asteroid.destroyed, true);
+    assert.strictEqual(frames, ASTEROID_TYPES.gold.health * CONFIG.baseMiningSpeed);
+    assert.strictEqual(state.inventory.gold, ASTEROID_TYPES.gold.health);
+    assert.strictEqual(state.cargo, ASTEROID_TYPES.gold.health);
+    assert.strictEqual(state.stats.totalMined, ASTEROID_TYPES.gold.health);
+    assert.strictEqual(state.stats.mineralsMined.gold, ASTEROID_TYPES.gold.health);
+    assert.strictEqual(state.stats.asteroidsDestroyed, 1);
+});
+
+test('mining upgrades shorten the cycle', () => {
+    const state = createState();
+    state.upgrades.mining = 3;
+    
+    const frames = mineUntilDestroyed(state, createAsteroid('common'), createTestContext());
+    
+    assert.strictEqual(sim.getMiningSpeed(state.upgrades), CONFIG.baseMiningSpeed * 0.8);
+    assert.strictEqual(frames, ASTEROID_TYPES.common.health * CONFIG.baseMiningSpeed * 0.8);
+});
+
+test('mining chips the asteroid outline in proportion to health', () => {
+    const state = createState();
+    const asteroid = createAsteroid('copper');
+    
+    const result = sim.mineAsteroidCycle(state, asteroid, createTestContext());
+    const ratio = asteroid.health / asteroid.maxHealth;
+    
+    assert.ok(result.chips.length > 0);
+    const shrunk = asteroid.geometry.filter((p, i) => p.x !== asteroid.originalGeometry[i].x || p.y !== asteroid.originalGeometry[i].y);
+    assert.ok(shrunk.length > 0);
+    shrunk.forEach(point => {
+        const index = asteroid.geometry.indexOf(point);
+        assert.ok(Math.abs(point.x - asteroid.originalGeometry[index].x * ratio) < 1e-9);
+    });
+});
+
+test('the same RNG seed chips the same vertices', () => {
+    const first = createAsteroid('silver');
+    const second = createAsteroid('silver');
+    
+    sim.mineAsteroidCycle(createState(), first, createTestContext());
+    sim.mineAsteroidCycle(createState(), second, createTestContext());
+    
+    assert.deepStrictEqual(first.geometry, second.geometry);
+});
+
+test('mining stops when cargo is full', () => {
+    const state = createState({ maxCargo: 3 });
+    const asteroid = createAsteroid('common');
+    
+    mineUntilDestroyed(state, asteroid, createTestContext());
+    
+    assert.strictEqual(state.cargo, 3);
+    assert.strictEqual(asteroid.destroyed, undefined);
+    assert.strictEqual(sim.getMiningBlocker(state), 'cargo');
+});
+
+test('mining stops when fuel runs out', () => {
+    const state = createState({ fuel: CONFIG.miningFuelCost * 10 });
+    
+    const frames = mineUntilDestroyed(state, createAsteroid('common'), createTestContext());
+    
+    assert.ok(frames <= 10);
+    assert.strictEqual(sim.getMiningBlocker(state), 'fuel');
+});
+
+// ================================
+// ASTEROID COMPOSITION
+// ================================
+
+test('compositions are mostly the surface ore with nearby traces, summing to 100%', () => {
+    const types = Object.keys(ASTEROID_TYPES);
+    
+    for (let seed = 1; seed <= 50; seed++) {
+        const composition = sim.createAsteroidComposition('gold', sim.createSeededRandom(seed));
+        const shares = Object.values(composition.ores);
+        
+        assert.strictEqual(shares.reduce((sum, share) => sum + share, 0), 100);
+        assert.ok(composition.ores.gold >= sim.COMPOSITION_CONFIG.primaryShare[0]);
+        Object.keys(composition.ores).forEach(type => {
+            assert.ok(Math.abs(types.indexOf(type) - types.indexOf('gold')) <= sim.COMPOSITION_CONFIG.traceReach);
+        });
+        if (composition.core) {
+            assert.ok(types.indexOf(composition.core.type) > types.indexOf('gold'));
+        }
+    }
+    
+    assert.deepStrictEqual(
+        sim.createAsteroidComposition('ruby', sim.createSeededRandom(7)),
+        sim.createAsteroidComposition('ruby', sim.createSeededRandom(7))
+    );
+});
+
+test('mining draws ore by composition and pays out the core once reached', () => {
+    const state = createState();
+    const asteroid = createAsteroid('common', {
+        composition: {
+            ores: { common: 60, copper: 40 },
+            core: { type: 'platinum', depth: 0.3, yield: 3, exposed: false }
+        }
+    });
+    const estimate = sim.estimateAsteroidYield(asteroid);
+    const results = [];
+    
+    while (!asteroid.destroyed) {
+        results.push(sim.mineAsteroidCycle(state, asteroid, createTestContext(results.length)));
+    }
+    
+    // Health 10, core at 30%: cycles leaving 3, 2, 1 and 0 health are in the core
+    const coreCycles = results.filter(result => result.type === 'platinum');
+    assert.strictEqual(coreCycles.length, 4);
+    assert.strictEqual(results.filter(result => result.coreExposed).length, 1);
+    assert.strictEqual(results[6].coreExposed, true);
+    assert.strictEqual(state.inventory.platinum, 12);
+    assert.strictEqual((state.inventory.common || 0) + (state.inventory.copper || 0), 6);
+    assert.strictEqual(state.cargo, 18);
+    assert.strictEqual(estimate.units, 18);
+    
+    // The surface estimate can't see the core
+    const fresh = createAsteroid('common', { composition: asteroid.composition });
+    assert.strictEqual(sim.estimateAsteroidYield(fresh, false).units, 10);
+    assert.ok(sim.estimateAsteroidYield(fresh).value > sim.estimateAsteroidYield(fresh, false).value);
+});
+
+test('core yield never overfills the hold', () => {
+    const state = createState({ maxCargo: 5, cargo: 4 });
+    const asteroid = createAsteroid('common', {
+        health: 1,
+        composition: { ores: { common: 100 }, core: { type: 'gold', depth: 0.5, yield: 3, exposed: false } }
+    });
+    
+    const result = sim.mineAsteroidCycle(state, asteroid, createTestContext());
+    
+    assert.strictEqual(result.amount, 1);
+    assert.strictEqual(state.cargo, 5);
+});
+
+// ================================
+// FUEL
+// ================================
+
+test('manual thrust burns fuel and logs distance', () => {
+    const state = createState();
+    const ship = createShip();
+    
+    for (let frame = 0; frame < 100; frame++) {
+        sim.stepShipMovement(state, ship, { moveX: 1, moveY: 0, autopilot: false, docked: false }, 1);
+    }
+    
+    assert.ok(Math.abs(state.fuel - (100 - CONFIG.baseFuelConsumption * 100)) < 1e-9);
+    assert.ok(state.stats.distanceTraveled > 0);
+    assert.ok(ship.x > 1000);
+});
+
+test('drifting and docked flight burn no fuel', () => {
+    const state = createState();
+    const ship = createShip({ vx: 1 });
+    
+    for (let frame = 0; frame < 50; frame++) {
+        sim.stepShipMovement(state, ship, { moveX: 0, moveY: 0, autopilot: false, docked: false }, 1);
+    }
+    sim.stepShipMovement(state, ship, { moveX: 1, moveY: 0, autopilot: false, docked: true }, 1);
+    
+    assert.strictEqual(state.fuel, 100);
+    assert.strictEqual(state.stats.distanceTraveled, 0);
+});
+
+test('fuel efficiency upgrade scales burn by 0.9 per level', () => {
+    const state = createState();
+    state.upgrades.fuelEfficiency = 3;
+    
+    const burned = sim.burnFuel(state, 1, 2);
+    
+    assert.ok(Math.abs(burned - 2 * 0.81) < 1e-9);
+    assert.ok(Math.abs(state.fuel - (100 - 2 * 0.81)) < 1e-9);
+});
+
+test('speed never exceeds the upgrade cap', () => {
+    const state = createState();
+    const ship = createShip();
+    
+    for (let frame = 0; frame < 200; frame++) {
+        sim.stepShipMovement(state, ship, { moveX: 1, moveY: 0, autopilot: true, docked: false }, 1);
+    }
+    
+    assert.ok(Math.sqrt(ship.vx * ship.vx + ship.vy * ship.vy) <= sim.getMaxShipSpeed(state.upgrades) + 1e-9);
+});
+
+test('an empty tank stops thrust', () => {
+    const state = createState({ fuel: 0 });
+    const ship = createShip();
+    
+    sim.stepShipMovement(state, ship, { moveX: 1, moveY: 0, autopilot: false, docked: false }, 1);
+    
+    assert.strictEqual(ship.vx, 0);
+    assert.strictEqual(ship.x, 1000);
+});
+
+// ================================
+// ALARMS
+// ================================
+
+function createFuelWarnings() {
+    return {
+        warning50: { triggered: false, timestamp: 0 },
+        warning25: { triggered: false, timestamp: 0 }
+    };
+}
+
+test('hull alarms sound once per threshold on the way down', () => {
+    assert.deepStrictEqual(sim.getHullAlarms(0.6, 0.5), [false]);
+    assert.deepStrictEqual(sim.getHullAlarms(0.5, 0.4), []);
+    assert.deepStrictEqual(sim.getHullAlarms(0.3, 0.25), [true]);
+    assert.deepStrictEqual(sim.getHullAlarms(0.9, 0.1), [false, true]);
+    assert.deepStrictEqual(sim.getHullAlarms(0.2, 0.6), []);
+});
+
+test('fuel warnings trip in their band and re-arm after refuelling', () => {
+    const warnings = createFuelWarnings();
+    const seen = {};
+    
+    sim.stepFuelWarnings(warnings, 0.5, 1);
+    assert.deepStrictEqual(sim.stepFuelAlarms(seen, warnings), []);
+    
+    sim.stepFuelWarnings(warnings, 0.4, 2);
+    assert.deepStrictEqual(warnings.warning50, { triggered: true, timestamp: 2 });
+    assert.deepStrictEqual(sim.stepFuelAlarms(seen, warnings), [false]);
+    
+    // Still low - no repeat
+    sim.stepFuelWarnings(warnings, 0.3, 3);
+    assert.strictEqual(warnings.warning50.timestamp, 2);
+    assert.deepStrictEqual(sim.stepFuelAlarms(seen, warnings), []);
+    
+    sim.stepFuelWarnings(warnings, 0.15, 4);
+    assert.deepStrictEqual(sim.stepFuelAlarms(seen, warnings), [true]);
+    
+    // Refuelling re-arms both, so the next drain alarms again
+    sim.stepFuelWarnings(warnings, 1, 5);
+    assert.strictEqual(warnings.warning50.triggered, false);
+    assert.strictEqual(warnings.warning25.triggered, false);
+    assert.deepStrictEqual(sim.stepFuelAlarms(seen, warnings), []);
+    sim.stepFuelWarnings(warnings, 0.35, 6);
+    assert.deepStrictEqual(sim.stepFuelAlarms(seen, warnings), [false]);
+});
+
+test('a fuel warning skipped past in one drop stays quiet', () => {
+    const warnings = createFuelWarnings();
+    
+    sim.stepFuelWarnings(warnings, 0.05, 1);
+    
+    assert.strictEqual(warnings.warning50.triggered, false);
+    assert.strictEqual(warnings.warning25.triggered, false);
+    assert.deepStrictEqual(sim.stepFuelAlarms({}, warnings), []);
+});
+
+// ================================
+// HAZARDS
+// ================================
+
+test('debris hits once and is removed', () => {
+    const state = createState();
+    const ship = createShip();
+    const hazards = [{ id: 1, type: 'debris', x: 1005, y: 1000 }];
+    
+    const hits = sim.stepHazardContacts(ship, hazards, 1, 1);
+    hits.forEach(hit => sim.applyHullDamage(state, hit.damage));
+    
+    assert.strictEqual(hazards.length, 0);
+    assert.strictEqual(state.hull, 100 - HAZARD_TYPES.debris.damage);
+    assert.strictEqual(sim.stepHazardContacts(ship, hazards, 1, 2).length, 0);
+});
+
+test('vortex pulls the ship and damages every 30 frames', () => {
+    const ship = createShip();
+    const hazards = [{ id: 1, type: 'vortex', x: 1030, y: 1000 }];
+    let damage = 0;
+    
+    for (let frame = 1; frame <= 60; frame++) {
+        ship.x = 1000;
+        sim.stepHazardContacts(ship, hazards, 1, frame).forEach(hit => { damage += hit.damage; });
+    }
+    
+    assert.ok(ship.vx > 0);
+    assert.strictEqual(damage, HAZARD_TYPES.vortex.damage * 2);
+    assert.strictEqual(hazards.length, 1);
+});
+
+test('debris that passes close without hitting counts as avoided', () => {
+    const state = createState();
+    const ship = createShip();
+    const hazard = { id: 1, type: 'debris', x: 1000, y: 1000 - ship.size - sim.NEAR_MISS_MARGIN / 2 };
+    const hazards = [hazard];
+    
+    // Sweep past the ship just outside its collision radius
+    for (let x = 800; x <= 1200; x += 20) {
+        hazard.x = x;
+        assert.deepStrictEqual(sim.stepHazardContacts(ship, hazards, 1, 1), []);
+        sim.stepNearMisses(ship, hazards, state.stats);
+    }
+    
+    assert.strictEqual(state.stats.hazardsAvoided, 1);
+    assert.strictEqual(sim.getAchievementProgress(sim.getAchievement('closeCalls'), state).value, 1);
+});
+
+test('a hazard that hits is not a close call', () => {
+    const state = createState();
+    const ship = createShip();
+    const hazard = { id: 1, type: 'mine', x: 1000, y: 1000 - ship.size - sim.NEAR_MISS_MARGIN / 2 };
+    const hazards = [hazard];
+    
+    sim.stepNearMisses(ship, hazards, state.stats);
+    hazard.y = 1000;
+    sim.stepHazardContacts(ship, hazards, 1, 1);
+    sim.stepNearMisses(ship, hazards, state.stats);
+    
+    assert.strictEqual(hazards.length, 0);
+    assert.strictEqual(state.stats.hazardsAvoided || 0, 0);
+});
+
+test('god mode ignores hull damage', () => {
+    const state = createState({ hull: 40 });
+    
+    assert.strictEqual(sim.applyHullDamage(state, 500, true), false);
+    assert.strictEqual(state.hull, state.maxHull);
+    assert.strictEqual(sim.applyHullDamage(state, 500), true);
+    assert.strictEqual(state.hull, 0);
+});
+
+// ================================
+// SHIELDS & COMBAT
+// ================================
+
+const SECTOR_BOUNDS = { width: 3000, height: 3000 };
+
+function createPirateAt(x, y, overrides = {}) {
+    return Object.assign(sim.createPirate(1, 'Test Raider', x, y, { common: 10, gold: 2 }, () => 0.5), overrides);
+}
+
+test('the shield takes damage before the hull and recharges after a quiet spell', () => {
+    const state = createState({ shield: 20, maxShield: 20, shieldRegenDelay: 0 });
+    
+    const glancing = sim.applyShieldedDamage(state, 15);
+    const through = sim.applyShieldedDamage(state, 15);
+    
+    assert.deepStrictEqual(glancing, { absorbed: 15, hullDamage: 0, destroyed: false });
+    assert.deepStrictEqual(through, { absorbed: 5, hullDamage: 10, destroyed: false });
+    assert.strictEqual(state.hull, 90);
+    
+    for (let frame = 0; frame < sim.SHIELD_CONFIG.regenDelay; frame++) sim.stepShieldRegen(state);
+    assert.strictEqual(state.shield, 0);
+    
+    for (let frame = 0; frame < 1000; frame++) sim.stepShieldRegen(state);
+    assert.strictEqual(state.shield, state.maxShield);
+});
+
+test('shield emitters raise the shield with the hull', () => {
+    const state = createLoadoutState({ credits: 1000 });
+    const baseShield = state.maxShield;
+    
+    sim.buyModule(state, 'shieldEmitter');
+    
+    assert.strictEqual(baseShield, sim.SHIELD_CONFIG.base);
+    assert.strictEqual(state.maxShield, baseShield + sim.SHIELD_CONFIG.perLevel);
+    assert.strictEqual(state.shield, state.maxShield);
+});
+
+test('pirates pursue and fire on a loaded ship but ignore an empty one', () => {
+    const empty = { x: 1500, y: 1000, cargo: 0, maxCargo: 100, docked: false };
+    const loaded = { ...empty, cargo: 80 };
+    const idle = createPirateAt(1000, 1000);
+    const hunter = createPirateAt(1000, 1000);
+    let shots = 0;
+    
+    for (let frame = 0; frame < 600; frame++) {
+        sim.stepPirate(idle, empty, SECTOR_BOUNDS);
+        if (sim.stepPirate(hunter, loaded, SECTOR_BOUNDS).fired) shots++;
+    }
+    
+    assert.strictEqual(idle.state, 'seeking');
+    assert.strictEqual(hunter.state, 'pursuing');
+    assert.ok(shots > 0);
+    
+    // Docking breaks off the chase
+    assert.strictEqual(sim.stepPirate(hunter, { ...loaded, docked: true }, SECTOR_BOUNDS).state, 'seeking');
+});
+
+test('pirates hunt the nearest loaded ship of a co-op crew', () => {
+    const pirate = createPirateAt(1000, 1000);
+    const nearEmpty = { x: 1100, y: 1000, cargo: 0, maxCargo: 100, docked: false };
+    const farLoaded = { x: 1800, y: 1000, cargo: 80, maxCargo: 100, docked: false };
+    const nearLoaded = { ...farLoaded, x: 1400 };
+    
+    assert.strictEqual(sim.choosePirateTarget(pirate, [nearEmpty, farLoaded]), 1);
+    assert.strictEqual(sim.choosePirateTarget(pirate, [farLoaded, nearLoaded]), 1);
+    assert.strictEqual(sim.choosePirateTarget(pirate, [nearEmpty, { ...farLoaded, docked: true }]), 0);
+    assert.strictEqual(sim.choosePirateTarget(pirate, []), -1);
+});
+
+test('a badly damaged pirate flees until it is out of range', () => {
+    const pirate = createPirateAt(1000, 1000, { state: 'pursuing', shield: 0 });
+    const ship = { x: 1100, y: 1000, cargo: 80, maxCargo: 100, docked: false };
+    
+    const hit = sim.applyShieldedDamage(pirate, 45);
+    const turned = sim.stepPirate(pirate, ship, SECTOR_BOUNDS);
+    
+    let escaped = false;
+    for (let frame = 0; frame < 5000 && !escaped; frame++) {
+        escaped = sim.stepPirate(pirate, ship, SECTOR_BOUNDS).escaped;
+    }
+    
+    assert.strictEqual(hit.destroyed, false);
+    assert.strictEqual(turned.state, 'fleeing');
+    assert.ok(pirate.x < ship.x);
+    assert.strictEqual(escaped, true);
+});
+
+test('the turret picks the nearest pirate in range', () => {
+    const ship = createShip();
+    const turret = sim.getTurretStats(createState().upgrades);
+    const near = createPirateAt(1100, 1000);
+    const far = createPirateAt(1200, 1000);
+    
+    assert.strictEqual(sim.findTurretTarget(ship, [far, near], turret.range), near);
+    assert.strictEqual(sim.findTurretTarget(ship, [createPirateAt(1000, 1000 + turret.range + 1)], turret.range), null);
+});
+
+test('loot fills the hold with the most valuable ore first and keeps the rest', () => {
+    const state = createState({ cargo: 95 });
+    const loot = sim.createLootDrop(1, 0, 0, 0, 0, { common: 10, gold: 2 });
+    
+    const first = sim.collectLoot(state, loot);
+    state.cargo = 0;
+    const second = sim.collectLoot(state, loot);
+    
+    assert.deepStrictEqual(first, { taken: { gold: 2, common: 3 }, count: 5, empty: false });
+    assert.deepStrictEqual(second, { taken: { common: 7 }, count: 7, empty: true });
+    assert.deepStrictEqual(state.inventory, { gold: 2, common: 10 });
+});
+
+// ================================
+// REFINING
+// ================================
+
+test('queueing a recipe takes its inputs and fee', () => {
+    const state = createState({ credits: 100, cargo: 7, inventory: { common: 7 } });
+    
+    const result = sim.queueRefineryJob(state, 'DEPOT', 'ironIngot');
+    
+    assert.strictEqual(result.ok, true);
+    assert.deepStrictEqual(state.inventory, { common: 2 });
+    assert.strictEqual(state.cargo, 2);
+    assert.strictEqual(state.credits, 100 - sim.REFINERY_RECIPES.ironIngot.fee);
+    assert.deepStrictEqual(sim.queueRefineryJob(state, 'DEPOT', 'ironIngot').missing, { common: 3 });
+});
+
+test('each station refines one job at a time into the component locker', () => {
+    const state = createState({ credits: 1000, cargo: 14, inventory: { common: 10, copper: 4 } });
+    sim.queueRefineryJob(state, 'DEPOT', 'ironIngot');
+    sim.queueRefineryJob(state, 'DEPOT', 'ironIngot');
+    sim.queueRefineryJob(state, 'FORGE', 'copperIngot');
+    
+    assert.deepStrictEqual(sim.stepRefineryJobs(state, 19 * 1000), []);
+    const finished = sim.stepRefineryJobs(state, 1000);
+    
+    assert.deepStrictEqual(finished.map(entry => entry.item), ['ironIngot', 'copperIngot']);
+    assert.deepStrictEqual(state.components, { ironIngot: 1, copperIngot: 1 });
+    assert.strictEqual(state.refineryJobs.length, 1);
+    assert.strictEqual(state.refineryJobs[0].elapsed, 0);
+});
+
+test('refined items feed later recipes', () => {
+    const state = createState({ credits: 1000, components: { ironIngot: 1, copperIngot: 2 } });
+    
+    sim.queueRefineryJob(state, 'DEPOT', 'wiring');
+    sim.stepRefineryJobs(state, sim.REFINERY_RECIPES.wiring.duration * 1000);
+    
+    assert.deepStrictEqual(state.components, { wiring: 2 });
+});
+
+test('a cancelled job returns its inputs only if the ore fits', () => {
+    const state = createState({ credits: 100, cargo: 5, maxCargo: 5, inventory: { common: 5 } });
+    const { job } = sim.queueRefineryJob(state, 'DEPOT', 'ironIngot');
+    state.inventory.gold = 1;
+    state.cargo = 1;
+    
+    assert.strictEqual(sim.cancelRefineryJob(state, job.id).reason, 'cargo');
+    
+    state.cargo = 0;
+    delete state.inventory.gold;
+    
+    assert.strictEqual(sim.cancelRefineryJob(state, job.id).ok, true);
+    assert.deepStrictEqual(state.inventory, { common: 5 });
+    assert.strictEqual(state.refineryJobs.length, 0);
+});
+
+test('high module marks need components', () => {
+    const state = createState({ credits: 100000, loadout: sim.createLoadout() });
+    state.loadout.slots[0] = sim.createModule('thruster', 4);
+    sim.applyLoadout(state);
+    
+    const refused = sim.buyModule(state, 'thruster');
+    state.components.wiring = 3;
+    const refit = sim.buyModule(state, 'thruster');
+    
+    assert.strictEqual(refused.reason, 'components');
+    assert.deepStrictEqual(refused.missing, { wiring: 2 });
+    assert.strictEqual(refit.ok, true);
+    assert.strictEqual(state.upgrades.speed, 6);
+    assert.deepStrictEqual(state.components, { wiring: 1 });
+});
+
+// ================================
+// OUTPOSTS
+// ================================
+
+test('one outpost per sector, clear of stations, paid for up front', () => {
+    const stations = [{ x: 1000, y: 1000 }];
+    const state = createState({ credits: sim.OUTPOST_CONFIG.foundingCost * 2 });
+    
+    assert.strictEqual(sim.foundOutpost(state, 3, 'Test', 1200, 1000, stations).reason, 'station');
+    
+    const founded = sim.foundOutpost(state, 3, 'Test', 3000, 3000, stations);
+    assert.strictEqual(founded.ok, true);
+    assert.strictEqual(state.credits, sim.OUTPOST_CONFIG.foundingCost);
+    assert.strictEqual(founded.outpost.modules.docks, 1);
+    assert.strictEqual(sim.getSectorOutpost(state, 3), founded.outpost);
+    assert.strictEqual(sim.foundOutpost(state, 3, 'Again', 4000, 4000, stations).reason, 'exists');
+    
+    state.credits = 0;
+    assert.strictEqual(sim.foundOutpost(state, 4, 'Broke', 3000, 3000, stations).reason, 'credits');
+});
+
+test('outpost modules upgrade to the max level', () => {
+    const state = createState({ credits: 100000 });
+    const outpost = sim.createOutpost(1, 1, 'Test', 0, 0);
+    
+    assert.strictEqual(sim.upgradeOutpost(state, outpost, 'hangar').reason, 'module');
+    assert.strictEqual(sim.upgradeOutpost(state, outpost, 'docks').cost, sim.OUTPOST_MODULES.docks.costs[1]);
+    assert.strictEqual(sim.upgradeOutpost(state, outpost, 'docks').level, 3);
+    assert.strictEqual(sim.upgradeOutpost(state, outpost, 'docks').reason, 'max');
+    assert.strictEqual(sim.getOutpostHaulRatio(outpost), sim.OUTPOST_CONFIG.haulRatios[3]);
+    
+    state.credits = 0;
+    assert.strictEqual(sim.upgradeOutpost(state, outpost, 'silo').reason, 'credits');
+});
+
+test('the silo fills best ore first and the refinery banks its value', () => {
+    const outpost = sim.createOutpost(1, 1, 'Test', 0, 0);
+    const hold = { common: 80, gold: 30 };
+    
+    const deposit = sim.depositToSilo(outpost, hold);
+    
+    assert.strictEqual(deposit.count, sim.OUTPOST_CONFIG.siloBase);
+    assert.deepStrictEqual(deposit.stored, { gold: 30, common: 70 });
+    assert.deepStrictEqual(hold, { common: 10 });
+    
+    // No refinery - the ore just sits there
+    const state = createState({ outposts: [outpost] });
+    assert.deepStrictEqual(sim.stepOutposts(state, 60000), []);
+    
+    outpost.modules.refinery = 1;
+    const refined = sim.stepOutposts(state, 60000);
+    const goldValue = Math.round(ASTEROID_TYPES.gold.value * (1 + sim.OUTPOST_CONFIG.refineBonus));
+    
+    assert.strictEqual(refined[0].units, sim.OUTPOST_CONFIG.refineRate);
+    assert.strictEqual(outpost.credits, goldValue * sim.OUTPOST_CONFIG.refineRate);
+    assert.strictEqual(outpost.silo.gold, 30 - sim.OUTPOST_CONFIG.refineRate);
+});
+
+// ================================
+// MISSIONS
+// ================================
+
+function createMission(type, overrides = {}) {
+    return {
+        id: 1,
+        type: type,
+        title: 'Test',
+        status: 'active',
+        current: 0,
+        target: 2,
+        startValue: 0,
+        startTime: 0,
+        ...overrides
+    };
+}
+
+test('mine_asteroids completes after mining enough asteroids', () => {
+    const state = createState();
+    const context = createTestContext();
+    state.missions.push(createMission('mine_asteroids', { target: 2 }));
+    
+    mineUntilDestroyed(state, createAsteroid('common'), context);
+    const progressEvents = sim.updateMissionStates(state, context.now());
+    mineUntilDestroyed(state, createAsteroid('common'), context);
+    const completeEvents = sim.updateMissionStates(state, context.now());
+    
+    assert.deepStrictEqual(progressEvents.map(e => e.event), ['progress']);
+    assert.deepStrictEqual(completeEvents.map(e => e.event), ['completed']);
+    assert.strictEqual(state.missions[0].status, 'completed');
+    assert.strictEqual(state.missions[0].current, 2);
+});
+
+test('mine_specific counts only the requested ore from the mission start', () => {
+    const state = createState();
+    const context = createTestContext();
+    state.stats.mineralsMined.copper = 5;
+    state.missions.push(createMission('mine_specific', { resourceType: 'copper', startValue: 5, target: 3 }));
+    
+    mineUntilDestroyed(state, createAsteroid('common'), context);
+    assert.deepStrictEqual(sim.updateMissionStates(state, context.now()), []);
+    
+    sim.mineAsteroidCycle(state, createAsteroid('copper'), context);
+    sim.updateMissionStates(state, context.now());
+    
+    assert.strictEqual(state.missions[0].current, 1);
+    assert.strictEqual(state.missions[0].status, 'active');
+});
+
+test('hazard_survival fails when the hull drops below the threshold', () => {
+    const state = createState();
+    state.missions.push(createMission('hazard_survival', { threshold: 50 }));
+    
+    sim.applyHullDamage(state, 60);
+    const events = sim.updateMissionStates(state, 0);
+    
+    assert.strictEqual(events[0].event, 'failed');
+    assert.strictEqual(state.missions[0].status, 'failed');
+    assert.deepStrictEqual(sim.updateMissionStates(state, 0), []);
+});
+
+test('speed_mining fails on the injected clock', () => {
+    const state = createState();
+    const context = createTestContext(1000);
+    state.missions.push(createMission('speed_mining', { startTime: context.now(), timeLimit: 60 }));
+    
+    context.advance(59 * 1000);
+    assert.deepStrictEqual(sim.updateMissionStates(state, context.now()), []);
+    
+    context.advance(2 * 1000);
+    const events = sim.updateMissionStates(state, context.now());
+    
+    assert.strictEqual(events[0].event, 'failed');
+    assert.strictEqual(events[0].reason, 'Time limit exceeded');
+});
+
+test('cargo_delivery tracks current cargo and caps at target', () => {
+    const state = createState({ inventory: { common: 4, gold: 3 } });
+    state.missions.push(createMission('cargo_delivery', { target: 5 }));
+    
+    sim.updateMissionStates(state, 0);
+    
+    assert.strictEqual(state.missions[0].current, 5);
+    assert.strictEqual(state.missions[0].status, 'completed');
+});
+
+function createContract(stages, overrides = {}) {
+    const contract = createMission('contract', {
+        stages: stages.map(stage => ({ status: 'pending', current: 0, startValue: 0, startTime: 0, description: stage.type, ...stage })),
+        stageIndex: 0,
+        ...overrides
+    });
+    contract.stages[0].status = 'active';
+    sim.syncContractStage(contract);
+    return contract;
+}
+
+test('starting an objective snapshots the matching stat', () => {
+    const state = createState({ hull: 80 });
+    state.stats.distanceTraveled = 1234;
+    state.stats.mineralsMined.gold = 7;
+    const transit = { type: 'hazard_transit', target: 100, threshold: 50 };
+    const mining = { type: 'mine_specific', resourceType: 'gold', target: 5 };
+    
+    sim.startMissionObjective(state, transit, 0);
+    sim.startMissionObjective(state, mining, 0);
+    
+    assert.strictEqual(transit.startValue, 1234);
+    assert.strictEqual(transit.lowestHull, 80);
+    assert.strictEqual(transit.status, 'active');
+    assert.strictEqual(mining.startValue, 7);
+    assert.strictEqual(mining.current, 0);
+});
+
+test('a contract advances stage by stage and completes after the last', () => {
+    const state = createState();
+    const context = createTestContext();
+    state.missions.push(createContract([
+        { type: 'mine_asteroids', target: 1 },
+        { type: 'travel_distance', target: 50 }
+    ]));
+    const contract = state.missions[0];
+    
+    mineUntilDestroyed(state, createAsteroid('common'), context);
+    const stageEvents = sim.updateMissionStates(state, context.now());
+    
+    assert.deepStrictEqual(stageEvents.map(e => e.event), ['stage_completed']);
+    assert.strictEqual(stageEvents[0].stage, contract.stages[0]);
+    assert.strictEqual(contract.stageIndex, 1);
+    assert.strictEqual(contract.stages[1].status, 'active');
+    assert.strictEqual(contract.target, 50);
+    assert.match(contract.description, /^STAGE 2\/2/);
+    
+    state.stats.distanceTraveled += 60;
+    const finalEvents = sim.updateMissionStates(state, context.now());
+    
+    assert.deepStrictEqual(finalEvents.map(e => e.event), ['completed']);
+    assert.strictEqual(contract.status, 'completed');
+});
+
+test('a delivery stage takes the ore only when docked at the destination', () => {
+    const state = createState({ sector: 2, sectorId: 3, cargo: 10, inventory: { gold: 6, copper: 4 } });
+    state.missions.push(createContract([
+        { type: 'deliver', resourceType: 'gold', target: 5, sector: 3, stationName: 'DEPOT' }
+    ]));
+    
+    assert.deepStrictEqual(sim.updateMissionStates(state, 0, 'ELSEWHERE'), []);
+    assert.strictEqual(state.inventory.gold, 6);
+    
+    const events = sim.updateMissionStates(state, 0, 'DEPOT');
+    
+    assert.deepStrictEqual(events.map(e => e.event), ['completed']);
+    assert.strictEqual(state.inventory.gold, 1);
+    assert.strictEqual(state.cargo, 5);
+});
+
+test('a delivery stage can take refined items from the locker', () => {
+    const state = createState({ cargo: 3, inventory: { common: 3 }, components: { wiring: 4 } });
+    state.missions.push(createMission('deliver', { resourceType: 'wiring', target: 3, sector: 1, stationName: 'DEPOT' }));
+    
+    sim.updateMissionStates(state, 0, 'DEPOT');
+    
+    assert.strictEqual(state.missions[0].status, 'completed');
+    assert.deepStrictEqual(state.components, { wiring: 1 });
+    assert.strictEqual(state.cargo, 3);
+});
+
+test('running out of jumps fails the delivery and the contract', () => {
+    const state = createState({ sectorId: 4, inventory: { gold: 5 } });
+    state.missions.push(createContract([
+        { type: 'deliver', resourceType: 'gold', target: 5, sector: 2, stationName: 'DEPOT', jumpLimit: 2 },
+        { type: 'travel_distance', target: 50 }
+    ]));
+    sim.startMissionObjective(state, state.missions[0].stages[0], 0);
+    
+    state.stats.sectorsVisited += 2;
+    assert.deepStrictEqual(sim.updateMissionStates(state, 0), []);
+    
+    state.stats.sectorsVisited++;
+    const events = sim.updateMissionStates(state, 0);
+    
+    assert.strictEqual(events[0].event, 'failed');
+    assert.strictEqual(state.missions[0].status, 'failed');
+    assert.strictEqual(state.missions[0].stages[0].status, 'failed');
+    assert.strictEqual(state.missions[0].stages[1].status, 'pending');
+});
+
+test('hazard_transit counts distance until the hull drops below the threshold', () => {
+    const state = createState();
+    state.missions.push(createMission('hazard_transit', { target: 500, threshold: 50 }));
+    
+    state.stats.distanceTraveled = 200;
+    sim.updateMissionStates(state, 0);
+    assert.strictEqual(state.missions[0].current, 200);
+    
+    sim.applyHullDamage(state, 60);
+    const events = sim.updateMissionStates(state, 0);
+    
+    assert.strictEqual(events[0].event, 'failed');
+});
+
+// ================================
+// GALAXY
+// ================================
+
+test('the same seed always builds the same galaxy', () => {
+    const a = sim.createGalaxy(12345);
+    const b = sim.createGalaxy(12345);
+    sim.extendGalaxy(a, 6);
+    
+    // Built all at once or depth by depth, the sectors are the same
+    for (let depth = 2; depth <= 6; depth++) sim.extendGalaxy(b, depth);
+    
+    assert.deepStrictEqual(a, b);
+    assert.notDeepStrictEqual(sim.createGalaxy(54321).sectors, sim.createGalaxy(12345).sectors);
+});
+
+test('every sector is reachable and lanes go both ways', () => {
+    const galaxy = sim.extendGalaxy(sim.createGalaxy(777), 8);
+    const ids = Object.keys(galaxy.sectors).map(Number);
+    const reached = new Set([1]);
+    const queue = [1];
+    
+    while (queue.length > 0) {
+        galaxy.sectors[queue.shift()].links.forEach(id => {
+            if (!reached.has(id)) {
+                reached.add(id);
+                queue.push(id);
+            }
+        });
+    }
+    
+    assert.strictEqual(reached.size, ids.length);
+    ids.forEach(id => {
+        const sector = galaxy.sectors[id];
+        sector.links.forEach(linkId => {
+            assert.ok(galaxy.sectors[linkId].links.includes(id));
+            assert.ok(Math.abs(galaxy.sectors[linkId].depth - sector.depth) <= 1);
+        });
+        assert.ok(sector.stationCount >= 1 && sector.stationCount <= 3);
+    });
+});
+
+test('home is an average sector and the main lane goes one depth per jump', () => {
+    const galaxy = sim.createGalaxy(42);
+    const home = sim.getGalaxySector(galaxy, 1);
+    
+    assert.strictEqual(home.depth, 1);
+    assert.strictEqual(home.richness, 1);
+    assert.strictEqual(sim.getSectorAsteroidCount(home), 35);
+    assert.strictEqual(sim.getSectorRarityLevel(home), 0);
+    
+    let previous = home;
+    for (let depth = 2; depth <= 5; depth++) {
+        const sector = sim.getMainLaneSector(galaxy, depth);
+        assert.strictEqual(sector.depth, depth);
+        assert.ok(previous.links.includes(sector.id));
+        previous = sector;
+    }
+});
+
+test('jump cost grows with lane length', () => {
+    const galaxy = sim.createGalaxy(42);
+    
+    sim.getSectorLinks(galaxy, 1).forEach(sector => {
+        const cost = sim.getJumpCost(galaxy, 1, sector.id);
+        assert.ok(cost.fuel > 0);
+        assert.strictEqual(cost.credits % 50, 0);
+    });
+    
+    const near = { id: 1, x: 0, y: 0 };
+    const far = { id: 2, x: 300, y: 0 };
+    const mid = { id: 3, x: 100, y: 0 };
+    const fake = { sectors: { 1: near, 2: far, 3: mid }, nextId: 4, layers: [[1], [2, 3]] };
+    
+    assert.ok(sim.getJumpCost(fake, 1, 2).fuel > sim.getJumpCost(fake, 1, 3).fuel);
+    assert.ok(sim.getJumpCost(fake, 1, 2).credits > sim.getJumpCost(fake, 1, 3).credits);
+    assert.deepStrictEqual(sim.getJumpCost(fake, 1, 3), sim.getJumpCost(fake, 3, 1));
+});
+
+test('a sector remembers its mined-out and part-mined asteroids', () => {
+    const state = createState();
+    const field = [0, 1, 2, 3].map(i => createAsteroid('common', { seedIndex: i }));
+    field[1].health = 1;
+    const left = [field[0], field[1], field[3], createAsteroid('common')];
+    
+    sim.recordSectorDepletion(state, 5, 4, left);
+    
+    assert.deepStrictEqual(state.sectorStates[5], { depleted: [2], damaged: { 1: 1 } });
+    
+    const fresh = [0, 1, 2, 3].map(i => createAsteroid('common', { seedIndex: i }));
+    const restored = sim.applySectorDepletion(state.sectorStates[5], fresh);
+    
+    assert.deepStrictEqual(restored.map(asteroid => asteroid.seedIndex), [0, 1, 3]);
+    assert.strictEqual(restored[1].health, 1);
+    assert.ok(Math.abs(restored[1].geometry[0].x) < Math.abs(restored[0].geometry[0].x));
+});
+
+// ================================
+// PRESTIGE
+// ================================
+
+test('prestige needs the credit requirement', () => {
+    assert.strictEqual(sim.canPrestige(createState({ credits: sim.PRESTIGE_CREDIT_REQUIREMENT - 1 })), false);
+    assert.strictEqual(sim.canPrestige(createState({ credits: sim.PRESTIGE_CREDIT_REQUIREMENT })), true);
+});
+
+test('prestige bonus adds 50% per level, floored', () => {
+    assert.strictEqual(sim.getPrestigeBonus(0), 0);
+    assert.strictEqual(sim.getPrestigeBonus(3), 150);
+    assert.strictEqual(sim.applyPrestigeBonus(101, 0), 101);
+    assert.strictEqual(sim.applyPrestigeBonus(101, 50), 151);
+    assert.strictEqual(sim.applyPrestigeBonus(7, 150), 17);
+});
+
+test('prestige reset keeps level-1 upgrades and drops one-time purchases', () => {
+    const state = createState({ credits: 60000, cargo: 20, inventory: { gold: 20 }, sector: 7, hull: 40, maxHull: 300 });
+    state.upgrades.speed = 5;
+    state.upgrades.cargoDrone = 1;
+    state.missions.push(createMission('mine_asteroids'));
+    CONFIG.worldWidth = CONFIG.baseWorldWidth + 1500;
+    
+    sim.applyPrestigeReset(state);
+    
+    assert.strictEqual(state.prestige, 1);
+    assert.strictEqual(state.prestigeBonus, 50);
+    assert.strictEqual(state.credits, 0);
+    assert.strictEqual(state.cargo, 0);
+    assert.deepStrictEqual(state.inventory, {});
+    assert.strictEqual(state.sector, 1);
+    assert.strictEqual(state.sectorId, 1);
+    assert.deepStrictEqual(state.visitedSectors, [1]);
+    assert.strictEqual(state.upgrades.speed, 1);
+    assert.strictEqual(state.upgrades.cargoDrone, 0);
+    assert.deepStrictEqual(state.missions, []);
+    assert.strictEqual(state.hull, 100);
+    assert.strictEqual(state.maxHull, 100);
+    assert.strictEqual(CONFIG.worldWidth, CONFIG.baseWorldWidth);
+});
+
+// ================================
+// REPUTATION & FACTION STANDING
+// ================================
+
+test('standing tiers cover the whole range', () => {
+    assert.strictEqual(sim.getStandingTier(100).key, 'allied');
+    assert.strictEqual(sim.getStandingTier(50).key, 'allied');
+    assert.strictEqual(sim.getStandingTier(15).key, 'friendly');
+    assert.strictEqual(sim.getStandingTier(0).key, 'neutral');
+    assert.strictEqual(sim.getStandingTier(-16).key, 'unfriendly');
+    assert.strictEqual(sim.getStandingTier(-100).key, 'hostile');
+});
+
+test('NPC reputation is clamped and spills over to its home station', () => {
+    const state = createState({ factionStanding: {} });
+    const npc = { reputation: 90, homeStation: { name: 'KEPLER' } };
+    
+    sim.adjustNPCReputation(state, npc, 30);
+    
+    assert.strictEqual(npc.reputation, sim.STANDING_LIMIT);
+    assert.strictEqual(sim.getFactionStanding(state, 'KEPLER'), 15);
+    assert.strictEqual(sim.getNPCStanding(state, npc), sim.STANDING_LIMIT);
+});
+
+test('faction standing colours how its miners treat the player', () => {
+    const state = createState({ factionStanding: { VEGA: -60 } });
+    const npc = { reputation: 0, homeStation: { name: 'VEGA' } };
+    
+    assert.strictEqual(sim.getNPCStanding(state, npc), -30);
+    assert.strictEqual(sim.getStandingTier(sim.getNPCStanding(state, npc)).key, 'unfriendly');
+});
+
+test('standing gates mission difficulty', () => {
+    const tier = value => sim.getStandingTier(value);
+    
+    assert.strictEqual(sim.isMissionDifficultyAllowed(tier(0), 'hard'), true);
+    assert.strictEqual(sim.isMissionDifficultyAllowed(tier(-30), 'hard'), false);
+    assert.strictEqual(sim.isMissionDifficultyAllowed(tier(-30), 'medium'), true);
+    assert.strictEqual(sim.isMissionDifficultyAllowed(tier(-80), 'easy'), false);
+});
+
+test('faction standing is clamped', () => {
+    const state = createState();
+    
+    sim.adjustFactionStanding(state, 'ORION', 250);
+    assert.strictEqual(state.factionStanding.ORION, sim.STANDING_LIMIT);
+    
+    sim.adjustFactionStanding(state, 'ORION', -500);
+    assert.strictEqual(state.factionStanding.ORION, -sim.STANDING_LIMIT);
+});
+
+// ================================
+// SHIP LOADOUT & MODULES
+// ================================
+
+function createLoadoutState(overrides = {}) {
+    const state = createState({ loadout: sim.createLoadout(), ...overrides });
+    sim.applyLoadout(state);
+    return state;
+}
+
+test('equipped module marks become upgrade levels', () => {
+    const state = createLoadoutState({ credits: 1000 });
+    
+    sim.buyModule(state, 'cargoPod');
+    sim.buyModule(state, 'cargoPod');
+    
+    assert.strictEqual(state.loadout.slots[0].mark, 2);
+    assert.strictEqual(state.upgrades.cargo, 3);
+    assert.strictEqual(state.maxCargo, 200);
+    assert.strictEqual(state.credits, 1000 - 150 - 300);
+});
+
+test('modules bought with no free slot go to storage and do nothing', () => {
+    const state = createLoadoutState({ credits: 1e6 });
+    ['thruster', 'laserHead', 'fuelTank', 'shieldEmitter'].forEach(type => sim.buyModule(state, type));
+    
+    const result = sim.buyModule(state, 'focusingLens');
+    
+    assert.strictEqual(result.stored, true);
+    assert.strictEqual(state.loadout.stored.length, 1);
+    assert.strictEqual(state.upgrades.range, 1);
+});
+
+test('storing a module never makes the next one cheaper', () => {
+    const state = createLoadoutState({ credits: 1e6 });
+    sim.buyModule(state, 'thruster');
+    sim.buyModule(state, 'thruster');
+    
+    sim.storeModule(state, 0);
+    
+    assert.strictEqual(state.upgrades.speed, 1);
+    assert.strictEqual(sim.getModuleOffer(state.loadout, 'thruster').cost, sim.getUpgradeCost('speed', 3));
+});
+
+test('fitting into an occupied slot swaps the modules', () => {
+    const state = createLoadoutState({ credits: 1e6 });
+    ['thruster', 'laserHead', 'fuelTank', 'shieldEmitter', 'scannerArray'].forEach(type => sim.buyModule(state, type));
+    
+    const result = sim.fitModule(state, 0, 1);
+    
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(state.loadout.slots[1].type, 'scannerArray');
+    assert.strictEqual(state.loadout.stored[0].type, 'laserHead');
+    assert.strictEqual(state.upgrades.mining, 1);
+    assert.strictEqual(state.upgrades.scanRange, 2);
+});
+
+test('a cargo pod holding ore cannot be stored', () => {
+    const state = createLoadoutState({ credits: 1000 });
+    sim.buyModule(state, 'cargoPod');
+    state.cargo = 140;
+    
+    assert.deepStrictEqual(sim.storeModule(state, 0), { ok: false, reason: 'cargo' });
+    assert.strictEqual(state.maxCargo, 150);
+});
+
+test('module mass slows acceleration and raises thrust fuel', () => {
+    const light = createLoadoutState();
+    const heavy = createLoadoutState({ credits: 1e6 });
+    ['cargoPod', 'fuelTank', 'shieldEmitter', 'beamSplitter'].forEach(type => sim.buyModule(heavy, type));
+    const massFactor = sim.getLoadoutMassFactor(heavy.loadout);
+    const lightShip = createShip();
+    const heavyShip = createShip();
+    
+    const lightMove = sim.stepShipMovement(light, lightShip, { moveX: 1, moveY: 0 }, 1);
+    const heavyMove = sim.stepShipMovement(heavy, heavyShip, { moveX: 1, moveY: 0 }, 1);
+    
+    assert.ok(massFactor > 1);
+    assert.ok(Math.abs(heavyShip.vx - lightShip.vx / massFactor) < 1e-9);
+    assert.ok(Math.abs(heavyMove.fuelUsed - lightMove.fuelUsed * massFactor) < 1e-9);
+});
+
+test('a bigger hull keeps its modules and adds slots', () => {
+    const state = createLoadoutState({ credits: 20000, components: { ...sim.SHIP_HULLS.prospector.components } });
+    sim.buyModule(state, 'thruster');
+    
+    const result = sim.buyNextHull(state);
+    
+    assert.strictEqual(result.hull, 'prospector');
+    assert.strictEqual(state.loadout.slots.length, sim.SHIP_HULLS.prospector.slots);
+    assert.strictEqual(state.loadout.slots[0].type, 'thruster');
+    assert.strictEqual(state.credits, 20000 - 100 - sim.SHIP_HULLS.prospector.cost);
+    assert.deepStrictEqual(state.components, {});
+});
+
+test('a bigger hull needs its components', () => {
+    const state = createLoadoutState({ credits: 20000, components: { titaniumPlate: 4 } });
+    
+    const result = sim.buyNextHull(state);
+    
+    assert.strictEqual(result.reason, 'components');
+    assert.deepStrictEqual(result.missing, { wiring: 4 });
+    assert.strictEqual(state.loadout.hull, 'skiff');
+    assert.strictEqual(state.credits, 20000);
+});
+
+test('old upgrade levels migrate to equivalent modules', () => {
+    const upgrades = {
+        speed: 5, cargo: 14, mining: 1, hull: 3, fuelCapacity: 1, fuelEfficiency: 1,
+        range: 1, multiMining: 6, scanRange: 1, scanCooldown: 1, advancedScanner: 1, cargoDrone: 0
+    };
+    
+    const loadout = sim.createLoadoutFromUpgrades(upgrades);
+    
+    assert.strictEqual(loadout.hull, 'prospector');
+    assert.deepStrictEqual(sim.getLoadoutUpgrades(loadout), upgrades);
+    assert.deepStrictEqual(loadout.stored, []);
+});
+
+test('a saved loadout is repaired on restore', () => {
+    const loadout = sim.restoreLoadout({
+        hull: 'skiff',
+        slots: [{ type: 'thruster', mark: 40 }, { type: 'warpCore', mark: 1 }, null, null, { type: 'cargoPod', mark: 2 }],
+        stored: [{ type: 'fuelTank', mark: 1 }]
+    });
+    
+    assert.strictEqual(loadout.slots[0].mark, sim.MODULE_TYPES.thruster.maxMark);
+    assert.strictEqual(loadout.slots[1], null);
+    assert.strictEqual(loadout.slots.length, 4);
+    assert.deepStrictEqual(loadout.stored.map(module => module.type), ['cargoPod', 'fuelTank']);
+});
+
+// ================================
+// AUTOPILOT SCRIPTS
+// ================================
+
+test('script commands are checked before the ship acts on them', () => {
+    const { commands, dropped } = sim.sanitizeScriptCommands([
+        { type: 'thrust', args: [3, -0.5] },
+        { type: 'moveTo', args: [100, 200] },
+        { type: 'mine', args: ['yes'] },
+        { type: 'selfDestruct', args: [] },
+        { type: 'thrust', args: [NaN, 0] },
+        null,
+        { type: 'log', args: ['x'.repeat(500)] }
+    ]);
+    
+    assert.deepStrictEqual(commands.slice(0, 2), [
+        { type: 'thrust', args: [1, -0.5] },
+        { type: 'moveTo', args: [100, 200, 0] }
+    ]);
+    assert.strictEqual(commands[2].args[0].length, 120);
+    assert.strictEqual(dropped, 4);
+    assert.deepStrictEqual(sim.sanitizeScriptCommands('rm -rf'), { commands: [], dropped: 0 });
+});
+
+test('a chatty script is cut off at the per-tick limits', () => {
+    const logs = sim.sanitizeScriptCommands(Array.from({ length: 10 }, () => ({ type: 'log', args: ['hi'] })));
+    const scans = sim.sanitizeScriptCommands(Array.from({ length: 50 }, () => ({ type: 'scan', args: [] })));
+    
+    assert.strictEqual(logs.commands.length, sim.SCRIPT_LOG_LIMIT);
+    assert.strictEqual(scans.commands.length, sim.SCRIPT_COMMAND_LIMIT);
+    assert.strictEqual(scans.dropped, 50 - sim.SCRIPT_COMMAND_LIMIT);
+});
+
+test('one slow frame does not stop a well-behaved script', () => {
+    const budget = { overruns: 0 };
+    const late = sim.SCRIPT_TICK_BUDGET_MS * 3;
+    
+    assert.strictEqual(sim.checkScriptTickBudget(budget, late), false);
+    assert.strictEqual(sim.checkScriptTickBudget(budget, 5), false);
+    assert.strictEqual(budget.overruns, 0);
+    
+    for (let tick = 1; tick < sim.SCRIPT_OVERRUN_LIMIT; tick++) {
+        assert.strictEqual(sim.checkScriptTickBudget(budget, late), false);
+    }
+    assert.strictEqual(sim.checkScriptTickBudget(budget, late), true);
+});
+
+test('steering flies the ship to a point and holds it there', () => {
+    const state = createState();
+    const ship = createShip({ x: 1000, y: 1000 });
+    const target = { x: 1600, y: 1300, stopDistance: 20 };
+    const maxSpeed = sim.getMaxShipSpeed(state.upgrades);
+    
+    for (let frame = 0; frame < 1200; frame++) {
+        sim.stepShipMovement(state, ship, sim.getSteeringInput(ship, target, maxSpeed), 1);
+    }
+    
+    const dist = Math.sqrt((target.x - ship.x) ** 2 + (target.y - ship.y) ** 2);
+    assert.ok(dist < 40, `ended ${dist.toFixed(1)} units away`);
+    assert.ok(Math.sqrt(ship.vx * ship.vx + ship.vy * ship.vy) < 0.2);
+});
+
+test('steering with an infinite stop distance just brakes', () => {
+    const input = sim.getSteeringInput(createShip({ vx: 2, vy: 0 }), { x: 5000, y: 5000, stopDistance: Infinity }, 3);
+    
+    assert.ok(input.moveX < 0);
+    assert.strictEqual(input.moveY, 0);
+});
+
+// ================================
+// INPUT BINDINGS
+// ================================
+
+test('default bindings cover every action without sharing an input', () => {
+    for (const device of sim.INPUT_DEVICES) {
+        const seen = new Set();
+        for (const { id } of sim.INPUT_ACTIONS) {
+            const inputs = sim.DEFAULT_BINDINGS[device][id];
+            assert.ok(Array.isArray(inputs), `${device} ${id}`);
+            inputs.forEach(input => {
+                assert.ok(!seen.has(input), `${device} ${input} bound twice`);
+                assert.ok(sim.isValidBindingInput(device, input));
+                seen.add(input);
+            });
+        }
+    }
+});
+
+test('rebinding an input takes it off the action that had it', () => {
+    const bindings = sim.createDefaultBindings();
+    
+    assert.strictEqual(sim.findBindingConflict(bindings, 'keyboard', 'mine', 'e'), 'scan');
+    assert.strictEqual(sim.findBindingConflict(bindings, 'keyboard', 'scan', 'e'), null);
+    
+    assert.strictEqual(sim.setBinding(bindings, 'keyboard', 'mine', 1, 'e'), 'scan');
+    assert.deepStrictEqual(bindings.keyboard.mine, ['space', 'e']);
+    assert.deepStrictEqual(bindings.keyboard.scan, ['q']);
+    assert.strictEqual(sim.getBoundAction(bindings, 'keyboard', 'e'), 'mine');
+    
+    // Replacing a slot drops what was in it
+    assert.strictEqual(sim.setBinding(bindings, 'gamepad', 'mine', 0, 7), null);
+    assert.deepStrictEqual(bindings.gamepad.mine, [7]);
+    
+    sim.clearBinding(bindings, 'keyboard', 'mine', 0);
+    assert.deepStrictEqual(bindings.keyboard.mine, ['e']);
+});
+
+test('menu and save controls cannot be rebound', () => {
+    const bindings = sim.createDefaultBindings();
+    
+    assert.strictEqual(sim.setBinding(bindings, 'keyboard', 'mine', 0, 'escape'), false);
+    assert.strictEqual(sim.setBinding(bindings, 'gamepad', 'scan', 0, 9), false);
+    assert.strictEqual(sim.setBinding(bindings, 'keyboard', 'mine', 5, 'x'), false);
+    assert.deepStrictEqual(bindings, sim.createDefaultBindings());
+});
+
+test('saved bindings are cleaned up on load', () => {
+    const bindings = sim.restoreBindings({
+        keyboard: { mine: ['x', 'escape', 'x', 42], scan: ['x', 'z'], bogus: ['b'] },
+        gamepad: 'nonsense'
+    });
+    
+    assert.deepStrictEqual(bindings.keyboard.mine, ['x']);
+    assert.deepStrictEqual(bindings.keyboard.scan, ['z']);
+    assert.deepStrictEqual(bindings.keyboard.thrustUp, sim.DEFAULT_BINDINGS.keyboard.thrustUp);
+    assert.strictEqual(bindings.keyboard.bogus, undefined);
+    assert.deepStrictEqual(bindings.gamepad, sim.DEFAULT_BINDINGS.gamepad);
+    assert.deepStrictEqual(sim.restoreBindings(null), sim.createDefaultBindings());
+});
+
+test('a binding saved before photo mode keeps its key and leaves photo unbound', () => {
+    // Photo mode and the P2 keys came later
+    const saved = sim.createDefaultBindings();
+    for (const device of Object.keys(saved)) {
+        for (const action of Object.keys(saved[device])) {
+            if (action === 'photo' || action.startsWith('p2')) delete saved[device][action];
+        }
+    }
+    saved.keyboard.sell = ['p'];
+    
+    const bindings = sim.restoreBindings(saved);
+    
+    assert.deepStrictEqual(bindings.keyboard.sell, ['p']);
+    assert.deepStrictEqual(bindings.keyboard.photo, []);
+    assert.strictEqual(sim.getBoundAction(bindings, 'keyboard', 'p'), 'sell');
+});
+
+// ================================
+// REPLAYS
+// ================================
+
+// `frames` as [dt, moveX, moveY, mine] rows, appended to a fresh replay
+function recordReplay(frames) {
+    const replay = sim.createReplay(1234, { player: { x: 0, y: 0 } });
+    
+    for (const [dt, moveX, moveY, mine] of frames) {
+        sim.appendReplayFrame(replay, dt, { moveX, moveY, mine, paused: false });
+    }
+    
+    return replay;
+}
+
+test('replay frames round-trip through the compact encoding', () => {
+    const frames = [
+        [16.7, 0, 0, false], [16.7, 0, 0, false], [16.6, 1, 0, false],
+        [16.7, 1, 0, true], [33.3, 0.707, -0.707, true], [16.7, 0, 0, false]
+    ];
+    
+    const replay = JSON.parse(JSON.stringify(recordReplay(frames)));
+    
+    assert.deepStrictEqual(sim.expandReplayDeltas(replay), frames.map(frame => frame[0]));
+    assert.deepStrictEqual(
+        sim.expandReplayInputs(replay).map(input => [input.moveX, input.moveY, input.mine]),
+        frames.map(frame => frame.slice(1))
+    );
+});
+
+test('a steady replay stays compact', () => {
+    const replay = recordReplay(Array.from({ length: 600 }, () => [16.7, 0, -1, true]));
+    
+    assert.strictEqual(replay.frames, 600);
+    assert.deepStrictEqual(replay.deltas, [[16.7, 600]]);
+    assert.strictEqual(replay.inputs.length, 1);
+});
+
+test('every replay frame gets its own reproducible seed', () => {
+    const replay = recordReplay([[16.7, 0, 0, false], [16.7, 0, 0, false]]);
+    
+    assert.strictEqual(sim.getReplayFrameSeed(replay, 1), sim.getReplayFrameSeed(JSON.parse(JSON.stringify(replay)), 1));
+    assert.notStrictEqual(sim.getReplayFrameSeed(replay, 0), sim.getReplayFrameSeed(replay, 1));
+});
+
+test('damaged replay files are rejected', () => {
+    const replay = recordReplay([[16.7, 0, 0, false], [16.7, 1, 0, false]]);
+    replay.actions.push([1, 'scan']);
+    
+    assert.deepStrictEqual(sim.validateReplay(replay), []);
+    assert.deepStrictEqual(sim.validateReplay({ format: 'something-else' }), ['not a replay file']);
+    
+    const truncated = JSON.parse(JSON.stringify(replay));
+    truncated.frames = 5;
+    assert.match(sim.validateReplay(truncated)[0], /cover 2 of 5 frames/);
+    
+    const lateAction = JSON.parse(JSON.stringify(replay));
+    lateAction.actions.push([2, 'scan']);
+    assert.deepStrictEqual(sim.validateReplay(lateAction), ['bad action entry']);
+});
+
+test('a worker that reports ready during a replay seek stays bypassed', () => {
+    const ready = { physics: true, collision: true, npc: false };
+    const parked = sim.parkReplayWorkers(ready);
+    
+    assert.deepStrictEqual(ready, { physics: false, collision: false, npc: false });
+    
+    // A seek reloads the snapshot; a worker re-initialised meanwhile answers 'ready' or fails
+    sim.setReplayWorkerReady(ready, parked, 'npc', true);
+    sim.setReplayWorkerReady(ready, parked, 'collision', false);
+    assert.deepStrictEqual(ready, { physics: false, collision: false, npc: false });
+    
+    sim.releaseReplayWorkers(ready, parked);
+    assert.deepStrictEqual(ready, { physics: true, collision: false, npc: true });
+    
+    sim.setReplayWorkerReady(ready, null, 'physics', false);
+    assert.strictEqual(ready.physics, false);
+});
+
+// ================================
+// ACHIEVEMENTS
+// ================================
+
+test('achievements unlock once their target is reached', () => {
+    const state = createState();
+    
+    assert.deepStrictEqual(sim.checkAchievements(state, {}), []);
+    
+    state.stats.totalMined = 1;
+    assert.deepStrictEqual(sim.checkAchievements(state, {}).map(achievement => achievement.id), ['firstOre']);
+    assert.deepStrictEqual(sim.checkAchievements(state, { firstOre: 1000 }), []);
+});
+
+test('achievement progress is capped at the target', () => {
+    const prospector = sim.getAchievement('prospector');
+    
+    assert.deepStrictEqual(
+        sim.getAchievementProgress(prospector, createState({ stats: { ...createState().stats, totalMined: 250.7 } })),
+        { value: 250, target: 1000, fraction: 0.25 }
+    );
+    assert.strictEqual(
+        sim.getAchievementProgress(prospector, createState({ stats: { ...createState().stats, totalMined: 5000 } })).fraction,
+        1
+    );
+});
+
+test('the geologist achievement counts each ore type once', () => {
+    const geologist = sim.getAchievement('geologist');
+    const state = createState();
+    state.stats.mineralsMined = { common: 40, copper: 2, silver: 0 };
+    
+    assert.strictEqual(sim.getAchievementProgress(geologist, state).value, 2);
+    
+    for (const type of Object.keys(ASTEROID_TYPES)) state.stats.mineralsMined[type] = 1;
+    assert.ok(sim.checkAchievements(state, {}).some(achievement => achievement.id === 'geologist'));
+});
+
+test('every achievement reads a fresh game state', () => {
+    const state = createState();
+    const ids = new Set();
+    
+    for (const achievement of sim.ACHIEVEMENTS) {
+        assert.ok(!ids.has(achievement.id), `duplicate id ${achievement.id}`);
+        ids.add(achievement.id);
+        assert.ok(achievement.target > 0);
+        assert.ok(Number.isFinite(sim.getAchievementProgress(achievement, state).value));
+    }
+});
+
+// ================================
+// OFFLINE PROGRESS
+// ================================
+
+const OPEN_FIELD = { tripDistance: 2100, fieldOre: 100000, oreValue: 10, npcCount: 0 };
+
+test('time away is capped', () => {
+    assert.deepStrictEqual(sim.getOfflineSeconds(0, 90500), { seconds: 90, capped: false });
+    assert.deepStrictEqual(
+        sim.getOfflineSeconds(0, 24 * 3600 * 1000),
+        { seconds: sim.OFFLINE_CONFIG.maxAwaySeconds, capped: true }
+    );
+    assert.strictEqual(sim.getOfflineSeconds(5000, 1000).seconds, 0);
+});
+
+test('offline income needs a cargo drone', () => {
+    assert.strictEqual(sim.computeOfflineProgress(createState(), 3600, OPEN_FIELD), null);
+});
+
+test('offline drone runs follow the drone cycle', () => {
+    const state = createState({ prestigeBonus: 50 });
+    state.upgrades.cargoDrone = 1;
+    
+    // 100 units at 60 frames each, a 10 second round trip and 1 second docked
+    assert.strictEqual(sim.getOfflineDroneCycleSeconds(state, 2100), 111);
+    
+    const report = sim.computeOfflineProgress(state, 1110, OPEN_FIELD);
+    assert.strictEqual(report.droneTrips, 10);
+    assert.strictEqual(report.droneUnits, 10 * 100 * sim.OFFLINE_CONFIG.efficiency);
+    assert.strictEqual(report.droneCredits, sim.applyPrestigeBonus(report.droneUnits * 10, 50));
+    
+    state.upgrades.multiMining = 2;
+    assert.strictEqual(sim.getOfflineDroneCycleSeconds(state, 2100), 61);
+});
+
+test('the drone and NPC miners share what is left of the field', () => {
+    const state = createState();
+    state.upgrades.cargoDrone = 1;
+    
+    const report = sim.computeOfflineProgress(state, 3600, { ...OPEN_FIELD, fieldOre: 300, npcCount: 5 });
+    
+    assert.ok(report.droneUnits + report.npcUnits <= 300);
+    assert.ok(report.droneUnits > 0 && report.npcUnits > 0);
+    assert.strictEqual(report.droneTrips, Math.ceil(report.droneUnits / (100 * sim.OFFLINE_CONFIG.efficiency)));
+    assert.strictEqual(report.npcTrips, Math.ceil(report.npcUnits / sim.OFFLINE_CONFIG.npcHaul));
+});
+
+// ================================
+// SAVE BUNDLES
+// ================================
+
+function createSlot(sector, credits) {
+    return { version: '1.0.0', timestamp: 1000, gameState: { sector, credits }, prestige: { level: 0 } };
+}
+
+test('a save bundle verifies after a JSON round trip', () => {
+    const saves = { QuickSave: createSlot(3, 500), Mine: createSlot(7, 9000) };
+    const bundle = JSON.parse(JSON.stringify(sim.createSaveBundle(saves, { theme: 'amber' }, { gameVersion: '1.0.0' })));
+    
+    const read = sim.readSaveBundle(bundle);
+    assert.ok(read.ok);
+    assert.deepStrictEqual(read.slots.map(slot => [slot.name, slot.tampered]), [['QuickSave', false], ['Mine', false]]);
+    assert.deepStrictEqual(read.settings, { data: { theme: 'amber' }, tampered: false });
+    
+    // Key order doesn't change the checksum
+    assert.strictEqual(sim.getSaveChecksum('x', { a: 1, b: 2 }), sim.getSaveChecksum('x', { b: 2, a: 1 }));
+});
+
+test('edited and renamed slots are flagged as tampered', () => {
+    const bundle = sim.createSaveBundle({ QuickSave: createSlot(3, 500), Mine: createSlot(7, 9000) }, {});
+    bundle.saves.QuickSave.data.gameState.credits = 99999999;
+    bundle.saves.Renamed = bundle.saves.Mine;
+    delete bundle.saves.Mine;
+    bundle.settings.data.theme = 'blue';
+    
+    const read = sim.readSaveBundle(bundle);
+    assert.ok(read.slots.every(slot => slot.tampered));
+    assert.ok(read.settings.tampered);
+    
+    const merged = sim.mergeSaveSlots({}, read.slots, ['QuickSave', 'Renamed']);
+    assert.deepStrictEqual(merged, {});
+});
+
+test('bare saves objects and newer bundles are refused', () => {
+    assert.ok(!sim.readSaveBundle({ QuickSave: createSlot(1, 0) }).ok);
+    assert.ok(!sim.readSaveBundle(null).ok);
+    
+    const bundle = sim.createSaveBundle({}, {});
+    bundle.formatVersion = sim.SAVE_BUNDLE_VERSION + 1;
+    assert.ok(!sim.readSaveBundle(bundle).ok);
+});
+
+test('the slot diff and merge keep local saves', () => {
+    const current = { QuickSave: createSlot(3, 500), Same: createSlot(1, 1), LocalOnly: createSlot(2, 2) };
+    const incoming = { QuickSave: createSlot(5, 800), Same: createSlot(1, 1), Fresh: createSlot(9, 9) };
+    const { slots } = sim.readSaveBundle(sim.createSaveBundle(incoming, {}));
+    
+    const rows = sim.diffSaveSlots(current, slots);
+    const statuses = Object.fromEntries(rows.map(row => [row.name, row.status]));
+    assert.deepStrictEqual(statuses, { QuickSave: 'replace', Same: 'same', Fresh: 'new', LocalOnly: 'local' });
+    
+    const replace = rows.find(row => row.name === 'QuickSave');
+    assert.strictEqual(replace.before.credits, 500);
+    assert.strictEqual(replace.after.credits, 800);
+    
+    const merged = sim.mergeSaveSlots(current, slots, ['Fresh']);
+    assert.deepStrictEqual(Object.keys(merged).sort(), ['Fresh', 'LocalOnly', 'QuickSave', 'Same']);
+    assert.strictEqual(merged.QuickSave.gameState.credits, 500);
+});
+
+// ================================
+// PACKED ENTITY BUFFERS
+// ================================
+// The physics worker's buffer layer lives in the worker protocol script
+
+const protocol = require('../asteroid-miner-worker-protocol.js');
+const WORLD = { width: 1000, height: 1000 };
+
+test('entities pack into their layout and buffers grow to fit', () => {
+    const list = [
+        { x: 10, y: 20, vx: 1, vy: -1, rotation: Math.PI * 5, rotationSpeed: 0.1, radius: 30 },
+        { x: 40, y: 50, vx: 0, vy: 2, rotation: 0, rotationSpeed: 0, radius: 0 }
+    ];
+    const { stride, offsets } = protocol.ENTITY_LAYOUTS.asteroids;
+    
+    const packed = protocol.packEntities('asteroids', list, null);
+    assert.strictEqual(packed[stride + offsets.y], 50);
+    assert.ok(Math.abs(packed[offsets.rotation] - Math.PI) < 1e-5, 'rotation is packed within one turn');
+    
+    // Reused when big enough, replaced when not
+    assert.strictEqual(protocol.packEntities('asteroids', list, packed), packed);
+    const many = Array.from({ length: 100 }, () => list[0]);
+    assert.ok(protocol.packEntities('asteroids', many, packed).length >= 100 * stride);
+});
+
+test('packed asteroids and hazards move and wrap like the objects', () => {
+    const list = [{ x: 995, y: 500, vx: 10, vy: 0, rotation: 0, rotationSpeed: 0.1, radius: 0 }];
+    const asteroids = protocol.packEntities('asteroids', list, null);
+    const { offsets } = protocol.ENTITY_LAYOUTS.asteroids;
+    
+    assert.strictEqual(protocol.stepPackedEntities('asteroids', asteroids, 1, 2, WORLD), 1);
+    // Past the 50 unit default margin it comes back in on the other side
+    assert.ok(Math.abs(asteroids[offsets.x] - 1015) < 1e-3);
+    protocol.stepPackedEntities('asteroids', asteroids, 1, 5, WORLD);
+    assert.strictEqual(asteroids[offsets.x], -50);
+    assert.ok(Math.abs(asteroids[offsets.rotation] - 0.7) < 1e-5);
+    
+    const hazards = protocol.packEntities('hazards', [{ x: 0, y: 0, vx: 0, vy: 0, rotation: 0, radius: 10 }], null);
+    protocol.stepPackedEntities('hazards', hazards, 1, 10, WORLD);
+    assert.ok(Math.abs(hazards[protocol.ENTITY_LAYOUTS.hazards.offsets.rotation] - protocol.HAZARD_SPIN_SPEED * 10) < 1e-5);
+});
+
+test('an entity store holds the state of the objects bound to it, in list order', () => {
+    const store = protocol.createEntityStore('asteroids');
+    const { stride, offsets } = protocol.ENTITY_LAYOUTS.asteroids;
+    const first = { x: 10, y: 20, vx: 1, vy: 0, rotation: 0, rotationSpeed: 0.1, radius: 30, type: 'iron' };
+    const second = { x: 40, y: 50, vx: 0, vy: 2, rotation: 0, rotationSpeed: 0, radius: 25, type: 'gold' };
+    let list = [first, second];
+    
+    protocol.syncEntityStore(store, list);
+    assert.strictEqual(store.count, 2);
+    assert.strictEqual(store.buffer[stride + offsets.y], 50);
+    
+    // Reads and writes go through to the record; other fields stay on the object
+    first.x += 5;
+    assert.strictEqual(store.buffer[offsets.x], 15);
+    protocol.stepPackedEntities('asteroids', store.buffer, store.count, 2, WORLD);
+    assert.strictEqual(first.x, 17);
+    assert.strictEqual(second.y, 54);
+    assert.strictEqual(first.type, 'iron');
+    assert.deepStrictEqual(Object.keys(JSON.parse(JSON.stringify(first))).sort(), Object.keys(first).sort());
+    
+    // Unchanged list - same buffer, nothing re-laid out
+    const buffer = store.buffer;
+    protocol.syncEntityStore(store, list);
+    assert.strictEqual(store.buffer, buffer);
+    
+    // A removed object keeps its last values as plain fields and stops following the buffer
+    const third = { x: 70, y: 80, vx: 0, vy: 0, rotation: 0, rotationSpeed: 0, radius: 20 };
+    list = [second, third];
+    protocol.syncEntityStore(store, list);
+    assert.deepStrictEqual([store.buffer[offsets.y], store.buffer[stride + offsets.x]], [54, 70]);
+    assert.strictEqual(first.x, 17);
+    store.buffer[offsets.x] = 999;
+    assert.strictEqual(first.x, 17);
+    assert.strictEqual(second.x, 999);
+});
+
+test('dead particles are compacted out of the buffer', () => {
+    const list = [
+        { x: 0, y: 0, vx: 1, vy: 0, life: 5, alpha: 1, size: 2, color: 0 },
+        { x: 0, y: 0, vx: 0, vy: 0, life: 1, alpha: 1, size: 2, color: 1 },
+        { x: 0, y: 0, vx: 0, vy: 1, life: 5, alpha: 1, size: 3, color: 2 }
+    ];
+    const particles = protocol.packEntities('particles', list, null);
+    const { stride, offsets } = protocol.ENTITY_LAYOUTS.particles;
+    
+    assert.strictEqual(protocol.stepPackedEntities('particles', particles, 3, 2, WORLD), 2);
+    assert.deepStrictEqual([particles[offsets.color], particles[stride + offsets.color]], [0, 2]);
+    assert.strictEqual(particles[stride + offsets.y], 2);
+    assert.ok(Math.abs(particles[offsets.alpha] - (1 - protocol.PARTICLE_FADE_SPEED * 2)) < 1e-6);
+});
+
+// ================================
+// SECTOR EVENTS
+// ================================
+
+const EVENT_BOUNDS = { width: 3000, height: 3000 };
+
+test('sector events are announced, start after the warning and end', () => {
+    const context = createTestContext();
+    const schedule = sim.createSectorEventSchedule(context.rng);
+    schedule.timer = 1;
+    
+    const announced = sim.stepSectorEvents(schedule, 1, EVENT_BOUNDS, context.rng);
+    const event = announced[0].event;
+    schedule.timer = Infinity; // No second announcement in the way
+    const started = sim.stepSectorEvents(schedule, sim.SECTOR_EVENT_CONFIG.warning, EVENT_BOUNDS, context.rng);
+    const ended = sim.stepSectorEvents(schedule, sim.SECTOR_EVENT_TYPES[event.type].duration, EVENT_BOUNDS, context.rng);
+    
+    assert.deepStrictEqual(announced.map(c => c.change), ['announced']);
+    assert.deepStrictEqual(started.map(c => c.change), ['started']);
+    assert.deepStrictEqual(ended.map(c => c.change), ['ended']);
+    assert.strictEqual(sim.findSectorEvent(schedule, event.id), null);
+});
+
+test('the scheduler never runs two events of a type or more than the cap', () => {
+    const context = createTestContext();
+    const schedule = sim.createSectorEventSchedule(context.rng);
+    
+    for (let i = 0; i < 20; i++) {
+        schedule.timer = 0;
+        sim.stepSectorEvents(schedule, 0.1, EVENT_BOUNDS, context.rng);
+        
+        const types = schedule.events.map(event => event.type);
+        assert.ok(types.length <= sim.SECTOR_EVENT_CONFIG.maxEvents);
+        assert.strictEqual(new Set(types).size, types.length);
+    }
+});
+
+test('a solar storm jams the scanner and drains the shield', () => {
+    const state = createState({ shield: 10, shieldRegenDelay: 0 });
+    const schedule = { timer: 100, nextId: 2, events: [sim.createSectorEvent(1, 'solarStorm', EVENT_BOUNDS)] };
+    
+    assert.strictEqual(sim.isScannerJammed(schedule), false);
+    assert.strictEqual(sim.stepStormShieldDrain(state, schedule, 10), 0);
+    
+    schedule.events[0].status = 'active';
+    const drained = sim.stepStormShieldDrain(state, schedule, 10);
+    sim.stepShieldRegen(state, 10);
+    
+    assert.strictEqual(sim.isScannerJammed(schedule), true);
+    assert.ok(drained > 0);
+    assert.strictEqual(state.shield, 10 - drained);
+});
+
+test('salvaging a derelict takes time in range and fills the locker', () => {
+    const context = createTestContext();
+    const state = createState();
+    const event = sim.createSectorEvent(1, 'derelict', EVENT_BOUNDS, context.rng);
+    const config = sim.SECTOR_EVENT_TYPES.derelict;
+    event.status = 'active';
+    
+    assert.strictEqual(sim.stepDerelictSalvage(event, { x: event.x + 500, y: event.y }, 1).inRange, false);
+    assert.strictEqual(sim.stepDerelictSalvage(event, { x: event.x, y: event.y }, config.salvageTime - 1).done, false);
+    assert.strictEqual(sim.stepDerelictSalvage(event, { x: event.x, y: event.y }, 1).done, true);
+    
+    const parts = sim.salvageDerelict(state, context.rng);
+    const count = Object.values(parts).reduce((sum, n) => sum + n, 0);
+    
+    assert.ok(count >= config.partCount[0] && count <= config.partCount[1]);
+    assert.deepStrictEqual(state.components, parts);
+    assert.strictEqual(state.stats.derelictsSalvaged, 1);
+});
+
+test('meteor bounties count only shower rocks', () => {
+    const state = createState();
+    const context = createTestContext();
+    state.missions.push(createMission('meteor_mining', { target: 1 }));
+    
+    mineUntilDestroyed(state, createAsteroid('copper'), context);
+    sim.updateMissionStates(state, context.now());
+    assert.strictEqual(state.missions[0].current, 0);
+    
+    mineUntilDestroyed(state, createAsteroid(sim.pickMeteorType(context.rng), { meteor: true }), context);
+    sim.updateMissionStates(state, context.now());
+    assert.strictEqual(state.missions[0].status, 'completed');
+});
+
+test('event bounties fail once their event is over', () => {
+    const state = createState({ sectorEvents: { timer: 100, nextId: 2, events: [sim.createSectorEvent(1, 'solarStorm', EVENT_BOUNDS)] } });
+    state.stats.stormTime = 0;
+    state.missions.push(createMission('storm_survival', { target: 20, eventId: 1 }));
+    
+    state.stats.stormTime = 12.5;
+    sim.updateMissionStates(state, 0);
+    assert.strictEqual(state.missions[0].current, 12);
+    
+    sim.endSectorEvent(state.sectorEvents, state.sectorEvents.events[0]);
+    const events = sim.updateMissionStates(state, 0);
+    
+    assert.strictEqual(events[0].event, 'failed');
+    assert.strictEqual(events[0].reason, 'The storm blew over');
+});
+
+// ================================
+// LOCAL CO-OP
+// ================================
+
+test('the wingmate burns its own fuel and fills its own hold', () => {
+    const state = createState();
+    const wing = sim.createWingmate(state, 1000, 1000);
+    const context = createTestContext();
+    
+    for (let i = 0; i < 30; i++) {
+        sim.stepShipMovement(wing, wing, { moveX: 1, moveY: 0, autopilot: false, docked: false, godMode: false });
+    }
+    assert.ok(wing.x > 1000);
+    assert.ok(wing.fuel < 100);
+    assert.strictEqual(state.fuel, 100);
+    
+    const result = sim.mineAsteroidCycle(wing, createAsteroid('copper'), context);
+    assert.strictEqual(wing.cargo, result.amount);
+    assert.strictEqual(state.cargo, 0);
+    assert.strictEqual(state.stats.totalMined, result.amount); // Stats are the crew's
+});
+
+test('wingmate saves keep only its own fields and recount the hold', () => {
+    const state = createState();
+    const wing = sim.createWingmate(state, 400, 500);
+    wing.inventory = { copper: 5, gold: 2 };
+    wing.cargo = 7;
+    wing.fuel = 30;
+    
+    const saved = JSON.parse(JSON.stringify(sim.getWingmateSaveData(wing)));
+    assert.strictEqual(saved.upgrades, undefined);
+    
+    saved.inventory.unobtainium = 9;
+    saved.fuel = 500;
+    const restored = sim.restoreWingmate(state, saved, 0, 0);
+    
+    assert.deepStrictEqual(restored.inventory, { copper: 5, gold: 2 });
+    assert.strictEqual(restored.cargo, 7);
+    assert.strictEqual(restored.fuel, 100);
+    assert.strictEqual(restored.x, 400);
+    assert.strictEqual(restored.stats, state.stats);
+});
+
+test('the co-op camera fits both ships and the wingmate is towed past the limit', () => {
+    const frame = sim.getCoopFrame({ x: 1000, y: 1000 }, { x: 2000, y: 1000 }, 1200, 900, 100);
+    assert.strictEqual(frame.x, 1500);
+    assert.strictEqual(frame.zoom, 1);
+    
+    const anchor = { x: 1000, y: 1000, vx: 1, vy: 0 };
+    const wing = { x: 5000, y: 1000, vx: 4, vy: 0 };
+    assert.strictEqual(sim.leashWingmate(wing, anchor, 1200, 900, 0.75, 200), true);
+    assert.strictEqual(wing.x, 2200);
+    assert.strictEqual(wing.vx, 1);
+    
+    // Flying back towards the first ship is never held
+    wing.vx = -3;
+    assert.strictEqual(sim.leashWingmate(wing, anchor, 1200, 900, 0.75, 200), false);
+    assert.strictEqual(wing.vx, -3);
+});
+
+// ================================
+// STATION ECONOMY
+// ================================
+
+test('station stockpiles start full with targets scaled by rarity', () => {
+    const market = sim.createStationStock(sim.createSeededRandom(7));
+    
+    const rarest = Object.keys(ASTEROID_TYPES).sort((a, b) => ASTEROID_TYPES[a].baseChance - ASTEROID_TYPES[b].baseChance)[0];
+    
+    assert.deepStrictEqual(market.stock, market.target);
+    assert.strictEqual(market.target[rarest], sim.ECONOMY_CONFIG.minTarget);
+    assert.ok(market.target.common <= Math.round(ASTEROID_TYPES.common.baseChance * sim.ECONOMY_CONFIG.stockPerChance * 1.4));
+    for (const type of Object.keys(ASTEROID_TYPES)) {
+        assert.ok(market.target[type] >= sim.ECONOMY_CONFIG.minTarget);
+        assert.ok(market.consumption[type] > 0);
+        assert.strictEqual(sim.getStockStatus(market, type), 'stable');
+        assert.strictEqual(sim.getStockPriceFactor(market, type), 1);
+    }
+});
+
+test('consumption drains stockpiles into shortages that raise the price', () => {
+    const market = sim.createStationStock(sim.createSeededRandom(7));
+    
+    sim.stepStationEconomy(market, sim.ECONOMY_CONFIG.drainSeconds * 2);
+    
+    assert.strictEqual(market.stock.common, 0);
+    assert.strictEqual(sim.getStockStatus(market, 'common'), 'shortage');
+    assert.strictEqual(sim.getStockPriceFactor(market, 'common'), 1 + sim.ECONOMY_CONFIG.shortagePremium);
+    assert.strictEqual(sim.findStockShortages(market).length, Object.keys(ASTEROID_TYPES).length);
+    
+    // Units about to be sold count towards the stock
+    assert.ok(sim.getStockPriceFactor(market, 'common', market.target.common / 2) < sim.getStockPriceFactor(market, 'common'));
+});
+
+test('deliveries restock the station and a glut drains back towards the target', () => {
+    const market = sim.createStationStock(sim.createSeededRandom(7));
+    const target = market.target.copper;
+    
+    const units = sim.deliverToStockpile(market, { copper: target * 3, unobtainium: 9 });
+    assert.strictEqual(units, target * 3);
+    assert.strictEqual(market.stock.copper, target * 4);
+    assert.strictEqual(sim.getStockStatus(market, 'copper'), 'surplus');
+    assert.strictEqual(sim.getStockPriceFactor(market, 'copper'), sim.ECONOMY_CONFIG.minSurplusFactor);
+    
+    // Four times the stock burns four times as fast
+    const before = market.stock.copper;
+    sim.stepStationEconomy(market, 1);
+    assert.ok(Math.abs((before - market.stock.copper) - market.consumption.copper * 4) < 1e-9);
+});